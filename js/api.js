@@ -4,8 +4,10 @@
  * Handles all communication with the SSB API including caching.
  * Base URL: https://data.ssb.no/api/pxwebapi/v2/
  *
- * Rate limit: 30 queries/minute. A minimal throttle ensures requests
- * are spaced at least 100ms apart to avoid hammering the server.
+ * Rate limit: 30 queries/minute (the server's figure comes from /config).
+ * Every request goes through RequestScheduler, which keeps to that limit,
+ * serves user requests before background ones, retries 429/503 and cancels
+ * the current view's requests when the user navigates.
  */
 /**
  * Whether a codelist ID is an aggregation codelist (agg_*) vs. a valueset (vs_*).
@@ -15,11 +17,269 @@ function isAggregationCodelistId(codelistId) {
   return typeof codelistId === 'string' && codelistId.toLowerCase().startsWith('agg_');
 }
 
+// ========== API errors ==========
+
+/**
+ * Errors thrown by the API client. _handleErrorResponse() turns RFC 7807
+ * problem details into one of the subclasses below, so views can react to
+ * the kind of failure (e.g. loadTableData() offers recovery actions) instead
+ * of only showing the message. `message` is always user-facing.
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - User-facing message
+   * @param {number} status - HTTP status (0 when there was no response)
+   * @param {string} detail - Problem detail from the server, if any
+   */
+  constructor(message, status = 0, detail = '') {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.detail = detail;
+  }
+}
+
+/** 403: the query is above the server's cell limit */
+class CellLimitError extends ApiError {
+  constructor(message, status = 403, detail = '') {
+    super(message, status, detail);
+    this.name = 'CellLimitError';
+  }
+}
+
+/** 400: a value code the variable does not have (variable and code from `detail`) */
+class InvalidValueCodeError extends ApiError {
+  constructor(message, status = 400, detail = '') {
+    super(message, status, detail);
+    this.name = 'InvalidValueCodeError';
+    const parsed = parseInvalidValueCode(detail);
+    this.variable = parsed?.variable || null;
+    this.code = parsed?.code || null;
+  }
+}
+
+/** 404: the table (or codelist, saved query) does not exist */
+class NotFoundError extends ApiError {
+  constructor(message, status = 404, detail = '') {
+    super(message, status, detail);
+    this.name = 'NotFoundError';
+  }
+}
+
+/** 429 after the scheduler's retries */
+class RateLimitError extends ApiError {
+  constructor(message, status = 429, detail = '', retryAfter = null) {
+    super(message, status, detail);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+/** No response at all (offline, DNS, CORS); `cause` is fetch()'s TypeError */
+class NetworkError extends ApiError {
+  constructor(message, cause = null) {
+    super(message, 0, '');
+    this.name = 'NetworkError';
+    this.cause = cause;
+  }
+}
+
+/**
+ * Read the variable and value code from an invalid-value problem detail,
+ * e.g. "Value, 0301x is not a valid value code for variable Region"
+ * @param {string} detail - Problem detail text
+ * @returns {object|null} - { variable, code }
+ */
+function parseInvalidValueCode(detail) {
+  const match = String(detail || '').match(
+    /value,?\s+['"]?([^'",\s]+)['"]?,?\s+is not a valid value(?: code)? for (?:variable|dimension)\s+['"]?([\w-]+)/i);
+  return match ? { code: match[1], variable: match[2] } : null;
+}
+
+/**
+ * Request priorities: user requests (data, metadata for the view) are
+ * dispatched before background ones (codelist preloads, index builds)
+ */
+const REQUEST_PRIORITY = { user: 0, background: 1 };
+
+/**
+ * RequestScheduler - Rate limiting, priorities, retries and cancellation for API requests
+ *
+ * - Sliding window: at most AppConfig.limits.maxCallsPerWindow requests start
+ *   per AppConfig.limits.timeWindow seconds, and at least 100 ms apart
+ * - Priority queue: waiting requests start by priority, then in order
+ * - 429 and 503 are retried (AppConfig.limits.maxRetries times) after the
+ *   Retry-After header, or 1 s, 2 s, 4 s, …; the whole queue waits meanwhile
+ * - Identical GETs in flight share one request (each caller gets a clone of
+ *   the response)
+ * - Requests are tied to the current view and aborted by cancelNavigation()
+ *   (URLRouter.handleRoute()), unless they are persistent (table list, config,
+ *   downloads, saving). Aborted requests reject with an AbortError, which
+ *   showError() ignores.
+ */
+class RequestScheduler {
+  constructor() {
+    this._queue = [];
+    this._seq = 0;
+    this._starts = [];
+    this._pausedUntil = 0;
+    this._timer = null;
+    this._inFlight = new Map();
+    this._navigation = new AbortController();
+  }
+
+  /**
+   * Fetch through the scheduler
+   * @param {string} url - Request URL
+   * @param {object} options - fetch() options (signal is honoured)
+   * @param {object} requestOptions - { priority: 'user'|'background', persistent: not cancelled on navigation }
+   * @returns {Promise<Response>}
+   */
+  fetch(url, options = {}, requestOptions = {}) {
+    const { priority = 'user', persistent = false } = requestOptions;
+    const signals = [options.signal, persistent ? null : this._navigation.signal].filter(Boolean);
+    const signal = signals.length > 1 ? this._anySignal(signals) : signals[0];
+
+    // Identical GETs share one request; a caller's own signal keeps it separate
+    const isGet = !options.method || options.method === 'GET';
+    const key = isGet && !options.signal
+      ? (persistent ? 'persistent ' : '') + url + ' ' + JSON.stringify(options.headers || {})
+      : null;
+    if (key && this._inFlight.has(key)) {
+      logger.log('[API] Sharing request in flight:', url);
+      return this._inFlight.get(key).then(response => response.clone());
+    }
+
+    const request = this._attempt(url, { ...options, signal }, REQUEST_PRIORITY[priority] ?? 0, this._seq++, 0);
+    if (!key) return request;
+
+    const done = () => this._inFlight.delete(key);
+    this._inFlight.set(key, request);
+    request.then(done, done);
+    return request.then(response => response.clone());
+  }
+
+  /**
+   * Abort the requests of the current view, queued or in flight
+   */
+  cancelNavigation() {
+    this._navigation.abort();
+    this._navigation = new AbortController();
+  }
+
+  /**
+   * Wait for a slot, fetch, and retry on 429/503
+   */
+  async _attempt(url, options, priority, seq, attempt) {
+    await this._slot(priority, seq, options.signal);
+    let response;
+    try {
+      response = await fetch(url, options);
+    } catch (e) {
+      if (e.name === 'AbortError') throw e;
+      throw new NetworkError(t('error.network'), e);
+    }
+
+    if ((response.status === 429 || response.status === 503) && attempt < AppConfig.limits.maxRetries) {
+      const delay = this._retryDelay(response, attempt);
+      logger.warn('[API] HTTP ' + response.status + ', retrying in ' + delay + ' ms:', url);
+      this._pausedUntil = Math.max(this._pausedUntil, Date.now() + delay);
+      return this._attempt(url, options, priority, seq, attempt + 1);
+    }
+    return response;
+  }
+
+  /**
+   * Milliseconds to wait before retrying: Retry-After (seconds or HTTP date),
+   * otherwise exponential backoff from AppConfig.limits.retryBaseDelay
+   * @param {Response} response - The 429/503 response
+   * @param {number} attempt - Retries so far
+   * @returns {number}
+   */
+  _retryDelay(response, attempt) {
+    const retryAfter = response.headers?.get('Retry-After');
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(retryAfter) - Date.now();
+      if (ms >= 0) return Math.min(ms, 5 * 60 * 1000);
+    }
+    return AppConfig.limits.retryBaseDelay * Math.pow(2, attempt);
+  }
+
+  /**
+   * Resolve when the request may start; reject if its signal aborts first
+   */
+  _slot(priority, seq, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(this._abortError(signal));
+        return;
+      }
+      const entry = { priority, seq, resolve };
+      signal?.addEventListener('abort', () => {
+        const index = this._queue.indexOf(entry);
+        if (index === -1) return;
+        this._queue.splice(index, 1);
+        reject(this._abortError(signal));
+      }, { once: true });
+      this._queue.push(entry);
+      this._queue.sort((a, b) => a.priority - b.priority || a.seq - b.seq);
+      this._pump();
+    });
+  }
+
+  /**
+   * Start queued requests as far as the limits allow, then wait for the next slot
+   */
+  _pump() {
+    if (this._timer) return;
+    while (this._queue.length > 0) {
+      const now = Date.now();
+      const windowMs = AppConfig.limits.timeWindow * 1000;
+      this._starts = this._starts.filter(time => time > now - windowMs);
+
+      const last = this._starts[this._starts.length - 1] || 0;
+      const waits = [this._pausedUntil - now, last + 100 - now];
+      if (this._starts.length >= AppConfig.limits.maxCallsPerWindow) {
+        waits.push(this._starts[0] + windowMs - now);
+      }
+      const wait = Math.max(...waits);
+      if (wait > 0) {
+        this._timer = setTimeout(() => {
+          this._timer = null;
+          this._pump();
+        }, wait);
+        return;
+      }
+
+      this._starts.push(now);
+      this._queue.shift().resolve();
+    }
+  }
+
+  /**
+   * An AbortSignal that aborts when any of the given signals does
+   */
+  _anySignal(signals) {
+    if (typeof AbortSignal.any === 'function') return AbortSignal.any(signals);
+    const controller = new AbortController();
+    signals.forEach(signal => {
+      if (signal.aborted) controller.abort(signal.reason);
+      signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true });
+    });
+    return controller.signal;
+  }
+
+  _abortError(signal) {
+    return signal.reason instanceof Error ? signal.reason : new DOMException('Aborted', 'AbortError');
+  }
+}
+
 class SSBApi {
   constructor() {
     this.baseUrl = AppConfig.apiBaseUrl;
     this.cache = new CacheManager();
-    this._lastRequestTime = 0;
+    this.scheduler = new RequestScheduler();
   }
 
   /** Returns the current API language code (e.g. 'no', 'en', 'sv'). */
@@ -28,30 +288,35 @@ class SSBApi {
   }
 
   /**
-   * Throttled fetch — ensures minimum 100ms between requests to respect
-   * SSB's 30 req/min rate limit and avoid accidental bursts.
+   * Fetch through the request scheduler (rate limit, priority, retries, cancellation)
+   * @param {string} url - Request URL
+   * @param {object} options - fetch() options
+   * @param {object} requestOptions - { priority, persistent } (see RequestScheduler.fetch())
    */
-  async _throttledFetch(url, options = {}) {
-    const now = Date.now();
-    const timeSinceLastRequest = now - this._lastRequestTime;
-    if (timeSinceLastRequest < 100) {
-      await new Promise(r => setTimeout(r, 100 - timeSinceLastRequest));
-    }
-    this._lastRequestTime = Date.now();
-    return fetch(url, options);
+  _throttledFetch(url, options = {}, requestOptions = {}) {
+    return this.scheduler.fetch(url, options, requestOptions);
+  }
+
+  /**
+   * Abort the requests made for the current view (called on navigation)
+   */
+  cancelNavigation() {
+    this.scheduler.cancelNavigation();
   }
 
   /**
-   * Parse an error response and throw with a descriptive message.
+   * Parse an error response and throw the matching ApiError subclass.
    * SSB returns RFC 7807 Problem Detail JSON with a `detail` field
    * that contains specific, actionable error descriptions.
    *
    * @param {Response} response - The failed fetch response
-   * @throws {Error} - Error with the best available message
+   * @throws {ApiError} - CellLimitError, InvalidValueCodeError, NotFoundError, RateLimitError or ApiError
    */
   async _handleErrorResponse(response) {
+    // Still 429 after the scheduler's retries
     if (response.status === 429) {
-      throw new Error(t('error.rateLimit'));
+      const retryAfter = Number(response.headers?.get('Retry-After')) || null;
+      throw new RateLimitError(t('error.rateLimit'), 429, '', retryAfter);
     }
 
     // Try to parse RFC 7807 Problem Detail response
@@ -64,10 +329,17 @@ class SSBApi {
     }
 
     if (response.status === 403) {
-      throw new Error(detail || t('error.cellLimit'));
+      throw new CellLimitError(detail || t('error.cellLimit'), 403, detail);
+    }
+    if (response.status === 404) {
+      throw new NotFoundError(detail || t('error.notFound'), 404, detail);
+    }
+    const invalid = response.status === 400 ? parseInvalidValueCode(detail) : null;
+    if (invalid) {
+      throw new InvalidValueCodeError(tpl('error.invalidValueCode', invalid.code, invalid.variable), 400, detail);
     }
 
-    throw new Error(detail || ('HTTP ' + response.status + ': ' + response.statusText));
+    throw new ApiError(detail || ('HTTP ' + response.status + ': ' + response.statusText), response.status, detail);
   }
 
   /**
@@ -201,12 +473,13 @@ class SSBApi {
       const url = this.baseUrl + '/tables?' + params.toString();
       logger.log('[API] Fetching tables:', url);
 
+      // Persistent: the table list is shared by every view
       const response = await this._throttledFetch(url, {
         headers: {
           'Accept': 'application/json',
           'Accept-Language': resolvedLang
         }
-      });
+      }, { persistent: true });
 
       if (!response.ok) {
         await this._handleErrorResponse(response);
@@ -230,9 +503,10 @@ class SSBApi {
    * @param {string} tableId - Table ID (e.g., "13760")
    * @param {boolean} useCache - Whether to use cached data
    * @param {string} lang - Language code (no/en)
+   * @param {object} options - { priority: 'background' for work the user is not waiting for, persistent }
    * @returns {Promise<object>} - Table metadata (JSON-Stat2 format)
    */
-  async getTableMetadata(tableId, useCache = true, lang = this.defaultLang) {
+  async getTableMetadata(tableId, useCache = true, lang = this.defaultLang, options = {}) {
     const cacheKey = 'table_' + tableId + '_' + lang;
 
     if (useCache) {
@@ -249,7 +523,7 @@ class SSBApi {
           'Accept': 'application/json',
           'Accept-Language': lang
         }
-      });
+      }, { priority: options.priority, persistent: options.persistent });
 
       if (!response.ok) {
         await this._handleErrorResponse(response);
@@ -320,9 +594,20 @@ class SSBApi {
    *   Supports: array of codes, "*" (all), "top(N)" (last N values)
    * @param {string} lang - Language code (no/en)
    * @param {object} codelistIds - Active codelist IDs per dimension (optional)
+   * @param {object} options - { updated: the table's `updated` timestamp, for
+   *   the query result cache (AppConfig.cache.queryResults); signal: an
+   *   AbortSignal that cancels the request }
    * @returns {Promise<object>} - Table data (JSON-Stat2 format)
    */
-  async getTableData(tableId, valueCodes, lang = this.defaultLang, codelistIds = {}) {
+  async getTableData(tableId, valueCodes, lang = this.defaultLang, codelistIds = {}, options = {}) {
+    const query = { tableId, valueCodes, codelistIds, lang };
+    const useResultCache = AppConfig.cache.queryResults === true;
+
+    if (useResultCache) {
+      const cached = await this.cache.getQueryResult(query, options.updated);
+      if (cached) return cached;
+    }
+
     try {
       const url = this.baseUrl + '/tables/' + tableId + '/data?lang=' + lang;
       const body = this.buildPostBody(valueCodes, { codelistIds });
@@ -337,7 +622,8 @@ class SSBApi {
           'Accept': 'application/json',
           'Accept-Language': lang
         },
-        body: JSON.stringify(body)
+        body: JSON.stringify(body),
+        signal: options.signal
       });
 
       if (!response.ok) {
@@ -350,6 +636,10 @@ class SSBApi {
       logger.log('[API] Data size:', data.size);
       logger.log('[API] Value count:', data.value ? data.value.length : 0);
 
+      if (useResultCache && data.value) {
+        await this.cache.setQueryResult(query, data, options.updated);
+      }
+
       return data;
     } catch (error) {
       logger.error('[API] Failed to fetch data for table ' + tableId + ':', error);
@@ -371,9 +661,10 @@ class SSBApi {
    * @param {string} codelistId - Codelist ID (e.g., "vs_NRInvArtAgg3")
    * @param {boolean} useCache - Whether to use cached data (default: true)
    * @param {string} lang - Language code (default: 'no')
+   * @param {object} options - { priority: 'background' for preloads }
    * @returns {Promise<object>} - Codelist data
    */
-  async getCodeList(codelistId, useCache = true, lang = this.defaultLang) {
+  async getCodeList(codelistId, useCache = true, lang = this.defaultLang, options = {}) {
     const cacheKey = 'codelist_' + codelistId + '_' + lang;
 
     if (useCache) {
@@ -390,7 +681,7 @@ class SSBApi {
           'Accept': 'application/json',
           'Accept-Language': lang
         }
-      });
+      }, { priority: options.priority });
 
       if (!response.ok) {
         await this._handleErrorResponse(response);
@@ -442,6 +733,7 @@ class SSBApi {
     logger.log('[API] Downloading via POST:', postUrl);
 
     try {
+      // Persistent: a download the user started finishes even if they move on
       const response = await this._throttledFetch(postUrl, {
         method: 'POST',
         headers: {
@@ -449,7 +741,7 @@ class SSBApi {
           'Accept-Language': lang
         },
         body: JSON.stringify(body)
-      });
+      }, { persistent: true });
 
       if (!response.ok) {
         await this._handleErrorResponse(response);
@@ -461,14 +753,7 @@ class SSBApi {
       const timestamp = getTimestamp().replace('_', '-');
       const filename = tableId + '_' + timestamp + '.' + format;
 
-      // Create download link and trigger download
-      const link = document.createElement('a');
-      link.href = URL.createObjectURL(blob);
-      link.download = filename;
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      URL.revokeObjectURL(link.href);
+      downloadBlob(blob, filename);
 
       logger.log('[API] Download complete:', filename);
     } catch (error) {
@@ -509,7 +794,7 @@ class SSBApi {
         'Accept': 'application/json'
       },
       body: JSON.stringify(body)
-    });
+    }, { persistent: true });
 
     if (!response.ok) {
       await this._handleErrorResponse(response);
@@ -612,7 +897,7 @@ class SSBApi {
 
       const response = await this._throttledFetch(url, {
         headers: { 'Accept': 'application/json' }
-      });
+      }, { persistent: true });
 
       if (!response.ok) {
         logger.warn('[API] Could not fetch config, using defaults');
@@ -641,6 +926,11 @@ class SSBApi {
       AppConfig.limits.maxCells = config.maxDataCells;
       AppConfig.limits.cellWarningThreshold = Math.round(config.maxDataCells * 0.75);
     }
+    // The request scheduler's rate limit
+    if (config.maxCallsPerTimeWindow > 0 && config.timeWindow > 0) {
+      AppConfig.limits.maxCallsPerWindow = config.maxCallsPerTimeWindow;
+      AppConfig.limits.timeWindow = config.timeWindow;
+    }
     // Stored for diagnostics and future use (e.g. version display in footer)
     if (config.apiVersion != null) {
       AppConfig.apiVersion = config.apiVersion;
@@ -655,7 +945,36 @@ class SSBApi {
    * Clear all cached data
    */
   clearCache() {
-    this.cache.clear();
+    return this.cache.clear();
+  }
+
+  /**
+   * List every cache entry (settings view)
+   * @returns {Promise<Array>} - See CacheManager.listEntries()
+   */
+  listCacheEntries() {
+    return this.cache.listEntries();
+  }
+
+  /**
+   * IDs of the tables whose metadata is cached and current (value index)
+   * @param {string} lang - Language code
+   * @returns {Promise<Array<string>>}
+   */
+  async listCachedMetadata(lang) {
+    const pattern = new RegExp('^table_(.+)_' + lang + '$');
+    return (await this.cache.listEntries())
+      .filter(entry => !entry.expired && !entry.stale)
+      .map(entry => entry.key.match(pattern)?.[1])
+      .filter(Boolean);
+  }
+
+  /**
+   * Delete one cache entry listed by listCacheEntries()
+   * @param {object} entry - { key, storage }
+   */
+  deleteCacheEntry(entry) {
+    return this.cache.deleteEntry(entry);
   }
 
   /**
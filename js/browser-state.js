@@ -8,6 +8,59 @@
  * - Shared rendering helpers (table lists, date formatting, etc.)
  */
 
+// Empty facet filters, shared by searchFilters and topicFilters
+const FACET_FILTER_DEFAULTS = {
+  variableFilter: '',
+  periodFromFilter: '',
+  periodToFilter: '',
+  regionFilter: ''
+};
+
+// The variable facet lists the most common variable names only
+const FACET_MAX_VARIABLES = 100;
+
+/**
+ * Regional levels of the facet. Tables mark their regional level in the title,
+ * e.g. "... (K) 1986 - 2024": K kommune, F fylke, B bydel, G grunnkrets,
+ * T tettsted. Tables without a marker are 'other' when they have a region
+ * variable, otherwise 'country' (only the whole country).
+ */
+const REGIONAL_LEVELS = ['K', 'F', 'B', 'G', 'T', 'other', 'country'];
+
+/**
+ * Regional levels of a table (see REGIONAL_LEVELS)
+ * @param {Object} table - Table from the table list
+ * @returns {Array<string>}
+ */
+function tableRegionalLevels(table) {
+  const levels = [...new Set([...(table.label || '').matchAll(/\(([KFBGT])(?:-\d{4})?\)/g)].map(m => m[1]))];
+  if (levels.length > 0) return levels;
+  return (table.variableNames || []).some(name => /^region/i.test(name)) ? ['other'] : ['country'];
+}
+
+/**
+ * Year of a period code ("2024", "2024M06", "2024K2", "2023-2024" → first year)
+ * @param {string} period - Period code from the table list
+ * @returns {number|null}
+ */
+function periodYear(period) {
+  const match = String(period || '').match(/\d{4}/);
+  return match ? parseInt(match[0], 10) : null;
+}
+
+/**
+ * Years offered by the period-range facet: data from (first period at or
+ * before) and data to (last period at or after)
+ * @returns {Object} { from: [year], to: [year] }
+ */
+function facetPeriodOptions() {
+  const year = new Date().getFullYear();
+  return {
+    from: [1950, 1970, 1980, 1990, 2000, 2010, 2015, 2020],
+    to: [year, year - 1, year - 2, year - 5, year - 10]
+  };
+}
+
 const BrowserState = {
   menuHierarchy: null,
   allTables: [],
@@ -22,7 +75,8 @@ const BrowserState = {
     subjectFilter: '',
     frequencyFilter: '',
     updatedFilter: '',
-    enhanced: false
+    enhanced: false,
+    ...FACET_FILTER_DEFAULTS
   },
 
   // Lazy search index for enhanced mode (built on first use, cached forever)
@@ -33,7 +87,8 @@ const BrowserState = {
   topicFilters: {
     includeDiscontinued: AppConfig.ui.showDiscontinuedByDefault,
     frequencyFilter: '',
-    updatedFilter: ''
+    updatedFilter: '',
+    ...FACET_FILTER_DEFAULTS
   },
 
   /**
@@ -49,14 +104,64 @@ const BrowserState = {
     await this._initPromise;
   },
 
+  /**
+   * Re-fetch the table list (and recently updated tables) from the API,
+   * bypassing the cache
+   */
+  async refreshTables() {
+    this.reset();
+    this._initPromise = this._doInit(false);
+    await this._initPromise;
+    await this.loadRecentTables(true);
+  },
+
   reset() {
     this.isLoaded = false;
     this._initPromise = null;
     this.allTables = [];
+    this.recentTables = null;
     this.menuHierarchy = null;
   },
 
-  async _doInit() {
+  /**
+   * Fetch the tables updated in the last 7 days (pastDays=7). Used by the front
+   * page and the watchlist; failures are non-fatal (recentTables stays as it was).
+   * @param {boolean} refresh - Bypass the cache (periodic watchlist check)
+   * @returns {Promise<Array|null>}
+   */
+  async loadRecentTables(refresh = false) {
+    if (this.recentTables && !refresh) return this.recentTables;
+    try {
+      const response = await api.getAllTables({
+        lang: getCurrentApiLang(),
+        includeDiscontinued: true,
+        pastDays: 7,
+        useCache: !refresh
+      });
+      this.recentTables = response.tables;
+      logger.log(`[BrowserState] Loaded ${this.recentTables.length} recently updated tables`);
+    } catch (error) {
+      logger.warn('[BrowserState] Could not fetch recently updated tables:', error);
+    }
+    return this.recentTables;
+  },
+
+  /**
+   * Most recent known `updated` timestamp for a table (recentTables is
+   * fetched more often than the full table list)
+   * @param {string} tableId - Table ID
+   * @returns {string|null} - ISO date string
+   */
+  getTableUpdated(tableId) {
+    const candidates = [
+      this.recentTables?.find(t => t.id === tableId)?.updated,
+      this.allTables.find(t => t.id === tableId)?.updated
+    ].filter(Boolean);
+    if (candidates.length === 0) return null;
+    return candidates.reduce((a, b) => (new Date(b) > new Date(a) ? b : a));
+  },
+
+  async _doInit(useCache = true) {
     try {
       logger.log('[BrowserState] Fetching all tables (including discontinued)...');
 
@@ -66,7 +171,8 @@ const BrowserState = {
       // Fetch all tables (with automatic pagination if needed)
       const response = await api.getAllTables({
         lang: getCurrentApiLang(),
-        includeDiscontinued: true
+        includeDiscontinued: true,
+        useCache
       });
 
       this.allTables = response.tables;
@@ -96,7 +202,7 @@ const BrowserState = {
     if (this.searchFilters.frequencyFilter) params.freq = this.searchFilters.frequencyFilter;
     if (this.searchFilters.updatedFilter) params.upd = this.searchFilters.updatedFilter;
     if (this.searchFilters.enhanced) params.enh = '1';
-    return params;
+    return { ...params, ...this._facetFiltersToParams(this.searchFilters) };
   },
 
   /**
@@ -109,6 +215,7 @@ const BrowserState = {
     this.searchFilters.frequencyFilter = params.freq || '';
     this.searchFilters.updatedFilter = params.upd || '';
     this.searchFilters.enhanced = params.enh === '1';
+    this._facetFiltersFromParams(this.searchFilters, params);
   },
 
   /**
@@ -119,7 +226,7 @@ const BrowserState = {
     if (this.topicFilters.includeDiscontinued) params.disc = '1';
     if (this.topicFilters.frequencyFilter) params.freq = this.topicFilters.frequencyFilter;
     if (this.topicFilters.updatedFilter) params.upd = this.topicFilters.updatedFilter;
-    return params;
+    return { ...params, ...this._facetFiltersToParams(this.topicFilters) };
   },
 
   /**
@@ -129,6 +236,7 @@ const BrowserState = {
     this.topicFilters.includeDiscontinued = params.disc === '1';
     this.topicFilters.frequencyFilter = params.freq || '';
     this.topicFilters.updatedFilter = params.upd || '';
+    this._facetFiltersFromParams(this.topicFilters, params);
   },
 
   /**
@@ -138,6 +246,29 @@ const BrowserState = {
     this.topicFilters.includeDiscontinued = AppConfig.ui.showDiscontinuedByDefault;
     this.topicFilters.frequencyFilter = '';
     this.topicFilters.updatedFilter = '';
+    Object.assign(this.topicFilters, FACET_FILTER_DEFAULTS);
+  },
+
+  /**
+   * Facet filters (variable, period range, regional level) as URL params
+   */
+  _facetFiltersToParams(filters) {
+    const params = {};
+    if (filters.variableFilter) params.var = filters.variableFilter;
+    if (filters.periodFromFilter) params.from = filters.periodFromFilter;
+    if (filters.periodToFilter) params.to = filters.periodToFilter;
+    if (filters.regionFilter) params.reg = filters.regionFilter;
+    return params;
+  },
+
+  /**
+   * Set facet filters from URL query params
+   */
+  _facetFiltersFromParams(filters, params) {
+    filters.variableFilter = params.var || '';
+    filters.periodFromFilter = params.from || '';
+    filters.periodToFilter = params.to || '';
+    filters.regionFilter = params.reg || '';
   },
 
   // ========== Shared filter utilities ==========
@@ -147,8 +278,10 @@ const BrowserState = {
    * Used for calculating per-value hit counts in filter dropdowns.
    *
    * @param {Array} tables - Tables to filter
-   * @param {Object} filters - {query, includeDiscontinued, subjectFilter, frequencyFilter, updatedFilter, enhanced}
-   * @param {string} [excludeFilter] - 'subject', 'frequency', or 'updated' to skip
+   * @param {Object} filters - {query, includeDiscontinued, subjectFilter, frequencyFilter, updatedFilter, enhanced,
+   *                            variableFilter, periodFromFilter, periodToFilter, regionFilter}
+   * @param {string} [excludeFilter] - 'subject', 'frequency', 'updated', 'variable', 'periodFrom',
+   *                                   'periodTo' or 'region' to skip
    * @returns {Array} Filtered tables (sorted by relevance when enhanced mode is on)
    */
   filterTables(tables, filters, excludeFilter) {
@@ -183,7 +316,8 @@ const BrowserState = {
   },
 
   /**
-   * Apply only the non-query filters (discontinued, subject, frequency, updated).
+   * Apply only the non-query filters (discontinued, subject, frequency, updated
+   * and the facets: variable, period range, regional level).
    * Shared by both standard and enhanced filterTables paths.
    *
    * @param {Array} tables
@@ -221,6 +355,22 @@ const BrowserState = {
         if (new Date(table.updated) < updatedThreshold) return false;
       }
 
+      if (excludeFilter !== 'variable' && filters.variableFilter &&
+          !(table.variableNames || []).includes(filters.variableFilter)) return false;
+
+      // Period range: data back to periodFrom (or earlier) and up to periodTo (or later)
+      if (excludeFilter !== 'periodFrom' && filters.periodFromFilter) {
+        const first = periodYear(table.firstPeriod);
+        if (first === null || first > parseInt(filters.periodFromFilter, 10)) return false;
+      }
+      if (excludeFilter !== 'periodTo' && filters.periodToFilter) {
+        const last = periodYear(table.lastPeriod);
+        if (last === null || last < parseInt(filters.periodToFilter, 10)) return false;
+      }
+
+      if (excludeFilter !== 'region' && filters.regionFilter &&
+          !tableRegionalLevels(table).includes(filters.regionFilter)) return false;
+
       return true;
     });
   },
@@ -282,6 +432,150 @@ const BrowserState = {
     return counts;
   },
 
+  /**
+   * Count tables per variable name. Excludes variable filter itself.
+   * @returns {Object} {'region': N, 'kjønn': N, ...}
+   */
+  calcVariableCounts(tables, filters) {
+    const base = this.filterTables(tables, filters, 'variable');
+    const counts = {};
+
+    base.forEach(table => {
+      new Set(table.variableNames || []).forEach(name => {
+        counts[name] = (counts[name] || 0) + 1;
+      });
+    });
+
+    return counts;
+  },
+
+  /**
+   * Count tables per period-range option. Each side excludes its own filter.
+   * @returns {Object} { from: {'1990': N, ...}, to: {'2025': N, ...} } — years from facetPeriodOptions()
+   */
+  calcPeriodCounts(tables, filters) {
+    const options = facetPeriodOptions();
+    const firsts = this.filterTables(tables, filters, 'periodFrom').map(t => periodYear(t.firstPeriod));
+    const lasts = this.filterTables(tables, filters, 'periodTo').map(t => periodYear(t.lastPeriod));
+
+    const from = {};
+    options.from.forEach(year => {
+      from[String(year)] = firsts.filter(first => first !== null && first <= year).length;
+    });
+    const to = {};
+    options.to.forEach(year => {
+      to[String(year)] = lasts.filter(last => last !== null && last >= year).length;
+    });
+
+    return { from, to };
+  },
+
+  /**
+   * Count tables per regional level. Excludes region filter itself.
+   * @returns {Object} {K: N, F: N, B: N, G: N, T: N, other: N, country: N}
+   */
+  calcRegionCounts(tables, filters) {
+    const base = this.filterTables(tables, filters, 'region');
+    const counts = Object.fromEntries(REGIONAL_LEVELS.map(level => [level, 0]));
+
+    base.forEach(table => {
+      tableRegionalLevels(table).forEach(level => counts[level]++);
+    });
+
+    return counts;
+  },
+
+  // ========== Facet filters (search and topic views) ==========
+
+  /**
+   * Render the facet dropdowns (variable, period from/to, regional level) with hit counts
+   * @param {string} idPrefix - Element ID prefix ('' for search, 'topic-' for topic view)
+   * @param {Array} tables - Tables the counts are based on
+   * @param {Object} filters - searchFilters or topicFilters
+   * @returns {string} HTML
+   */
+  renderFacetFilters(idPrefix, tables, filters) {
+    return `
+      <select id="${idPrefix}variable-filter" class="filter-select">${this._facetOptions('variable', tables, filters)}</select>
+      <select id="${idPrefix}period-from-filter" class="filter-select">${this._facetOptions('periodFrom', tables, filters)}</select>
+      <select id="${idPrefix}period-to-filter" class="filter-select">${this._facetOptions('periodTo', tables, filters)}</select>
+      <select id="${idPrefix}region-filter" class="filter-select">${this._facetOptions('region', tables, filters)}</select>
+    `;
+  },
+
+  /**
+   * Read the facet dropdowns into a filter object
+   * @param {string} idPrefix - Element ID prefix (see renderFacetFilters)
+   * @param {Object} filters - searchFilters or topicFilters (updated in place)
+   */
+  readFacetFilters(idPrefix, filters) {
+    filters.variableFilter = document.getElementById(idPrefix + 'variable-filter')?.value || '';
+    filters.periodFromFilter = document.getElementById(idPrefix + 'period-from-filter')?.value || '';
+    filters.periodToFilter = document.getElementById(idPrefix + 'period-to-filter')?.value || '';
+    filters.regionFilter = document.getElementById(idPrefix + 'region-filter')?.value || '';
+  },
+
+  /**
+   * Recalculate the facet dropdowns' hit counts, keeping the selection
+   * @param {string} idPrefix - Element ID prefix (see renderFacetFilters)
+   * @param {Array} tables - Tables the counts are based on
+   * @param {Object} filters - searchFilters or topicFilters
+   */
+  updateFacetFilters(idPrefix, tables, filters) {
+    [['variable', 'variable-filter'], ['periodFrom', 'period-from-filter'],
+      ['periodTo', 'period-to-filter'], ['region', 'region-filter']].forEach(([facet, id]) => {
+      const el = document.getElementById(idPrefix + id);
+      if (el) el.innerHTML = this._facetOptions(facet, tables, filters);
+    });
+  },
+
+  /**
+   * Whether any facet filter is active
+   */
+  hasFacetFilters(filters) {
+    return !!(filters.variableFilter || filters.periodFromFilter || filters.periodToFilter || filters.regionFilter);
+  },
+
+  /**
+   * <option>s for one facet, with counts; the current value is selected.
+   * Variables are listed by hit count, the first FACET_MAX_VARIABLES of them.
+   */
+  _facetOptions(facet, tables, filters) {
+    const option = (value, label, count, selected) =>
+      `<option value="${escapeHtml(value)}" ${count === 0 && !selected ? 'disabled' : ''} ${selected ? 'selected' : ''}>` +
+      `${escapeHtml(label)} (${count})</option>`;
+    const total = this.filterTables(tables, filters, facet).length;
+
+    if (facet === 'variable') {
+      const counts = this.calcVariableCounts(tables, filters);
+      const selected = filters.variableFilter;
+      const names = Object.keys(counts)
+        .sort((a, b) => counts[b] - counts[a] || a.localeCompare(b))
+        .slice(0, FACET_MAX_VARIABLES);
+      if (selected && !names.includes(selected)) names.unshift(selected);
+      return option('', t('filter.allVariables'), total, !selected) +
+        names.map(name => option(name, name, counts[name] || 0, name === selected)).join('');
+    }
+
+    if (facet === 'periodFrom' || facet === 'periodTo') {
+      const counts = this.calcPeriodCounts(tables, filters);
+      const side = facet === 'periodFrom' ? 'from' : 'to';
+      const selected = facet === 'periodFrom' ? filters.periodFromFilter : filters.periodToFilter;
+      const years = facetPeriodOptions()[side].map(String);
+      if (selected && !years.includes(selected)) years.push(selected);
+      const [allKey, yearKey] = side === 'from'
+        ? ['filter.anyStart', 'filter.startBy']
+        : ['filter.anyEnd', 'filter.endFrom'];
+      return option('', t(allKey), total, !selected) +
+        years.map(year => option(year, tpl(yearKey, year), counts[side][year] || 0, year === selected)).join('');
+    }
+
+    const counts = this.calcRegionCounts(tables, filters);
+    const selected = filters.regionFilter;
+    return option('', t('filter.allRegions'), total, !selected) +
+      REGIONAL_LEVELS.map(level => option(level, t('filter.region.' + level), counts[level], level === selected)).join('');
+  },
+
   // ========== Shared rendering helpers ==========
 
   /**
@@ -292,10 +586,10 @@ const BrowserState = {
       <table class="table-list">
         <thead>
           <tr>
-            <th>Tabellnr.</th>
-            <th>Tittel</th>
-            <th>Tidsperiode</th>
-            <th>Sist oppdatert</th>
+            <th>${t('list.id')}</th>
+            <th>${t('list.title')}</th>
+            <th>${t('list.period')}</th>
+            <th>${t('list.updated')}</th>
           </tr>
         </thead>
         <tbody>
@@ -305,8 +599,8 @@ const BrowserState = {
               <tr class="table-row ${isDiscontinued ? 'discontinued' : ''}" data-table-id="${table.id}">
                 <td>${escapeHtml(table.id)}</td>
                 <td>
-                  <a href="#variables/${table.id}" class="table-link">${escapeHtml(this.cleanTableLabel(table.label))}</a>
-                  ${isDiscontinued ? '<span class="discontinued-badge">Avsluttet</span>' : ''}
+                  <a href="${URLRouter.buildHash('variables/' + table.id)}" class="table-link">${escapeHtml(this.cleanTableLabel(table.label))}</a>
+                  ${isDiscontinued ? `<span class="discontinued-badge">${t('list.discontinued')}</span>` : ''}
                 </td>
                 <td>${escapeHtml(table.firstPeriod || '')} - ${escapeHtml(table.lastPeriod || '')}</td>
                 <td>${escapeHtml(this.formatUpdatedDate(table.updated))}</td>
@@ -395,7 +689,7 @@ const BrowserState = {
         <input
           type="text"
           id="page-search"
-          placeholder="Søk etter tabell (ID, tittel, variabler...)"
+          placeholder="${t('search.placeholder')}"
           class="search-input"
           value="${escapeHtml(currentQuery || '')}"
         />
@@ -405,7 +699,7 @@ const BrowserState = {
 
   /**
    * Attach Enter-key handler to the search input
-   * Navigates to #search?q=... on Enter
+   * Navigates to #search?q=... on Enter, or opens a pasted link (openPastedLink)
    */
   attachSearchInputListener() {
     const searchInput = document.getElementById('page-search');
@@ -414,7 +708,7 @@ const BrowserState = {
     searchInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
         const query = searchInput.value.trim();
-        if (query) {
+        if (query && !openPastedLink(query)) {
           URLRouter.navigateTo('search', { q: query });
           URLRouter.handleRoute();
         }
@@ -198,6 +198,49 @@ class IndexedDBCache {
     });
   }
 
+  /**
+   * List all entries with their metadata (for the cache inspector)
+   * @returns {Promise<Array>} - [{ key, stored, expires, size }]
+   */
+  async list() {
+    if (!this.isAvailable) {
+      await this.init();
+      if (!this.isAvailable) return [];
+    }
+
+    return new Promise((resolve) => {
+      const entries = [];
+      try {
+        const transaction = this.db.transaction([this.storeName], 'readonly');
+        const request = transaction.objectStore(this.storeName).openCursor();
+
+        request.onsuccess = () => {
+          const cursor = request.result;
+          if (!cursor) {
+            resolve(entries);
+            return;
+          }
+          const item = cursor.value || {};
+          entries.push({
+            key: String(cursor.key),
+            stored: item.stored || null,
+            expires: item.expires || null,
+            size: JSON.stringify(item.value ?? null).length
+          });
+          cursor.continue();
+        };
+
+        request.onerror = () => {
+          logger.error('[IndexedDBCache] Failed to list entries:', request.error);
+          resolve(entries);
+        };
+      } catch (error) {
+        logger.error('[IndexedDBCache] List error:', error);
+        resolve(entries);
+      }
+    });
+  }
+
   /**
    * Clear all cache entries
    */
@@ -231,9 +274,14 @@ class IndexedDBCache {
  * Hybrid CacheManager - Automatically routes to localStorage or IndexedDB
  */
 class CacheManager {
-  constructor(prefix = 'ssb_') {
+  /**
+   * Keys and the IndexedDB database are namespaced by the active instance
+   * (instances.js), so sources never read each other's entries. For SSB this
+   * is the original "ssb_" prefix and "ssb_cache" database.
+   */
+  constructor(prefix = AppConfig.instance + '_') {
     this.prefix = prefix;
-    this.indexedDBCache = new IndexedDBCache('ssb_cache', 'cache');
+    this.indexedDBCache = new IndexedDBCache(prefix + 'cache', 'cache');
     this.largeSizeThreshold = 1024 * 1024; // 1MB threshold
     this._initPromise = this.indexedDBCache.init();
     this._lastSSBUpdate = null; // cached result of _getLastSSBUpdateTimestamp()
@@ -243,7 +291,7 @@ class CacheManager {
   /**
    * Get the UTC timestamp of the most recent SSB metadata update.
    * SSB updates metadata at the times defined in AppConfig.sourceUpdateTimes
-   * (Norwegian time / Europe/Oslo). Result is cached for 60 seconds.
+   * (in AppConfig.sourceTimeZone, Europe/Oslo for SSB). Result is cached for 60 seconds.
    */
   _getLastSSBUpdateTimestamp() {
     // Cache the result for 60 seconds to avoid recalculating on every get()
@@ -256,9 +304,9 @@ class CacheManager {
       ? AppConfig.sourceUpdateTimes
       : [{ hour: 5, minute: 0 }, { hour: 11, minute: 30 }];
 
-    // Calculate offset between UTC and Norwegian time (handles DST automatically)
+    // Calculate offset between UTC and the source's time (handles DST automatically)
     const utcDate = new Date(now.toLocaleString('en-US', { timeZone: 'UTC' }));
-    const norwayDate = new Date(now.toLocaleString('en-US', { timeZone: 'Europe/Oslo' }));
+    const norwayDate = new Date(now.toLocaleString('en-US', { timeZone: AppConfig.sourceTimeZone || 'Europe/Oslo' }));
     const offsetMs = norwayDate - utcDate;
 
     // Current time shifted to Norwegian civil time (use UTC methods to read)
@@ -499,6 +547,132 @@ class CacheManager {
     }
   }
 
+  /**
+   * List every cache entry in both storages (for the cache inspector)
+   * @returns {Promise<Array>} - [{ key, storage: 'localStorage' | 'indexedDB',
+   *   size, stored, expires, expired, stale }], size in characters
+   */
+  async listEntries() {
+    const now = Date.now();
+    const describe = (key, storage, size, stored, expires) => ({
+      key,
+      storage,
+      size,
+      stored,
+      expires,
+      expired: !!expires && now > expires,
+      stale: !!stored && this._isStaleBySSBSchedule(stored)
+    });
+
+    const entries = Object.keys(localStorage)
+      .filter(k => k.startsWith(this.prefix) && !k.endsWith('_ref'))
+      .map(k => {
+        const itemStr = localStorage.getItem(k) || '';
+        let item = {};
+        try {
+          item = JSON.parse(itemStr) || {};
+        } catch (e) {
+          // Corrupted entry: listed without timestamps so it can be deleted
+        }
+        return describe(k.slice(this.prefix.length), 'localStorage', itemStr.length, item.stored || null, item.expires || null);
+      });
+
+    await this._initPromise;
+    const idbEntries = await this.indexedDBCache.list();
+    idbEntries.forEach(e => entries.push(describe(e.key, 'indexedDB', e.size, e.stored, e.expires)));
+
+    return entries;
+  }
+
+  /**
+   * Delete an entry listed by listEntries()
+   * @param {object} entry - { key, storage }
+   */
+  async deleteEntry(entry) {
+    if (entry.storage === 'indexedDB') {
+      localStorage.removeItem(this.prefix + entry.key + '_ref');
+      await this._initPromise;
+      await this.indexedDBCache.delete(entry.key);
+    } else {
+      await this.delete(entry.key);
+    }
+  }
+
+  /**
+   * Normalise a data query so that equivalent selections share a cache entry:
+   * dimensions sorted, single values wrapped in arrays, codelists only for
+   * selected dimensions.
+   * @param {object} query - { tableId, valueCodes, codelistIds, lang }
+   * @returns {string} - JSON string
+   */
+  _normaliseQuery({ tableId, valueCodes, codelistIds = {}, lang }) {
+    const dims = Object.keys(valueCodes || {}).sort();
+    const selection = dims.map(dim => {
+      const values = valueCodes[dim];
+      return [dim, Array.isArray(values) ? values : [values], (codelistIds || {})[dim] || null];
+    });
+    return JSON.stringify([tableId, lang, selection]);
+  }
+
+  /**
+   * Cache key for a data query: table, language and a hash of the selection
+   * (the full normalised query is stored in the entry and compared on read)
+   * @param {object} query - { tableId, valueCodes, codelistIds, lang }
+   * @returns {string}
+   */
+  queryResultKey(query) {
+    const normalised = this._normaliseQuery(query);
+    // FNV-1a, 32 bit
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < normalised.length; i++) {
+      hash ^= normalised.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return 'data_' + query.tableId + '_' + query.lang + '_' + hash.toString(16);
+  }
+
+  /**
+   * Retrieve a cached query result.
+   * Besides the TTL and SSB update schedule (see get()), the entry is stale
+   * when the table's `updated` timestamp has changed since it was stored.
+   * @param {object} query - { tableId, valueCodes, codelistIds, lang }
+   * @param {string|null} tableUpdated - Current `updated` of the table, if known
+   * @returns {Promise<object|null>} - JSON-stat2 data or null
+   */
+  async getQueryResult(query, tableUpdated) {
+    const key = this.queryResultKey(query);
+    const entry = await this.get(key);
+    if (!entry) return null;
+
+    if (entry.query !== this._normaliseQuery(query)) return null;
+
+    if (tableUpdated && (
+      (entry.updated && entry.updated !== tableUpdated) ||
+      new Date(tableUpdated).getTime() > entry.fetchedAt
+    )) {
+      logger.log('[Cache] Stale (table updated since stored): ' + key);
+      this.delete(key);
+      return null;
+    }
+
+    return entry.data;
+  }
+
+  /**
+   * Store a query result
+   * @param {object} query - { tableId, valueCodes, codelistIds, lang }
+   * @param {object} data - JSON-stat2 data
+   * @param {string|null} tableUpdated - Current `updated` of the table, if known
+   */
+  async setQueryResult(query, data, tableUpdated) {
+    await this.set(this.queryResultKey(query), {
+      query: this._normaliseQuery(query),
+      updated: tableUpdated || null,
+      fetchedAt: Date.now(),
+      data
+    }, AppConfig.cache.queryResultTTL);
+  }
+
   /**
    * Clear all cache entries (both storages)
    */
@@ -620,5 +794,14 @@ class CacheManager {
   }
 }
 
+/**
+ * Persistent user data (workspace etc.). Lives in its own database so that
+ * clearing the cache does not throw away anything the user has built up.
+ * Entries are stored with an infinite TTL. One database per instance, since
+ * starred tables and workspaces refer to the source's table IDs.
+ */
+const userDataStore = new IndexedDBCache(AppConfig.instance + '_userdata', 'userdata');
+
 // Make CacheManager available globally
 window.CacheManager = CacheManager;
+window.userDataStore = userDataStore;
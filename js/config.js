@@ -2,58 +2,36 @@
  * Configuration file for SSB Statistikkbank Alternative
  *
  * This file contains all configurable settings for the application.
- * Modify these values to change the API endpoint or other settings.
+ * The API endpoint and other source-specific settings are defined per
+ * instance in instances.js.
  */
 
 const AppConfig = {
   /**
-   * PxWebApi v2 base URL for the data source.
-   * Default: https://data.ssb.no/api/pxwebapi/v2
-   * For alternative environments, change this to the appropriate endpoint.
+   * Source-specific settings are filled in from the active instance
+   * (instances.js) when the page loads:
+   *   instance           - ID of the active instance ('ssb', 'scb', …)
+   *   apiBaseUrl         - PxWebApi v2 base URL
+   *   source             - { name, nameFull, url, licenseUrl, licenseName, savedQueryUrl },
+   *                        used in the UI where the data source is named explicitly
+   *   languages          - Available UI languages: { code, apiLang, label }.
+   *                        code is the translations.js language, apiLang is sent
+   *                        to the API (lang= parameter). The first entry is the default.
+   *   defaultLanguage    - Default UI language code
+   *   sourceUpdateTimes  - Times of day ({ hour, minute }) when the source publishes
+   *                        metadata and data. Cache created before the most recent
+   *                        update is considered stale.
+   *   sourceTimeZone     - Time zone of sourceUpdateTimes (e.g. 'Europe/Oslo')
+   *   app.tagline        - Tagline per UI language
    */
-  apiBaseUrl: 'https://data.ssb.no/api/pxwebapi/v2',
-
-  /**
-   * Instance-specific source information.
-   * These values are used in the UI where the data source is named explicitly.
-   */
-  source: {
-    name: 'SSB',
-    nameFull: 'Statistisk sentralbyrå',
-    url: 'https://www.ssb.no/',
-    licenseUrl: 'https://www.ssb.no/diverse/lisens',
-    licenseName: 'CC BY 4.0'
-  },
 
   /**
    * Application branding.
    */
   app: {
-    name: 'Statistikkportalen',
-    tagline: {
-      nb: 'Et uoffisielt verktøy som gir deg bedre tilgang til SSBs åpne data.',
-      en: 'An unofficial tool giving you better access to Statistics Norway\'s open data.'
-    }
+    name: 'Statistikkportalen'
   },
 
-  /**
-   * Available UI languages.
-   * code:    UI language code (used for translations.js lookup)
-   * apiLang: Language code sent to the API (lang= parameter)
-   * label:   Display name shown in the language selector
-   *
-   * The first entry is the default language.
-   */
-  languages: [
-    { code: 'nb', apiLang: 'no', label: 'Norsk' },
-    { code: 'en', apiLang: 'en', label: 'English' }
-  ],
-
-  /**
-   * Default UI language code (must match a code in languages above).
-   */
-  defaultLanguage: 'nb',
-
   /**
    * Cache time-to-live (TTL) in milliseconds
    */
@@ -65,7 +43,14 @@ const AppConfig = {
     metadataTTL: 7 * 24 * 60 * 60 * 1000,
 
     // Codelist cache duration (7 days)
-    codelistTTL: 7 * 24 * 60 * 60 * 1000
+    codelistTTL: 7 * 24 * 60 * 60 * 1000,
+
+    // Cache data query results (opt-in). Entries are also dropped when the
+    // source publishes (sourceUpdateTimes) or the table's `updated` changes.
+    queryResults: false,
+
+    // Query result cache duration (24 hours)
+    queryResultTTL: 24 * 60 * 60 * 1000
   },
 
   /**
@@ -87,13 +72,30 @@ const AppConfig = {
     tablePageBatchSize: 10000,
 
     // Maximum GET URL length before warning (SSB recommends < 2000 chars)
-    maxGetUrlLength: 2000
+    maxGetUrlLength: 2000,
+
+    // Requests per time window (seconds) for the request scheduler (api.js).
+    // Overridden at runtime by config.maxCallsPerTimeWindow and config.timeWindow from the /config endpoint.
+    maxCallsPerWindow: 30,
+    timeWindow: 60,
+
+    // Retries after HTTP 429/503: after Retry-After, else 1 s, 2 s, 4 s (ms below)
+    maxRetries: 3,
+    retryBaseDelay: 1000,
+
+    // Most parts "Hent i deler" (table-chunks.js) splits one query into.
+    // SSB allows 30 queries per minute.
+    maxChunks: 30
   },
 
   /**
    * Export default settings
    */
   export: {
+    // Where files are built: 'local' (from the data already loaded in the browser)
+    // or 'api' (server-side export). PX is always fetched from the API.
+    defaultSource: 'local',
+
     // Default output format: csv, xlsx, px
     defaultFormat: 'xlsx',
 
@@ -120,8 +122,12 @@ const AppConfig = {
     // Debounce delay for value filter inputs (milliseconds)
     filterDebounceMs: 150,
 
-    // Maximum values to display in value list before truncation
-    maxDisplayValues: 500,
+    // Tables with more cells than this are drawn windowed (table-virtual.js):
+    // only the rows and columns in view are in the DOM
+    virtualTableCells: 20000,
+
+    // Maximum number of series drawn in the chart view (the rest are listed as omitted)
+    chartMaxSeries: 12,
 
     // Error message auto-hide delay (milliseconds)
     errorAutoHideMs: 10000,
@@ -131,16 +137,24 @@ const AppConfig = {
   },
 
   /**
-   * Source update schedule (Norwegian time / Europe/Oslo for SSB).
-   * Metadata updates at 05:00 and 11:30 daily.
-   * Data (statistics) updates at 08:00 daily.
-   * Cache created before the most recent update is considered stale.
+   * Watchlist ("Mine tabeller", watchlist.js)
    */
-  sourceUpdateTimes: [
-    { hour: 5, minute: 0 },
-    { hour: 8, minute: 0 },
-    { hour: 11, minute: 30 }
-  ],
+  watchlist: {
+    // How often starred tables are re-checked for new data while the app is
+    // open, when browser notifications are switched on (milliseconds)
+    checkIntervalMs: 30 * 60 * 1000
+  },
+
+  /**
+   * Value index (value-index.js)
+   */
+  valueIndex: {
+    // Indexed tables updated since, re-fetched per run (metadata not in the cache)
+    maxRefetchPerRun: 50,
+
+    // Most values read per query word
+    maxMatches: 5000
+  },
 
   /**
    * Debug logging
@@ -0,0 +1,424 @@
+/**
+ * Export Local - Serialise the loaded JSON-stat2 data to CSV/XLSX/ODS in the browser
+ *
+ * Builds the file from currentData instead of asking the API for it again,
+ * so the download matches the table on screen (layout, display format and
+ * status codes), works for already-loaded tables while offline, and does not
+ * count against the API rate limit. XLSX and ODS are written as uncompressed
+ * ZIP containers — no external library needed.
+ */
+
+/**
+ * Label for a dimension value in the chosen display format
+ * @param {object} dimension - JSON-stat2 dimension
+ * @param {string} code - Value code
+ * @param {string} displayFormat - 'UseCodes' | 'UseTexts' | 'UseCodesAndTexts'
+ * @returns {string}
+ */
+function exportValueLabel(dimension, code, displayFormat) {
+  const text = dimension.category.label?.[code] ?? code;
+  switch (displayFormat) {
+    case 'UseCodes':         return code;
+    case 'UseCodesAndTexts': return code + ': ' + text;
+    default:                 return text;
+  }
+}
+
+/**
+ * Build a two-dimensional grid of cells from JSON-stat2 data.
+ *
+ * Data cells are numbers, suppressed cells hold their status symbol
+ * (".", "..", ":") and missing cells are empty strings. Header cells are strings.
+ * Rows under folded hierarchy nodes are left out, as in buildHtmlTable().
+ *
+ * @param {object} data - JSON-Stat2 data
+ * @param {object} layout - { rows, columns } (as on screen)
+ * @param {object} options - { displayFormat, pivot, title, collapsed }
+ *   pivot: put every dimension in the stub with a single value column
+ *   title: written as the first row when set
+ *   collapsed: folded nodes { DimCode: [code, ...] } (AppState.collapsedNodes);
+ *   only the dimensions in layout.rows fold, also when pivoted
+ * @returns {Array<Array<string|number>>}
+ */
+function buildExportGrid(data, layout, options = {}) {
+  const displayFormat = options.displayFormat || 'UseTexts';
+  const rowDims = options.pivot ? [...data.id] : layout.rows.filter(d => data.dimension[d]);
+  const colDims = options.pivot ? [] : layout.columns.filter(d => data.dimension[d]);
+
+  // Only row dimensions fold on screen, so a pivot leaves the column dimensions whole
+  const rowTrees = buildRowTrees(data, rowDims, options.collapsed || null)
+    .map((tree, i) => layout.rows.includes(rowDims[i]) ? tree : null);
+  const rowHeaders = buildDimensionCombinations(rowDims, data).filter(rowHeader => !isRowFolded(rowHeader, rowTrees));
+  const colHeaders = buildDimensionCombinations(colDims, data);
+  const dimLabel = dimCode => data.dimension[dimCode].label || dimCode;
+
+  const grid = [];
+
+  if (options.title) {
+    grid.push([options.title]);
+    grid.push([]);
+  }
+
+  // Column header rows: one per column dimension; row-dimension names go on the last one
+  if (colDims.length > 0) {
+    colDims.forEach((dimCode, dimIndex) => {
+      const isLast = dimIndex === colDims.length - 1;
+      const row = rowDims.map(rd => isLast ? dimLabel(rd) : '');
+      colHeaders.forEach(colHeader => {
+        row.push(exportValueLabel(data.dimension[dimCode], colHeader.codes[dimIndex], displayFormat));
+      });
+      grid.push(row);
+    });
+  } else {
+    grid.push([...rowDims.map(dimLabel), t('export.value')]);
+  }
+
+  // Flat index lookup from row/column positions (same order as calculateFlatIndex)
+  const cellIndex = (rowHeader, colHeader) => calculateFlatIndex(data.id.map(dimCode => {
+    const r = rowDims.indexOf(dimCode);
+    if (r !== -1) return rowHeader.indices[r];
+    const c = colDims.indexOf(dimCode);
+    return c !== -1 ? colHeader.indices[c] : 0;
+  }), data.size);
+
+  rowHeaders.forEach(rowHeader => {
+    const row = rowHeader.codes.map((code, i) => exportValueLabel(data.dimension[rowDims[i]], code, displayFormat));
+    colHeaders.forEach(colHeader => {
+      const flatIndex = cellIndex(rowHeader, colHeader);
+      const status = data.status?.[String(flatIndex)];
+      const value = data.value[flatIndex];
+      if (status) {
+        row.push(status);
+      } else if (value === null || value === undefined) {
+        row.push('');
+      } else {
+        row.push(typeof value === 'number' ? value : (isNaN(parseFloat(value)) ? String(value) : parseFloat(value)));
+      }
+    });
+    grid.push(row);
+  });
+
+  return grid;
+}
+
+// ========== CSV ==========
+
+/**
+ * Serialise a grid to CSV text
+ * @param {Array<Array>} grid - Cells from buildExportGrid()
+ * @param {string} separator - 'SeparatorSemicolon' | 'SeparatorTab' | 'SeparatorSpace'
+ * @returns {string}
+ */
+function gridToCsv(grid, separator) {
+  const sep = separator === 'SeparatorTab' ? '\t' : separator === 'SeparatorSpace' ? ' ' : ';';
+  // Semicolon CSV is what Norwegian Excel expects, and that pairs with decimal comma
+  const decimalComma = sep === ';';
+
+  const quote = cell => {
+    if (typeof cell === 'number') {
+      const s = String(cell);
+      return decimalComma ? s.replace('.', ',') : s;
+    }
+    const s = String(cell ?? '');
+    return (s.includes(sep) || s.includes('"') || s.includes('\n') || s.includes('\r'))
+      ? '"' + s.replace(/"/g, '""') + '"'
+      : s;
+  };
+
+  return grid.map(row => row.map(quote).join(sep)).join('\r\n') + '\r\n';
+}
+
+// ========== ZIP (stored, no compression) ==========
+
+let _crcTable = null;
+
+/**
+ * CRC-32 checksum (as required by the ZIP format)
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Unsigned 32-bit CRC
+ */
+function crc32(bytes) {
+  if (!_crcTable) {
+    _crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      _crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = _crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive with uncompressed ("stored") entries.
+ * Entries are written in the given order (ODS requires "mimetype" first).
+ * @param {Array<{name: string, content: string}>} files - Files to include
+ * @returns {Uint8Array}
+ */
+function buildZip(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+  const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  files.forEach(file => {
+    const name = encoder.encode(file.name);
+    const content = encoder.encode(file.content);
+    const crc = crc32(content);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);            // version needed
+    local.setUint16(6, 0x0800, true);        // UTF-8 file names
+    local.setUint16(8, 0, true);             // method: stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, content.length, true);
+    local.setUint32(22, content.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);          // version made by
+    central.setUint16(6, 20, true);          // version needed
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, dosTime, true);
+    central.setUint16(14, dosDate, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, content.length, true);
+    central.setUint32(24, content.length, true);
+    central.setUint16(28, name.length, true);
+    central.setUint32(42, offset, true);     // local header offset
+
+    localParts.push(new Uint8Array(local.buffer), name, content);
+    centralParts.push(new Uint8Array(central.buffer), name);
+    offset += 30 + name.length + content.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, p) => sum + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let pos = 0;
+  parts.forEach(p => {
+    out.set(p, pos);
+    pos += p.length;
+  });
+  return out;
+}
+
+/**
+ * Escape text for XML content and attributes
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function xmlEscape(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+// ========== XLSX ==========
+
+/**
+ * Spreadsheet column letter for a 0-based index (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function xlsxColumnName(index) {
+  let name = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+/**
+ * Build an XLSX workbook with a single sheet
+ * @param {Array<Array>} grid - Cells from buildExportGrid()
+ * @param {string} sheetName - Sheet name
+ * @returns {Uint8Array} - ZIP bytes
+ */
+function gridToXlsx(grid, sheetName) {
+  const safeName = String(sheetName).replace(/[\[\]:*?\/\\]/g, '').slice(0, 31) || 'Sheet1';
+
+  let rows = '';
+  grid.forEach((row, r) => {
+    rows += `<row r="${r + 1}">`;
+    row.forEach((cell, c) => {
+      if (cell === '' || cell === null || cell === undefined) return;
+      const ref = xlsxColumnName(c) + (r + 1);
+      if (typeof cell === 'number') {
+        rows += `<c r="${ref}"><v>${cell}</v></c>`;
+      } else {
+        rows += `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(cell)}</t></is></c>`;
+      }
+    });
+    rows += '</row>';
+  });
+
+  const xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+  return buildZip([
+    {
+      name: '[Content_Types].xml',
+      content: xmlHead +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      content: xmlHead +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      content: xmlHead +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${xmlEscape(safeName)}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      content: xmlHead +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      content: xmlHead +
+        '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+        '<sheetData>' + rows + '</sheetData></worksheet>'
+    }
+  ]);
+}
+
+// ========== ODS ==========
+
+/**
+ * Build an OpenDocument spreadsheet with a single table
+ * @param {Array<Array>} grid - Cells from buildExportGrid()
+ * @param {string} sheetName - Table name
+ * @returns {Uint8Array} - ZIP bytes
+ */
+function gridToOds(grid, sheetName) {
+  let rows = '';
+  grid.forEach(row => {
+    rows += '<table:table-row>';
+    if (row.length === 0) {
+      rows += '<table:table-cell/>';
+    }
+    row.forEach(cell => {
+      if (typeof cell === 'number') {
+        rows += `<table:table-cell office:value-type="float" office:value="${cell}"><text:p>${cell}</text:p></table:table-cell>`;
+      } else if (cell === '' || cell === null || cell === undefined) {
+        rows += '<table:table-cell/>';
+      } else {
+        rows += `<table:table-cell office:value-type="string"><text:p>${xmlEscape(cell)}</text:p></table:table-cell>`;
+      }
+    });
+    rows += '</table:table-row>';
+  });
+
+  const xmlHead = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  const mimetype = 'application/vnd.oasis.opendocument.spreadsheet';
+
+  return buildZip([
+    { name: 'mimetype', content: mimetype },
+    {
+      name: 'META-INF/manifest.xml',
+      content: xmlHead +
+        '<manifest:manifest xmlns:manifest="urn:oasis:names:tc:opendocument:xmlns:manifest:1.0" manifest:version="1.2">' +
+        `<manifest:file-entry manifest:full-path="/" manifest:version="1.2" manifest:media-type="${mimetype}"/>` +
+        '<manifest:file-entry manifest:full-path="content.xml" manifest:media-type="text/xml"/>' +
+        '</manifest:manifest>'
+    },
+    {
+      name: 'content.xml',
+      content: xmlHead +
+        '<office:document-content xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0" ' +
+        'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0" ' +
+        'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0" office:version="1.2">' +
+        '<office:body><office:spreadsheet>' +
+        `<table:table table:name="${xmlEscape(sheetName)}">` + rows + '</table:table>' +
+        '</office:spreadsheet></office:body></office:document-content>'
+    }
+  ]);
+}
+
+// ========== Entry point ==========
+
+const LOCAL_EXPORT_MIME = {
+  csv:  'text/csv;charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  ods:  'application/vnd.oasis.opendocument.spreadsheet'
+};
+
+/**
+ * Export currentData to a file built in the browser
+ * @param {object} options - { format: 'csv'|'xlsx'|'ods', displayFormat, csvSeparator, pivot, includeTitle }
+ */
+function exportCurrentDataLocally(options) {
+  if (!currentData || !AppState.tableLayout) {
+    throw new Error(t('error.noDataExport'));
+  }
+
+  const format = LOCAL_EXPORT_MIME[options.format] ? options.format : 'xlsx';
+  const tableId = AppState.selectedTable?.id || 'tabell';
+  const title = options.includeTitle ? (AppState.selectedTable?.label || currentData.label || '') : '';
+
+  const grid = buildExportGrid(currentData, AppState.tableLayout, {
+    displayFormat: options.displayFormat,
+    pivot: options.pivot,
+    title,
+    collapsed: AppState.collapsedNodes
+  });
+
+  let content;
+  if (format === 'csv') {
+    // BOM so Excel detects UTF-8 (æøå)
+    content = '\uFEFF' + gridToCsv(grid, options.csvSeparator);
+  } else if (format === 'ods') {
+    content = gridToOds(grid, tableId);
+  } else {
+    content = gridToXlsx(grid, tableId);
+  }
+
+  const filename = tableId + '_' + getTimestamp().replace('_', '-') + '.' + format;
+  downloadBlob(new Blob([content], { type: LOCAL_EXPORT_MIME[format] }), filename);
+  logger.log('[ExportLocal] Exported', grid.length, 'rows to', filename);
+}
@@ -1,11 +1,15 @@
 /**
- * Export - Export table data using SSB API's native export functionality
+ * Export - Export table data, built locally or via SSB API's native export
  *
  * This module provides an export options dialog that lets users configure
- * the export format, display options, and layout before downloading data
- * directly from the SSB API.
+ * the export format, display options, and layout before downloading. By
+ * default the file is built in the browser from the loaded data
+ * (export-local.js); PX and API-side formatting go through the SSB API.
  */
 
+// Formats the local export engine can write
+const LOCAL_EXPORT_FORMATS = ['xlsx', 'csv', 'ods'];
+
 /**
  * Show export options dialog
  */
@@ -25,6 +29,10 @@ function showExportDialog() {
 
   // Get current layout
   const layout = AppState.tableLayout;
+  // Joined tables (table-join.js) and derived columns (table-derived.js) exist
+  // only in the browser — the API can't export them
+  const apiAvailable = !AppState.joinDefinition && AppState.derivedColumns.length === 0;
+  const defaultSource = apiAvailable && AppConfig.export.defaultSource === 'api' ? 'api' : 'local';
 
   // Create dialog HTML
   const dialogHtml = `
@@ -36,6 +44,22 @@ function showExportDialog() {
         </div>
 
         <div class="dialog-content">
+          <!-- Source: local (from loaded data) or API -->
+          <div class="form-group">
+            <label class="form-label">${t('export.source')}</label>
+            <div class="radio-group">
+              <label class="radio-option">
+                <input type="radio" name="export-source" value="local"${defaultSource === 'local' ? ' checked' : ''}>
+                <span>${t('export.sourceLocal')}</span>
+              </label>
+              ${apiAvailable ? `
+              <label class="radio-option">
+                <input type="radio" name="export-source" value="api"${defaultSource === 'api' ? ' checked' : ''}>
+                <span>${tpl('export.sourceApi', escapeHtml(AppConfig.source?.name || 'API'))}</span>
+              </label>` : ''}
+            </div>
+          </div>
+
           <!-- File Format -->
           <div class="form-group">
             <label class="form-label">${t('export.format')}</label>
@@ -48,6 +72,10 @@ function showExportDialog() {
                 <input type="radio" name="export-format" value="csv">
                 <span>${t('export.formatCsv')}</span>
               </label>
+              <label class="radio-option">
+                <input type="radio" name="export-format" value="ods">
+                <span>${t('export.formatOds')}</span>
+              </label>
               <label class="radio-option">
                 <input type="radio" name="export-format" value="px">
                 <span>${t('export.formatPx')}</span>
@@ -122,7 +150,7 @@ function showExportDialog() {
 
           <!-- Export Info -->
           <div class="export-info">
-            <p>${tpl('export.downloadInfo', AppConfig.source?.name || 'API')}</p>
+            <p id="export-source-info"></p>
             <p>${tpl('export.dataPoints', escapeHtml(currentData.value.length.toLocaleString('nb-NO')))}</p>
           </div>
         </div>
@@ -138,27 +166,56 @@ function showExportDialog() {
   // Add dialog to page
   document.body.insertAdjacentHTML('beforeend', dialogHtml);
 
-  // Hide format radios for formats not supported by the live API config.
-  if (Array.isArray(AppConfig.limits.dataFormats)) {
-    const allowed = new Set(AppConfig.limits.dataFormats.map(f => f.toLowerCase()));
-    document.querySelectorAll('input[name="export-format"]').forEach(input => {
-      if (!allowed.has(input.value.toLowerCase())) {
-        const wrapper = input.closest('.radio-option');
-        if (wrapper) wrapper.style.display = 'none';
-        if (input.checked) input.checked = false;
-      }
-    });
-    if (!document.querySelector('input[name="export-format"]:checked')) {
-      const fallback = Array.from(document.querySelectorAll('input[name="export-format"]'))
-        .find(i => i.closest('.radio-option')?.style.display !== 'none');
-      if (fallback) fallback.checked = true;
-    }
-  }
+  updateExportFormatAvailability();
 
   // Set up event listeners
   setupExportDialogEvents();
 }
 
+/**
+ * Show only the formats the chosen source can produce, and the matching info text.
+ * Local export writes xlsx/csv/ods; the API supports whatever its live /config lists.
+ */
+function updateExportFormatAvailability() {
+  const dialog = document.getElementById('export-dialog');
+  if (!dialog) return;
+
+  const source = dialog.querySelector('input[name="export-source"]:checked')?.value || 'local';
+  let allowed = null;
+  if (source === 'local') {
+    allowed = new Set(LOCAL_EXPORT_FORMATS);
+  } else if (Array.isArray(AppConfig.limits.dataFormats)) {
+    allowed = new Set(AppConfig.limits.dataFormats.map(f => f.toLowerCase()));
+  } else {
+    allowed = new Set(['xlsx', 'csv', 'px']);
+  }
+
+  dialog.querySelectorAll('input[name="export-format"]').forEach(input => {
+    const wrapper = input.closest('.radio-option');
+    const visible = allowed.has(input.value.toLowerCase());
+    if (wrapper) wrapper.style.display = visible ? '' : 'none';
+    if (!visible && input.checked) input.checked = false;
+  });
+  if (!dialog.querySelector('input[name="export-format"]:checked')) {
+    const fallback = Array.from(dialog.querySelectorAll('input[name="export-format"]'))
+      .find(i => i.closest('.radio-option')?.style.display !== 'none');
+    if (fallback) fallback.checked = true;
+  }
+
+  const csvSeparatorGroup = document.getElementById('csv-separator-group');
+  if (csvSeparatorGroup) {
+    const format = dialog.querySelector('input[name="export-format"]:checked')?.value;
+    csvSeparatorGroup.style.display = format === 'csv' ? 'block' : 'none';
+  }
+
+  const info = document.getElementById('export-source-info');
+  if (info) {
+    info.textContent = source === 'local'
+      ? t('export.localInfo')
+      : tpl('export.downloadInfo', AppConfig.source?.name || 'API');
+  }
+}
+
 /**
  * Set up event listeners for export dialog
  */
@@ -183,16 +240,9 @@ function setupExportDialogEvents() {
     }
   });
 
-  // Format change: show/hide CSV separator options
-  const formatRadios = dialog.querySelectorAll('input[name="export-format"]');
-  const csvSeparatorGroup = document.getElementById('csv-separator-group');
-
-  formatRadios.forEach(radio => {
-    radio.addEventListener('change', () => {
-      if (csvSeparatorGroup) {
-        csvSeparatorGroup.style.display = radio.value === 'csv' ? 'block' : 'none';
-      }
-    });
+  // Source/format change: show/hide formats and CSV separator options
+  dialog.querySelectorAll('input[name="export-source"], input[name="export-format"]').forEach(radio => {
+    radio.addEventListener('change', updateExportFormatAvailability);
   });
 
   // Download button
@@ -225,12 +275,29 @@ async function executeExport() {
   if (!dialog) return;
 
   // Get selected options
+  const source = dialog.querySelector('input[name="export-source"]:checked')?.value || 'local';
   const format = dialog.querySelector('input[name="export-format"]:checked')?.value || 'xlsx';
   const displayFormat = dialog.querySelector('input[name="display-format"]:checked')?.value ?? '';
   const csvSeparator = dialog.querySelector('input[name="csv-separator"]:checked')?.value || 'SeparatorSemicolon';
   const layout = dialog.querySelector('input[name="table-layout"]:checked')?.value || 'as-shown';
   const includeTitle = document.getElementById('include-title')?.checked || false;
 
+  if (source === 'local' && LOCAL_EXPORT_FORMATS.includes(format)) {
+    try {
+      exportCurrentDataLocally({
+        format,
+        displayFormat: displayFormat || 'UseTexts',
+        csvSeparator,
+        pivot: layout === 'pivot-friendly',
+        includeTitle
+      });
+    } catch (error) {
+      logger.error('[Export] Local export failed:', error);
+      showError(t('error.downloadFailed2'), error);
+    }
+    return;
+  }
+
   // Build format parameters
   const formatParams = [];
   if (displayFormat) {
@@ -284,7 +351,8 @@ async function executeExport() {
 }
 
 /**
- * Quick export: download as xlsx using default settings (as shown on screen)
+ * Quick export: download as xlsx using default settings (as shown on screen).
+ * Built locally from the loaded data unless the API is configured as export source.
  */
 async function quickExportXlsx() {
   if (!currentData || !AppState.tableLayout) {
@@ -292,6 +360,16 @@ async function quickExportXlsx() {
     return;
   }
 
+  if (AppConfig.export.defaultSource !== 'api' || AppState.joinDefinition || AppState.derivedColumns.length > 0) {
+    try {
+      exportCurrentDataLocally({ format: 'xlsx', displayFormat: 'UseTexts', includeTitle: true });
+    } catch (error) {
+      logger.error('[Export] Quick export failed:', error);
+      showError(t('error.downloadFailed2'), error);
+    }
+    return;
+  }
+
   const layout = AppState.tableLayout;
   const valueCodes = AppState.variableSelection;
 
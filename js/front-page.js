@@ -2,7 +2,9 @@
  * Front Page - Landing page with search field and expanded subject grid
  *
  * Shows a prominent search input, all 6 subject groups as an expanded grid,
- * and a "Nylig oppdaterte tabeller" section grouped by topic node and time period.
+ * the user's starred tables ("Mine tabeller", watchlist.js), tables pinned for
+ * offline viewing ("Lagret for offline", offline.js) and a
+ * "Nylig oppdaterte tabeller" section grouped by topic node and time period.
  */
 
 async function renderFrontPage(container) {
@@ -26,6 +28,8 @@ async function renderFrontPage(container) {
     }
   }
 
+  await Promise.all([BrowserState.loadRecentTables(), Watchlist.load(), OfflineStore.load()]);
+
   const mh = BrowserState.menuHierarchy;
   const recentBuckets = _collectRecentUpdateGroups(mh, BrowserState.recentTables);
 
@@ -43,10 +47,10 @@ async function renderFrontPage(container) {
       <div class="subject-grid">
         ${Object.entries(mh.subjectGroups).map(([, group]) => `
           <div class="subject-group-column">
-            <h3 class="subject-group-column-header">${escapeHtml(t('subject.group.' + group.id))}</h3>
+            <h3 class="subject-group-column-header">${escapeHtml(mh.groupLabel(group.id))}</h3>
             <ul class="subject-list">
               ${group.subjects.map(code => {
-                const name = t('subject.name.' + code) || mh.subjectNames[code];
+                const name = mh.subjectLabel(code);
                 return `<li><a href="#topic/${code}" class="front-subject-link" data-subject="${code}">${escapeHtml(name)}</a></li>`;
               }).join('')}
             </ul>
@@ -54,6 +58,10 @@ async function renderFrontPage(container) {
         `).join('')}
       </div>
 
+      ${buildWatchlistSection()}
+
+      ${buildPinnedSection()}
+
       <section class="recently-updated">
           ${recentBuckets.map(bucket => {
             const groupsHTML = bucket.groups.map(group => `
@@ -103,11 +111,7 @@ async function renderFrontPage(container) {
       if (e.key === 'Enter') {
         const query = searchInput.value.trim();
         if (!query) return;
-        const sqId = detectSavedQueryId(query);
-        if (sqId) {
-          URLRouter.navigateTo('sq/' + sqId, {});
-          URLRouter.handleRoute();
-        } else {
+        if (!openPastedLink(query)) {
           URLRouter.navigateTo('search', { q: query });
           URLRouter.handleRoute();
         }
@@ -126,6 +130,12 @@ async function renderFrontPage(container) {
     });
   });
 
+  // Mine tabeller: table links, unstar and notification toggle
+  setupWatchlistSection(container, () => renderFrontPage(container));
+
+  // Lagret for offline: open or remove pinned tables (offline.js)
+  setupPinnedSection(container, () => renderFrontPage(container));
+
   // Recently updated: topic group links → navigate to topic view
   container.querySelectorAll('.update-group-link').forEach(link => {
     link.addEventListener('click', (e) => {
@@ -0,0 +1,119 @@
+/**
+ * Hierarchy - Value trees from SSB's "¬"-prefixed labels
+ *
+ * Some dimensions encode a hierarchy in their value labels: every "¬" in
+ * front of a label is one level below the value above it. The values come
+ * in tree order (a node is followed by its descendants), so the tree can be
+ * rebuilt from the labels alone. Used by the variable selector
+ * (variable-select-list.js) and the table row headers (table-display.js).
+ *
+ * Folded ("collapsed") nodes are kept in AppState.collapsedNodes as
+ * { DimCode: [code, ...] } and stored in the URL (f parameter).
+ */
+
+/**
+ * Parse hierarchy indicators in SSB value labels.
+ *
+ * SSB uses the "¬" character (not sign, U+00AC) as a prefix to indicate
+ * hierarchy depth in dimension value labels:
+ *   "Fast realkapital"         → depth 0
+ *   "¬ Bygg og anlegg"        → depth 1
+ *   "¬¬ Boliger"              → depth 2
+ *   "¬¬¬ IT utstyr"           → depth 3
+ *
+ * @param {string} label - Raw label text from API
+ * @returns {{ cleanLabel: string, depth: number }}
+ */
+function parseHierarchyLabel(label) {
+  if (!label) return { cleanLabel: label, depth: 0 };
+
+  // Count leading ¬ characters (possibly with spaces between them)
+  const match = label.match(/^([\u00AC\s]+)/);
+  if (!match) return { cleanLabel: label, depth: 0 };
+
+  const prefix = match[1];
+  const depth = (prefix.match(/\u00AC/g) || []).length;
+  const cleanLabel = label.substring(match[0].length).trim();
+
+  return { cleanLabel: cleanLabel || label, depth };
+}
+
+/**
+ * Build the tree for a list of values in display order.
+ * A value's parent is the nearest value above it with a smaller depth, so
+ * values whose parent is not in the list hang on the nearest ancestor that is.
+ *
+ * @param {Array<string>} labels - Raw labels in display order
+ * @returns {Array<{label, depth, parent, hasChildren}>} - parent is an index or -1
+ */
+function buildHierarchy(labels) {
+  const nodes = [];
+  const stack = []; // indices of the current branch, shallowest first
+
+  labels.forEach((raw, index) => {
+    const { cleanLabel, depth } = parseHierarchyLabel(raw);
+    while (stack.length > 0 && nodes[stack[stack.length - 1]].depth >= depth) stack.pop();
+
+    const parent = stack.length > 0 ? stack[stack.length - 1] : -1;
+    if (parent !== -1) nodes[parent].hasChildren = true;
+
+    nodes.push({ label: cleanLabel, depth, parent, hasChildren: false });
+    stack.push(index);
+  });
+
+  return nodes;
+}
+
+/**
+ * @param {Array} nodes - From buildHierarchy()
+ * @returns {boolean} - True if any value has children
+ */
+function isHierarchical(nodes) {
+  return nodes.some(node => node.hasChildren);
+}
+
+/**
+ * Whether a value is hidden because one of its ancestors is folded
+ * @param {Array} nodes - From buildHierarchy()
+ * @param {number} index - Value index
+ * @param {Set<number>} collapsed - Indices of folded values
+ * @returns {boolean}
+ */
+function isHiddenByCollapse(nodes, index, collapsed) {
+  if (collapsed.size === 0) return false;
+  for (let p = nodes[index].parent; p !== -1; p = nodes[p].parent) {
+    if (collapsed.has(p)) return true;
+  }
+  return false;
+}
+
+/**
+ * Indices of a value and all its descendants
+ * @param {Array} nodes - From buildHierarchy()
+ * @param {number} index - Value index
+ * @returns {number[]}
+ */
+function hierarchyBranch(nodes, index) {
+  const branch = [index];
+  for (let i = index + 1; i < nodes.length && nodes[i].depth > nodes[index].depth; i++) {
+    branch.push(i);
+  }
+  return branch;
+}
+
+/**
+ * Toggle a folded node in AppState.collapsedNodes
+ * @param {string} dimCode - Dimension code
+ * @param {string} code - Value code
+ * @returns {boolean} - True if the node is folded now
+ */
+function toggleCollapsedNode(dimCode, code) {
+  const codes = new Set(AppState.collapsedNodes[dimCode] || []);
+  const folded = !codes.has(code);
+  if (folded) codes.add(code);
+  else codes.delete(code);
+
+  if (codes.size > 0) AppState.collapsedNodes[dimCode] = [...codes];
+  else delete AppState.collapsedNodes[dimCode];
+  return folded;
+}
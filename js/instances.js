@@ -0,0 +1,269 @@
+/**
+ * Instances - Registry of PxWebApi v2 sources the portal can be pointed at
+ *
+ * Each instance bundles everything that differs between statistics banks:
+ * API URL, source info, tagline, UI languages, update schedule, subject
+ * groups (SubjectConfig structure) and search synonyms (SearchSynonyms
+ * structure). SSB's subjects and synonyms live in subjects.js and synonyms.js.
+ * subjects and synonyms are optional: without them the menu is built from the
+ * table paths alone (menu-hierarchy.js) and search has no synonyms.
+ *
+ * The active instance is chosen on load, before anything reads AppConfig:
+ * the URL hash parameter i (#home?i=scb) wins, then the last choice stored in
+ * localStorage, then the first entry. Links without i therefore stay on the
+ * active instance; URLRouter.buildHash() adds i to links to tables, saved
+ * queries, joins and workspaces, and to every link when the instance is not
+ * the default one.
+ * The instance's settings are copied onto AppConfig.
+ * Switching instance reloads the page, since the table list, menu and API
+ * client are all built for one source.
+ *
+ * Instance IDs are also cache namespaces (cache.js: "<id>_" keys and
+ * "<id>_cache" / "<id>_userdata" databases), so they must be lowercase
+ * letters and digits only.
+ */
+
+const AppInstances = {
+  ssb: {
+    id: 'ssb',
+    label: 'SSB (Norge)',
+    apiBaseUrl: 'https://data.ssb.no/api/pxwebapi/v2',
+    source: {
+      name: 'SSB',
+      nameFull: 'Statistisk sentralbyrå',
+      url: 'https://www.ssb.no/',
+      licenseUrl: 'https://www.ssb.no/diverse/lisens',
+      licenseName: 'CC BY 4.0',
+      savedQueryUrl: 'https://www.ssb.no/statbank/sq/'
+    },
+    tagline: {
+      nb: 'Et uoffisielt verktøy som gir deg bedre tilgang til SSBs åpne data.',
+      en: 'An unofficial tool giving you better access to Statistics Norway\'s open data.',
+      sv: 'Ett inofficiellt verktyg som ger dig bättre tillgång till SSB:s öppna data.'
+    },
+    // SSB publishes in Norwegian and English only, so Swedish asks for English data
+    languages: [
+      { code: 'nb', apiLang: 'no', label: 'Norsk' },
+      { code: 'en', apiLang: 'en', label: 'English' },
+      { code: 'sv', apiLang: 'en', label: 'Svenska' }
+    ],
+    defaultLanguage: 'nb',
+    timeZone: 'Europe/Oslo',
+    sourceUpdateTimes: [
+      { hour: 5, minute: 0 },
+      { hour: 8, minute: 0 },
+      { hour: 11, minute: 30 }
+    ],
+    subjects: SubjectConfig,
+    synonyms: SearchSynonyms
+  },
+
+  scb: {
+    id: 'scb',
+    label: 'SCB (Sverige)',
+    apiBaseUrl: 'https://statistikdatabasen.scb.se/api/v2',
+    source: {
+      name: 'SCB',
+      nameFull: 'Statistiska centralbyrån',
+      url: 'https://www.scb.se/',
+      licenseUrl: 'https://www.scb.se/en/services/open-data-api/',
+      licenseName: 'CC0',
+      // No public link format for saved queries: only the portal link is offered
+      savedQueryUrl: null
+    },
+    tagline: {
+      sv: 'Ett inofficiellt verktyg som ger dig bättre tillgång till SCB:s öppna data.',
+      en: 'An unofficial tool giving you better access to Statistics Sweden\'s open data.',
+      nb: 'Et uoffisielt verktøy som gir deg bedre tilgang til SCBs åpne data.'
+    },
+    languages: [
+      { code: 'sv', apiLang: 'sv', label: 'Svenska' },
+      { code: 'en', apiLang: 'en', label: 'English' }
+    ],
+    defaultLanguage: 'sv',
+    timeZone: 'Europe/Stockholm',
+    // SCB publishes at 08:00 Swedish time
+    sourceUpdateTimes: [
+      { hour: 8, minute: 0 }
+    ],
+    // SCB's subject areas. Labels are per language because the subject.*
+    // translation keys describe SSB's taxonomy.
+    subjects: {
+      subjectGroups: {
+        'befolkning': {
+          id: 'befolkning',
+          label: { sv: 'Befolkning och levnadsförhållanden', en: 'Population and living conditions' },
+          subjects: ['BE', 'LE', 'ME', 'SO']
+        },
+        'arbete': {
+          id: 'arbete',
+          label: { sv: 'Arbete, utbildning och hushåll', en: 'Labour, education and households' },
+          subjects: ['AM', 'UF', 'HE']
+        },
+        'halsa': {
+          id: 'halsa',
+          label: { sv: 'Hälsa och kultur', en: 'Health and culture' },
+          subjects: ['HS', 'KU']
+        },
+        'miljo': {
+          id: 'miljo',
+          label: { sv: 'Miljö, energi och transporter', en: 'Environment, energy and transport' },
+          subjects: ['MI', 'EN', 'TK', 'JO']
+        },
+        'naringsliv': {
+          id: 'naringsliv',
+          label: { sv: 'Näringsliv och boende', en: 'Business and housing' },
+          subjects: ['NV', 'HA', 'BO']
+        },
+        'ekonomi': {
+          id: 'ekonomi',
+          label: { sv: 'Ekonomi', en: 'Economy' },
+          subjects: ['NR', 'OE', 'FM', 'PR']
+        }
+      },
+      subjectNames: {
+        'BE': { sv: 'Befolkning', en: 'Population' },
+        'LE': { sv: 'Levnadsförhållanden', en: 'Living conditions' },
+        'ME': { sv: 'Demokrati', en: 'Democracy' },
+        'SO': { sv: 'Socialtjänst', en: 'Social services' },
+        'AM': { sv: 'Arbetsmarknad', en: 'Labour market' },
+        'UF': { sv: 'Utbildning och forskning', en: 'Education and research' },
+        'HE': { sv: 'Hushållens ekonomi', en: 'Household finances' },
+        'HS': { sv: 'Hälso- och sjukvård', en: 'Health and medical care' },
+        'KU': { sv: 'Kultur och fritid', en: 'Culture and leisure' },
+        'MI': { sv: 'Miljö', en: 'Environment' },
+        'EN': { sv: 'Energi', en: 'Energy' },
+        'TK': { sv: 'Transporter och kommunikationer', en: 'Transport and communications' },
+        'JO': { sv: 'Jord- och skogsbruk, fiske', en: 'Agriculture, forestry and fishery' },
+        'NV': { sv: 'Näringsverksamhet', en: 'Business activities' },
+        'HA': { sv: 'Handel med varor och tjänster', en: 'Trade in goods and services' },
+        'BO': { sv: 'Boende, byggande och bebyggelse', en: 'Housing, construction and building' },
+        'NR': { sv: 'Nationalräkenskaper', en: 'National accounts' },
+        'OE': { sv: 'Offentlig ekonomi', en: 'Public finances' },
+        'FM': { sv: 'Finansmarknad', en: 'Financial markets' },
+        'PR': { sv: 'Priser och konsumtion', en: 'Prices and consumption' }
+      }
+    },
+    synonyms: [
+      ['aku', 'arbetskraftsundersokningarna'],
+      ['bnp', 'bruttonationalprodukt'],
+      ['kpi', 'konsumentprisindex', 'inflation'],
+      ['scb', 'statistiska centralbyran'],
+      ['moms', 'mervaerdesskatt'],
+      ['arbetslos', 'arbetsloshet', 'arbetslosa'],
+      ['bostad', 'bostaeder', 'boende']
+    ]
+  },
+
+  // A PxWebApi v2 server on this machine (e.g. the PxWeb docker image with
+  // test tables). Only offered in debug mode. No subjects or synonyms: the
+  // menu is derived from the table paths.
+  mock: {
+    id: 'mock',
+    label: 'Lokal test-API',
+    devOnly: true,
+    apiBaseUrl: 'http://localhost:8080/api/v2',
+    source: {
+      name: 'Lokal',
+      nameFull: 'Lokal PxWebApi',
+      url: 'http://localhost:8080/',
+      licenseUrl: null,
+      licenseName: null,
+      savedQueryUrl: null
+    },
+    tagline: {
+      nb: 'Lokal test-API',
+      en: 'Local test API',
+      sv: 'Lokalt test-API'
+    },
+    languages: [
+      { code: 'nb', apiLang: 'no', label: 'Norsk' },
+      { code: 'en', apiLang: 'en', label: 'English' }
+    ],
+    defaultLanguage: 'nb',
+    timeZone: 'Europe/Oslo',
+    // Local data only changes when reloaded: caches expire by TTL alone
+    sourceUpdateTimes: []
+  }
+};
+
+/**
+ * Instances that can be chosen in the UI (devOnly ones need AppConfig.debug)
+ * @returns {Array<object>}
+ */
+function getSelectableInstances() {
+  return Object.values(AppInstances).filter(inst => !inst.devOnly || AppConfig.debug);
+}
+
+/**
+ * Pick the instance on load: the hash parameter i (stored as the new choice),
+ * then the stored choice, then the first selectable instance
+ * @returns {string} - Instance ID
+ */
+function _initInstance() {
+  const selectable = getSelectableInstances().map(inst => inst.id);
+  const fromHash = new URLSearchParams(window.location.hash.split('?')[1] || '').get('i');
+  if (fromHash && selectable.includes(fromHash)) {
+    localStorage.setItem('instance', fromHash);
+    return fromHash;
+  }
+  const stored = localStorage.getItem('instance');
+  if (stored && selectable.includes(stored)) return stored;
+  return selectable[0];
+}
+
+const activeInstanceId = _initInstance();
+
+/**
+ * The active instance entry from AppInstances
+ */
+function getActiveInstance() {
+  return AppInstances[activeInstanceId];
+}
+
+/**
+ * Whether the active instance is the first one (its URLs carry no i parameter)
+ */
+function isDefaultInstance() {
+  return activeInstanceId === getSelectableInstances()[0].id;
+}
+
+/**
+ * Switch to another instance: persist the choice and reload, on its front
+ * page or (for links that name the instance) on the current URL
+ * @param {string} id - Instance ID
+ * @param {boolean} keepHash - Reload the current URL instead of the front page
+ */
+function setInstance(id, keepHash = false) {
+  if (id === activeInstanceId || !getSelectableInstances().some(inst => inst.id === id)) return;
+  localStorage.setItem('instance', id);
+  if (!keepHash) {
+    const isDefault = id === getSelectableInstances()[0].id;
+    history.replaceState(null, '', isDefault ? '#home' : '#home?i=' + id);
+  }
+  window.location.reload();
+}
+
+/**
+ * Copy the active instance's settings onto AppConfig
+ */
+function _applyInstance() {
+  const inst = getActiveInstance();
+  AppConfig.instance = inst.id;
+  AppConfig.apiBaseUrl = inst.apiBaseUrl;
+  AppConfig.source = inst.source;
+  AppConfig.app.tagline = inst.tagline;
+  AppConfig.languages = inst.languages;
+  AppConfig.defaultLanguage = inst.defaultLanguage;
+  AppConfig.sourceTimeZone = inst.timeZone;
+  AppConfig.sourceUpdateTimes = inst.sourceUpdateTimes;
+  logger.log('[Instances] Active instance:', inst.id, inst.apiBaseUrl);
+}
+
+_applyInstance();
+
+window.AppInstances = AppInstances;
+window.getActiveInstance = getActiveInstance;
+window.getSelectableInstances = getSelectableInstances;
+window.isDefaultInstance = isDefaultInstance;
+window.setInstance = setInstance;
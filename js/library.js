@@ -0,0 +1,777 @@
+/**
+ * Query Library - Named queries kept in the browser (#library)
+ *
+ * Unlike saved queries (table-save-query.js), which live on the source's
+ * /savedqueries endpoint and are only reachable by ID, library entries are
+ * personal: they have a name, an optional folder and tags, and can be
+ * searched, renamed, duplicated and deleted. Opening an entry restores the
+ * table view (or the variable selection) exactly as it was saved.
+ *
+ * Stored in IndexedDB (userDataStore, key 'library'), so "Tøm cache" keeps it:
+ *   { items: [{ id, name, folder, tags, tableId, tableLabel, variableSelection,
+ *               activeCodelistIds, tableLayout, derivedColumns, created, updated }] }
+ *
+ * The view's filters are kept in the hash: #library?q=...&folder=...&tag=...
+ *
+ * Entries can be exported to a JSON file and imported elsewhere, so a team can
+ * share a curated set of queries. Each query uses the short keys of the
+ * #workspace w parameter (t, n, v, c, l, d):
+ *   { format: 'statistikkportalen-library', version: 1, instance: 'ssb', exported,
+ *     queries: [{ name, folder?, tags?, t, n, v, c, l, d? }] }
+ * On import, entries are matched against the library by queryFingerprint()
+ * and by name, and their selections are checked against the tables' current
+ * metadata (selection-check.js).
+ */
+
+const LIBRARY_FILE_FORMAT = 'statistikkportalen-library';
+const LIBRARY_FILE_VERSION = 1;
+
+const QueryLibrary = {
+  items: [],
+  filters: { query: '', folder: '', tag: '' },
+  _loaded: false,
+
+  /**
+   * Load the library from IndexedDB (once per session)
+   */
+  async load() {
+    if (this._loaded) return;
+    this._loaded = true;
+    try {
+      const saved = await userDataStore.get('library');
+      if (saved && Array.isArray(saved.items)) {
+        this.items = saved.items;
+      }
+    } catch (e) {
+      logger.warn('[Library] Could not load library:', e);
+    }
+  },
+
+  /**
+   * Persist the library to IndexedDB
+   */
+  async save() {
+    try {
+      await userDataStore.set('library', { items: this.items }, Infinity);
+    } catch (e) {
+      logger.warn('[Library] Could not save library:', e);
+    }
+  },
+
+  /**
+   * The query shown in the table view, in library entry form (without name/folder/tags).
+   * A copy, since the table view keeps changing AppState's objects in place.
+   * @returns {object|null} - null when no single-table query is open
+   */
+  currentQuery() {
+    if (!AppState.selectedTable || AppState.joinDefinition) return null;
+    return structuredClone({
+      tableId: AppState.selectedTable.id,
+      tableLabel: AppState.selectedTable.label,
+      variableSelection: AppState.variableSelection,
+      activeCodelistIds: AppState.activeCodelistIds || {},
+      tableLayout: AppState.tableLayout,
+      derivedColumns: AppState.derivedColumns || []
+    });
+  },
+
+  /**
+   * Add an entry
+   * @param {object} query - From currentQuery()
+   * @param {object} details - { name, folder, tags }
+   * @returns {object} - The stored entry
+   */
+  async add(query, details) {
+    await this.load();
+    const now = new Date().toISOString();
+    const item = {
+      id: _libraryNewId(),
+      name: details.name || extractTableTitle(query.tableLabel) || query.tableId,
+      folder: details.folder || '',
+      tags: details.tags || [],
+      ...query,
+      created: now,
+      updated: now
+    };
+    this.items.push(item);
+    await this.save();
+    logger.log('[Library] Added', item.tableId, 'as', item.name);
+    return item;
+  },
+
+  /**
+   * Look up an entry by ID
+   * @param {string} id - Entry ID
+   * @returns {object|undefined}
+   */
+  get(id) {
+    return this.items.find(item => item.id === id);
+  },
+
+  /**
+   * Change an entry's name, folder or tags
+   * @param {string} id - Entry ID
+   * @param {object} details - { name?, folder?, tags? }
+   */
+  async update(id, details) {
+    const item = this.get(id);
+    if (!item) return;
+    if (details.name) item.name = details.name;
+    if (details.folder !== undefined) item.folder = details.folder;
+    if (details.tags !== undefined) item.tags = details.tags;
+    item.updated = new Date().toISOString();
+    await this.save();
+  },
+
+  /**
+   * Copy an entry (placed right after the original)
+   * @param {string} id - Entry ID
+   * @returns {object|null} - The copy
+   */
+  async duplicate(id) {
+    const index = this.items.findIndex(item => item.id === id);
+    if (index < 0) return null;
+    const now = new Date().toISOString();
+    const copy = {
+      ...JSON.parse(JSON.stringify(this.items[index])),
+      id: _libraryNewId(),
+      name: tpl('library.copyName', this.items[index].name),
+      created: now,
+      updated: now
+    };
+    this.items.splice(index + 1, 0, copy);
+    await this.save();
+    return copy;
+  },
+
+  /**
+   * Delete an entry
+   * @param {string} id - Entry ID
+   */
+  async remove(id) {
+    this.items = this.items.filter(item => item.id !== id);
+    await this.save();
+  },
+
+  /**
+   * Folder names in use, sorted
+   * @returns {Array<string>}
+   */
+  folders() {
+    return [...new Set(this.items.map(item => item.folder).filter(Boolean))]
+      .sort((a, b) => a.localeCompare(b));
+  },
+
+  /**
+   * Tags in use, sorted
+   * @returns {Array<string>}
+   */
+  tags() {
+    return [...new Set(this.items.flatMap(item => item.tags || []))]
+      .sort((a, b) => a.localeCompare(b));
+  },
+
+  /**
+   * Entries matching the current filters. Every search word must occur in the
+   * name, table ID, table title, folder or tags.
+   * @returns {Array<object>}
+   */
+  filtered() {
+    const { query, folder, tag } = this.filters;
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    return this.items.filter(item => {
+      if (folder && item.folder !== folder) return false;
+      if (tag && !(item.tags || []).includes(tag)) return false;
+      if (words.length === 0) return true;
+      const text = [item.name, item.tableId, item.tableLabel, item.folder, ...(item.tags || [])]
+        .join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+  },
+
+  /**
+   * Build an export file for entries
+   * @param {Array<object>} items - Entries to export
+   * @returns {object} - File content (see the file header for the format)
+   */
+  toFile(items) {
+    return {
+      format: LIBRARY_FILE_FORMAT,
+      version: LIBRARY_FILE_VERSION,
+      instance: AppConfig.instance,
+      exported: new Date().toISOString(),
+      queries: items.map(item => {
+        const entry = {
+          name: item.name,
+          t: item.tableId,
+          n: item.tableLabel,
+          v: item.variableSelection,
+          c: item.activeCodelistIds,
+          l: item.tableLayout
+        };
+        if (item.folder) entry.folder = item.folder;
+        if (item.tags?.length > 0) entry.tags = item.tags;
+        if (item.derivedColumns?.length > 0) entry.d = item.derivedColumns;
+        return entry;
+      })
+    };
+  },
+
+  /**
+   * Read an export file. Queries without a table ID or selection are skipped.
+   * @param {object} file - Parsed JSON
+   * @returns {object} - { instance, entries: [{ name, folder, tags, query }], skipped }
+   * @throws {Error} - When the file is not a library export, or from a newer version
+   */
+  parseFile(file) {
+    if (!file || file.format !== LIBRARY_FILE_FORMAT || typeof file.version !== 'number' ||
+        !Array.isArray(file.queries)) {
+      throw new Error(t('library.importInvalid'));
+    }
+    if (file.version > LIBRARY_FILE_VERSION) {
+      throw new Error(tpl('library.importNewer', file.version));
+    }
+
+    const entries = file.queries
+      .filter(q => q && q.t && q.v && typeof q.v === 'object')
+      .map(q => ({
+        name: String(q.name || extractTableTitle(q.n) || q.t),
+        folder: typeof q.folder === 'string' ? q.folder.trim() : '',
+        tags: Array.isArray(q.tags) ? parseLibraryTags(q.tags.join(',')) : [],
+        query: {
+          tableId: String(q.t),
+          tableLabel: q.n || String(q.t),
+          variableSelection: q.v,
+          activeCodelistIds: q.c || {},
+          tableLayout: q.l || null,
+          derivedColumns: Array.isArray(q.d) ? q.d : []
+        }
+      }));
+    return { instance: file.instance || null, entries, skipped: file.queries.length - entries.length };
+  },
+
+  /**
+   * Compare imported entries with the library. status is 'duplicate' when the
+   * same query is already stored, 'name' when another query has the same name
+   * in the same folder, else 'new'; action is the suggested default.
+   * @param {Array<object>} entries - From parseFile()
+   * @returns {Array<object>} - [{ entry, status, existing, action }]
+   */
+  planImport(entries) {
+    return entries.map(entry => {
+      const fingerprint = queryFingerprint(entry.query);
+      const same = this.items.find(item => queryFingerprint(item) === fingerprint);
+      if (same) return { entry, status: 'duplicate', existing: same, action: 'skip' };
+      const name = entry.name.toLowerCase();
+      const named = this.items.find(item => item.folder === entry.folder && item.name.toLowerCase() === name);
+      if (named) return { entry, status: 'name', existing: named, action: 'copy' };
+      return { entry, status: 'new', existing: null, action: 'add' };
+    });
+  },
+
+  /**
+   * Import planned entries. action: 'add', 'copy' (added under a copy name),
+   * 'replace' (overwrites the conflicting entry) or 'skip'.
+   * @param {Array<object>} plan - From planImport(), actions possibly changed
+   * @returns {number} - Number of entries added or replaced
+   */
+  async applyImport(plan) {
+    await this.load();
+    const now = new Date().toISOString();
+    let count = 0;
+    plan.forEach(row => {
+      if (row.action === 'skip') return;
+      const { name, folder, tags, query } = row.entry;
+      if (row.action === 'replace' && row.existing) {
+        Object.assign(row.existing, { name, folder, tags, ...query, updated: now });
+      } else {
+        this.items.push({
+          id: _libraryNewId(),
+          name: row.action === 'copy' ? tpl('library.copyName', name) : name,
+          folder,
+          tags,
+          ...query,
+          created: now,
+          updated: now
+        });
+      }
+      count++;
+    });
+    await this.save();
+    logger.log('[Library] Imported', count, 'of', plan.length, 'entries');
+    return count;
+  },
+
+  /**
+   * Hash parameters for the current filters
+   * @returns {object} - { q, folder, tag }
+   */
+  toParams() {
+    return {
+      q: this.filters.query || null,
+      folder: this.filters.folder || null,
+      tag: this.filters.tag || null
+    };
+  },
+
+  /**
+   * Restore the filters from hash parameters
+   * @param {object} params - { q, folder, tag }
+   */
+  fromParams(params) {
+    this.filters = {
+      query: params.q || '',
+      folder: params.folder || '',
+      tag: params.tag || ''
+    };
+  }
+};
+
+/**
+ * Unique-enough ID for a library entry
+ * @returns {string}
+ */
+function _libraryNewId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Split a comma-separated tag input into trimmed, unique tags
+ * @param {string} text - e.g. "arbeid, kommune,arbeid"
+ * @returns {Array<string>}
+ */
+function parseLibraryTags(text) {
+  return [...new Set((text || '').split(',').map(tag => tag.trim()).filter(Boolean))];
+}
+
+/**
+ * Show the dialog for saving the current query to the library, or for
+ * editing an entry's name, folder and tags
+ * @param {object} [item] - Entry to edit; omitted to save the current query
+ * @param {Function} [onDone] - Called with the saved entry
+ */
+async function showLibraryDialog(item = null, onDone = null) {
+  await QueryLibrary.load();
+  const query = item ? null : QueryLibrary.currentQuery();
+  if (!item && !query) {
+    showError(t('saveQuery.noQuery'));
+    return;
+  }
+
+  document.getElementById('library-dialog')?.remove();
+
+  const name = item ? item.name : extractTableTitle(query.tableLabel);
+  const folder = item ? item.folder : QueryLibrary.filters.folder;
+  const tags = item ? (item.tags || []).join(', ') : '';
+
+  document.body.insertAdjacentHTML('beforeend', `
+    <div class="dialog-overlay" id="library-dialog">
+      <div class="dialog-container">
+        <div class="dialog-header">
+          <h3>${item ? t('library.editTitle') : t('library.saveTitle')}</h3>
+          <button class="dialog-close" id="library-dialog-close">&times;</button>
+        </div>
+        <div class="dialog-content">
+          <div class="form-group">
+            <label class="form-label" for="library-name">${t('library.name')}</label>
+            <input type="text" id="library-name" class="value-filter-input" value="${escapeHtml(name)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="library-folder">${t('library.folder')}</label>
+            <input type="text" id="library-folder" class="value-filter-input" list="library-folder-options"
+                   value="${escapeHtml(folder)}" placeholder="${t('library.folderPlaceholder')}">
+            <datalist id="library-folder-options">
+              ${QueryLibrary.folders().map(f => `<option value="${escapeHtml(f)}">`).join('')}
+            </datalist>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="library-tags">${t('library.tags')}</label>
+            <input type="text" id="library-tags" class="value-filter-input"
+                   value="${escapeHtml(tags)}" placeholder="${t('library.tagsPlaceholder')}">
+          </div>
+        </div>
+        <div class="dialog-footer">
+          <button class="btn-secondary" id="library-cancel-btn">${t('export.cancel')}</button>
+          <button class="btn-primary" id="library-save-btn">${t('library.saveButton')}</button>
+        </div>
+      </div>
+    </div>
+  `);
+
+  const dialog = document.getElementById('library-dialog');
+  const nameInput = document.getElementById('library-name');
+  const closeDialog = () => { dialog.remove(); removeEscape(); };
+  const removeEscape = addEscapeHandler(closeDialog);
+
+  document.getElementById('library-dialog-close')?.addEventListener('click', closeDialog);
+  document.getElementById('library-cancel-btn')?.addEventListener('click', closeDialog);
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeDialog();
+  });
+
+  nameInput.focus();
+  nameInput.select();
+
+  document.getElementById('library-save-btn')?.addEventListener('click', async () => {
+    const details = {
+      name: nameInput.value.trim(),
+      folder: document.getElementById('library-folder').value.trim(),
+      tags: parseLibraryTags(document.getElementById('library-tags').value)
+    };
+    closeDialog();
+    let saved = item;
+    if (item) {
+      await QueryLibrary.update(item.id, details);
+    } else {
+      saved = await QueryLibrary.add(query, details);
+    }
+    if (onDone) onDone(saved);
+  });
+}
+
+/**
+ * Render the library view
+ * @param {HTMLElement} container - Container element
+ */
+async function renderLibraryView(container) {
+  await QueryLibrary.load();
+  updatePageTitle([t('library.title')]);
+
+  const filters = QueryLibrary.filters;
+  const folders = QueryLibrary.folders();
+  const tags = QueryLibrary.tags();
+
+  let html = `
+    <div class="view-container library-view">
+      <div class="view-header">
+        <div class="view-header-buttons">
+          <button id="library-home-btn" class="btn-secondary">${t('nav.back.tables')}</button>
+        </div>
+        <h2>${t('library.title')}</h2>
+        <p class="view-description">${t('library.description')}</p>
+      </div>
+      <div class="table-controls">
+        <div class="control-group">
+          ${QueryLibrary.items.length > 0 ? `
+          <button id="library-export-btn" class="btn-secondary"></button>` : ''}
+          <button id="library-import-btn" class="btn-secondary">${t('library.import')}</button>
+          <input type="file" id="library-import-file" accept=".json,application/json" hidden>
+        </div>
+      </div>
+  `;
+
+  if (QueryLibrary.items.length === 0) {
+    html += '<p class="no-results">' + t('library.empty') + '</p></div>';
+    container.innerHTML = html;
+    _libraryWireHeader(container);
+    return;
+  }
+
+  html += `
+      <div class="search-container">
+        <input type="search" id="library-search" class="search-input"
+               placeholder="${t('library.searchPlaceholder')}" value="${escapeHtml(filters.query)}">
+      </div>
+      <div class="filter-container">
+        ${folders.length > 0 ? `
+        <select id="library-folder-filter" class="filter-select" aria-label="${t('library.folder')}">
+          <option value="">${t('library.allFolders')}</option>
+          ${folders.map(f => `<option value="${escapeHtml(f)}"${f === filters.folder ? ' selected' : ''}>${escapeHtml(f)}</option>`).join('')}
+        </select>` : ''}
+        ${tags.length > 0 ? `
+        <div class="library-tags" role="group" aria-label="${t('library.tags')}">
+          ${tags.map(tag => `
+            <button class="library-tag${tag === filters.tag ? ' btn-active' : ''}" data-tag="${escapeHtml(tag)}"
+                    aria-pressed="${tag === filters.tag}">${escapeHtml(tag)}</button>
+          `).join('')}
+        </div>` : ''}
+      </div>
+      <div id="library-list"></div>
+    </div>
+  `;
+
+  container.innerHTML = html;
+  _libraryWireHeader(container);
+  _libraryRenderList(container);
+
+  document.getElementById('library-export-btn')?.addEventListener('click', () => {
+    const file = QueryLibrary.toFile(QueryLibrary.filtered());
+    const filename = AppConfig.instance + '-library_' + getTimestamp().replace('_', '-') + '.json';
+    downloadBlob(new Blob([JSON.stringify(file, null, 2)], { type: 'application/json' }), filename);
+    logger.log('[Library] Exported', file.queries.length, 'entries to', filename);
+  });
+
+  document.getElementById('library-search')?.addEventListener('input', (e) => {
+    filters.query = e.target.value.trim();
+    URLRouter.navigateTo('library', QueryLibrary.toParams(), false);
+    _libraryRenderList(container);
+  });
+
+  document.getElementById('library-folder-filter')?.addEventListener('change', (e) => {
+    filters.folder = e.target.value;
+    URLRouter.navigateTo('library', QueryLibrary.toParams(), false);
+    _libraryRenderList(container);
+  });
+
+  container.querySelectorAll('.library-tag').forEach(btn => {
+    btn.addEventListener('click', () => {
+      filters.tag = filters.tag === btn.dataset.tag ? '' : btn.dataset.tag;
+      URLRouter.navigateTo('library', QueryLibrary.toParams(), false);
+      renderLibraryView(container);
+    });
+  });
+}
+
+/**
+ * Render the entries matching the filters, grouped by folder
+ * @param {HTMLElement} container - Library view container
+ */
+function _libraryRenderList(container) {
+  const list = document.getElementById('library-list');
+  if (!list) return;
+
+  const items = QueryLibrary.filtered();
+  const exportBtn = document.getElementById('library-export-btn');
+  if (exportBtn) {
+    exportBtn.textContent = tpl('library.export', items.length);
+    exportBtn.disabled = items.length === 0;
+  }
+  if (items.length === 0) {
+    list.innerHTML = '<p class="no-results">' + t('library.noMatches') + '</p>';
+    return;
+  }
+
+  const groups = {};
+  items.forEach(item => {
+    (groups[item.folder || ''] = groups[item.folder || ''] || []).push(item);
+  });
+  // Entries without a folder first, then folders alphabetically
+  const folderNames = Object.keys(groups).sort((a, b) => (a === '' ? -1 : b === '' ? 1 : a.localeCompare(b)));
+
+  list.innerHTML = folderNames.map(folder => `
+    <section class="library-folder">
+      ${folder ? `<h3>${escapeHtml(folder)}</h3>` : ''}
+      <ul class="watchlist-list">
+        ${groups[folder].map(item => `
+          <li class="watchlist-item library-item">
+            <span class="watchlist-id">${escapeHtml(item.tableId)}</span>
+            <div class="library-item-text">
+              <strong>${escapeHtml(item.name)}</strong>
+              <span class="library-item-table">${escapeHtml(extractTableTitle(item.tableLabel))}</span>
+              ${(item.tags || []).length > 0 ? `
+              <span class="library-item-tags">${item.tags.map(tag => `<span class="library-tag-label">${escapeHtml(tag)}</span>`).join('')}</span>` : ''}
+            </div>
+            <span class="watchlist-updated">${escapeHtml(BrowserState.formatUpdatedDate(item.updated))}</span>
+            <div class="control-group">
+              <button class="btn-primary btn-sm library-action" data-action="table" data-id="${item.id}">${t('library.openTable')}</button>
+              <button class="btn-secondary btn-sm library-action" data-action="variables" data-id="${item.id}">${t('library.openVariables')}</button>
+              <button class="btn-secondary btn-sm library-action" data-action="edit" data-id="${item.id}">${t('library.edit')}</button>
+              <button class="btn-secondary btn-sm library-action" data-action="duplicate" data-id="${item.id}">${t('library.duplicate')}</button>
+              <button class="btn-secondary btn-sm library-action" data-action="delete" data-id="${item.id}">${t('library.delete')}</button>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    </section>
+  `).join('');
+
+  list.querySelectorAll('.library-action').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      const item = QueryLibrary.get(btn.dataset.id);
+      if (!item) return;
+      switch (btn.dataset.action) {
+        case 'table':
+        case 'variables':
+          _libraryOpen(item, btn.dataset.action);
+          break;
+        case 'edit':
+          showLibraryDialog(item, () => renderLibraryView(container));
+          break;
+        case 'duplicate':
+          await QueryLibrary.duplicate(item.id);
+          renderLibraryView(container);
+          break;
+        case 'delete':
+          if (!confirm(tpl('library.confirmDelete', item.name))) return;
+          await QueryLibrary.remove(item.id);
+          renderLibraryView(container);
+          break;
+      }
+    });
+  });
+}
+
+/**
+ * Wire the back button and the import button (shown also when the library is empty)
+ * @param {HTMLElement} container - Library view container
+ */
+function _libraryWireHeader(container) {
+  document.getElementById('library-home-btn')?.addEventListener('click', () => {
+    URLRouter.navigateTo('home', {});
+    URLRouter.handleRoute();
+  });
+
+  const fileInput = document.getElementById('library-import-file');
+  document.getElementById('library-import-btn')?.addEventListener('click', () => fileInput?.click());
+  fileInput?.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+    let parsed;
+    try {
+      let json;
+      try {
+        json = JSON.parse(await file.text());
+      } catch (e) {
+        throw new Error(t('library.importInvalid'));
+      }
+      parsed = QueryLibrary.parseFile(json);
+    } catch (e) {
+      showError(e.message);
+      return;
+    }
+    showLibraryImportDialog(parsed, () => renderLibraryView(container));
+  });
+}
+
+/**
+ * Show the import dialog: each entry with its conflict status, a check of its
+ * selection against the table's current metadata, and a choice of action
+ * @param {object} parsed - From QueryLibrary.parseFile()
+ * @param {Function} onDone - Called after importing
+ */
+async function showLibraryImportDialog(parsed, onDone) {
+  await QueryLibrary.load();
+  const plan = QueryLibrary.planImport(parsed.entries);
+
+  document.getElementById('library-import-dialog')?.remove();
+
+  const actionLabels = {
+    add: t('library.importActionAdd'),
+    copy: t('library.importActionCopy'),
+    replace: t('library.importActionReplace'),
+    skip: t('library.importActionSkip')
+  };
+  const statusLabel = (row) => row.status === 'duplicate'
+    ? tpl('library.importStatusDuplicate', row.existing.name)
+    : row.status === 'name' ? t('library.importStatusName') : t('library.importStatusNew');
+
+  const notices = [];
+  if (parsed.instance && parsed.instance !== AppConfig.instance) {
+    notices.push(tpl('library.importOtherSource', AppInstances[parsed.instance]?.label || parsed.instance));
+  }
+  if (parsed.skipped > 0) {
+    notices.push(tpl('library.importSkipped', parsed.skipped));
+  }
+
+  document.body.insertAdjacentHTML('beforeend', `
+    <div class="dialog-overlay" id="library-import-dialog">
+      <div class="dialog-container" style="max-width: 860px;">
+        <div class="dialog-header">
+          <h3>${t('library.importTitle')}</h3>
+          <button class="dialog-close" id="library-import-close">&times;</button>
+        </div>
+        <div class="dialog-content">
+          ${notices.map(n => `<p class="offline-notice">${escapeHtml(n)}</p>`).join('')}
+          ${plan.length === 0 ? `<p class="no-results">${t('library.importInvalid')}</p>` : `
+          <table class="data-table library-import-table">
+            <thead>
+              <tr>
+                <th>${t('library.name')}</th>
+                <th>${t('list.id')}</th>
+                <th>${t('library.importStatus')}</th>
+                <th>${t('library.importCheck')}</th>
+                <th>${t('library.importAction')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${plan.map((row, i) => `
+                <tr>
+                  <td>${escapeHtml(row.entry.name)}${row.entry.folder ? `<br><span class="library-item-table">${escapeHtml(row.entry.folder)}</span>` : ''}</td>
+                  <td>${escapeHtml(row.entry.query.tableId)}</td>
+                  <td>${escapeHtml(statusLabel(row))}</td>
+                  <td id="library-import-check-${i}">${t('library.importChecking')}</td>
+                  <td>
+                    <select class="filter-select library-import-action" data-index="${i}" aria-label="${t('library.importAction')}">
+                      ${(row.status === 'new' ? ['add', 'skip'] : ['copy', 'replace', 'skip']).map(action => `
+                        <option value="${action}"${action === row.action ? ' selected' : ''}>${actionLabels[action]}</option>
+                      `).join('')}
+                    </select>
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>`}
+        </div>
+        <div class="dialog-footer">
+          <button class="btn-secondary" id="library-import-cancel">${t('export.cancel')}</button>
+          <button class="btn-primary" id="library-import-run"${plan.length === 0 ? ' disabled' : ''}>${t('library.importButton')}</button>
+        </div>
+      </div>
+    </div>
+  `);
+
+  const dialog = document.getElementById('library-import-dialog');
+  let open = true;
+  const closeDialog = () => { open = false; dialog.remove(); removeEscape(); };
+  const removeEscape = addEscapeHandler(closeDialog);
+
+  document.getElementById('library-import-close')?.addEventListener('click', closeDialog);
+  document.getElementById('library-import-cancel')?.addEventListener('click', closeDialog);
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeDialog();
+  });
+
+  dialog.querySelectorAll('.library-import-action').forEach(select => {
+    select.addEventListener('change', () => {
+      plan[parseInt(select.dataset.index, 10)].action = select.value;
+    });
+  });
+
+  document.getElementById('library-import-run')?.addEventListener('click', async () => {
+    closeDialog();
+    await QueryLibrary.applyImport(plan);
+    onDone();
+  });
+
+  // Check the selections one at a time (metadata is cached, the API is rate limited)
+  for (let i = 0; i < plan.length && open; i++) {
+    const { query } = plan[i].entry;
+    let html;
+    try {
+      const check = await checkStoredSelection(query.tableId, query.variableSelection, query.activeCodelistIds);
+      const lines = describeSelectionProblems(check.problems);
+      html = lines.length > 0
+        ? '<ul class="library-import-problems">' + lines.map(line => '<li>' + escapeHtml(line) + '</li>').join('') + '</ul>'
+        : t('library.importCheckOk');
+    } catch (e) {
+      html = '<span class="library-import-problems">' + escapeHtml(tpl('library.importCheckFailed', e.message)) + '</span>';
+    }
+    const cell = document.getElementById('library-import-check-' + i);
+    if (cell) cell.innerHTML = html;
+  }
+}
+
+/**
+ * Open an entry in the table view or the variable selection. The views get
+ * a copy, so changing the selection there leaves the entry as it was saved.
+ * @param {object} item - Library entry
+ * @param {string} view - 'table' | 'variables'
+ */
+function _libraryOpen(item, view) {
+  const query = structuredClone(item);
+  AppState.selectedTable = { id: query.tableId, label: query.tableLabel };
+  AppState.variableSelection = query.variableSelection;
+  AppState.activeCodelistIds = query.activeCodelistIds || {};
+  AppState.tableLayout = query.tableLayout || { rows: [], columns: [] };
+  AppState.tableData = null;
+  AppState.chartType = null;
+  AppState.joinDefinition = null;
+  AppState.derivedColumns = query.derivedColumns || [];
+  AppState.collapsedNodes = {};
+  AppState.navigationRef = URLRouter.buildHash('library', QueryLibrary.toParams()).slice(1);
+  sessionStorage.setItem('ssb_navRef', JSON.stringify({ tableId: item.tableId, ref: AppState.navigationRef }));
+  AppState.setView(view);
+}
+
+window.renderLibraryView = renderLibraryView;
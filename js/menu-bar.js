@@ -20,11 +20,11 @@ const MenuBar = {
           ${Object.entries(menuHierarchy.subjectGroups).map(([id, group]) => `
             <div class="subject-group-item" data-group-id="${id}">
               <button class="subject-group-button">
-                <span class="chevron">&#8250;</span> ${escapeHtml(t('subject.group.' + id))}
+                <span class="chevron">&#8250;</span> ${escapeHtml(menuHierarchy.groupLabel(id))}
               </button>
               <div class="subject-dropdown">
                 ${group.subjects.map(subjectCode => {
-                  const subjectName = t('subject.name.' + subjectCode) || menuHierarchy.subjectNames[subjectCode];
+                  const subjectName = menuHierarchy.subjectLabel(subjectCode);
                   return `
                     <a href="#topic/${subjectCode}" class="subject-link" data-subject-id="${subjectCode}">
                       ${escapeHtml(subjectName || subjectCode)}
@@ -1,13 +1,20 @@
 /**
  * Menu Hierarchy Builder
  * Recreates SSB's subject -> topic -> subtopic -> tables navigation
+ *
+ * The tree comes from the `paths` of the /tables response: the first path
+ * segment is the subject. Subject groups and names from the instance
+ * (subjects.js for SSB) are an optional override layer; subjects they do not
+ * cover are grouped and labelled from the paths (see _deriveSubjectGroups).
  */
 
 class MenuHierarchy {
   constructor() {
-    // Subject groups and names loaded from subjects.js
-    this.subjectGroups = SubjectConfig.subjectGroups;
-    this.subjectNames = SubjectConfig.subjectNames;
+    // Subject groups and names of the active instance (instances.js), if any
+    const subjects = getActiveInstance().subjects || {};
+    this.configuredGroups = subjects.subjectGroups || {};
+    this.subjectGroups = this.configuredGroups;
+    this.subjectNames = subjects.subjectNames || {};
 
     this.allTables = [];
     this.hierarchy = {};
@@ -32,11 +39,37 @@ class MenuHierarchy {
       }
     });
 
+    this.subjectGroups = this._deriveSubjectGroups();
+
     logger.log(`[MenuHierarchy] Built hierarchy with ${Object.keys(this.hierarchy).length} top-level subjects`);
 
     return this.hierarchy;
   }
 
+  /**
+   * Subject groups for the front page, menu bar and topic routes. The
+   * configured groups come first; top-level subjects from the paths that no
+   * group lists are collected in one more group, sorted by sortCode:
+   * 'other' ("Andre emner"), or 'all' ("Emner") when nothing is configured.
+   * @returns {Object<string, {id, label?, subjects}>}
+   */
+  _deriveSubjectGroups() {
+    const groups = { ...this.configuredGroups };
+    const grouped = new Set(Object.values(groups).flatMap(group => group.subjects));
+
+    const rest = Object.values(this.hierarchy)
+      .filter(node => !grouped.has(node.id))
+      .sort((a, b) => (a.sortCode || '').localeCompare(b.sortCode || '') || a.label.localeCompare(b.label))
+      .map(node => node.id);
+
+    if (rest.length > 0) {
+      const id = Object.keys(groups).length > 0 ? 'other' : 'all';
+      groups[id] = { id, subjects: rest };
+      logger.log(`[MenuHierarchy] ${rest.length} subjects without a configured group → "${id}"`);
+    }
+    return groups;
+  }
+
   /**
    * Add a single path to the hierarchy tree
    */
@@ -80,6 +113,38 @@ class MenuHierarchy {
     currentNode.tables.push(table);
   }
 
+  /**
+   * Display name of a subject. For subjects in the subject config, a label
+   * per language ({ sv, en }) is used, otherwise the subject.name.*
+   * translation, then the plain label. Other subjects get the label from
+   * the table paths.
+   * @param {string} subjectCode - Subject code
+   * @returns {string}
+   */
+  subjectLabel(subjectCode) {
+    const configured = this.subjectNames[subjectCode];
+    return (configured && this._configLabel('subject.name.' + subjectCode, configured))
+      || this.hierarchy[subjectCode]?.label
+      || subjectCode;
+  }
+
+  /**
+   * Display name of a subject group (same lookup order as subjectLabel)
+   * @param {string} groupId - Group ID
+   * @returns {string}
+   */
+  groupLabel(groupId) {
+    return this._configLabel('subject.group.' + groupId, this.subjectGroups[groupId]?.label) || groupId;
+  }
+
+  _configLabel(key, label) {
+    if (label && typeof label === 'object') {
+      return label[currentLanguage] ?? Object.values(label)[0];
+    }
+    const translated = t(key);
+    return translated !== key ? translated : label;
+  }
+
   /**
    * Get all subjects for a subject group
    */
@@ -91,7 +156,7 @@ class MenuHierarchy {
       const node = this.hierarchy[subjectCode];
       return {
         id: subjectCode,
-        label: t('subject.name.' + subjectCode) || this.subjectNames[subjectCode] || subjectCode,
+        label: this.subjectLabel(subjectCode),
         tableCount: this._countTables(node),
         node: node
       };
@@ -205,9 +270,11 @@ class MenuHierarchy {
   /**
    * Group tables by a custom criteria (for Level 4+ display)
    * Example: "Månedstall (basisår 2025)", "Årsstall (basisår 2015)"
+   * Groups are sorted newest base year first, then by translated name.
    */
   groupTables(tables) {
     const groups = {};
+    const baseYears = {};
 
     tables.forEach(table => {
       // Extract grouping info from label
@@ -216,38 +283,29 @@ class MenuHierarchy {
       const baseYear = baseYearMatch ? baseYearMatch[1] : null;
 
       let groupKey;
-      if (baseYear) {
-        if (table.timeUnit === 'Monthly') {
-          groupKey = `Månedstall (basisår ${baseYear})`;
-        } else if (table.timeUnit === 'Quarterly') {
-          groupKey = `Kvartalstall (basisår ${baseYear})`;
-        } else if (table.timeUnit === 'Annual') {
-          groupKey = `Årsstall (basisår ${baseYear})`;
-        } else {
-          groupKey = `Andre tall (basisår ${baseYear})`;
-        }
+      if (table.timeUnit === 'Monthly') {
+        groupKey = t('list.group.monthly');
+      } else if (table.timeUnit === 'Quarterly') {
+        groupKey = t('list.group.quarterly');
+      } else if (table.timeUnit === 'Annual') {
+        groupKey = t('list.group.annual');
       } else {
-        // No base year, group by time unit
-        if (table.timeUnit === 'Monthly') {
-          groupKey = 'Månedstall';
-        } else if (table.timeUnit === 'Quarterly') {
-          groupKey = 'Kvartalstall';
-        } else if (table.timeUnit === 'Annual') {
-          groupKey = 'Årsstall';
-        } else {
-          groupKey = 'Andre tabeller';
-        }
+        groupKey = t(baseYear ? 'list.group.otherBase' : 'list.group.other');
+      }
+      if (baseYear) {
+        groupKey = tpl('list.group.baseYear', groupKey, baseYear);
       }
 
       if (!groups[groupKey]) {
         groups[groupKey] = [];
+        baseYears[groupKey] = baseYear || '';
       }
       groups[groupKey].push(table);
     });
 
-    // Sort groups by name (reverse to get newest base years first)
+    // Newest base years first (translated names don't sort by year)
     return Object.entries(groups)
-      .sort(([a], [b]) => b.localeCompare(a))
+      .sort(([a], [b]) => baseYears[b].localeCompare(baseYears[a]) || b.localeCompare(a))
       .map(([name, tables]) => ({
         name,
         tables: tables.sort((a, b) => a.sortCode.localeCompare(b.sortCode))
@@ -267,7 +325,7 @@ class MenuHierarchy {
     for (const [groupId, group] of Object.entries(this.subjectGroups)) {
       if (group.subjects.includes(subjectCode)) {
         breadcrumbs.push({
-          label: t('subject.group.' + groupId),
+          label: this.groupLabel(groupId),
           path: [groupId]
         });
         break;
@@ -276,7 +334,7 @@ class MenuHierarchy {
 
     // Add subject
     breadcrumbs.push({
-      label: t('subject.name.' + subjectCode) || this.subjectNames[subjectCode] || subjectCode,
+      label: this.subjectLabel(subjectCode),
       path: [subjectCode]
     });
 
@@ -0,0 +1,268 @@
+/**
+ * Offline - Service worker registration, offline indicator and pinned tables
+ *
+ * The service worker (sw.js) keeps the app shell and the table list/metadata
+ * available offline. Table data is not cached by the worker; instead the user
+ * can pin a fetched table in the table view. Pinned tables are stored in
+ * IndexedDB (userDataStore, survives "Tøm cache"):
+ *   'pinned'        → [{ key, hash, tableId, label, pinnedAt }]
+ *   'pinned:<key>'  → { data, report, pinnedAt }
+ *
+ * loadTableData (table-display.js) falls back to the pinned copy when the
+ * fetch fails, and offers pinned copies of the same table with another
+ * selection as a recovery action.
+ */
+
+// pinnedAt of the pinned copy currently shown (null when showing fresh data)
+let currentPinnedAt = null;
+
+const OfflineStore = {
+  index: [],
+  _loaded: false,
+  _openKey: null,
+
+  /**
+   * Load the pinned table index from IndexedDB (once per session)
+   */
+  async load() {
+    if (this._loaded) return;
+    this._loaded = true;
+    try {
+      const saved = await userDataStore.get('pinned');
+      if (Array.isArray(saved)) this.index = saved;
+    } catch (e) {
+      logger.warn('[Offline] Could not load pinned tables:', e);
+    }
+  },
+
+  /**
+   * Key identifying the data of the current table view
+   * (layout, chart and derived columns do not change the fetched data)
+   * @returns {string}
+   */
+  currentKey() {
+    return JSON.stringify([
+      AppState.selectedTable?.id,
+      AppState.variableSelection,
+      AppState.activeCodelistIds || {},
+      AppState.joinDefinition
+    ]);
+  },
+
+  /**
+   * @param {string} key - Key from currentKey()
+   * @returns {boolean}
+   */
+  isPinned(key) {
+    return this.index.some(entry => entry.key === key);
+  },
+
+  /**
+   * Pin the table currently shown
+   * @returns {Promise<boolean>} - Whether the table was stored
+   */
+  async pinCurrent() {
+    await this.load();
+    if (!currentSourceData || !AppState.selectedTable) return false;
+
+    const key = this.currentKey();
+    const pinnedAt = new Date().toISOString();
+    try {
+      await userDataStore.set('pinned:' + key, { data: currentSourceData, report: currentJoinReport, pinnedAt }, Infinity);
+    } catch (e) {
+      showError(t('offline.pinFailed'), e);
+      return false;
+    }
+
+    this.index = this.index.filter(entry => entry.key !== key);
+    this.index.unshift({
+      key,
+      hash: window.location.hash,
+      tableId: AppState.selectedTable.id,
+      label: AppState.selectedTable.label,
+      pinnedAt
+    });
+    await this._saveIndex();
+    logger.log('[Offline] Pinned', AppState.selectedTable.id);
+    return true;
+  },
+
+  /**
+   * Remove a pinned table
+   * @param {string} key - Key from currentKey()
+   */
+  async unpin(key) {
+    await this.load();
+    this.index = this.index.filter(entry => entry.key !== key);
+    await this._saveIndex();
+    try {
+      await userDataStore.delete('pinned:' + key);
+    } catch (e) {
+      logger.warn('[Offline] Could not delete pinned data:', e);
+    }
+  },
+
+  /**
+   * Pinned copy of the current table view, if any
+   * @returns {Promise<object|null>} - { data, report, pinnedAt }
+   */
+  async getCurrent() {
+    await this.load();
+    const key = this.currentKey();
+    if (!this.isPinned(key)) return null;
+    try {
+      return await userDataStore.get('pinned:' + key);
+    } catch (e) {
+      logger.warn('[Offline] Could not read pinned data:', e);
+      return null;
+    }
+  },
+
+  /**
+   * Pinned copies of a table, newest first
+   * @param {string} tableId - Table ID
+   * @returns {Promise<Array<object>>} - Index entries
+   */
+  async forTable(tableId) {
+    await this.load();
+    return this.index
+      .filter(entry => entry.tableId === tableId)
+      .sort((a, b) => b.pinnedAt.localeCompare(a.pinnedAt));
+  },
+
+  /**
+   * Open a pinned copy without trying the API first
+   * (the "open cached copy" recovery action in the table view)
+   * @param {object} entry - Index entry
+   */
+  openPinned(entry) {
+    this._openKey = entry.key;
+    window.location.hash = entry.hash;
+  },
+
+  /**
+   * Whether the current table view was opened with openPinned() (asked once)
+   * @returns {boolean}
+   */
+  takeOpenRequest() {
+    const requested = this._openKey === this.currentKey();
+    this._openKey = null;
+    return requested;
+  },
+
+  async _saveIndex() {
+    try {
+      await userDataStore.set('pinned', this.index, Infinity);
+    } catch (e) {
+      logger.warn('[Offline] Could not save pinned tables:', e);
+    }
+  }
+};
+
+/**
+ * Register the service worker and wire the offline indicator.
+ * Called once on startup (index.html).
+ */
+function initOfflineMode() {
+  const indicator = document.getElementById('offline-indicator');
+  const update = () => {
+    if (indicator) indicator.hidden = navigator.onLine;
+  };
+  window.addEventListener('online', update);
+  window.addEventListener('offline', update);
+  update();
+
+  // Service workers require https (or localhost); file:// is not supported
+  if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+  navigator.serviceWorker.register('sw.js?api=' + encodeURIComponent(AppConfig.apiBaseUrl))
+    .then(() => logger.log('[Offline] Service worker registered'))
+    .catch(e => logger.warn('[Offline] Service worker registration failed:', e));
+}
+
+/**
+ * Build the pin toggle for the table toolbar
+ * @returns {string} - HTML
+ */
+function buildPinButton() {
+  const pinned = OfflineStore.isPinned(OfflineStore.currentKey());
+  return `
+    <button id="pin-offline-btn" class="btn-secondary${pinned ? ' btn-active' : ''}"
+            aria-pressed="${pinned}" title="${t('offline.pinTitle')}">
+      ${pinned ? t('offline.pinned') : t('offline.pin')}
+    </button>
+  `;
+}
+
+/**
+ * Wire the pin toggle
+ * @param {HTMLElement} container - Data container
+ */
+function setupPinButton(container) {
+  const btn = container.querySelector('#pin-offline-btn');
+  if (!btn) return;
+
+  btn.addEventListener('click', async () => {
+    const key = OfflineStore.currentKey();
+    if (OfflineStore.isPinned(key)) {
+      await OfflineStore.unpin(key);
+    } else {
+      await OfflineStore.pinCurrent();
+    }
+    const pinned = OfflineStore.isPinned(key);
+    btn.classList.toggle('btn-active', pinned);
+    btn.setAttribute('aria-pressed', String(pinned));
+    btn.textContent = pinned ? t('offline.pinned') : t('offline.pin');
+  });
+}
+
+/**
+ * Build the "Lagret for offline" section for the front page
+ * @returns {string} - HTML (empty when nothing is pinned)
+ */
+function buildPinnedSection() {
+  if (OfflineStore.index.length === 0) return '';
+
+  return `
+    <section class="pinned-tables">
+      <h2>${t('offline.pinnedTitle')}</h2>
+      <ul class="pinned-list">
+        ${OfflineStore.index.map(entry => `
+          <li class="pinned-item">
+            <span class="pinned-id">${escapeHtml(entry.tableId)}</span>
+            <a href="${escapeHtml(entry.hash)}" class="pinned-link">${escapeHtml(extractTableTitle(entry.label))}</a>
+            <span class="pinned-date">${escapeHtml(BrowserState.formatUpdatedDate(entry.pinnedAt))}</span>
+            <button class="pinned-remove-btn" data-key="${escapeHtml(entry.key)}"
+                    aria-label="${escapeHtml(tpl('offline.unpin', entry.tableId))}"
+                    title="${escapeHtml(tpl('offline.unpin', entry.tableId))}">&times;</button>
+          </li>
+        `).join('')}
+      </ul>
+    </section>
+  `;
+}
+
+/**
+ * Wire the "Lagret for offline" section
+ * @param {HTMLElement} container - Front page container
+ * @param {Function} rerender - Re-renders the front page
+ */
+function setupPinnedSection(container, rerender) {
+  const section = container.querySelector('.pinned-tables');
+  if (!section) return;
+
+  // Links carry the full table hash, so the router restores the view
+  section.querySelectorAll('.pinned-link').forEach(link => {
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      history.pushState(null, '', link.getAttribute('href'));
+      URLRouter.handleRoute();
+    });
+  });
+
+  section.querySelectorAll('.pinned-remove-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await OfflineStore.unpin(btn.dataset.key);
+      rerender();
+    });
+  });
+}
@@ -5,6 +5,9 @@
  * for the SSB Statistics Browser application.
  */
 
+// Routes whose links show one source's tables: their links always name the instance
+const INSTANCE_ROUTE_PATTERN = /^(table\/|variables\/|sq\/|join$|workspace$)/;
+
 const URLRouter = {
   /**
    * Encode object to URL-safe base64
@@ -82,12 +85,20 @@ const URLRouter = {
   /**
    * Build hash URL from route and parameters
    * @param {string} route - Route path (e.g., "browser", "variables/13760")
-   * @param {Object} params - Query parameters
+   * @param {Object} params - Query parameters (i, the instance, is added when not the default)
    * @returns {string} Complete hash URL
    */
   buildHash(route, params = {}) {
     const queryParts = [];
 
+    // Name the instance (instances.js): always for tables, saved queries, joins
+    // and workspaces, so they open on the same source wherever they are followed
+    // (a link without i uses the stored choice); other links only when it is
+    // not the default one
+    if (!('i' in params) && (!isDefaultInstance() || INSTANCE_ROUTE_PATTERN.test(route))) {
+      params = { ...params, i: AppConfig.instance };
+    }
+
     for (const [key, value] of Object.entries(params)) {
       if (value !== null && value !== undefined && value !== '') {
         queryParts.push(`${key}=${encodeURIComponent(value)}`);
@@ -133,6 +144,16 @@ const URLRouter = {
 
     logger.log('[Router] Handling route:', route, params);
 
+    // The previous view's requests are no longer needed (api.js RequestScheduler)
+    api.cancelNavigation();
+
+    // A link to another instance: reload with that instance active
+    if (params.i && params.i !== AppConfig.instance &&
+        getSelectableInstances().some(inst => inst.id === params.i)) {
+      setInstance(params.i, true);
+      return;
+    }
+
     if (!route || route === 'home') {
       await this._handleHomeRoute(params);
     } else if (route === 'search') {
@@ -143,6 +164,14 @@ const URLRouter = {
       await this._handleVariablesRoute(route, params);
     } else if (route.startsWith('table/')) {
       await this._handleTableRoute(route, params);
+    } else if (route === 'workspace') {
+      await this._handleWorkspaceRoute(params);
+    } else if (route === 'library') {
+      await this._handleLibraryRoute(params);
+    } else if (route === 'join') {
+      await this._handleJoinRoute(params);
+    } else if (route === 'settings' || route.startsWith('settings/')) {
+      await this._handleSettingsRoute(params);
     } else if (route.startsWith('sq/')) {
       await this._handleSavedQueryRoute(route.replace('sq/', ''));
     } else if (route === 'browser' || route.startsWith('browser/') || route.startsWith('browser?')) {
@@ -190,6 +219,83 @@ const URLRouter = {
     renderCurrentView();
   },
 
+  /**
+   * Handle workspace route (#workspace?w={base64}&a=0&m=split)
+   * Without a w parameter the workspace saved in IndexedDB is shown.
+   */
+  async _handleWorkspaceRoute(params) {
+    logger.log('[Router] Workspace route', params);
+    if (params.w) {
+      if (Workspace.fromParams(params)) {
+        Workspace.save();
+      } else {
+        logger.warn('[Router] Invalid workspace parameter - showing saved workspace');
+      }
+    }
+    AppState.currentView = 'workspace';
+    renderCurrentView();
+  },
+
+  /**
+   * Handle library route (#library?q=...&folder=...&tag=...)
+   */
+  async _handleLibraryRoute(params) {
+    logger.log('[Router] Library route', params);
+    QueryLibrary.fromParams(params);
+    AppState.currentView = 'library';
+    renderCurrentView();
+  },
+
+  /**
+   * Handle settings route (#settings/cache — the cache inspector is the only section)
+   */
+  async _handleSettingsRoute(params) {
+    logger.log('[Router] Settings route');
+    AppState.currentView = 'settings';
+    renderCurrentView();
+  },
+
+  /**
+   * Handle join route (#join?j={base64}&l={base64}&chart=line)
+   * j = join definition (see table-join.js); both tables are re-fetched.
+   */
+  async _handleJoinRoute(params) {
+    const def = params.j ? this.decode(params.j) : null;
+    if (!def || !def.left?.t || !def.right?.t || !def.left.v || !def.right.v) {
+      logger.warn('[Router] Invalid join definition - redirecting to home');
+      this.navigateTo('home', {}, false);
+      this.handleRoute();
+      return;
+    }
+
+    logger.log('[Router] Join route -', def.left.t, '+', def.right.t);
+
+    const tableId = joinTableId(def);
+    try {
+      const stored = JSON.parse(sessionStorage.getItem('ssb_navRef') || 'null');
+      AppState.navigationRef = (stored && stored.tableId === tableId) ? stored.ref : null;
+    } catch (e) {
+      AppState.navigationRef = null;
+    }
+
+    const layout = params.l ? this.decode(params.l) : null;
+
+    AppState.joinDefinition = def;
+    AppState.selectedTable = {
+      id: tableId,
+      label: tpl('join.label', extractTableTitle(def.left.n || def.left.t), extractTableTitle(def.right.n || def.right.t))
+    };
+    AppState.variableSelection = def.left.v;
+    AppState.activeCodelistIds = {};
+    AppState.tableLayout = layout || { rows: [], columns: [] };
+    AppState.chartType = ['line', 'bar'].includes(params.chart) ? params.chart : null;
+    AppState.derivedColumns = this._decodeDerivedColumns(params.d);
+    AppState.collapsedNodes = this._decodeCollapsedNodes(params.f);
+
+    AppState.currentView = 'table';
+    renderCurrentView();
+  },
+
   /**
    * Handle saved query route (#sq/{id})
    * Fetches the saved query from SSB, restores AppState, and renders the table.
@@ -199,7 +305,7 @@ const URLRouter = {
 
     const content = document.getElementById('content');
     if (content) {
-      content.innerHTML = '<div class="view-container"><p class="loading-message">Laster lagret spørring...</p></div>';
+      content.innerHTML = `<div class="view-container"><p class="loading-message">${t('saveQuery.loading')}</p></div>`;
     }
 
     try {
@@ -233,7 +339,7 @@ const URLRouter = {
 
       AppState.selectedTable = {
         id: sq.tableId,
-        label: sq.tableId + ': (laster...)'
+        label: sq.tableId + ': ' + t('loading.app')
       };
       AppState.variableSelection = valueCodes;
       AppState.activeCodelistIds = activeCodelistIds;
@@ -241,17 +347,23 @@ const URLRouter = {
         rows: sq.selection?.placement?.stub || [],
         columns: sq.selection?.placement?.heading || []
       };
+      AppState.chartType = null;
+      AppState.joinDefinition = null;
+      AppState.derivedColumns = [];
+      AppState.collapsedNodes = {};
       AppState.navigationRef = null;
 
       AppState.currentView = 'table';
       renderCurrentView();
     } catch (e) {
+      // Aborted because the user navigated elsewhere
+      if (e.name === 'AbortError') return;
       logger.error('[Router] Failed to load saved query:', e);
       if (content) {
         content.innerHTML = `
           <div class="view-container">
-            <p class="error-message">Kunne ikke laste spørringen (${escapeHtml(String(id))}): ${escapeHtml(e.message)}</p>
-            <p><a href="#home">Gå til forsiden</a></p>
+            <p class="error-message">${escapeHtml(tpl('saveQuery.loadFailed', String(id), e.message))}</p>
+            <p><a href="#home">${t('saveQuery.goHome')}</a></p>
           </div>
         `;
       }
@@ -286,7 +398,7 @@ const URLRouter = {
   /**
    * Handle variables view route
    * @param {string} route - Route path (variables/{tableId})
-   * @param {Object} params - Query parameters (v = selections, c = codelists)
+   * @param {Object} params - Query parameters (v = selections, c = codelists, f = folded hierarchy nodes)
    */
   async _handleVariablesRoute(route, params) {
     const tableId = route.replace('variables/', '');
@@ -322,7 +434,7 @@ const URLRouter = {
     // Set up AppState
     AppState.selectedTable = {
       id: tableId,
-      label: tableId + ': (laster...)'
+      label: tableId + ': ' + t('loading.app')
     };
 
     // Restore variable selection from URL
@@ -339,16 +451,84 @@ const URLRouter = {
       AppState.activeCodelistIds = {};
     }
 
+    AppState.joinDefinition = null;
+    AppState.collapsedNodes = this._decodeCollapsedNodes(params.f);
     AppState.currentView = 'variables';
 
+    if (variableSelection && !(await this._checkLinkedSelection(tableId))) return;
+
     // Render view (will fetch metadata and restore selections)
     renderCurrentView();
   },
 
+  /**
+   * Check a linked selection against the table's current metadata before it
+   * is used (selection-check.js). When variables, codes or codelists have
+   * disappeared, the repair view is shown instead of the route's view; it
+   * continues to that view once the user has chosen.
+   * @param {string} tableId - Table ID (AppState already holds the decoded link)
+   * @returns {Promise<boolean>} - Whether the route can render its view now
+   */
+  async _checkLinkedSelection(tableId) {
+    const hash = window.location.hash;
+    let check;
+    try {
+      check = await checkStoredSelection(tableId, AppState.variableSelection, AppState.activeCodelistIds);
+    } catch (e) {
+      // Aborted because the user navigated elsewhere
+      if (window.location.hash !== hash) return false;
+      // The view reports metadata and data errors itself
+      logger.warn('[Router] Could not check the selection against the metadata:', e);
+      return true;
+    }
+    // The user navigated elsewhere while the metadata was loading
+    if (window.location.hash !== hash) return false;
+    if (!check.problems) return true;
+
+    logger.log('[Router] Linked selection no longer matches table', tableId, check.problems);
+    const view = AppState.currentView;
+    renderSelectionRepair(document.getElementById('content'), tableId, check, (repaired) => {
+      AppState.variableSelection = repaired.selection;
+      AppState.activeCodelistIds = repaired.codelistIds;
+      // Without a value for every mandatory variable, the table cannot be fetched
+      const { metadata } = check;
+      const incomplete = metadata.id.some(dim =>
+        metadata.dimension[dim].extension?.elimination !== true && !repaired.selection[dim]);
+      AppState.setView(view === 'table' && incomplete ? 'variables' : view);
+    }, () => renderCurrentView());
+    return false;
+  },
+
+  /**
+   * Decode the derived columns parameter (see table-derived.js)
+   * @param {string|undefined} param - Encoded d parameter
+   * @returns {Array<object>}
+   */
+  _decodeDerivedColumns(param) {
+    const defs = param ? this.decode(param) : null;
+    return Array.isArray(defs) ? defs.filter(d => d && typeof d === 'object' && d.type) : [];
+  },
+
+  /**
+   * Decode the folded hierarchy nodes parameter (see hierarchy.js)
+   * @param {string|undefined} param - Encoded f parameter
+   * @returns {Object} - { DimCode: [code, ...] }
+   */
+  _decodeCollapsedNodes(param) {
+    const nodes = param ? this.decode(param) : null;
+    const result = {};
+    if (nodes && typeof nodes === 'object' && !Array.isArray(nodes)) {
+      Object.entries(nodes).forEach(([dimCode, codes]) => {
+        if (Array.isArray(codes) && codes.length > 0) result[dimCode] = codes.map(String);
+      });
+    }
+    return result;
+  },
+
   /**
    * Handle table view route
    * @param {string} route - Route path (table/{tableId})
-   * @param {Object} params - Query parameters (v = selections, c = codelists, l = layout)
+   * @param {Object} params - Query parameters (v = selections, c = codelists, l = layout, d = derived columns, f = folded hierarchy nodes, chart = line|bar)
    */
   async _handleTableRoute(route, params) {
     const tableId = route.replace('table/', '');
@@ -373,6 +553,7 @@ const URLRouter = {
     const variableSelection = params.v ? this.decode(params.v) : null;
     const codelistIds = params.c ? this.decode(params.c) : null;
     const layout = params.l ? this.decode(params.l) : null;
+    const chartType = ['line', 'bar'].includes(params.chart) ? params.chart : null;
 
     // Validate that we have variable selections (required for table view)
     if (!variableSelection || Object.keys(variableSelection).length === 0) {
@@ -388,7 +569,7 @@ const URLRouter = {
     // Set up AppState
     AppState.selectedTable = {
       id: tableId,
-      label: tableId + ': (laster...)'
+      label: tableId + ': ' + t('loading.app')
     };
 
     AppState.variableSelection = variableSelection;
@@ -405,66 +586,270 @@ const URLRouter = {
       AppState.tableLayout = { rows: [], columns: [] };
     }
 
+    AppState.chartType = chartType;
+    AppState.joinDefinition = null;
+    AppState.derivedColumns = this._decodeDerivedColumns(params.d);
+    AppState.collapsedNodes = this._decodeCollapsedNodes(params.f);
+
     AppState.currentView = 'table';
 
+    if (!(await this._checkLinkedSelection(tableId))) return;
+
     // Render view (will fetch data)
     renderCurrentView();
   }
 };
 
 /**
- * SSBURLMapper - URL mapping for Chrome extension integration
+ * SSBURLMapper - URL mapping for Chrome extension integration and pasted links
  *
- * Converts URLs from SSB's statistikkbank to app hash URLs
+ * Converts URLs from SSB's statistikkbank, PxWebApi URLs and query bodies
+ * to app hash URLs
  */
 const SSBURLMapper = {
   /**
    * Convert SSB.no URL to app hash
    *
-   * @param {string} ssbUrl - SSB statistikkbank URL
-   * @returns {string} App hash URL
+   * @param {string} ssbUrl - SSB statistikkbank URL, PxWebApi URL or query (see detect())
+   * @returns {string} App hash URL (#home when the text is not recognised)
    *
    * @example
    * fromSSB('https://www.ssb.no/statbank/table/13760')
-   * // Returns: '#variables/13760'
+   * // Returns: '#variables/13760?i=ssb'
    *
    * @example
    * fromSSB('https://www.ssb.no/statbank/?query=unemployment')
-   * // Returns: '#browser?q=unemployment'
+   * // Returns: '#search?q=unemployment'
+   *
+   * @example
+   * fromSSB('https://data.ssb.no/api/pxwebapi/v2/tables/07459/data?valueCodes[Region]=0301&valueCodes[Tid]=top(5)&heading=Tid')
+   * // Returns: '#table/07459?v=...&l=...&i=ssb'
    */
   fromSSB(ssbUrl) {
-    try {
-      const url = new URL(ssbUrl);
+    return this.detect(ssbUrl) || URLRouter.buildHash('home', {});
+  },
 
-      // Saved query: /statbank/sq/{id} or ?sq={id}
-      const sqPathMatch = url.pathname.match(/\/statbank\/sq\/(\d+)/);
-      if (sqPathMatch) {
-        return URLRouter.buildHash('sq/' + sqPathMatch[1], {});
-      }
-      const sqParam = url.searchParams.get('sq');
-      if (sqParam && /^\d+$/.test(sqParam)) {
-        return URLRouter.buildHash('sq/' + sqParam, {});
+  /**
+   * Recognise a pasted link or query and convert it to an app hash.
+   * Handles:
+   *   .../statbank/sq/{id}, ?sq={id}, #sq/{id}                  → #sq/{id}
+   *   .../statbank/table/{id}[/tableViewLayout1/]                → #variables/{id}
+   *   .../statbank/?query={term}                                 → #search?q={term}
+   *   PxWebApi v2 .../tables/{id}/data?valueCodes[X]=...&codelist[X]=...&stub=...&heading=...
+   *                                                              → #table/{id}?v=...&c=...&l=...
+   *   PxWebApi v2 .../tables/{id}[/metadata], v1 .../api/v0/{lang}/table/{id}
+   *                                                              → #variables/{id}
+   *   POST bodies pasted as JSON, optionally after the URL they go to:
+   *   v2 { selection, placement }, v2 saved queries { tableId, selection }
+   *   and v1 { query }                                           → #table/{id}?v=...&c=...&l=...
+   *
+   * StatBank table links carry no selection (SSB keeps it in the session), so
+   * they open the variable view. Links to another instance's hosts name that
+   * instance (i), since table IDs belong to one source.
+   * Value expressions (top(N), from(x), wildcards) are passed on as they are;
+   * the variable view only restores "*" and top(N).
+   *
+   * @param {string} text - Pasted text
+   * @returns {string|null} App hash, or null when the text is not recognised
+   */
+  detect(text) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return null;
+
+    // A JSON body, possibly after the URL it was posted to
+    const jsonStart = trimmed.indexOf('{');
+    const urlText = (jsonStart >= 0 ? trimmed.slice(0, jsonStart) : trimmed)
+      .replace(/^(GET|POST)\s+/i, '').trim();
+    let body = null;
+    if (jsonStart >= 0) {
+      try {
+        body = JSON.parse(trimmed.slice(jsonStart));
+      } catch (e) {
+        logger.warn('[SSBURLMapper] Pasted text is not a JSON query:', e.message);
+        return null;
       }
+    }
 
-      // Table view: /statbank/table/{tableId}
-      const tableMatch = url.pathname.match(/\/statbank\/table\/(\d+)/);
-      if (tableMatch) {
-        const tableId = tableMatch[1];
-        return URLRouter.buildHash(`variables/${tableId}`, {});
+    let url = null;
+    if (urlText) {
+      try {
+        // Also accept links pasted without the scheme (www.ssb.no/statbank/...)
+        url = new URL(/^[\w-]+(\.[\w-]+)+\//.test(urlText) ? 'https://' + urlText : urlText);
+      } catch (e) {
+        if (!detectSavedQueryId(urlText)) return null;
       }
+    }
+    const params = this._instanceParams(url);
+
+    const sqId = urlText ? detectSavedQueryId(urlText) : null;
+    if (sqId) return URLRouter.buildHash('sq/' + sqId, params);
+
+    const link = url ? this._parseUrl(url) : null;
+    if (link?.hash) return link.hash;
+    const posted = body ? this._parseBody(body) : null;
+    if (body && !posted) return null;
+
+    const tableId = posted?.tableId || link?.tableId;
+    if (!tableId) return null;
+    const query = posted?.query || link?.query;
+
+    if (!query || Object.keys(query.selection).length === 0) {
+      return URLRouter.buildHash(`variables/${tableId}`, params);
+    }
+    return URLRouter.buildHash(`table/${tableId}`, {
+      ...params,
+      v: URLRouter.encode(query.selection),
+      c: URLRouter.encode(query.codelists),
+      l: URLRouter.encode(query.layout)
+    });
+  },
+
+  /**
+   * Table ID and (for v2 data URLs) query of a StatBank or PxWebApi URL
+   * @param {URL} url - Parsed URL
+   * @returns {Object|null} {tableId, query} ({selection, codelists, layout} or null), {hash} for searches, or null
+   */
+  _parseUrl(url) {
+    const path = url.pathname;
+
+    // PxWebApi v2 (and v2-beta): /tables/{id}, /tables/{id}/metadata, /tables/{id}/data
+    const v2Match = path.match(/\/tables\/([A-Za-z0-9_]+)(?:\/(data|metadata))?\/?$/);
+    if (v2Match) {
+      return { tableId: v2Match[1], query: v2Match[2] === 'data' ? this._parseDataParams(url.searchParams) : null };
+    }
+
+    // PxWebApi v1: /api/v0/{lang}/table/{id} (a GET returns metadata, data needs a POST body)
+    const v1Match = path.match(/\/api\/v[01]\/[a-z]{2}\/table\/(?:.+\/)?([A-Za-z0-9_]+)\/?$/);
+    if (v1Match) {
+      return { tableId: v1Match[1], query: null };
+    }
+
+    // StatBank: /statbank/table/{id}, /statbank/table/{id}/tableViewLayout1/, ...
+    const tableMatch = path.match(/\/statbank\/table\/(\d+)/);
+    if (tableMatch) {
+      return { tableId: tableMatch[1], query: null };
+    }
+
+    // Search: /statbank/?query={term}
+    const term = url.searchParams.get('query');
+    if (term) {
+      return { hash: URLRouter.buildHash('search', { q: term }) };
+    }
+
+    return null;
+  },
 
-      // Search: /statbank/?query={term}
-      const query = url.searchParams.get('query');
-      if (query) {
-        return URLRouter.buildHash('search', { q: query });
+  /**
+   * Query of a PxWebApi v2 GET data URL
+   * (valueCodes[X]=a,b, codelist[X]=id, stub=X,Y, heading=Z; outputValues follows from the codelist)
+   * @param {URLSearchParams} searchParams - URL parameters
+   * @returns {Object} {selection, codelists, layout}
+   */
+  _parseDataParams(searchParams) {
+    const selection = {};
+    const codelists = {};
+    let stub = [];
+    let heading = [];
+
+    for (const [key, value] of searchParams.entries()) {
+      const match = key.match(/^(valueCodes|codelist)\[(.+)\]$/i);
+      if (match && match[1].toLowerCase() === 'valuecodes') {
+        const codes = this._splitList(value);
+        if (codes.length > 0) selection[match[2]] = this._valueCodes(codes);
+      } else if (match && value) {
+        codelists[match[2]] = value;
+      } else if (key.toLowerCase() === 'stub') {
+        stub = this._splitList(value);
+      } else if (key.toLowerCase() === 'heading') {
+        heading = this._splitList(value);
       }
+    }
 
-      // Default to home
-      return URLRouter.buildHash('home', {});
-    } catch (e) {
-      logger.error('[SSBURLMapper] Invalid SSB URL:', e);
-      return URLRouter.buildHash('home', {});
+    return { selection, codelists, layout: this._layout(stub, heading) };
+  },
+
+  /**
+   * Table ID (when given) and query of a pasted POST body
+   * @param {Object} body - Parsed JSON
+   * @returns {Object|null} {tableId, query}, or null when the JSON is not a query
+   */
+  _parseBody(body) {
+    const sq = body.savedQuery || body;
+    // v2 POST body { selection: [...], placement }, or a saved query { tableId, selection: { selection, placement } }
+    const v2 = Array.isArray(sq.selection) ? sq : (Array.isArray(sq.selection?.selection) ? sq.selection : null);
+    const selection = {};
+    const codelists = {};
+
+    if (v2) {
+      v2.selection.forEach(item => {
+        if (!item?.variableCode || !Array.isArray(item.valueCodes) || item.valueCodes.length === 0) return;
+        selection[item.variableCode] = this._valueCodes(item.valueCodes);
+        if (item.codelist) codelists[item.variableCode] = item.codelist;
+      });
+      const layout = this._layout(v2.placement?.stub, v2.placement?.heading);
+      return { tableId: sq.tableId || null, query: { selection, codelists, layout } };
     }
+
+    // v1 POST body { query: [{ code, selection: { filter, values } }] }
+    if (Array.isArray(body.query)) {
+      body.query.forEach(item => {
+        const values = item?.selection?.values || [];
+        if (!item?.code || values.length === 0) return;
+        const [filter, name] = (item.selection.filter || 'item').split(':');
+        if (filter === 'all') {
+          selection[item.code] = values[0];
+        } else if (filter === 'top') {
+          selection[item.code] = `top(${values[0]})`;
+        } else {
+          selection[item.code] = values;
+        }
+        // v1 names codelists vs:Name / agg:Name, v2 vs_Name / agg_Name
+        if (name) codelists[item.code] = (filter === 'vs' ? 'vs_' : 'agg_') + name;
+      });
+      return { tableId: null, query: { selection, codelists, layout: null } };
+    }
+
+    return null;
+  },
+
+  /**
+   * Split a comma-separated parameter, keeping expressions like range(a,b) whole
+   * @param {string} value - Parameter value
+   * @returns {Array<string>}
+   */
+  _splitList(value) {
+    return (value.match(/[^,(]+(?:\([^)]*\))?[^,]*/g) || []).map(s => s.trim()).filter(Boolean);
+  },
+
+  /**
+   * A single expression ("*", top(N), from(x), 03*) is stored as a string,
+   * like the variable view stores "*" and top(N); codes as an array
+   * @param {Array<string>} codes - Value codes
+   * @returns {Array<string>|string}
+   */
+  _valueCodes(codes) {
+    return codes.length === 1 && /[*?(]/.test(codes[0]) ? codes[0] : codes;
+  },
+
+  /**
+   * Table layout from stub and heading, or null when neither is given
+   */
+  _layout(stub, heading) {
+    if (!stub?.length && !heading?.length) return null;
+    return { rows: stub || [], columns: heading || [] };
+  },
+
+  /**
+   * Instance parameter for links to another instance's API or website (instances.js)
+   * @param {URL|null} url - Parsed URL
+   * @returns {Object} {i} or {}
+   */
+  _instanceParams(url) {
+    if (!url) return {};
+    const host = (u) => new URL(u).host.replace(/^www\./, '');
+    const inst = getSelectableInstances().find(candidate =>
+      [candidate.apiBaseUrl, candidate.source.url].some(u => host(u) === host(url.href)));
+    return inst && inst.id !== AppConfig.instance ? { i: inst.id } : {};
   },
 
   /**
@@ -7,14 +7,15 @@
  * - Relevance ranking (title match ranks higher than path match)
  * - Synonym expansion (AKU → Arbeidskraftundersøkelsen)
  * - Topic path search at Level 4+ (path.slice(2) segments)
+ * - Value matches from the local value index (value-index.js), when switched on
  *
  * Used by BrowserState.filterTables() when filters.enhanced is true.
  */
 
 const SearchEnhanced = {
 
-  // Synonym groups loaded from synonyms.js
-  SYNONYM_GROUPS: SearchSynonyms,
+  // Synonym groups of the active instance (synonyms.js for SSB, instances.js)
+  SYNONYM_GROUPS: getActiveInstance().synonyms || [],
 
   /**
    * Normalize a string: lowercase + strip Norwegian/common diacritics.
@@ -97,9 +98,10 @@ const SearchEnhanced = {
    *   Label contains token:    +20
    *   ID matches token:        +15
    *   Variable contains token: +10
+   *   Value in the table:      +12 (valueMatches from ValueIndex.lookup())
    *   Path label/id contains:  +8
    */
-  _scoreEntry(entry, tokenGroups) {
+  _scoreEntry(entry, tokenGroups, valueMatches = null) {
     let totalScore = 0;
 
     for (const variants of tokenGroups) {
@@ -122,6 +124,10 @@ const SearchEnhanced = {
           s = Math.max(s, 10);
         }
 
+        if (valueMatches?.get(variant)?.has(entry.table.id)) {
+          s = Math.max(s, 12);
+        }
+
         if (
           entry.normPathLabels.some(l => l.includes(variant)) ||
           entry.normPathIds.some(id => id.includes(variant))
@@ -141,6 +147,16 @@ const SearchEnhanced = {
     return totalScore;
   },
 
+  /**
+   * All normalized query tokens with their synonym variants (value index lookup)
+   * @param {string} rawQuery - The user's raw query string
+   * @returns {string[]}
+   */
+  queryVariants(rawQuery) {
+    const tokens = this.normalizeText(rawQuery || '').trim().split(/\s+/).filter(t => t.length > 0);
+    return [...new Set(this._expandTokens(tokens).flat())];
+  },
+
   /**
    * Build a single query string for the SSB API using OR syntax.
    * For single-token queries with synonyms, joins all variants with " OR " so
@@ -200,7 +216,7 @@ const SearchEnhanced = {
    * Non-query filters (discontinued, subject, etc.) have already been applied.
    *
    * @param {Array} subIndex - Index entries for the already-filtered table subset
-   * @param {Object} filters - BrowserState.searchFilters (must have .query)
+   * @param {Object} filters - BrowserState.searchFilters (must have .query; optional .valueMatches)
    * @returns {Array} Tables sorted by relevance score descending
    */
   filterAndRank(subIndex, filters) {
@@ -215,7 +231,7 @@ const SearchEnhanced = {
     const scored = [];
 
     for (const entry of subIndex) {
-      const score = this._scoreEntry(entry, tokenGroups);
+      const score = this._scoreEntry(entry, tokenGroups, filters.valueMatches);
       if (score >= 0) {
         scored.push({ table: entry.table, score });
       }
@@ -6,7 +6,8 @@
  * Debounced auto-search when already on the search page.
  *
  * Enhanced mode additionally queries the SSB API server-side to find tables
- * matched via variable VALUES (not available in the local table list).
+ * matched via variable VALUES (not available in the local table list), and,
+ * when switched on, the local value index (value-index.js).
  */
 
 // Token to cancel in-flight enhanced searches when a new one starts
@@ -64,9 +65,9 @@ async function renderSearchView(container) {
         <select id="subject-filter" class="filter-select">
           <option value="">${t('filter.allSubjects')}${totalCount > 0 ? ` (${totalCount})` : ''}</option>
           ${Object.values(mh.subjectGroups).map(group => `
-            <optgroup label="${escapeHtml(t('subject.group.' + group.id))}">
+            <optgroup label="${escapeHtml(mh.groupLabel(group.id))}">
               ${group.subjects.map(subjectCode => {
-                const subjectName = t('subject.name.' + subjectCode) || mh.subjectNames[subjectCode];
+                const subjectName = mh.subjectLabel(subjectCode);
                 const count = hitCounts[subjectCode] || 0;
                 const disabled = count === 0 ? 'disabled' : '';
                 const selected = filters.subjectFilter === subjectCode ? 'selected' : '';
@@ -92,8 +93,12 @@ async function renderSearchView(container) {
           <option value="365" ${filters.updatedFilter === '365' ? 'selected' : ''}>${t('filter.lastYear')}${updatedCounts['365'] !== undefined ? ` (${updatedCounts['365']})` : ''}</option>
           <option value="730" ${filters.updatedFilter === '730' ? 'selected' : ''}>${t('filter.last2Years')}${updatedCounts['730'] !== undefined ? ` (${updatedCounts['730']})` : ''}</option>
         </select>
+
+        ${BrowserState.renderFacetFilters('', mh.allTables, filters)}
       </div>
 
+      <div id="value-index-status" class="value-index-status" ${filters.enhanced ? '' : 'hidden'}></div>
+
       <div id="search-content-area"></div>
     </div>
   `;
@@ -101,6 +106,8 @@ async function renderSearchView(container) {
   // Attach menu bar listeners
   MenuBar.attachListeners(container);
 
+  renderValueIndexStatus(document.getElementById('value-index-status'));
+
   // Search input: override the default Enter-navigation with in-page search
   const searchInput = document.getElementById('page-search');
   if (searchInput) {
@@ -108,11 +115,7 @@ async function renderSearchView(container) {
     searchInput.addEventListener('keydown', (e) => {
       if (e.key === 'Enter') {
         e.stopPropagation();
-        const sqId = detectSavedQueryId(searchInput.value);
-        if (sqId) {
-          URLRouter.navigateTo('sq/' + sqId, {});
-          URLRouter.handleRoute();
-        } else {
+        if (!openPastedLink(searchInput.value)) {
           _searchPerformSearch();
         }
       }
@@ -127,7 +130,8 @@ async function renderSearchView(container) {
   }
 
   // Filter change listeners
-  const filterIds = ['include-discontinued', 'enhanced-search', 'subject-filter', 'frequency-filter', 'updated-filter'];
+  const filterIds = ['include-discontinued', 'enhanced-search', 'subject-filter', 'frequency-filter', 'updated-filter',
+    'variable-filter', 'period-from-filter', 'period-to-filter', 'region-filter'];
   filterIds.forEach(filterId => {
     const element = document.getElementById(filterId);
     if (element) {
@@ -138,7 +142,8 @@ async function renderSearchView(container) {
   });
 
   // Perform initial search if query/filters present
-  if (filters.query || filters.subjectFilter || filters.frequencyFilter || filters.updatedFilter) {
+  if (filters.query || filters.subjectFilter || filters.frequencyFilter || filters.updatedFilter ||
+      BrowserState.hasFacetFilters(filters)) {
     _searchPerformSearch();
   } else {
     _searchShowWelcome();
@@ -186,12 +191,17 @@ async function _searchPerformSearch() {
   BrowserState.searchFilters.subjectFilter = subjectFilter;
   BrowserState.searchFilters.frequencyFilter = frequencyFilter;
   BrowserState.searchFilters.updatedFilter = updatedFilter;
+  BrowserState.readFacetFilters('', BrowserState.searchFilters);
+
+  const valueIndexStatus = document.getElementById('value-index-status');
+  if (valueIndexStatus) valueIndexStatus.hidden = !enhanced;
 
   // Update URL without triggering re-render
   URLRouter.navigateTo('search', BrowserState.searchFiltersToParams(), false);
 
   // If no query and no filters, show welcome
-  if (!query && !subjectFilter && !frequencyFilter && !updatedFilter) {
+  if (!query && !subjectFilter && !frequencyFilter && !updatedFilter &&
+      !BrowserState.hasFacetFilters(BrowserState.searchFilters)) {
     _searchShowWelcome();
     // Update dropdown counts
     _searchUpdateDropdownCounts();
@@ -202,7 +212,7 @@ async function _searchPerformSearch() {
   _searchUpdateDropdownCounts();
 
   // Client-side results (instant — uses local table list)
-  const clientResults = BrowserState.filterTables(mh.allTables, BrowserState.searchFilters);
+  let clientResults = BrowserState.filterTables(mh.allTables, BrowserState.searchFilters);
   _renderSearchResults(contentArea, clientResults, mh, enhanced);
 
   // Server-side augmentation and fuzzy fallback.
@@ -215,6 +225,16 @@ async function _searchPerformSearch() {
     const myToken = ++_searchToken;
 
     try {
+      // Local value index: tables that have a value (code or label word) matching the query
+      if (enhanced && ValueIndex.enabled) {
+        const valueMatches = await ValueIndex.lookup(SearchEnhanced.queryVariants(query));
+        if (myToken !== _searchToken) return;
+        if ([...valueMatches.values()].some(ids => ids.size > 0)) {
+          clientResults = BrowserState.filterTables(mh.allTables, { ...BrowserState.searchFilters, valueMatches });
+          _renderSearchResults(contentArea, clientResults, mh, enhanced);
+        }
+      }
+
       const allTablesMap = new Map(mh.allTables.map(t => [t.id, t]));
       const clientIds = new Set(clientResults.map(t => t.id));
       const _extractExtras = (response) =>
@@ -246,7 +266,7 @@ async function _searchPerformSearch() {
         return;
       }
 
-      // Apply non-query filters (subject, frequency, updated, discontinued)
+      // Apply non-query filters (subject, frequency, updated, discontinued, facets)
       const filteredExtras = BrowserState._filterNonQuery(serverExtras, BrowserState.searchFilters);
 
       if (filteredExtras.length > 0) {
@@ -306,7 +326,7 @@ function _searchGroupBySubject(tables, mh, preserveOrder) {
     if (!groups[code]) {
       groups[code] = {
         code: code,
-        label: t('subject.name.' + code) || mh.subjectNames[code] || code,
+        label: mh.subjectLabel(code),
         tables: []
       };
     }
@@ -324,7 +344,7 @@ function _searchGroupBySubject(tables, mh, preserveOrder) {
 }
 
 /**
- * Update subject and updated-filter dropdowns with dynamic hit counts
+ * Update subject, frequency, updated-filter and facet dropdowns with dynamic hit counts
  */
 function _searchUpdateDropdownCounts() {
   const mh = BrowserState.menuHierarchy;
@@ -344,9 +364,9 @@ function _searchUpdateDropdownCounts() {
     subjectFilterEl.innerHTML = `
       <option value="">${t('filter.allSubjects')}${totalCount > 0 ? ` (${totalCount})` : ''}</option>
       ${Object.entries(mh.subjectGroups).map(([id, group]) => `
-        <optgroup label="${escapeHtml(t('subject.group.' + group.id))}">
+        <optgroup label="${escapeHtml(mh.groupLabel(group.id))}">
           ${group.subjects.map(subjectCode => {
-            const subjectName = t('subject.name.' + subjectCode) || mh.subjectNames[subjectCode];
+            const subjectName = mh.subjectLabel(subjectCode);
             const count = hitCounts[subjectCode] || 0;
             const disabled = count === 0 ? 'disabled' : '';
             return `<option value="${subjectCode}" ${disabled}>${escapeHtml(subjectName)} (${count})</option>`;
@@ -399,6 +419,9 @@ function _searchUpdateDropdownCounts() {
       updatedFilterEl.value = selectedValue;
     }
   }
+
+  // Update facet dropdowns (variable, period range, regional level)
+  BrowserState.updateFacetFilters('', mh.allTables, filters);
 }
 
 /**
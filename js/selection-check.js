@@ -0,0 +1,295 @@
+/**
+ * Selection Check - Compare a stored selection with a table's current metadata
+ *
+ * Selections outlive the metadata they were made against: library entries,
+ * imported library files and bookmarked links keep value codes that the
+ * source may since have removed (e.g. after a municipal reform).
+ * findSelectionProblems() lists what no longer matches; checkStoredSelection()
+ * fetches what it needs (metadata and aggregation codelists, both cached)
+ * and runs it.
+ *
+ * Links to the table and variable views are checked before use (router.js).
+ * When something is gone, renderSelectionRepair() lets the user choose per
+ * variable how to repair it (repairSelection()): drop the missing codes, switch
+ * to an aggregation codelist that has them, or for time variables switch to the
+ * last N periods or to every period from the first one selected.
+ */
+
+/**
+ * Find the parts of a selection that the table no longer has.
+ *
+ * "*" and top(N)/from(x) expressions always match. With a valueset (vs_)
+ * codelist the selection holds the table's own codes; with an aggregation
+ * (agg_) codelist it holds the codelist's codes, which are only checked
+ * when that codelist is passed in.
+ *
+ * @param {object} metadata - JSON-stat2 table metadata
+ * @param {object} selection - variableSelection
+ * @param {object} codelistIds - activeCodelistIds
+ * @param {object} codelists - Fetched codelists by ID ({ values: [{ code }] })
+ * @returns {object|null} - { dimensions: [dim], codes: { dim: [code] }, codelists: { dim: id } }, or null when everything matches
+ */
+function findSelectionProblems(metadata, selection, codelistIds = {}, codelists = {}) {
+  const problems = { dimensions: [], codes: {}, codelists: {} };
+
+  Object.entries(selection || {}).forEach(([dim, values]) => {
+    const dimension = metadata.dimension?.[dim];
+    if (!dimension) {
+      problems.dimensions.push(dim);
+      return;
+    }
+
+    const codelistId = codelistIds?.[dim];
+    if (codelistId && !(dimension.extension?.codelists || []).some(cl => cl.id === codelistId)) {
+      problems.codelists[dim] = codelistId;
+      return;
+    }
+    if (!Array.isArray(values)) return;
+
+    let known;
+    if (codelistId && isAggregationCodelistId(codelistId)) {
+      if (!codelists[codelistId]) return;
+      known = new Set((codelists[codelistId].values || []).map(v => v.code));
+    } else {
+      const index = dimension.category?.index || {};
+      known = new Set(Array.isArray(index) ? index : Object.keys(index));
+    }
+    const invalid = values.filter(code => !known.has(code));
+    if (invalid.length > 0) problems.codes[dim] = invalid;
+  });
+
+  const count = problems.dimensions.length + Object.keys(problems.codes).length +
+    Object.keys(problems.codelists).length;
+  return count > 0 ? problems : null;
+}
+
+/**
+ * Check a stored selection against the table's current metadata
+ * @param {string} tableId - Table ID
+ * @param {object} selection - variableSelection
+ * @param {object} codelistIds - activeCodelistIds
+ * @returns {Promise<object>} - { problems (findSelectionProblems() result), metadata, codelists }
+ * @throws {Error} - When the metadata cannot be fetched (e.g. the table is gone)
+ */
+async function checkStoredSelection(tableId, selection, codelistIds = {}) {
+  const lang = getCurrentApiLang();
+  const metadata = await api.getTableMetadata(tableId, true, lang);
+
+  const codelists = {};
+  for (const id of new Set(Object.values(codelistIds || {}))) {
+    if (!isAggregationCodelistId(id)) continue;
+    try {
+      codelists[id] = await api.getCodeList(id, true, lang);
+    } catch (e) {
+      logger.warn('[SelectionCheck] Could not fetch codelist', id, e);
+    }
+  }
+
+  return { problems: findSelectionProblems(metadata, selection, codelistIds, codelists), metadata, codelists };
+}
+
+/**
+ * A dimension's codes in table order
+ * @param {object} dimension - JSON-stat2 dimension
+ * @returns {Array<string>}
+ */
+function _selectionCheckCodes(dimension) {
+  const index = dimension.category?.index || {};
+  return Array.isArray(index) ? index : Object.keys(index).sort((a, b) => index[a] - index[b]);
+}
+
+/**
+ * The earliest selected period the table still has (where the 'from' repair starts)
+ * @param {object} metadata - JSON-stat2 table metadata
+ * @param {string} dim - Time dimension code
+ * @param {Array<string>} values - Selected codes
+ * @returns {string|null} - null when none of them is left
+ */
+function _firstValidPeriod(metadata, dim, values) {
+  const selected = new Set(values);
+  return _selectionCheckCodes(metadata.dimension[dim]).find(code => selected.has(code)) || null;
+}
+
+/**
+ * Apply repair choices to a selection. Missing variables are dropped, missing
+ * codelists are replaced by the variable's own values, and for missing codes
+ * the choice per variable is one of:
+ *   'drop'          — keep only the codes that still exist (default)
+ *   'top'           — the last N periods, N = number of codes selected
+ *   'from'          — from(x), x being the first selected period that still
+ *                     exists: it and every later period, also ones added later
+ *   'codelist:{id}' — keep the codes and use that (aggregation) codelist
+ * Variables left without codes are removed, as if eliminated.
+ *
+ * @param {object} metadata - JSON-stat2 table metadata
+ * @param {object} selection - variableSelection
+ * @param {object} codelistIds - activeCodelistIds
+ * @param {object} problems - findSelectionProblems() result
+ * @param {object} choices - { dim: choice }
+ * @returns {object} - { selection, codelistIds }
+ */
+function repairSelection(metadata, selection, codelistIds, problems, choices = {}) {
+  const repaired = { ...selection };
+  const ids = { ...codelistIds };
+
+  problems.dimensions.forEach(dim => {
+    delete repaired[dim];
+    delete ids[dim];
+  });
+  Object.keys(problems.codelists).forEach(dim => delete ids[dim]);
+
+  const dropInvalid = (dim, invalid) => {
+    const kept = repaired[dim].filter(code => !invalid.includes(code));
+    if (kept.length > 0) {
+      repaired[dim] = kept;
+    } else {
+      delete repaired[dim];
+    }
+  };
+
+  Object.entries(problems.codes).forEach(([dim, invalid]) => {
+    const choice = choices[dim] || 'drop';
+    const values = repaired[dim];
+    if (choice.startsWith('codelist:')) {
+      ids[dim] = choice.slice('codelist:'.length);
+    } else if (choice === 'top') {
+      repaired[dim] = 'top(' + values.length + ')';
+    } else if (choice === 'from') {
+      const first = _firstValidPeriod(metadata, dim, values);
+      if (first) {
+        repaired[dim] = 'from(' + first + ')';
+      } else {
+        delete repaired[dim];
+      }
+    } else {
+      dropInvalid(dim, invalid);
+    }
+  });
+
+  // Codes that only existed in a dropped codelist
+  const remaining = findSelectionProblems(metadata, repaired, ids);
+  Object.entries(remaining?.codes || {}).forEach(([dim, invalid]) => {
+    if (!ids[dim]) dropInvalid(dim, invalid);
+  });
+
+  return { selection: repaired, codelistIds: ids };
+}
+
+/**
+ * Aggregation codelists of a dimension that contain all the given codes.
+ * Only aggregation codelists can have codes the table itself lacks.
+ * @param {object} metadata - JSON-stat2 table metadata
+ * @param {string} dim - Dimension code
+ * @param {Array<string>} codes - Selected codes
+ * @returns {Promise<Array<object>>} - [{ id, label }]
+ */
+async function findCodelistsWithCodes(metadata, dim, codes) {
+  const matches = [];
+  const candidates = (metadata.dimension[dim].extension?.codelists || [])
+    .filter(cl => isAggregationCodelistId(cl.id));
+  for (const cl of candidates) {
+    try {
+      const codelist = await api.getCodeList(cl.id, true, getCurrentApiLang());
+      const known = new Set((codelist.values || []).map(v => v.code));
+      if (codes.every(code => known.has(code))) {
+        matches.push({ id: cl.id, label: cl.label || codelist.label || cl.id });
+      }
+    } catch (e) {
+      logger.warn('[SelectionCheck] Could not fetch codelist', cl.id, e);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Show which parts of a linked selection are gone, with a repair choice per
+ * variable, instead of letting the API reject the query
+ * @param {HTMLElement} container - Container element
+ * @param {string} tableId - Table ID
+ * @param {object} check - checkStoredSelection() result with problems
+ * @param {Function} onRepair - Called with repairSelection()'s result
+ * @param {Function} onIgnore - Called to continue with the selection unchanged
+ */
+function renderSelectionRepair(container, tableId, check, onRepair, onIgnore) {
+  const { metadata, problems } = check;
+  const selection = AppState.variableSelection;
+  const timeDims = metadata.role?.time || [];
+  const dimLabel = (dim) => metadata.dimension[dim]?.label || dim;
+
+  const rows = [
+    ...problems.dimensions.map(dim => `
+      <li class="repair-item">
+        <span class="repair-problem">${escapeHtml(tpl('selectionCheck.dimension', dim))}</span>
+        <span>${t('repair.dropDimension')}</span>
+      </li>`),
+    ...Object.entries(problems.codelists).map(([dim, id]) => `
+      <li class="repair-item">
+        <span class="repair-problem">${escapeHtml(tpl('selectionCheck.codelist', dimLabel(dim), id))}</span>
+        <span>${t('repair.dropCodelist')}</span>
+      </li>`),
+    ...Object.entries(problems.codes).map(([dim, invalid]) => {
+      const values = selection[dim];
+      const options = [['drop', tpl('repair.drop', values.length - invalid.length)]];
+      if (timeDims.includes(dim)) {
+        options.push(['top', tpl('repair.top', values.length)]);
+        const first = _firstValidPeriod(metadata, dim, values);
+        if (first) options.push(['from', tpl('repair.from', first)]);
+      }
+      return `
+      <li class="repair-item">
+        <span class="repair-problem">${escapeHtml(tpl('selectionCheck.codes', dimLabel(dim), invalid.join(', ')))}</span>
+        <select class="filter-select repair-choice" data-dim="${escapeHtml(dim)}" aria-label="${escapeHtml(dimLabel(dim))}">
+          ${options.map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('')}
+        </select>
+      </li>`;
+    })
+  ];
+
+  container.innerHTML = `
+    <div class="view-container selection-repair">
+      <div class="view-header">
+        <h2>${t('repair.title')}</h2>
+        <p class="view-description">${escapeHtml(tpl('repair.description', tableId))}</p>
+      </div>
+      <ul class="repair-list">${rows.join('')}</ul>
+      <div class="control-group">
+        <button id="repair-apply-btn" class="btn-primary">${t('repair.apply')}</button>
+        <button id="repair-ignore-btn" class="btn-secondary">${t('repair.ignore')}</button>
+      </div>
+    </div>
+  `;
+
+  document.getElementById('repair-apply-btn')?.addEventListener('click', () => {
+    const choices = {};
+    container.querySelectorAll('.repair-choice').forEach(select => {
+      choices[select.dataset.dim] = select.value;
+    });
+    onRepair(repairSelection(metadata, selection, AppState.activeCodelistIds, problems, choices));
+  });
+  document.getElementById('repair-ignore-btn')?.addEventListener('click', onIgnore);
+
+  // Offer aggregation codelists that know the missing codes (fetched after rendering)
+  container.querySelectorAll('.repair-choice').forEach(async select => {
+    const dim = select.dataset.dim;
+    if (AppState.activeCodelistIds?.[dim]) return;
+    const matches = await findCodelistsWithCodes(metadata, dim, selection[dim]);
+    matches.forEach(cl => {
+      select.insertAdjacentHTML('beforeend',
+        `<option value="codelist:${escapeHtml(cl.id)}">${escapeHtml(tpl('repair.codelist', cl.label))}</option>`);
+    });
+  });
+}
+
+/**
+ * Human-readable lines for a findSelectionProblems() result
+ * @param {object|null} problems - findSelectionProblems() result
+ * @returns {Array<string>}
+ */
+function describeSelectionProblems(problems) {
+  if (!problems) return [];
+  return [
+    ...problems.dimensions.map(dim => tpl('selectionCheck.dimension', dim)),
+    ...Object.entries(problems.codelists).map(([dim, id]) => tpl('selectionCheck.codelist', dim, id)),
+    ...Object.entries(problems.codes).map(([dim, codes]) => tpl('selectionCheck.codes', dim, codes.join(', ')))
+  ];
+}
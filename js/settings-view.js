@@ -0,0 +1,256 @@
+/**
+ * Settings View - Cache inspector (#settings/cache)
+ *
+ * Lists every entry held by CacheManager (localStorage and IndexedDB) with
+ * size, storage backend, stored/expires time and whether it is stale
+ * according to AppConfig.sourceUpdateTimes. Entries can be deleted one by
+ * one or in bulk, and the table list can be re-fetched on demand.
+ *
+ * The view also holds the opt-in switch for the query result cache
+ * (AppConfig.cache.queryResults). The choice is kept in userDataStore
+ * ('cacheSettings') and applied on startup by CacheSettings.load().
+ *
+ * User data (workspace, watchlist, pinned tables) lives in userDataStore and
+ * is not listed here.
+ */
+
+const CacheSettings = {
+  _loaded: false,
+
+  /**
+   * Apply the saved setting to AppConfig (once per session, called on startup, index.html)
+   */
+  async load() {
+    if (this._loaded) return;
+    this._loaded = true;
+    try {
+      const saved = await userDataStore.get('cacheSettings');
+      AppConfig.cache.queryResults = saved?.queryResults === true;
+    } catch (e) {
+      logger.warn('[Settings] Could not load cache settings:', e);
+    }
+  },
+
+  async save() {
+    try {
+      await userDataStore.set('cacheSettings', { queryResults: AppConfig.cache.queryResults }, Infinity);
+    } catch (e) {
+      logger.warn('[Settings] Could not save cache settings:', e);
+    }
+  },
+
+  /**
+   * Switch the query result cache on or off. Turning it off deletes the
+   * results already stored.
+   * @param {boolean} enabled
+   */
+  async setQueryResults(enabled) {
+    AppConfig.cache.queryResults = enabled;
+    await this.save();
+    if (!enabled) {
+      const stored = (await api.listCacheEntries()).filter(entry => entry.key.startsWith('data_'));
+      for (const entry of stored) {
+        await api.deleteCacheEntry(entry);
+      }
+    }
+    logger.log('[Settings] Query result cache ' + (enabled ? 'on' : 'off'));
+  }
+};
+
+/**
+ * Render the settings view
+ * @param {HTMLElement} container - Container element
+ */
+async function renderSettingsView(container) {
+  updatePageTitle([t('settings.title')]);
+
+  const [entries, estimate] = await Promise.all([
+    api.listCacheEntries(),
+    navigator.storage?.estimate ? navigator.storage.estimate().catch(() => null) : null
+  ]);
+  entries.sort((a, b) => b.size - a.size);
+
+  const totalSize = entries.reduce((sum, e) => sum + e.size, 0);
+  const outdated = entries.filter(e => e.expired || e.stale);
+
+  container.innerHTML = `
+    <div class="view-container settings-view">
+      <div class="view-header">
+        <div class="view-header-buttons">
+          <button id="settings-home-btn" class="btn-secondary">${t('nav.back.tables')}</button>
+        </div>
+        <h2>${t('settings.cacheTitle')}</h2>
+        <p class="view-description">${t('settings.cacheDescription')}</p>
+      </div>
+
+      ${_settingsQuotaBar(estimate)}
+
+      <div class="settings-option">
+        <label class="filter-checkbox">
+          <input type="checkbox" id="settings-query-cache" ${AppConfig.cache.queryResults ? 'checked' : ''} />
+          <span>${t('settings.queryCache')}</span>
+        </label>
+        <p class="settings-option-description">${t('settings.queryCacheDescription')}</p>
+      </div>
+
+      <div class="table-controls">
+        <div class="control-group">
+          <button id="settings-refresh-tables-btn" class="btn-primary">${t('settings.refreshTables')}</button>
+          <button id="settings-delete-selected-btn" class="btn-secondary" disabled>${t('settings.deleteSelected')}</button>
+          <button id="settings-delete-outdated-btn" class="btn-secondary"${outdated.length === 0 ? ' disabled' : ''}>
+            ${tpl('settings.deleteOutdated', outdated.length)}
+          </button>
+          <button id="settings-delete-all-btn" class="btn-secondary"${entries.length === 0 ? ' disabled' : ''}>${t('settings.deleteAll')}</button>
+        </div>
+        <div class="table-info">
+          <span>${tpl('settings.entryCount', entries.length, _settingsFormatSize(totalSize))}</span>
+        </div>
+      </div>
+
+      ${entries.length === 0 ? `<p class="no-results">${t('settings.empty')}</p>` : `
+      <div class="table-wrapper">
+        <table class="data-table cache-table">
+          <thead>
+            <tr>
+              <th><input type="checkbox" id="settings-select-all" aria-label="${t('settings.selectAll')}"></th>
+              <th>${t('settings.colKey')}</th>
+              <th>${t('settings.colSize')}</th>
+              <th>${t('settings.colStorage')}</th>
+              <th>${t('settings.colStored')}</th>
+              <th>${t('settings.colExpires')}</th>
+              <th>${t('settings.colStatus')}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${entries.map((e, i) => `
+              <tr class="${e.expired || e.stale ? 'cache-outdated' : ''}">
+                <td><input type="checkbox" class="settings-select" data-index="${i}" aria-label="${escapeHtml(e.key)}"></td>
+                <td class="cache-key">${escapeHtml(e.key)}</td>
+                <td class="data-cell">${_settingsFormatSize(e.size)}</td>
+                <td>${e.storage === 'indexedDB' ? 'IndexedDB' : 'localStorage'}</td>
+                <td>${_settingsFormatTime(e.stored)}</td>
+                <td>${_settingsFormatTime(e.expires)}</td>
+                <td>${e.expired ? t('settings.statusExpired') : e.stale ? t('settings.statusStale') : t('settings.statusValid')}</td>
+                <td>
+                  <button class="btn-secondary btn-sm settings-delete-btn" data-index="${i}">${t('settings.delete')}</button>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>`}
+    </div>
+  `;
+
+  const rerender = () => renderSettingsView(container);
+  const deleteEntries = async (list) => {
+    for (const entry of list) {
+      await api.deleteCacheEntry(entry);
+    }
+    logger.log('[Settings] Deleted ' + list.length + ' cache entries');
+    rerender();
+  };
+
+  document.getElementById('settings-home-btn')?.addEventListener('click', () => {
+    URLRouter.navigateTo('home', {});
+    URLRouter.handleRoute();
+  });
+
+  document.getElementById('settings-query-cache')?.addEventListener('change', async (e) => {
+    await CacheSettings.setQueryResults(e.currentTarget.checked);
+    rerender();
+  });
+
+  document.getElementById('settings-refresh-tables-btn')?.addEventListener('click', async (e) => {
+    e.currentTarget.disabled = true;
+    showLoading(true, t('loading.tables'));
+    try {
+      clearError();
+      await BrowserState.refreshTables();
+    } catch (error) {
+      showError(t('error.loadData'), error);
+    } finally {
+      showLoading(false);
+    }
+    rerender();
+  });
+
+  const checkboxes = [...container.querySelectorAll('.settings-select')];
+  const deleteSelectedBtn = document.getElementById('settings-delete-selected-btn');
+  const updateSelection = () => {
+    if (deleteSelectedBtn) deleteSelectedBtn.disabled = !checkboxes.some(cb => cb.checked);
+  };
+  checkboxes.forEach(cb => cb.addEventListener('change', updateSelection));
+
+  document.getElementById('settings-select-all')?.addEventListener('change', (e) => {
+    checkboxes.forEach(cb => { cb.checked = e.currentTarget.checked; });
+    updateSelection();
+  });
+
+  deleteSelectedBtn?.addEventListener('click', () => {
+    deleteEntries(checkboxes.filter(cb => cb.checked).map(cb => entries[parseInt(cb.dataset.index, 10)]));
+  });
+
+  document.getElementById('settings-delete-outdated-btn')?.addEventListener('click', () => {
+    deleteEntries(outdated);
+  });
+
+  document.getElementById('settings-delete-all-btn')?.addEventListener('click', async () => {
+    await api.clearCache();
+    navigator.serviceWorker?.controller?.postMessage({ type: 'clear-api-cache' });
+    logger.log('[Settings] Cache cleared by user');
+    rerender();
+  });
+
+  container.querySelectorAll('.settings-delete-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      deleteEntries([entries[parseInt(btn.dataset.index, 10)]]);
+    });
+  });
+
+  URLRouter.navigateTo('settings/cache', {}, false);
+}
+
+/**
+ * Storage usage bar from navigator.storage.estimate()
+ * @param {object|null} estimate - { usage, quota }
+ * @returns {string} - HTML (empty when the browser gives no estimate)
+ */
+function _settingsQuotaBar(estimate) {
+  if (!estimate || !estimate.quota) return '';
+  const percent = Math.min(100, (estimate.usage / estimate.quota) * 100);
+  return `
+    <div class="quota">
+      <div class="quota-label">
+        ${tpl('settings.quota', _settingsFormatSize(estimate.usage), _settingsFormatSize(estimate.quota), formatNumber(percent, 1))}
+      </div>
+      <div class="quota-bar" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${Math.round(percent)}">
+        <div class="quota-bar-fill" style="width: ${percent}%"></div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * @param {number} size - Size in bytes (characters for cache entries)
+ * @returns {string}
+ */
+function _settingsFormatSize(size) {
+  if (size >= 1024 * 1024 * 1024) return formatNumber(size / 1024 / 1024 / 1024, 1) + ' GB';
+  if (size >= 1024 * 1024) return formatNumber(size / 1024 / 1024, 1) + ' MB';
+  return formatNumber(Math.max(1, Math.round(size / 1024)), 0) + ' KB';
+}
+
+/**
+ * @param {number|null} timestamp - Milliseconds since epoch
+ * @returns {string} - DD.MM.YYYY HH:MM
+ */
+function _settingsFormatTime(timestamp) {
+  if (!timestamp) return '-';
+  const date = new Date(timestamp);
+  const time = String(date.getHours()).padStart(2, '0') + ':' + String(date.getMinutes()).padStart(2, '0');
+  return BrowserState.formatUpdatedDate(date.toISOString()) + ' ' + time;
+}
+
+window.renderSettingsView = renderSettingsView;
@@ -7,8 +7,8 @@
  * subjectNames: Emne-kode til visningsnavn. Brukes som fallback hvis
  *   oversettelsesnøkkelen subject.name.{kode} mangler i translations.js.
  *
- * For en annen instans (f.eks. SCB): bytt ut denne filen med tilsvarende
- * struktur for den aktuelle statistikkbanken.
+ * Dette er SSBs emner (AppInstances.ssb i instances.js). Andre instanser
+ * (f.eks. SCB) har tilsvarende struktur i sin oppføring i instances.js.
  */
 const SubjectConfig = {
   subjectGroups: {
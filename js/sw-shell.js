@@ -0,0 +1,44 @@
+/**
+ * Service worker helpers - What sw.js precaches and which API responses it keeps
+ *
+ * Loaded by sw.js (importScripts) and by test.html; no DOM or worker APIs.
+ */
+
+// <link rel="..."> values whose files belong to the app shell
+const SHELL_LINK_RELS = ['manifest', 'icon', 'apple-touch-icon', 'stylesheet'];
+
+/**
+ * Same-origin files index.html loads: scripts (with their ?v=), stylesheets,
+ * manifest and icons. sw.js reads index.html at install time, so the precache
+ * list always matches the page.
+ * @param {string} html - Contents of index.html
+ * @returns {Array<string>} - Relative URLs as written in the page
+ */
+function shellFilesFromHtml(html) {
+  const attr = (tag, name) => tag.match(new RegExp('\\s' + name + '\\s*=\\s*["\']([^"\']+)["\']', 'i'))?.[1] || null;
+  const files = [];
+
+  for (const [tag] of html.matchAll(/<script\b[^>]*>/gi)) {
+    const src = attr(tag, 'src');
+    if (src) files.push(src);
+  }
+  for (const [tag] of html.matchAll(/<link\b[^>]*>/gi)) {
+    const rels = (attr(tag, 'rel') || '').toLowerCase().split(/\s+/);
+    const href = attr(tag, 'href');
+    if (href && rels.some(rel => SHELL_LINK_RELS.includes(rel))) files.push(href);
+  }
+
+  // Other hosts (analytics) are not part of the shell
+  return [...new Set(files.filter(file => !/^([a-z][a-z0-9+.-]*:)?\/\//i.test(file)))];
+}
+
+/**
+ * Table lists, metadata, codelists and config — but never data
+ * @param {string} path - URL path
+ * @returns {boolean}
+ */
+function isCacheableApiPath(path) {
+  const p = path.toLowerCase();
+  if (p.endsWith('/data')) return false;
+  return /\/(tables|codelists|config)(\/|$)/.test(p);
+}
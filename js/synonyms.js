@@ -6,6 +6,8 @@
  * Legg til/fjern grupper eller termer fritt — rekkefølge innad i gruppen er uten betydning.
  *
  * Normalisering: å→a, ø→o, æ→ae (se SearchEnhanced.normalizeText)
+ *
+ * Dette er SSBs synonymer (AppInstances.ssb i instances.js).
  */
 const SearchSynonyms = [
   ['aku', 'arbeidskraftundersokelsen', 'arbeidskraftmaling'],
@@ -0,0 +1,315 @@
+/**
+ * Table Chart - Line/bar chart view of the current table data
+ *
+ * Plots currentData (from table-display.js) as an inline SVG. The time
+ * dimension (JSON-stat2 role.time) goes on the x-axis; every other dimension
+ * is combined into series, in the order given by AppState.tableLayout.
+ * Suppressed values (data.status) are drawn as gaps.
+ */
+
+// Series colour palette (cycled when there are more series than colours)
+const CHART_COLORS = [
+  '#1a9d49', '#274247', '#c56a00', '#3396d2', '#a3136c',
+  '#6e5a00', '#00824d', '#9272d4', '#d0021b', '#5c7a80'
+];
+
+// SVG viewBox geometry
+const CHART_WIDTH = 800;
+const CHART_HEIGHT = 400;
+const CHART_MARGIN = { top: 20, right: 20, bottom: 70, left: 80 };
+
+/**
+ * Build the chart view (type toggle, SVG and legend)
+ * @returns {string} - HTML
+ */
+function buildChartView() {
+  if (!currentData || !AppState.tableLayout) {
+    return '<p class="error-message">' + t('error.buildTable') + '</p>';
+  }
+
+  const chartType = AppState.chartType === 'bar' ? 'bar' : 'line';
+  const model = buildChartModel(currentData, AppState.tableLayout, AppConfig.ui.chartMaxSeries);
+
+  let html = `
+    <div class="chart-view">
+      <div class="chart-type-toggle" role="group" aria-label="${escapeHtml(t('chart.type'))}">
+        <button type="button" class="btn-secondary btn-sm chart-type-btn${chartType === 'line' ? ' btn-active' : ''}"
+                data-chart-type="line" aria-pressed="${chartType === 'line'}">${t('chart.line')}</button>
+        <button type="button" class="btn-secondary btn-sm chart-type-btn${chartType === 'bar' ? ' btn-active' : ''}"
+                data-chart-type="bar" aria-pressed="${chartType === 'bar'}">${t('chart.bar')}</button>
+      </div>
+  `;
+
+  if (model.min === null) {
+    html += '<p class="no-results">' + t('chart.noValues') + '</p></div>';
+    return html;
+  }
+
+  html += '<div class="chart-wrapper">' + buildChartSvg(model, chartType) + '</div>';
+
+  if (model.series.length > 1) {
+    html += '<ul class="chart-legend">';
+    model.series.forEach((s, i) => {
+      html += '<li><span class="chart-swatch" style="background:' + chartColor(i) + '"></span>' +
+              escapeHtml(s.label) + '</li>';
+    });
+    html += '</ul>';
+  }
+
+  if (model.totalSeries > model.series.length) {
+    html += '<p class="chart-notice">' +
+            tpl('chart.seriesTruncated', model.series.length, model.totalSeries) + '</p>';
+  }
+
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Wire up the chart type buttons rendered by buildChartView()
+ * @param {HTMLElement} container - Element containing the chart view
+ */
+function setupChartEvents(container) {
+  container.querySelectorAll('.chart-type-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (btn.dataset.chartType !== AppState.chartType) {
+        setTableChartType(btn.dataset.chartType);
+      }
+    });
+  });
+}
+
+/**
+ * Switch between table and chart display, update the URL and re-render
+ * @param {string|null} chartType - 'line', 'bar', or null for the table view
+ */
+function setTableChartType(chartType) {
+  AppState.chartType = chartType;
+  logger.log('[TableChart] Display mode:', chartType || 'table');
+  AppState._updateHash('table');
+  displayData();
+}
+
+/**
+ * Turn JSON-stat2 data into x-axis categories and series.
+ *
+ * The x-axis is the time dimension, falling back to the first row dimension
+ * (or the first dimension) for tables without one. All remaining dimensions
+ * form the series, ordered rows first and then columns, so that with the
+ * default layout (time as rows) there is one series per table column.
+ *
+ * @param {object} data - JSON-Stat2 data
+ * @param {object} layout - { rows, columns }
+ * @param {number} maxSeries - Maximum number of series to include
+ * @returns {object} - { xDim, xCodes, xLabels, series: [{ label, values, statuses, decimals }],
+ *                       totalSeries, min, max }
+ */
+function buildChartModel(data, layout, maxSeries) {
+  const layoutDims = [...(layout.rows || []), ...(layout.columns || [])]
+    .filter(d => data.id.includes(d));
+
+  const timeDim = data.role?.time?.[0];
+  const xDim = (timeDim && data.id.includes(timeDim)) ? timeDim : (layoutDims[0] || data.id[0]);
+  const seriesDims = layoutDims.filter(d => d !== xDim);
+
+  const xCategory = data.dimension[xDim].category;
+  const xCodes = Object.keys(xCategory.index).sort((a, b) => xCategory.index[a] - xCategory.index[b]);
+  const xLabels = xCodes.map(code => xCategory.label?.[code] ?? code);
+
+  const combinations = buildDimensionCombinations(seriesDims, data);
+  const metricDim = data.role?.metric?.[0];
+  const metricIdx = metricDim != null ? seriesDims.indexOf(metricDim) : -1;
+  const tableDefaultDecimals = data.extension?.px?.decimals ?? null;
+
+  let min = null;
+  let max = null;
+
+  const series = combinations.slice(0, maxSeries).map(combo => {
+    const label = combo.codes
+      .map((code, i) => data.dimension[seriesDims[i]].category.label[code])
+      .join(', ') || (data.label || '');
+
+    const values = [];
+    const statuses = [];
+
+    xCodes.forEach(xCode => {
+      const fullIndices = data.id.map(dimCode => {
+        if (dimCode === xDim) return xCategory.index[xCode];
+        const seriesIdx = seriesDims.indexOf(dimCode);
+        return seriesIdx !== -1 ? combo.indices[seriesIdx] : 0;
+      });
+      const flatIndex = calculateFlatIndex(fullIndices, data.size);
+      const status = data.status?.[String(flatIndex)] ?? null;
+      const raw = data.value[flatIndex];
+      const value = (status || raw === null || raw === undefined || isNaN(parseFloat(raw)))
+        ? null
+        : parseFloat(raw);
+
+      values.push(value);
+      statuses.push(status);
+
+      if (value !== null) {
+        if (min === null || value < min) min = value;
+        if (max === null || value > max) max = value;
+      }
+    });
+
+    const metricCode = metricIdx !== -1 ? combo.codes[metricIdx] : undefined;
+    const decimals = metricCode !== undefined
+      ? (data.dimension[metricDim]?.category?.unit?.[metricCode]?.decimals ?? tableDefaultDecimals)
+      : tableDefaultDecimals;
+
+    return { label, values, statuses, decimals };
+  });
+
+  return { xDim, xCodes, xLabels, series, totalSeries: combinations.length, min, max };
+}
+
+/**
+ * Compute evenly spaced "nice" axis ticks covering [min, max]
+ * @param {number} min - Smallest value
+ * @param {number} max - Largest value
+ * @param {number} targetCount - Approximate number of ticks
+ * @returns {object} - { ticks: number[], step, decimals }
+ */
+function niceChartTicks(min, max, targetCount = 5) {
+  if (min === max) {
+    const pad = Math.abs(min) > 0 ? Math.abs(min) * 0.1 : 1;
+    min -= pad;
+    max += pad;
+  }
+
+  const rawStep = (max - min) / targetCount;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+  const residual = rawStep / magnitude;
+  const niceResidual = residual > 5 ? 10 : residual > 2 ? 5 : residual > 1 ? 2 : 1;
+  const step = niceResidual * magnitude;
+
+  const start = Math.floor(min / step) * step;
+  const end = Math.ceil(max / step) * step;
+  const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+
+  const ticks = [];
+  for (let v = start; v <= end + step / 2; v += step) {
+    ticks.push(parseFloat(v.toFixed(decimals)));
+  }
+
+  return { ticks, step, decimals };
+}
+
+/**
+ * Build the SVG markup for a chart model
+ * @param {object} model - Result of buildChartModel()
+ * @param {string} chartType - 'line' | 'bar'
+ * @returns {string} - SVG markup
+ */
+function buildChartSvg(model, chartType) {
+  const plotW = CHART_WIDTH - CHART_MARGIN.left - CHART_MARGIN.right;
+  const plotH = CHART_HEIGHT - CHART_MARGIN.top - CHART_MARGIN.bottom;
+
+  // Bars need a zero baseline
+  const domainMin = chartType === 'bar' ? Math.min(0, model.min) : model.min;
+  const domainMax = chartType === 'bar' ? Math.max(0, model.max) : model.max;
+  const { ticks, decimals } = niceChartTicks(domainMin, domainMax);
+  const yMin = ticks[0];
+  const yMax = ticks[ticks.length - 1];
+
+  const n = model.xCodes.length;
+  const bandW = plotW / n;
+  const xCenter = i => CHART_MARGIN.left + bandW * (i + 0.5);
+  const yPos = v => CHART_MARGIN.top + plotH - ((v - yMin) / (yMax - yMin)) * plotH;
+
+  let svg = `<svg class="chart-svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" role="img"` +
+            ` aria-label="${escapeHtml(t('chart.ariaLabel'))}" preserveAspectRatio="xMidYMid meet">`;
+
+  // Y gridlines and labels
+  ticks.forEach(tick => {
+    const y = yPos(tick).toFixed(1);
+    svg += `<line class="chart-grid" x1="${CHART_MARGIN.left}" x2="${CHART_MARGIN.left + plotW}" y1="${y}" y2="${y}"/>`;
+    svg += `<text class="chart-axis-label" x="${CHART_MARGIN.left - 8}" y="${y}" text-anchor="end" dominant-baseline="middle">` +
+           escapeHtml(formatNumber(tick, decimals)) + '</text>';
+  });
+
+  // X labels (thinned so they don't overlap)
+  const labelEvery = Math.max(1, Math.ceil(n / 16));
+  model.xLabels.forEach((label, i) => {
+    if (i % labelEvery !== 0) return;
+    const x = xCenter(i).toFixed(1);
+    const y = CHART_MARGIN.top + plotH + 14;
+    svg += `<text class="chart-axis-label" x="${x}" y="${y}" text-anchor="end" transform="rotate(-40 ${x} ${y})">` +
+           escapeHtml(label) + '</text>';
+  });
+
+  // Axes
+  svg += `<line class="chart-axis" x1="${CHART_MARGIN.left}" x2="${CHART_MARGIN.left}" y1="${CHART_MARGIN.top}" y2="${CHART_MARGIN.top + plotH}"/>`;
+  svg += `<line class="chart-axis" x1="${CHART_MARGIN.left}" x2="${CHART_MARGIN.left + plotW}" y1="${CHART_MARGIN.top + plotH}" y2="${CHART_MARGIN.top + plotH}"/>`;
+
+  const tooltip = (s, i) => {
+    const valueText = s.statuses[i]
+      ? s.statuses[i] + ' (' + suppressedLabel(s.statuses[i]) + ')'
+      : formatNumber(s.values[i], s.decimals);
+    return escapeHtml((s.label ? s.label + ', ' : '') + model.xLabels[i] + ': ' + valueText);
+  };
+
+  if (chartType === 'bar') {
+    const groupW = bandW * 0.8;
+    const barW = groupW / model.series.length;
+    const baseline = yPos(Math.max(yMin, Math.min(0, yMax)));
+
+    model.series.forEach((s, sIdx) => {
+      svg += `<g class="chart-series" fill="${chartColor(sIdx)}">`;
+      s.values.forEach((v, i) => {
+        if (v === null) return;
+        const x = CHART_MARGIN.left + bandW * i + (bandW - groupW) / 2 + barW * sIdx;
+        const y = yPos(v);
+        const top = Math.min(y, baseline);
+        const h = Math.max(Math.abs(baseline - y), 0.5);
+        svg += `<rect x="${x.toFixed(1)}" y="${top.toFixed(1)}" width="${Math.max(barW - 1, 0.5).toFixed(1)}" height="${h.toFixed(1)}">` +
+               '<title>' + tooltip(s, i) + '</title></rect>';
+      });
+      svg += '</g>';
+    });
+  } else {
+    const showPoints = n <= 120;
+
+    model.series.forEach((s, sIdx) => {
+      const color = chartColor(sIdx);
+
+      // Start a new subpath after every gap so suppressed values break the line
+      let d = '';
+      let penDown = false;
+      s.values.forEach((v, i) => {
+        if (v === null) {
+          penDown = false;
+          return;
+        }
+        d += (penDown ? 'L' : 'M') + xCenter(i).toFixed(1) + ' ' + yPos(v).toFixed(1);
+        penDown = true;
+      });
+
+      svg += `<g class="chart-series">`;
+      svg += `<path d="${d}" fill="none" stroke="${color}" stroke-width="2"/>`;
+      s.values.forEach((v, i) => {
+        if (v === null) return;
+        // Always mark isolated points, otherwise they'd be invisible between gaps
+        const isolated = (i === 0 || s.values[i - 1] === null) && (i === n - 1 || s.values[i + 1] === null);
+        const cls = (showPoints || isolated) ? 'chart-point' : 'chart-point chart-point-hidden';
+        svg += `<circle class="${cls}" cx="${xCenter(i).toFixed(1)}" cy="${yPos(v).toFixed(1)}" r="3" fill="${color}">` +
+               '<title>' + tooltip(s, i) + '</title></circle>';
+      });
+      svg += '</g>';
+    });
+  }
+
+  svg += '</svg>';
+  return svg;
+}
+
+/**
+ * Colour for the series at the given index
+ * @param {number} index - Series index
+ * @returns {string} - CSS colour
+ */
+function chartColor(index) {
+  return CHART_COLORS[index % CHART_COLORS.length];
+}
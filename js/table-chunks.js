@@ -0,0 +1,281 @@
+/**
+ * Table Chunks - "Hent i deler": fetch a selection above the API cell limit in parts
+ *
+ * planSelectionChunks() splits the selection along its largest dimension
+ * (usually Region or Tid) into parts below AppConfig.limits.maxCells; when a
+ * single value of that dimension is still too much, that part is split again
+ * along the next largest one. fetchTableChunks() fetches the parts one after
+ * another through the API client (and its request scheduler), with progress
+ * and cancel in the table view, and mergeJsonStatChunks() stitches the
+ * JSON-stat2 responses back into one dataset, so the table, rotation, chart
+ * and export work on it as on any single response.
+ *
+ * Cells are counted as in updateSelectionCellCount(): a code of an
+ * aggregation codelist counts as the number of values it sums.
+ */
+
+/**
+ * A dimension's category codes in index order
+ * @param {object} dimension - JSON-stat2 dimension
+ * @returns {Array<string>}
+ */
+function _chunkCodes(dimension) {
+  const index = dimension.category?.index || {};
+  return Array.isArray(index) ? index : Object.keys(index).sort((a, b) => index[a] - index[b]);
+}
+
+/**
+ * Expand a selection to explicit codes with their cell weights.
+ * "*" and top(N) are resolved from the metadata (or the aggregation codelist
+ * whose codes the selection holds); other expressions (from(x), wildcards)
+ * cannot be split.
+ *
+ * @param {object} metadata - JSON-stat2 table metadata
+ * @param {object} selection - variableSelection
+ * @param {object} codelistIds - activeCodelistIds
+ * @param {object} codelists - Fetched aggregation codelists by ID
+ * @returns {object|null} - { dim: [{ code, weight }] }, or null when an expression cannot be expanded
+ */
+function expandChunkSelection(metadata, selection, codelistIds = {}, codelists = {}) {
+  const expanded = {};
+
+  for (const [dim, values] of Object.entries(selection)) {
+    const codelist = isAggregationCodelistId(codelistIds[dim]) ? codelists[codelistIds[dim]] : null;
+    if (isAggregationCodelistId(codelistIds[dim]) && !codelist) return null;
+    const all = codelist
+      ? (codelist.values || []).map(v => v.code)
+      : (metadata.dimension[dim] ? _chunkCodes(metadata.dimension[dim]) : []);
+
+    let codes;
+    const top = typeof values === 'string' && values.match(/^top\((\d+)\)$/);
+    if (Array.isArray(values)) {
+      codes = values;
+    } else if (values === '*') {
+      codes = all;
+    } else if (top) {
+      codes = all.slice(-parseInt(top[1], 10));
+    } else {
+      return null;
+    }
+
+    const weights = {};
+    (codelist?.values || []).forEach(v => {
+      weights[v.code] = Array.isArray(v.valueMap) && v.valueMap.length > 0 ? v.valueMap.length : 1;
+    });
+    expanded[dim] = codes.map(code => ({ code, weight: weights[code] || 1 }));
+  }
+
+  return expanded;
+}
+
+/**
+ * Split an expanded selection into parts of at most `limit` cells
+ * @param {object} expanded - expandChunkSelection() result
+ * @param {number} limit - Cells per request
+ * @returns {Array<object>|null} - Selections ({ dim: [code] }), or null when a single combination is above the limit
+ */
+function planSelectionChunks(expanded, limit) {
+  const weightOf = (values) => values.reduce((sum, v) => sum + v.weight, 0);
+
+  const split = (sel) => {
+    const total = Object.values(sel).reduce((product, values) => product * weightOf(values), 1);
+    if (total <= limit) return [sel];
+
+    // The largest dimension that still has more than one value
+    const dim = Object.keys(sel)
+      .filter(d => sel[d].length > 1)
+      .sort((a, b) => weightOf(sel[b]) - weightOf(sel[a]))[0];
+    if (!dim) return null;
+
+    // Consecutive runs of values, each as large as the limit allows
+    const rest = total / weightOf(sel[dim]);
+    const parts = [];
+    let part = [];
+    let partWeight = 0;
+    sel[dim].forEach(value => {
+      if (part.length > 0 && (partWeight + value.weight) * rest > limit) {
+        parts.push(part);
+        part = [];
+        partWeight = 0;
+      }
+      part.push(value);
+      partWeight += value.weight;
+    });
+    parts.push(part);
+
+    const chunks = [];
+    for (const values of parts) {
+      const sub = split({ ...sel, [dim]: values });
+      if (!sub) return null;
+      chunks.push(...sub);
+    }
+    return chunks;
+  };
+
+  const chunks = split(expanded);
+  return chunks && chunks.map(sel =>
+    Object.fromEntries(Object.entries(sel).map(([dim, values]) => [dim, values.map(v => v.code)])));
+}
+
+/**
+ * Decide whether the current query has to be fetched in parts
+ * @param {string} tableId - Table ID
+ * @param {object} selection - variableSelection
+ * @param {object} codelistIds - activeCodelistIds
+ * @returns {Promise<Array<object>|null>} - The parts, or null to fetch in one request
+ * @throws {CellLimitError} - When the selection is above the limit and cannot be split within
+ *   AppConfig.limits.maxChunks (status 0: refused here, not by the API)
+ */
+async function planTableChunks(tableId, selection, codelistIds = {}) {
+  const lang = getCurrentApiLang();
+  let metadata;
+  const codelists = {};
+  try {
+    metadata = await api.getTableMetadata(tableId, true, lang);
+    for (const id of new Set(Object.values(codelistIds || {}))) {
+      if (isAggregationCodelistId(id)) codelists[id] = await api.getCodeList(id, true, lang);
+    }
+  } catch (e) {
+    // The data request reports the error itself
+    logger.warn('[TableChunks] Could not load metadata to size the query:', e);
+    return null;
+  }
+
+  const limit = AppConfig.limits.maxCells;
+  const expanded = expandChunkSelection(metadata, selection, codelistIds, codelists);
+  if (!expanded) return null;
+
+  const cells = Object.values(expanded)
+    .reduce((product, values) => product * values.reduce((sum, v) => sum + v.weight, 0), 1);
+  if (cells <= limit) return null;
+
+  const maxChunks = AppConfig.limits.maxChunks;
+  const minimum = Math.ceil(cells / limit);
+  const chunks = minimum <= maxChunks ? planSelectionChunks(expanded, limit) : null;
+  if (!chunks) {
+    throw new CellLimitError(minimum > maxChunks ? tpl('chunks.tooMany', minimum, maxChunks) : t('chunks.cannotSplit'), 0);
+  }
+  if (chunks.length > maxChunks) {
+    throw new CellLimitError(tpl('chunks.tooMany', chunks.length, maxChunks), 0);
+  }
+
+  logger.log('[TableChunks] ' + cells + ' cells in ' + chunks.length + ' parts for table ' + tableId);
+  return chunks;
+}
+
+/**
+ * Fetch the parts one after another into #data-container's progress display
+ * @param {string} tableId - Table ID
+ * @param {Array<object>} chunks - planTableChunks() result
+ * @param {object} codelistIds - activeCodelistIds
+ * @param {string|null} updated - The table's `updated` timestamp (query result cache)
+ * @returns {Promise<object>} - { data }, { data: null, error, message } when a part failed, or { cancelled: true }
+ */
+async function fetchTableChunks(tableId, chunks, codelistIds, updated) {
+  const container = document.getElementById('data-container');
+  const controller = new AbortController();
+  const total = chunks.length;
+
+  container.innerHTML = `
+    <div class="chunk-progress">
+      <p class="loading-message" id="chunk-progress-text"></p>
+      <progress id="chunk-progress-bar" max="${total}" value="0"></progress>
+      <button id="chunk-cancel-btn" class="btn-secondary">${t('chunks.cancel')}</button>
+    </div>
+  `;
+  const text = document.getElementById('chunk-progress-text');
+  const bar = document.getElementById('chunk-progress-bar');
+  document.getElementById('chunk-cancel-btn').addEventListener('click', () => controller.abort());
+
+  clearError();
+  const results = [];
+  for (let i = 0; i < total; i++) {
+    // The user left the table view
+    if (!container.isConnected) controller.abort();
+    if (controller.signal.aborted) break;
+
+    text.textContent = tpl('chunks.progress', i + 1, total);
+    try {
+      results.push(await api.getTableData(tableId, chunks[i], getCurrentApiLang(), codelistIds,
+        { updated, signal: controller.signal }));
+    } catch (e) {
+      // Cancelled here, or by navigation (api.js)
+      if (controller.signal.aborted || e.name === 'AbortError') break;
+      return { data: null, error: e, message: tpl('chunks.failed', i + 1, total, e.message) };
+    }
+    bar.value = i + 1;
+  }
+
+  if (results.length < total) {
+    logger.log('[TableChunks] Cancelled after ' + results.length + ' of ' + total + ' parts');
+    container.innerHTML = `<p class="no-results">${escapeHtml(tpl('chunks.cancelled', results.length, total))}</p>`;
+    return { cancelled: true };
+  }
+
+  return { data: mergeJsonStatChunks(results) };
+}
+
+/**
+ * Stitch JSON-stat2 responses for parts of one query into a single dataset.
+ * Categories keep the order they first appear in, which is the selection's
+ * order since the parts are consecutive runs of it. Cells no part returned
+ * are null.
+ *
+ * @param {Array<object>} chunks - JSON-stat2 datasets with the same dimensions
+ * @returns {object} - JSON-stat2 dataset
+ */
+function mergeJsonStatChunks(chunks) {
+  if (chunks.length === 1) return chunks[0];
+
+  const first = chunks[0];
+  const id = first.id;
+
+  const codes = id.map(dim => {
+    const seen = new Set();
+    chunks.forEach(chunk => _chunkCodes(chunk.dimension[dim]).forEach(code => seen.add(code)));
+    return [...seen];
+  });
+  const size = codes.map(list => list.length);
+
+  // Dimensions: merged category index, plus every code-keyed category property (label, unit, note, …)
+  const dimension = {};
+  id.forEach((dim, d) => {
+    const category = { index: Object.fromEntries(codes[d].map((code, i) => [code, i])) };
+    chunks.forEach(chunk => {
+      Object.entries(chunk.dimension[dim].category || {}).forEach(([key, byCode]) => {
+        if (key === 'index' || !byCode || typeof byCode !== 'object' || Array.isArray(byCode)) return;
+        category[key] = { ...category[key], ...byCode };
+      });
+    });
+    dimension[dim] = { ...first.dimension[dim], category };
+  });
+
+  const total = size.reduce((a, b) => a * b, 1);
+  const value = new Array(total).fill(null);
+  const status = {};
+  const positions = codes.map(list => new Map(list.map((code, i) => [code, i])));
+
+  chunks.forEach(chunk => {
+    const chunkCodes = chunk.id.map(dim => _chunkCodes(chunk.dimension[dim]));
+    const order = id.map(dim => chunk.id.indexOf(dim));
+    const chunkTotal = chunk.size.reduce((a, b) => a * b, 1);
+    const counters = new Array(chunk.id.length).fill(0);
+
+    for (let flat = 0; flat < chunkTotal; flat++) {
+      const indices = id.map((dim, d) => positions[d].get(chunkCodes[order[d]][counters[order[d]]]));
+      const target = calculateFlatIndex(indices, size);
+      value[target] = chunk.value[flat] ?? null;
+      const st = typeof chunk.status === 'string' ? chunk.status : chunk.status?.[String(flat)];
+      if (st) status[String(target)] = st;
+
+      // Advance the counters (last dimension fastest)
+      for (let d = chunk.id.length - 1; d >= 0; d--) {
+        counters[d]++;
+        if (counters[d] < chunk.size[d]) break;
+        counters[d] = 0;
+      }
+    }
+  });
+
+  return { ...first, id, size, dimension, value, status };
+}
@@ -0,0 +1,451 @@
+/**
+ * Derived Columns - Computed series on top of the fetched table data
+ *
+ * Each derived column is added as an extra category in the metric dimension
+ * (ContentsCode), so the table, chart and local export show it like any
+ * other statistics variable. The raw API response stays in currentSourceData;
+ * currentData is always applyDerivedColumns(currentSourceData, AppState.derivedColumns).
+ *
+ * Definitions are stored in AppState.derivedColumns and in the URL (d=):
+ *   { type: 'change', of }                  — % change from the same period a year earlier
+ *   { type: 'share', of, dim, total? }      — % share of a total category, or of the sum across dim
+ *   { type: 'index', of, base }             — index, base period = 100
+ *   { type: 'ratio', of, den, factor? }     — of / den × factor
+ */
+
+const DERIVED_TYPES = ['change', 'share', 'index', 'ratio'];
+const DERIVED_RATIO_FACTORS = [1, 100, 1000, 100000];
+
+/**
+ * Code of the same period one year earlier: 2024 → 2023, 2024M06 → 2023M06,
+ * 2024K2 → 2023K2, 2023-2024 → 2022-2023
+ * @param {string} code - Time period code
+ * @returns {string|null} - null when the code has no year
+ */
+function previousYearPeriod(code) {
+  return /\d{4}/.test(code) ? String(code).replace(/\d{4}/g, year => String(year - 1)) : null;
+}
+
+/**
+ * Position of each period's previous-year period in the time dimension
+ * @param {object} data - JSON-Stat2 data with a time dimension
+ * @returns {Array<number>} - Indexed by position; -1 when that period is not in the data
+ */
+function previousYearPositions(data) {
+  const timeIndex = data.dimension[data.role.time[0]].category.index;
+  const positions = [];
+  Object.entries(timeIndex).forEach(([code, position]) => {
+    const previous = previousYearPeriod(code);
+    positions[position] = previous !== null && previous in timeIndex ? timeIndex[previous] : -1;
+  });
+  return positions;
+}
+
+/**
+ * Check that a definition can be computed on the given data
+ * @param {object} def - Derived column definition
+ * @param {object} data - JSON-Stat2 data (without derived columns)
+ * @returns {boolean}
+ */
+function isValidDerivedColumn(def, data) {
+  const metricDim = data?.role?.metric?.[0];
+  if (!def || !metricDim || !DERIVED_TYPES.includes(def.type)) return false;
+
+  const metricIndex = data.dimension[metricDim].category.index;
+  if (!(def.of in metricIndex)) return false;
+
+  const timeDim = data.role?.time?.[0];
+  switch (def.type) {
+    case 'change':
+      return !!timeDim;
+    case 'index':
+      return !!timeDim && def.base in data.dimension[timeDim].category.index;
+    case 'share':
+      return data.id.includes(def.dim) && def.dim !== metricDim &&
+        (!def.total || def.total in data.dimension[def.dim].category.index);
+    case 'ratio':
+      return def.den in metricIndex;
+  }
+  return false;
+}
+
+/**
+ * Label for a derived column
+ * @param {object} def - Derived column definition
+ * @param {object} data - JSON-Stat2 data
+ * @returns {string}
+ */
+function derivedColumnLabel(def, data) {
+  const metricCat = data.dimension[data.role.metric[0]].category;
+  const of = metricCat.label?.[def.of] ?? def.of;
+
+  switch (def.type) {
+    case 'change':
+      return tpl('derived.labelChange', of);
+    case 'index': {
+      const timeCat = data.dimension[data.role.time[0]].category;
+      return tpl('derived.labelIndex', of, timeCat.label?.[def.base] ?? def.base);
+    }
+    case 'share': {
+      const dim = data.dimension[def.dim];
+      const total = def.total
+        ? (dim.category.label?.[def.total] ?? def.total)
+        : tpl('derived.sumOf', (dim.label || def.dim).toLowerCase());
+      return tpl('derived.labelShare', of, total);
+    }
+    case 'ratio': {
+      const den = metricCat.label?.[def.den] ?? def.den;
+      const factor = def.factor || 1;
+      return factor === 1
+        ? tpl('derived.labelRatio', of, den)
+        : tpl('derived.labelRatioFactor', of, den, formatNumber(factor, 0));
+    }
+  }
+  return def.type;
+}
+
+/**
+ * Add the derived columns to a dataset.
+ *
+ * Returns a new JSON-Stat2 object with one extra metric category per valid
+ * definition (invalid ones, e.g. after a selection change, are skipped).
+ * A derived cell is empty when an input is missing; the input's status
+ * symbol (e.g. "..") is carried over.
+ *
+ * @param {object} data - JSON-Stat2 data
+ * @param {Array<object>} defs - Derived column definitions
+ * @returns {object} - JSON-Stat2 data (the input itself if nothing applies)
+ */
+function applyDerivedColumns(data, defs) {
+  if (!data || !Array.isArray(defs) || defs.length === 0) return data;
+
+  const valid = defs.filter(def => isValidDerivedColumn(def, data));
+  if (valid.length < defs.length) {
+    logger.warn('[Derived] Skipping', defs.length - valid.length, 'column(s) not valid for this selection');
+  }
+  if (valid.length === 0) return data;
+
+  const metricDim = data.role.metric[0];
+  const md = data.id.indexOf(metricDim);
+  const metricCat = data.dimension[metricDim].category;
+  const base = data.size[md];
+
+  // Extend the metric dimension
+  const category = {
+    index: { ...metricCat.index },
+    label: { ...metricCat.label },
+    unit: { ...(metricCat.unit || {}) }
+  };
+  const derivedCodes = valid.map((def, i) => {
+    let code = def.type === 'ratio' ? def.of + '_per_' + def.den : def.of + '_' + def.type;
+    while (code in category.index) code += '_';
+    category.index[code] = base + i;
+    category.label[code] = derivedColumnLabel(def, data);
+    category.unit[code] = {
+      base: def.type === 'index' ? t('derived.unitIndex') : def.type === 'ratio' ? '' : t('derived.unitPercent'),
+      decimals: def.type === 'ratio' && !(def.factor > 1) ? 3 : 1
+    };
+    return code;
+  });
+
+  const size = [...data.size];
+  size[md] = base + valid.length;
+
+  const previousYear = valid.some(def => def.type === 'change') ? previousYearPositions(data) : null;
+
+  const lookup = indices => {
+    const flat = calculateFlatIndex(indices, data.size);
+    return { v: data.value[flat] ?? null, s: data.status?.[String(flat)] ?? null };
+  };
+
+  const total = size.reduce((a, b) => a * b, 1);
+  const value = new Array(total);
+  const status = {};
+  const counters = new Array(size.length).fill(0);
+
+  for (let flat = 0; flat < total; flat++) {
+    let cell;
+    if (counters[md] < base) {
+      cell = lookup(counters);
+    } else {
+      const def = valid[counters[md] - base];
+      cell = _computeDerivedCell(def, counters, data, md, lookup, previousYear);
+      if (cell.v !== null) {
+        const decimals = category.unit[derivedCodes[counters[md] - base]].decimals;
+        cell.v = Math.round(cell.v * Math.pow(10, decimals)) / Math.pow(10, decimals);
+      }
+    }
+    value[flat] = cell.v;
+    if (cell.s) status[String(flat)] = cell.s;
+
+    // Advance the counters (last dimension fastest)
+    for (let d = size.length - 1; d >= 0; d--) {
+      counters[d]++;
+      if (counters[d] < size[d]) break;
+      counters[d] = 0;
+    }
+  }
+
+  return {
+    ...data,
+    size,
+    dimension: { ...data.dimension, [metricDim]: { ...data.dimension[metricDim], category } },
+    value,
+    status,
+    extension: { ...(data.extension || {}), derived: derivedCodes }
+  };
+}
+
+/**
+ * Compute one derived cell
+ * @param {object} def - Derived column definition
+ * @param {Array<number>} counters - Indices of the cell in the extended dataset
+ * @param {object} data - Source JSON-Stat2 data
+ * @param {number} md - Position of the metric dimension
+ * @param {Function} lookup - indices → { v, s } in the source data
+ * @param {Array<number>|null} previousYear - previousYearPositions() (change columns)
+ * @returns {object} - { v, s }
+ */
+function _computeDerivedCell(def, counters, data, md, lookup, previousYear) {
+  const metricIndex = data.dimension[data.id[md]].category.index;
+  const at = (code, dimPos = -1, dimIndex = 0) => {
+    const indices = [...counters];
+    indices[md] = metricIndex[code];
+    if (dimPos !== -1) indices[dimPos] = dimIndex;
+    return lookup(indices);
+  };
+  // Empty result, carrying over the first status symbol among the inputs
+  const missing = (...inputs) => ({ v: null, s: inputs.find(i => i.s)?.s ?? null });
+
+  const current = at(def.of);
+
+  switch (def.type) {
+    case 'change': {
+      // The same period a year earlier, by code (not the neighbouring column)
+      const timePos = data.id.indexOf(data.role.time[0]);
+      const previousPos = previousYear[counters[timePos]];
+      if (previousPos === -1) return { v: null, s: null };
+      const previous = at(def.of, timePos, previousPos);
+      if (current.v === null || previous.v === null) return missing(current, previous);
+      return previous.v === 0 ? { v: null, s: null } : { v: (current.v - previous.v) / Math.abs(previous.v) * 100, s: null };
+    }
+    case 'index': {
+      const timeDim = data.role.time[0];
+      const timePos = data.id.indexOf(timeDim);
+      const basis = at(def.of, timePos, data.dimension[timeDim].category.index[def.base]);
+      if (current.v === null || basis.v === null) return missing(current, basis);
+      return basis.v === 0 ? { v: null, s: null } : { v: current.v / basis.v * 100, s: null };
+    }
+    case 'share': {
+      const dimPos = data.id.indexOf(def.dim);
+      let denominator;
+      if (def.total) {
+        denominator = at(def.of, dimPos, data.dimension[def.dim].category.index[def.total]);
+      } else {
+        const parts = [];
+        for (let i = 0; i < data.size[dimPos]; i++) parts.push(at(def.of, dimPos, i));
+        // A sum with a missing part would overstate the share
+        denominator = parts.every(p => p.v !== null)
+          ? { v: parts.reduce((sum, p) => sum + p.v, 0), s: null }
+          : missing(...parts);
+      }
+      if (current.v === null || denominator.v === null) return missing(current, denominator);
+      return denominator.v === 0 ? { v: null, s: null } : { v: current.v / denominator.v * 100, s: null };
+    }
+    case 'ratio': {
+      const den = at(def.den);
+      if (current.v === null || den.v === null) return missing(current, den);
+      return den.v === 0 ? { v: null, s: null } : { v: current.v / den.v * (def.factor || 1), s: null };
+    }
+  }
+  return { v: null, s: null };
+}
+
+/**
+ * Recompute currentData from the source data and redraw
+ * @param {Array<object>} defs - New list of derived column definitions
+ */
+function setDerivedColumns(defs) {
+  AppState.derivedColumns = defs;
+  currentData = applyDerivedColumns(currentSourceData, defs);
+  AppState._updateHash('table');
+  displayData();
+}
+
+/**
+ * Build the list of active derived columns shown above the table
+ * @returns {string} - HTML (empty when there are none)
+ */
+function buildDerivedList() {
+  const codes = currentData?.extension?.derived;
+  if (!codes || codes.length === 0 || AppState.derivedColumns.length === 0) return '';
+
+  const metricCat = currentData.dimension[currentData.role.metric[0]].category;
+  const applied = AppState.derivedColumns.filter(def => isValidDerivedColumn(def, currentSourceData));
+
+  return `
+    <div class="derived-list">
+      <span class="derived-list-label">${t('derived.active')}</span>
+      ${applied.map((def, i) => `
+        <span class="derived-chip">
+          ${escapeHtml(metricCat.label[codes[i]])}
+          <button class="derived-remove-btn" data-index="${AppState.derivedColumns.indexOf(def)}"
+                  aria-label="${escapeHtml(tpl('derived.remove', metricCat.label[codes[i]]))}">&times;</button>
+        </span>
+      `).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Wire the remove buttons of the derived column list
+ * @param {HTMLElement} container - Data container
+ */
+function setupDerivedEvents(container) {
+  container.querySelectorAll('.derived-remove-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const index = parseInt(btn.dataset.index, 10);
+      setDerivedColumns(AppState.derivedColumns.filter((_, i) => i !== index));
+    });
+  });
+}
+
+/**
+ * Show the dialog for adding a derived column
+ */
+function showDerivedDialog() {
+  const data = currentSourceData;
+  const metricDim = data?.role?.metric?.[0];
+  if (!metricDim) {
+    showError(t('derived.noMetric'));
+    return;
+  }
+
+  document.getElementById('derived-dialog')?.remove();
+
+  const metricCat = data.dimension[metricDim].category;
+  const metricOptions = Object.keys(metricCat.index)
+    .sort((a, b) => metricCat.index[a] - metricCat.index[b])
+    .map(code => `<option value="${escapeHtml(code)}">${escapeHtml(metricCat.label?.[code] ?? code)}</option>`)
+    .join('');
+
+  const timeDim = data.role?.time?.[0];
+  const timeCat = timeDim ? data.dimension[timeDim].category : null;
+  const timeOptions = timeCat
+    ? Object.keys(timeCat.index)
+      .sort((a, b) => timeCat.index[a] - timeCat.index[b])
+      .map(code => `<option value="${escapeHtml(code)}">${escapeHtml(timeCat.label?.[code] ?? code)}</option>`)
+      .join('')
+    : '';
+
+  const shareDims = data.id.filter(d => d !== metricDim);
+  const typeLabels = {
+    change: t('derived.typeChange'),
+    share: t('derived.typeShare'),
+    index: t('derived.typeIndex'),
+    ratio: t('derived.typeRatio')
+  };
+
+  document.body.insertAdjacentHTML('beforeend', `
+    <div class="dialog-overlay" id="derived-dialog">
+      <div class="dialog-container">
+        <div class="dialog-header">
+          <h3>${t('derived.title')}</h3>
+          <button class="dialog-close" id="derived-dialog-close">&times;</button>
+        </div>
+        <div class="dialog-content">
+          <div class="form-group">
+            <label class="form-label" for="derived-type">${t('derived.type')}</label>
+            <select id="derived-type" class="filter-select">
+              ${DERIVED_TYPES.map(type => `
+                <option value="${type}"${!timeDim && (type === 'change' || type === 'index') ? ' disabled' : ''}>${typeLabels[type]}</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="derived-of">${t('derived.of')}</label>
+            <select id="derived-of" class="filter-select">${metricOptions}</select>
+          </div>
+          <div class="form-group derived-option" data-types="ratio">
+            <label class="form-label" for="derived-den">${t('derived.den')}</label>
+            <select id="derived-den" class="filter-select">${metricOptions}</select>
+            <label class="form-label" for="derived-factor">${t('derived.factor')}</label>
+            <select id="derived-factor" class="filter-select">
+              ${DERIVED_RATIO_FACTORS.map(f => `<option value="${f}">${formatNumber(f, 0)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group derived-option" data-types="share">
+            <label class="form-label" for="derived-dim">${t('derived.dim')}</label>
+            <select id="derived-dim" class="filter-select">
+              ${shareDims.map(d => `<option value="${escapeHtml(d)}">${escapeHtml(data.dimension[d].label || d)}</option>`).join('')}
+            </select>
+            <label class="form-label" for="derived-total">${t('derived.total')}</label>
+            <select id="derived-total" class="filter-select"></select>
+          </div>
+          <div class="form-group derived-option" data-types="index">
+            <label class="form-label" for="derived-base">${t('derived.base')}</label>
+            <select id="derived-base" class="filter-select">${timeOptions}</select>
+          </div>
+        </div>
+        <div class="dialog-footer">
+          <button class="btn-secondary" id="derived-cancel-btn">${t('export.cancel')}</button>
+          <button class="btn-primary" id="derived-add-btn">${t('derived.add')}</button>
+        </div>
+      </div>
+    </div>
+  `);
+
+  const dialog = document.getElementById('derived-dialog');
+  const typeSelect = document.getElementById('derived-type');
+  const dimSelect = document.getElementById('derived-dim');
+  const totalSelect = document.getElementById('derived-total');
+
+  if (!timeDim) typeSelect.value = 'share';
+
+  const updateOptions = () => {
+    dialog.querySelectorAll('.derived-option').forEach(group => {
+      group.style.display = group.dataset.types === typeSelect.value ? '' : 'none';
+    });
+  };
+  const updateTotals = () => {
+    const cat = data.dimension[dimSelect.value]?.category;
+    if (!cat) return;
+    totalSelect.innerHTML = `<option value="">${t('derived.totalSum')}</option>` +
+      Object.keys(cat.index)
+        .sort((a, b) => cat.index[a] - cat.index[b])
+        .map(code => `<option value="${escapeHtml(code)}">${escapeHtml(cat.label?.[code] ?? code)}</option>`)
+        .join('');
+  };
+  typeSelect.addEventListener('change', updateOptions);
+  dimSelect.addEventListener('change', updateTotals);
+  updateOptions();
+  updateTotals();
+
+  const closeDialog = () => { dialog.remove(); removeEscape(); };
+  const removeEscape = addEscapeHandler(closeDialog);
+
+  document.getElementById('derived-dialog-close')?.addEventListener('click', closeDialog);
+  document.getElementById('derived-cancel-btn')?.addEventListener('click', closeDialog);
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeDialog();
+  });
+
+  document.getElementById('derived-add-btn')?.addEventListener('click', () => {
+    const type = typeSelect.value;
+    const def = { type, of: document.getElementById('derived-of').value };
+    if (type === 'ratio') {
+      def.den = document.getElementById('derived-den').value;
+      const factor = parseInt(document.getElementById('derived-factor').value, 10);
+      if (factor > 1) def.factor = factor;
+    } else if (type === 'share') {
+      def.dim = dimSelect.value;
+      if (totalSelect.value) def.total = totalSelect.value;
+    } else if (type === 'index') {
+      def.base = document.getElementById('derived-base').value;
+    }
+
+    closeDialog();
+    if (AppState.derivedColumns.some(d => JSON.stringify(d) === JSON.stringify(def))) return;
+    setDerivedColumns([...AppState.derivedColumns, def]);
+  });
+}
@@ -2,7 +2,9 @@
  * Table Display - Fetch and display table data
  */
 
-// Store current data and metadata
+// Store current data and metadata. currentSourceData is the API response;
+// currentData adds the derived columns on top of it (table-derived.js).
+let currentSourceData = null;
 let currentData = null;
 let currentFullMetadata = null;
 
@@ -23,7 +25,13 @@ async function renderTableDisplay(container) {
   const table = AppState.selectedTable;
   updatePageTitle([extractTableTitle(table.label)]);
 
-  await BrowserState.init();
+  // The table list is only needed for the label; offline with a pinned copy
+  // (offline.js) the view works without it
+  try {
+    await BrowserState.init();
+  } catch (e) {
+    logger.warn('[TableDisplay] Could not load table list:', e);
+  }
 
   // If we arrived via direct link/refresh, the label was a placeholder — update it now
   const realTable = BrowserState.allTables.find(t => t.id === table.id);
@@ -39,13 +47,15 @@ async function renderTableDisplay(container) {
           <button id="back-to-browser" class="btn-secondary">
             ${t('nav.back.tables')}
           </button>
+          ${AppState.joinDefinition ? '' : `
           <button id="back-to-variables" class="btn-secondary">
             ${t('nav.back.variables')}
-          </button>
+          </button>`}
         </div>
         ${buildNavigationBreadcrumb(table.id, extractTableTitle(table.label))}
         <h2>${escapeHtml(extractTableTitle(table.label))}</h2>
         <p class="table-id-display">${t('table.prefix')} ${escapeHtml(table.id)}</p>
+        ${AppState.joinDefinition ? '' : buildWatchButton(table.id)}
       </div>
 
       <div id="data-container" class="data-container">
@@ -54,8 +64,14 @@ async function renderTableDisplay(container) {
     </div>
   `;
 
+  // Star toggle (watchlist.js)
+  if (!AppState.joinDefinition) {
+    setupWatchButton(container, table);
+  }
+
   // Set up back buttons
   document.getElementById('back-to-browser')?.addEventListener('click', () => {
+    currentSourceData = null;
     currentData = null;
     currentFullMetadata = null;
     const ref = AppState.navigationRef || 'home';
@@ -74,6 +90,60 @@ async function renderTableDisplay(container) {
   await loadTableData();
 }
 
+/**
+ * Show why the table data could not be fetched, with recovery actions by
+ * error type (api.js): reduce or correct the selection, retry, or open a
+ * pinned copy of the table with another selection (offline.js).
+ * The message stays until the user acts or navigates.
+ *
+ * @param {Error} error - Error from the API client
+ * @param {string|null} message - Message to show instead of the error's own
+ */
+async function showFetchError(error, message = null) {
+  if (error?.name === 'AbortError') return;
+  const tableId = AppState.selectedTable?.id;
+  const actions = [];
+
+  if (error instanceof CellLimitError || error instanceof InvalidValueCodeError) {
+    const problem = error instanceof InvalidValueCodeError && error.variable
+      ? { variable: error.variable, code: error.code }
+      : null;
+    actions.push({
+      label: problem ? t('recovery.editSelection') : t('recovery.reduceSelection'),
+      onClick: () => {
+        AppState.selectionProblem = problem;
+        AppState.setView('variables');
+      }
+    });
+  } else {
+    // Worth trying again: rate limit, no connection, server errors
+    const transient = error instanceof RateLimitError || error instanceof NetworkError ||
+      !(error instanceof ApiError) || error.status >= 500;
+    if (transient) {
+      actions.push({
+        label: t('recovery.retry'),
+        onClick: () => {
+          const container = document.getElementById('data-container');
+          if (container) container.innerHTML = `<p class="loading-message">${t('loading.data')}</p>`;
+          loadTableData();
+        }
+      });
+    }
+
+    const currentKey = OfflineStore.currentKey();
+    const pinned = (await OfflineStore.forTable(tableId)).find(entry => entry.key !== currentKey);
+    if (pinned) {
+      actions.push({
+        label: tpl('recovery.openPinned', BrowserState.formatUpdatedDate(pinned.pinnedAt)),
+        onClick: () => OfflineStore.openPinned(pinned)
+      });
+    }
+  }
+
+  const text = message || (error instanceof ApiError ? error.message : t('error.fetchData'));
+  showError(text, error, actions);
+}
+
 /**
  * Load table data from API.
  *
@@ -92,15 +162,72 @@ async function loadTableData() {
   // Use pre-fetched data if available (e.g. from saved query parallel fetch).
   // Consume and clear immediately so subsequent navigations always re-fetch.
   let data;
-  if (AppState.tableData) {
+  let fetchError = null;
+  currentJoinReport = null;
+  currentPinnedAt = null;
+  if (AppState.joinDefinition) {
+    // Joined tables (table-join.js): fetch both and merge
+    // (not safeApiCall: join validation errors carry the user-facing reason)
+    let joined = null;
+    try {
+      showLoading(true);
+      clearError();
+      joined = await runJoinDefinition(AppState.joinDefinition);
+    } catch (e) {
+      showError(tpl('join.failed', e.message), e);
+    } finally {
+      showLoading(false);
+    }
+    data = joined?.data;
+    currentJoinReport = joined?.report || null;
+  } else if (AppState.tableData) {
     logger.log('[TableDisplay] Using pre-fetched data for table:', tableId);
     data = AppState.tableData;
     AppState.tableData = null;
+  } else if (OfflineStore.takeOpenRequest()) {
+    // "Open cached copy" (showFetchError()): the pinned copy below, without fetching
+    data = null;
   } else {
-    data = await safeApiCall(
-      () => api.getTableData(tableId, selection, getCurrentApiLang(), AppState.activeCodelistIds),
-      t('error.fetchData')
-    );
+    // Selections above the cell limit are fetched in parts (table-chunks.js)
+    let chunks = null;
+    try {
+      chunks = await planTableChunks(tableId, selection, AppState.activeCodelistIds);
+    } catch (e) {
+      // Too large even in parts: nothing is sent, the error offers to reduce the selection
+      fetchError = { error: e, message: null };
+    }
+    if (chunks) {
+      const fetched = await fetchTableChunks(tableId, chunks, AppState.activeCodelistIds,
+        BrowserState.getTableUpdated(tableId));
+      if (fetched.cancelled) return;
+      data = fetched.data;
+      fetchError = fetched.error ? { error: fetched.error, message: fetched.message } : null;
+    } else if (!fetchError) {
+      // Not safeApiCall: the error decides which recovery actions to offer
+      try {
+        showLoading(true);
+        clearError();
+        data = await api.getTableData(tableId, selection, getCurrentApiLang(), AppState.activeCodelistIds,
+          { updated: BrowserState.getTableUpdated(tableId) });
+      } catch (e) {
+        fetchError = { error: e, message: null };
+      } finally {
+        showLoading(false);
+      }
+    }
+  }
+
+  // Fall back to a copy pinned for offline viewing (offline.js)
+  await OfflineStore.load();
+  if (!data?.value) {
+    const pinned = await OfflineStore.getCurrent();
+    if (pinned?.data?.value) {
+      logger.log('[TableDisplay] Using pinned copy from', pinned.pinnedAt);
+      clearError();
+      data = pinned.data;
+      currentJoinReport = pinned.report || null;
+      currentPinnedAt = pinned.pinnedAt;
+    }
   }
 
   if (!data || !data.value) {
@@ -109,6 +236,7 @@ async function loadTableData() {
     if (container) {
       container.innerHTML = '<p class="error-message">' + t('error.fetchData') + '</p>';
     }
+    if (fetchError) await showFetchError(fetchError.error, fetchError.message);
     return;
   }
 
@@ -120,11 +248,15 @@ async function loadTableData() {
     return;
   }
 
-  currentData = data;
+  currentSourceData = data;
+  currentData = applyDerivedColumns(data, AppState.derivedColumns);
 
-  // Fetch full metadata (from cache) for display
+  // Fetch full metadata (from cache) for display. A join spans two tables and
+  // shows its join report instead.
   try {
-    currentFullMetadata = await api.getTableMetadata(tableId, true, getCurrentApiLang());
+    currentFullMetadata = AppState.joinDefinition
+      ? null
+      : await api.getTableMetadata(tableId, true, getCurrentApiLang());
     // Update title if it was set as a placeholder during direct URL navigation
     if (currentFullMetadata?.label && AppState.selectedTable) {
       AppState.selectedTable.label = currentFullMetadata.label;
@@ -143,25 +275,31 @@ async function loadTableData() {
   logger.log('[TableDisplay] Sizes:', data.size);
   logger.log('[TableDisplay] Values:', data.value.length);
 
-  // Determine layout: use pre-set layout (e.g. from saved query or URL param) if it
-  // has meaningful content AND covers exactly the same dimensions as the current data.
-  // If the dimension set has changed (e.g. user added/removed an optional variable),
-  // recalculate from scratch so no dimension is silently missing or stale.
-  const existingLayout = AppState.tableLayout;
+  AppState.tableLayout = resolveTableLayout(data, AppState.tableLayout);
+
+  // Display the data
+  displayData();
+}
+
+/**
+ * Use a pre-set layout (e.g. from saved query or URL param) if it has meaningful
+ * content AND covers exactly the same dimensions as the data. If the dimension set
+ * has changed (e.g. user added/removed an optional variable), recalculate from
+ * scratch so no dimension is silently missing or stale.
+ * @param {object} data - JSON-Stat2 data
+ * @param {object|null} existingLayout - Pre-set layout
+ * @returns {object} - Layout object with rows and columns arrays
+ */
+function resolveTableLayout(data, existingLayout) {
   const allDataDims = [...data.id].sort();
   const layoutDims = existingLayout
     ? [...(existingLayout.rows || []), ...(existingLayout.columns || [])].sort()
     : [];
   const hasValidPresetLayout = existingLayout &&
-    (existingLayout.rows.length > 0 || existingLayout.columns.length > 0) &&
+    (existingLayout.rows?.length > 0 || existingLayout.columns?.length > 0) &&
     JSON.stringify(allDataDims) === JSON.stringify(layoutDims);
 
-  if (!hasValidPresetLayout) {
-    AppState.tableLayout = determineDefaultLayout(data);
-  }
-
-  // Display the data
-  displayData();
+  return hasValidPresetLayout ? existingLayout : determineDefaultLayout(data);
 }
 
 /**
@@ -207,14 +345,20 @@ function determineDefaultLayout(data) {
 }
 
 /**
- * Display the data as a table
+ * Display the data as a table (or chart, see table-chart.js)
  */
 function displayData() {
   const container = document.getElementById('data-container');
   if (!container || !currentData) return;
 
-  // Build metadata section
-  let html = buildMetadataSection();
+  // Build metadata section (or the mismatch report for joined tables)
+  let html = AppState.joinDefinition
+    ? buildJoinReport(AppState.joinDefinition, currentJoinReport)
+    : buildMetadataSection();
+
+  if (currentPinnedAt) {
+    html += `<p class="offline-notice" role="status">${escapeHtml(tpl('offline.showingPinned', BrowserState.formatUpdatedDate(currentPinnedAt)))}</p>`;
+  }
 
   // Build control bar
   html += `
@@ -223,15 +367,30 @@ function displayData() {
         <button id="rotate-table-btn" class="btn-secondary">
           ${t('table.rotate')}
         </button>
+        <button id="chart-toggle-btn" class="btn-secondary">
+          ${AppState.chartType ? t('table.showTable') : t('table.showChart')}
+        </button>
+        <button id="derived-btn" class="btn-secondary">
+          ${t('derived.button')}
+        </button>
         <button id="export-quick-btn" class="btn-primary">
           ${t('table.download')}
         </button>
         <button id="export-btn" class="btn-secondary">
           ${t('table.moreOptions')}
         </button>
+        ${AppState.joinDefinition ? '' : `
         <button id="save-query-btn" class="btn-secondary">
           ${t('table.getLink')}
+        </button>`}
+        <button id="workspace-add-btn" class="btn-secondary">
+          ${t('workspace.add')}
         </button>
+        ${AppState.joinDefinition ? '' : `
+        <button id="library-add-btn" class="btn-secondary">
+          ${t('library.add')}
+        </button>`}
+        ${buildPinButton()}
       </div>
       <div class="table-info">
         <span id="cell-count-display"></span>
@@ -239,8 +398,10 @@ function displayData() {
     </div>
   `;
 
-  // Build the table
-  html += buildHtmlTable();
+  html += buildDerivedList();
+
+  // Build the table, or the chart when chart mode is active (table-chart.js)
+  html += AppState.chartType ? buildChartView() : buildHtmlTable();
 
   container.innerHTML = html;
 
@@ -249,10 +410,50 @@ function displayData() {
     openRotationDialog();
   });
 
+  document.getElementById('chart-toggle-btn')?.addEventListener('click', () => {
+    setTableChartType(AppState.chartType ? null : 'line');
+  });
+
+  document.getElementById('derived-btn')?.addEventListener('click', () => {
+    showDerivedDialog();
+  });
+  setupDerivedEvents(container);
+
+  if (AppState.chartType) {
+    setupChartEvents(container);
+  }
+
   document.getElementById('save-query-btn')?.addEventListener('click', () => {
     showSaveQueryDialog();
   });
 
+  document.getElementById('workspace-add-btn')?.addEventListener('click', async (e) => {
+    const btn = e.currentTarget;
+    if (btn.dataset.added) {
+      URLRouter.navigateTo('workspace', Workspace.toParams());
+      URLRouter.handleRoute();
+      return;
+    }
+    const count = await Workspace.addCurrentTable();
+    btn.dataset.added = '1';
+    btn.textContent = tpl('workspace.openWithCount', count);
+  });
+
+  document.getElementById('library-add-btn')?.addEventListener('click', (e) => {
+    const btn = e.currentTarget;
+    if (btn.dataset.added) {
+      URLRouter.navigateTo('library', {});
+      URLRouter.handleRoute();
+      return;
+    }
+    showLibraryDialog(null, () => {
+      btn.dataset.added = '1';
+      btn.textContent = t('library.openLibrary');
+    });
+  });
+
+  setupPinButton(container);
+
   document.getElementById('export-quick-btn')?.addEventListener('click', () => {
     quickExportXlsx();
   });
@@ -285,35 +486,60 @@ function displayData() {
     });
   }
 
+  // Fold/unfold hierarchy nodes in the row headers (kept in the URL)
+  container.querySelector('.table-wrapper')?.addEventListener('click', (e) => {
+    const toggle = e.target.closest('.tree-toggle');
+    if (!toggle) return;
+    const wrapper = e.currentTarget;
+    const scroll = { top: wrapper.scrollTop, left: wrapper.scrollLeft };
+    toggleCollapsedNode(toggle.dataset.dimension, toggle.dataset.code);
+    AppState._updateHash('table');
+    displayData();
+    const newWrapper = container.querySelector('.table-wrapper');
+    if (newWrapper) {
+      newWrapper.scrollTop = scroll.top;
+      newWrapper.scrollLeft = scroll.left;
+    }
+  });
+
+  // Windowed table: draw the first rows and follow scrolling (table-virtual.js)
+  setupVirtualTables(container);
+
   // Update cell count
   updateCellCount();
 }
 
 /**
  * Build HTML table from data
+ * @param {object} data - JSON-Stat2 data (defaults to currentData)
+ * @param {object} layout - { rows, columns } (defaults to AppState.tableLayout)
+ * @param {object|null} collapsed - Folded hierarchy nodes { DimCode: [code, ...] }
+ *   (defaults to AppState.collapsedNodes); null shows the tree without fold toggles
  * @returns {string} - HTML table
  */
-function buildHtmlTable() {
-  if (!currentData || !AppState.tableLayout) {
+function buildHtmlTable(data = currentData, layout = AppState.tableLayout, collapsed = AppState.collapsedNodes) {
+  if (!data || !layout) {
     return '<p class="error-message">' + t('error.buildTable') + '</p>';
   }
 
-  const data = currentData;
-  const layout = AppState.tableLayout;
-
   // Get dimension info
   const rowDims = layout.rows;
   const colDims = layout.columns;
 
-  // Build row and column headers
-  const rowHeaders = buildDimensionCombinations(rowDims, data);
+  // Large responses are drawn windowed: only the cells in view (table-virtual.js)
+  if (countAxisCombinations(rowDims, data) * countAxisCombinations(colDims, data) > AppConfig.ui.virtualTableCells) {
+    return buildVirtualTable(data, layout, collapsed);
+  }
+
+  // Row dimensions with "¬" hierarchies get fold toggles and subtotal rows (hierarchy.js)
+  const rowTrees = buildRowTrees(data, rowDims, collapsed);
+
+  // Build row and column headers (rows under folded nodes are left out)
+  const rowHeaders = buildDimensionCombinations(rowDims, data).filter(rowHeader => !isRowFolded(rowHeader, rowTrees));
   const colHeaders = buildDimensionCombinations(colDims, data);
 
   // Precompute metric dimension lookup for decimal formatting (constant across all cells)
-  const metricDim = data.role?.metric?.[0];
-  const metricRowIdx = metricDim != null ? layout.rows.indexOf(metricDim) : -1;
-  const metricColIdx = metricDim != null ? layout.columns.indexOf(metricDim) : -1;
-  const tableDefaultDecimals = data.extension?.px?.decimals ?? null;
+  const cellContext = buildCellContext(data, layout);
 
   logger.log('[TableDisplay] Row headers:', rowHeaders.length);
   logger.log('[TableDisplay] Column headers:', colHeaders.length);
@@ -375,30 +601,16 @@ function buildHtmlTable() {
   html += '<tbody>';
 
   rowHeaders.forEach(rowHeader => {
-    html += '<tr>';
+    html += isSubtotalRow(rowHeader, rowTrees) ? '<tr class="subtotal-row">' : '<tr>';
 
     // Row header cells
     rowDims.forEach((dimCode, dimIndex) => {
-      const code = rowHeader.codes[dimIndex];
-      const label = data.dimension[dimCode].category.label[code];
-      html += '<th class="row-header">' + escapeHtml(label) + '</th>';
+      html += buildRowHeaderCell(dimCode, rowHeader.codes[dimIndex], data, rowTrees[dimIndex]);
     });
 
     // Data cells
     colHeaders.forEach(colHeader => {
-      const status = getDataStatus(rowHeader, colHeader);
-      if (status) {
-        html += '<td class="data-cell suppressed-value" title="' + escapeHtml(suppressedLabel(status)) + '">' + escapeHtml(status) + '</td>';
-      } else {
-        const value = getDataValue(rowHeader, colHeader);
-        const metricCode = metricRowIdx !== -1 ? rowHeader.codes[metricRowIdx]
-                         : metricColIdx !== -1 ? colHeader.codes[metricColIdx]
-                         : undefined;
-        const decimals = metricCode !== undefined
-          ? (data.dimension[metricDim]?.category?.unit?.[metricCode]?.decimals ?? tableDefaultDecimals)
-          : tableDefaultDecimals;
-        html += '<td class="data-cell">' + formatNumber(value, decimals) + '</td>';
-      }
+      html += buildDataCell(rowHeader, colHeader, data, layout, cellContext);
     });
 
     html += '</tr>';
@@ -410,6 +622,139 @@ function buildHtmlTable() {
   return html;
 }
 
+/**
+ * Hierarchy trees for the row dimensions whose labels use "¬" prefixes
+ * @param {object} data - JSON-Stat2 data
+ * @param {Array} rowDims - Row dimension codes
+ * @param {object|null} collapsed - Folded nodes { DimCode: [code, ...] }, null = not foldable
+ * @returns {Array<object|null>} - Per row dimension: { nodes, position, collapsed, foldable } or null
+ */
+function buildRowTrees(data, rowDims, collapsed) {
+  return rowDims.map(dimCode => {
+    const category = data.dimension[dimCode]?.category;
+    if (!category) return null;
+
+    const codes = Object.keys(category.index);
+    const nodes = buildHierarchy(codes.map(code => category.label[code]));
+    if (!isHierarchical(nodes)) return null;
+
+    const position = {};
+    codes.forEach((code, i) => { position[code] = i; });
+    const folded = new Set((collapsed?.[dimCode] || []).map(code => position[code]).filter(i => i !== undefined));
+    return { nodes, position, collapsed: folded, foldable: collapsed != null };
+  });
+}
+
+/**
+ * Whether a row is hidden under a folded node
+ * @param {object} rowHeader - Row header combination
+ * @param {Array<object|null>} rowTrees - From buildRowTrees()
+ * @returns {boolean}
+ */
+function isRowFolded(rowHeader, rowTrees) {
+  return rowTrees.some((tree, dimIndex) =>
+    tree && isHiddenByCollapse(tree.nodes, tree.position[rowHeader.codes[dimIndex]], tree.collapsed));
+}
+
+/**
+ * Whether a row is a subtotal (a node with children in one of the row hierarchies)
+ * @param {object} rowHeader - Row header combination
+ * @param {Array<object|null>} rowTrees - From buildRowTrees()
+ * @returns {boolean}
+ */
+function isSubtotalRow(rowHeader, rowTrees) {
+  return rowTrees.some((tree, dimIndex) =>
+    tree && tree.nodes[tree.position[rowHeader.codes[dimIndex]]].hasChildren);
+}
+
+/**
+ * Build a row header cell; hierarchy values are indented and nodes get a fold toggle
+ * @param {string} dimCode - Dimension code
+ * @param {string} code - Value code
+ * @param {object} data - JSON-Stat2 data
+ * @param {object|null} tree - Entry from buildRowTrees()
+ * @param {string} style - Extra inline style (windowed table)
+ * @returns {string} - HTML
+ */
+function buildRowHeaderCell(dimCode, code, data, tree, style = '') {
+  const rawLabel = data.dimension[dimCode].category.label[code];
+  if (!tree) {
+    // The windowed table clips long labels, so it shows them in full as a tooltip
+    const attrs = style ? ' style="' + style + '" title="' + escapeHtml(rawLabel) + '"' : '';
+    return '<th class="row-header"' + attrs + '>' + escapeHtml(rawLabel) + '</th>';
+  }
+
+  const index = tree.position[code];
+  const node = tree.nodes[index];
+  // Leave room for the toggle (pulled into the padding by CSS) before the indentation
+  const indent = 'padding-left: calc(var(--spacing-md) + ' + ((14 + node.depth * 12) / 10) + 'rem);';
+  let toggle = '';
+  if (node.hasChildren && tree.foldable) {
+    const folded = tree.collapsed.has(index);
+    toggle = '<button type="button" class="tree-toggle" data-dimension="' + escapeHtml(dimCode) + '" data-code="' + escapeHtml(code) + '"' +
+             ' aria-expanded="' + !folded + '" aria-label="' + t(folded ? 'tree.expand' : 'tree.collapse') + '">' +
+             (folded ? '&#9656;' : '&#9662;') + '</button>';
+  }
+  return '<th class="row-header" style="' + indent + style + '" title="' + escapeHtml(node.label) + '">' + toggle + escapeHtml(node.label) + '</th>';
+}
+
+/**
+ * Precompute the metric dimension lookup used for decimal formatting
+ * (constant across all cells of a table)
+ * @param {object} data - JSON-Stat2 data
+ * @param {object} layout - { rows, columns }
+ * @returns {object} - Context for buildDataCell()
+ */
+function buildCellContext(data, layout) {
+  const metricDim = data.role?.metric?.[0];
+  return {
+    metricDim,
+    metricRowIdx: metricDim != null ? layout.rows.indexOf(metricDim) : -1,
+    metricColIdx: metricDim != null ? layout.columns.indexOf(metricDim) : -1,
+    tableDefaultDecimals: data.extension?.px?.decimals ?? null,
+    derivedCodes: data.extension?.derived || []
+  };
+}
+
+/**
+ * Build the <td> for one row/column combination
+ * @param {object} rowHeader - Row header combination
+ * @param {object} colHeader - Column header combination
+ * @param {object} data - JSON-Stat2 data
+ * @param {object} layout - { rows, columns }
+ * @param {object} ctx - From buildCellContext()
+ * @returns {string} - HTML
+ */
+function buildDataCell(rowHeader, colHeader, data, layout, ctx) {
+  const status = getDataStatus(rowHeader, colHeader, data, layout);
+  if (status) {
+    return '<td class="data-cell suppressed-value" title="' + escapeHtml(suppressedLabel(status)) + '">' + escapeHtml(status) + '</td>';
+  }
+
+  const value = getDataValue(rowHeader, colHeader, data, layout);
+  const metricCode = ctx.metricRowIdx !== -1 ? rowHeader.codes[ctx.metricRowIdx]
+                   : ctx.metricColIdx !== -1 ? colHeader.codes[ctx.metricColIdx]
+                   : undefined;
+  const decimals = metricCode !== undefined
+    ? (data.dimension[ctx.metricDim]?.category?.unit?.[metricCode]?.decimals ?? ctx.tableDefaultDecimals)
+    : ctx.tableDefaultDecimals;
+  const cellClass = ctx.derivedCodes.includes(metricCode) ? 'data-cell derived-value' : 'data-cell';
+  return '<td class="' + cellClass + '">' + formatNumber(value, decimals) + '</td>';
+}
+
+/**
+ * Number of value combinations along one table axis (1 for an empty axis)
+ * @param {Array} dimCodes - Dimension codes
+ * @param {object} data - JSON-Stat2 data
+ * @returns {number}
+ */
+function countAxisCombinations(dimCodes, data) {
+  return dimCodes.reduce((count, dimCode) => {
+    const dimension = data.dimension[dimCode];
+    return dimension ? count * Object.keys(dimension.category.index).length : count;
+  }, 1);
+}
+
 /**
  * Build all combinations of dimension values
  * @param {Array} dimCodes - Dimension codes
@@ -453,13 +798,12 @@ function buildDimensionCombinations(dimCodes, data) {
  * Get data value for specific row/column combination
  * @param {object} rowHeader - Row header combination
  * @param {object} colHeader - Column header combination
+ * @param {object} data - JSON-Stat2 data (defaults to currentData)
+ * @param {object} layout - { rows, columns } (defaults to AppState.tableLayout)
  * @returns {number|null} - Data value
  */
-function getDataValue(rowHeader, colHeader) {
-  if (!currentData) return null;
-
-  const layout = AppState.tableLayout;
-  const data = currentData;
+function getDataValue(rowHeader, colHeader, data = currentData, layout = AppState.tableLayout) {
+  if (!data) return null;
 
   // Build full dimension indices array
   const fullIndices = [];
@@ -488,13 +832,12 @@ function getDataValue(rowHeader, colHeader) {
  * Get suppressed-value status code for a cell (JSON-stat2 `status` field)
  * @param {object} rowHeader - Row header combination
  * @param {object} colHeader - Column header combination
+ * @param {object} data - JSON-Stat2 data (defaults to currentData)
+ * @param {object} layout - { rows, columns } (defaults to AppState.tableLayout)
  * @returns {string|null} - Status symbol (e.g. ".", ":", "..") or null
  */
-function getDataStatus(rowHeader, colHeader) {
-  if (!currentData || !currentData.status) return null;
-
-  const layout = AppState.tableLayout;
-  const data = currentData;
+function getDataStatus(rowHeader, colHeader, data = currentData, layout = AppState.tableLayout) {
+  if (!data || !data.status) return null;
 
   const fullIndices = [];
   data.id.forEach(dimCode => {
@@ -0,0 +1,329 @@
+/**
+ * Table Join - Merge two JSON-stat2 responses on their shared dimensions
+ *
+ * The result is an ordinary JSON-stat2 object, so buildHtmlTable, rotation,
+ * charts and local export all work on it unchanged. Shared dimensions (same
+ * dimension code in both tables, e.g. Region, Tid, Kjonn) are inner-joined on
+ * their category codes; the contents (metric) dimensions of both tables are
+ * stacked into one ContentsCode dimension.
+ *
+ * A join is described by a definition that can be stored in the URL
+ * (#join?j=…) and in the workspace, and re-run at any time:
+ *   { left: { t: tableId, n: label, v, c }, right: { t, n, v, c } }
+ */
+
+// Mismatch report for the join currently shown in the table view
+let currentJoinReport = null;
+
+/**
+ * Pseudo table ID used for a join in AppState.selectedTable
+ * @param {object} def - Join definition
+ * @returns {string}
+ */
+function joinTableId(def) {
+  return def.left.t + '+' + def.right.t;
+}
+
+/**
+ * Fetch both tables of a join definition and merge them
+ * @param {object} def - Join definition
+ * @returns {Promise<object>} - { data, report }
+ */
+async function runJoinDefinition(def) {
+  const lang = getCurrentApiLang();
+  // Sequential on purpose: the API is rate limited
+  const left = await api.getTableData(def.left.t, def.left.v, lang, def.left.c || {},
+    { updated: BrowserState.getTableUpdated(def.left.t) });
+  const right = await api.getTableData(def.right.t, def.right.v, lang, def.right.c || {},
+    { updated: BrowserState.getTableUpdated(def.right.t) });
+  return joinJsonStat(left, right, def.left.t, def.right.t);
+}
+
+/**
+ * Merge two JSON-stat2 datasets on the dimensions they share.
+ *
+ * Dimensions present in only one table must be single-valued (they are
+ * dropped); otherwise the tables can't be aligned and an Error is thrown.
+ *
+ * @param {object} left - JSON-Stat2 data
+ * @param {object} right - JSON-Stat2 data
+ * @param {string} leftId - Table ID of left (used to disambiguate contents)
+ * @param {string} rightId - Table ID of right
+ * @returns {object} - { data, report: { shared, dropped, mismatches: { dim: { leftOnly, rightOnly } } } }
+ */
+function joinJsonStat(left, right, leftId, rightId) {
+  const lm = left.role?.metric?.[0] ?? null;
+  const rm = right.role?.metric?.[0] ?? null;
+
+  const shared = left.id.filter(d => d !== lm && d !== rm && right.id.includes(d));
+  if (shared.length === 0) {
+    throw new Error(t('join.noShared'));
+  }
+
+  const sizeOf = (data, dimCode) => data.size[data.id.indexOf(dimCode)];
+  const unshared = [
+    ...left.id.filter(d => d !== lm && !shared.includes(d)).map(d => ({ data: left, dim: d })),
+    ...right.id.filter(d => d !== rm && !shared.includes(d)).map(d => ({ data: right, dim: d }))
+  ];
+  const multiValued = unshared.filter(u => sizeOf(u.data, u.dim) > 1);
+  if (multiValued.length > 0) {
+    throw new Error(tpl('join.unsharedDims',
+      multiValued.map(u => u.data.dimension[u.dim].label || u.dim).join(', ')));
+  }
+
+  // Inner join on category codes, in the left table's order
+  const report = { shared, dropped: unshared.map(u => u.dim), mismatches: {} };
+  const dimension = {};
+  const sharedCodes = {};  // dimension → ordered codes (Object.keys would put integer-like codes first)
+
+  shared.forEach(dimCode => {
+    const lc = left.dimension[dimCode].category;
+    const rc = right.dimension[dimCode].category;
+    const leftCodes = Object.keys(lc.index).sort((a, b) => lc.index[a] - lc.index[b]);
+    const rightCodes = Object.keys(rc.index);
+
+    const codes = leftCodes.filter(c => c in rc.index);
+    sharedCodes[dimCode] = codes;
+    const leftOnly = leftCodes.filter(c => !(c in rc.index));
+    const rightOnly = rightCodes.filter(c => !(c in lc.index));
+    if (leftOnly.length > 0 || rightOnly.length > 0) {
+      report.mismatches[dimCode] = {
+        leftOnly: leftOnly.map(c => lc.label?.[c] ?? c),
+        rightOnly: rightOnly.map(c => rc.label?.[c] ?? c)
+      };
+    }
+
+    const index = {};
+    const label = {};
+    codes.forEach((c, i) => {
+      index[c] = i;
+      label[c] = lc.label?.[c] ?? c;
+    });
+    dimension[dimCode] = { label: left.dimension[dimCode].label, category: { index, label } };
+  });
+
+  if (shared.some(d => sharedCodes[d].length === 0)) {
+    throw new Error(t('join.noOverlap'));
+  }
+
+  // Stack the contents of both tables into one metric dimension
+  const contents = [];
+  const addContents = (data, metricDim, tableId) => {
+    if (!metricDim) {
+      contents.push({ source: data, tableId, srcCode: null, label: extractTableTitle(data.label || tableId) });
+      return;
+    }
+    const cat = data.dimension[metricDim].category;
+    Object.keys(cat.index).sort((a, b) => cat.index[a] - cat.index[b]).forEach(code => {
+      contents.push({ source: data, tableId, srcCode: code, label: cat.label?.[code] ?? code, unit: cat.unit?.[code] });
+    });
+  };
+  addContents(left, lm, leftId);
+  addContents(right, rm, rightId);
+
+  const metricDim = lm || rm || 'ContentsCode';
+  const contentCategory = { index: {}, label: {}, unit: {} };
+  contents.forEach((c, i) => {
+    let code = c.srcCode ?? c.tableId;
+    if (code in contentCategory.index) code = c.tableId + '_' + code;
+    c.code = code;
+    contentCategory.index[code] = i;
+    contentCategory.label[code] = c.label + ' (' + c.tableId + ')';
+    if (c.unit) contentCategory.unit[code] = c.unit;
+  });
+  dimension[metricDim] = { label: left.dimension[lm]?.label || right.dimension[rm]?.label || metricDim, category: contentCategory };
+
+  const id = [...shared, metricDim];
+  const size = [...shared.map(d => sharedCodes[d].length), contents.length];
+
+  // Fill values in row-major order (last dimension fastest)
+  const total = size.reduce((a, b) => a * b, 1);
+  const value = new Array(total);
+  const status = {};
+  const counters = new Array(id.length).fill(0);
+
+  for (let flat = 0; flat < total; flat++) {
+    const content = contents[counters[id.length - 1]];
+    const src = content.source;
+    const srcMetric = src === left ? lm : rm;
+
+    const srcIndices = src.id.map(dimCode => {
+      if (dimCode === srcMetric) return src.dimension[dimCode].category.index[content.srcCode];
+      const pos = shared.indexOf(dimCode);
+      if (pos === -1) return 0;  // dropped single-valued dimension
+      return src.dimension[dimCode].category.index[sharedCodes[dimCode][counters[pos]]];
+    });
+    const srcFlat = calculateFlatIndex(srcIndices, src.size);
+
+    value[flat] = src.value[srcFlat] ?? null;
+    const st = src.status?.[String(srcFlat)];
+    if (st) status[String(flat)] = st;
+
+    // Advance the counters
+    for (let d = id.length - 1; d >= 0; d--) {
+      counters[d]++;
+      if (counters[d] < size[d]) break;
+      counters[d] = 0;
+    }
+  }
+
+  const role = { metric: [metricDim] };
+  ['time', 'geo'].forEach(r => {
+    const dims = (left.role?.[r] || []).filter(d => shared.includes(d));
+    if (dims.length > 0) role[r] = dims;
+  });
+
+  const data = {
+    version: '2.0',
+    class: 'dataset',
+    label: tpl('join.label', extractTableTitle(left.label || leftId), extractTableTitle(right.label || rightId)),
+    id,
+    size,
+    dimension,
+    role,
+    value,
+    status
+  };
+
+  return { data, report };
+}
+
+/**
+ * Build the mismatch report box shown above a joined table
+ * @param {object} def - Join definition
+ * @param {object|null} report - Report from joinJsonStat()
+ * @returns {string} - HTML
+ */
+function buildJoinReport(def, report) {
+  if (!report) return '';
+
+  const dimLabel = dimCode => currentData?.dimension?.[dimCode]?.label || dimCode;
+  let html = '<div class="export-info join-report">';
+  html += '<p>' + tpl('join.sharedOn', escapeHtml(report.shared.map(dimLabel).join(', '))) + '</p>';
+
+  const mismatched = Object.entries(report.mismatches);
+  if (mismatched.length === 0) {
+    html += '<p>' + t('join.allMatched') + '</p>';
+  } else {
+    html += '<p><strong>' + t('join.mismatchTitle') + '</strong></p><ul>';
+    mismatched.forEach(([dimCode, m]) => {
+      const parts = [];
+      if (m.leftOnly.length > 0) {
+        parts.push(tpl('join.onlyIn', escapeHtml(def.left.t), m.leftOnly.length) +
+                   ' <span class="join-codes">' + escapeHtml(_joinPreview(m.leftOnly)) + '</span>');
+      }
+      if (m.rightOnly.length > 0) {
+        parts.push(tpl('join.onlyIn', escapeHtml(def.right.t), m.rightOnly.length) +
+                   ' <span class="join-codes">' + escapeHtml(_joinPreview(m.rightOnly)) + '</span>');
+      }
+      html += '<li><strong>' + escapeHtml(dimLabel(dimCode)) + ':</strong> ' + parts.join('; ') + '</li>';
+    });
+    html += '</ul>';
+  }
+
+  html += '</div>';
+  return html;
+}
+
+/**
+ * First few labels of a list, with an ellipsis when truncated
+ * @param {Array<string>} labels - Labels
+ * @returns {string}
+ */
+function _joinPreview(labels) {
+  const max = 5;
+  return labels.slice(0, max).join(', ') + (labels.length > max ? ', …' : '');
+}
+
+/**
+ * Show a dialog for choosing two workspace tables to join
+ * @param {Array<object>} panels - Workspace panels (table panels only)
+ */
+function showJoinDialog(panels) {
+  document.getElementById('join-dialog')?.remove();
+
+  const options = panels.map((p, i) =>
+    `<option value="${i}">${escapeHtml(p.tableId + ' ' + extractTableTitle(p.label))}</option>`
+  ).join('');
+
+  document.body.insertAdjacentHTML('beforeend', `
+    <div class="dialog-overlay" id="join-dialog">
+      <div class="dialog-container">
+        <div class="dialog-header">
+          <h3>${t('join.title')}</h3>
+          <button class="dialog-close" id="join-dialog-close">&times;</button>
+        </div>
+        <div class="dialog-content">
+          <p class="view-description">${t('join.instructions')}</p>
+          <div class="form-group">
+            <label class="form-label" for="join-left">${t('join.left')}</label>
+            <select id="join-left" class="filter-select">${options}</select>
+          </div>
+          <div class="form-group">
+            <label class="form-label" for="join-right">${t('join.right')}</label>
+            <select id="join-right" class="filter-select">${options}</select>
+          </div>
+        </div>
+        <div class="dialog-footer">
+          <button class="btn-secondary" id="join-cancel-btn">${t('export.cancel')}</button>
+          <button class="btn-primary" id="join-run-btn">${t('join.run')}</button>
+        </div>
+      </div>
+    </div>
+  `);
+
+  const dialog = document.getElementById('join-dialog');
+  const rightSelect = document.getElementById('join-right');
+  if (rightSelect && panels.length > 1) rightSelect.value = '1';
+
+  const closeDialog = () => { dialog.remove(); removeEscape(); };
+  const removeEscape = addEscapeHandler(closeDialog);
+
+  document.getElementById('join-dialog-close')?.addEventListener('click', closeDialog);
+  document.getElementById('join-cancel-btn')?.addEventListener('click', closeDialog);
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeDialog();
+  });
+
+  document.getElementById('join-run-btn')?.addEventListener('click', () => {
+    const left = panels[parseInt(document.getElementById('join-left').value, 10)];
+    const right = panels[parseInt(rightSelect.value, 10)];
+    if (left === right) {
+      showError(t('join.sameTable'));
+      return;
+    }
+    closeDialog();
+    openJoinView({
+      left: { t: left.tableId, n: left.label, v: left.variableSelection, c: left.activeCodelistIds || {} },
+      right: { t: right.tableId, n: right.label, v: right.variableSelection, c: right.activeCodelistIds || {} }
+    });
+  });
+}
+
+/**
+ * Show a join in the table view
+ * @param {object} def - Join definition
+ * @param {object|null} layout - Optional layout
+ * @param {Array<object>} derivedColumns - Optional derived columns (table-derived.js)
+ */
+function openJoinView(def, layout = null, derivedColumns = []) {
+  const ref = AppState.currentView === 'workspace'
+    ? URLRouter.buildHash('workspace', Workspace.toParams()).slice(1)
+    : AppState.navigationRef;
+
+  AppState.resetTableState();
+  AppState.joinDefinition = def;
+  AppState.selectedTable = {
+    id: joinTableId(def),
+    label: tpl('join.label', extractTableTitle(def.left.n || def.left.t), extractTableTitle(def.right.n || def.right.t))
+  };
+  // The table view requires a selection; the join's own selections live in def
+  AppState.variableSelection = def.left.v;
+  AppState.tableLayout = layout || { rows: [], columns: [] };
+  AppState.derivedColumns = derivedColumns;
+  AppState.navigationRef = ref;
+  if (ref) {
+    sessionStorage.setItem('ssb_navRef', JSON.stringify({ tableId: AppState.selectedTable.id, ref }));
+  }
+  AppState.setView('table');
+}
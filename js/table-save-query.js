@@ -5,41 +5,60 @@
 // Cache the last saved query so repeated clicks reuse the same ID
 let _lastSavedQuery = null; // { fingerprint: string, id: string }
 
+/**
+ * Identity of a query: table, selection, codelists and placement.
+ * Derived columns and chart type don't change what is fetched, so they are
+ * left out. Also used to spot duplicates in the query library (library.js).
+ * @param {object} query - { tableId, variableSelection, activeCodelistIds, tableLayout }
+ * @returns {string}
+ */
+function queryFingerprint(query) {
+  const layout = query.tableLayout;
+  return JSON.stringify({
+    tableId: query.tableId,
+    selection: query.variableSelection,
+    codelistIds: query.activeCodelistIds || {},
+    rows: layout ? layout.rows : [],
+    columns: layout ? layout.columns : []
+  });
+}
+
 /**
  * Show dialog for saving the current query and presenting shareable links.
- * POSTs to SSB's /savedqueries endpoint and displays both an SSB link
- * and a Statistikkportalen deep-link using the returned query ID.
+ * POSTs to the source's /savedqueries endpoint and displays both a link to
+ * the source's statistics bank (AppConfig.source.savedQueryUrl) and a
+ * deep-link into this app using the returned query ID.
  */
 async function showSaveQueryDialog() {
   if (!currentData || !AppState.selectedTable || !AppState.variableSelection) {
-    showError('Ingen aktiv spørring å lagre');
+    showError(t('saveQuery.noQuery'));
     return;
   }
 
   // Fingerprint the current selection so we can skip the POST if nothing changed
   const layout = AppState.tableLayout;
-  const fingerprint = JSON.stringify({
+  const fingerprint = queryFingerprint({
     tableId: AppState.selectedTable.id,
-    selection: AppState.variableSelection,
-    codelistIds: AppState.activeCodelistIds || {},
-    rows: layout ? layout.rows : [],
-    columns: layout ? layout.columns : []
+    variableSelection: AppState.variableSelection,
+    activeCodelistIds: AppState.activeCodelistIds,
+    tableLayout: layout
   });
 
   // Remove any existing dialog
   document.getElementById('save-query-dialog')?.remove();
 
   const needsLoading = !(_lastSavedQuery && _lastSavedQuery.fingerprint === fingerprint);
+  const sourceName = AppConfig.source?.name || '';
 
   const dialogHtml = `
     <div class="dialog-overlay" id="save-query-dialog">
       <div class="dialog-container" style="max-width: 540px;">
         <div class="dialog-header">
-          <h3>Få lenke til spørringen</h3>
+          <h3>${t('saveQuery.title')}</h3>
           <button class="dialog-close" id="save-query-close">&times;</button>
         </div>
         <div class="dialog-content" id="save-query-content">
-          ${needsLoading ? '<p class="loading-message">Lagrer spørring hos SSB...</p>' : ''}
+          ${needsLoading ? `<p class="loading-message">${escapeHtml(tpl('saveQuery.saving', sourceName))}</p>` : ''}
         </div>
       </div>
     </div>
@@ -64,33 +83,34 @@ async function showSaveQueryDialog() {
   });
 
   const showLinks = (id) => {
-    const ssbUrl = 'https://www.ssb.no/statbank/sq/' + id;
-    const portalUrl = window.location.origin + window.location.pathname + '#sq/' + id;
+    // Sources without a public saved-query page only get the portal link
+    const ssbUrl = AppConfig.source.savedQueryUrl ? AppConfig.source.savedQueryUrl + id : null;
+    const portalUrl = window.location.origin + window.location.pathname + URLRouter.buildHash('sq/' + id);
 
     document.getElementById('save-query-content').innerHTML = `
-      <p>Spørringen er lagret. Bruk lenkene nedenfor for å dele eller gjenåpne den.</p>
+      <p>${t('saveQuery.saved')}</p>
 
       <div class="form-group">
-        <label class="form-label">Åpne i Statistikkportalen:</label>
+        <label class="form-label">${escapeHtml(tpl('saveQuery.openIn', AppConfig.app?.name || ''))}</label>
         <div class="save-query-link-row">
           <input type="text" class="save-query-link-input" readonly
                  id="portal-link-input" value="${escapeHtml(portalUrl)}">
-          <button class="btn-secondary" id="copy-portal-link">Kopier</button>
+          <button class="btn-secondary" id="copy-portal-link">${t('saveQuery.copy')}</button>
         </div>
       </div>
 
-      <div class="form-group">
-        <label class="form-label">Åpne i SSBs statistikkbank:</label>
+      ${ssbUrl ? `<div class="form-group">
+        <label class="form-label">${escapeHtml(tpl('saveQuery.openInSource', sourceName))}:</label>
         <div class="save-query-link-row">
           <input type="text" class="save-query-link-input" readonly
                  id="ssb-link-input" value="${escapeHtml(ssbUrl)}">
-          <button class="btn-secondary" id="copy-ssb-link">Kopier</button>
+          <button class="btn-secondary" id="copy-ssb-link">${t('saveQuery.copy')}</button>
         </div>
         <a href="${escapeHtml(ssbUrl)}" target="_blank" rel="noopener"
            style="display:inline-block; margin-top: 6px; font-size: 0.9em;">
-          Åpne i SSBs statistikkbank ↗
+          ${escapeHtml(tpl('saveQuery.openInSource', sourceName))} ↗
         </a>
-      </div>
+      </div>` : ''}
     `;
 
     const makeCopyHandler = (inputId, btnId) => {
@@ -102,8 +122,8 @@ async function showSaveQueryDialog() {
         });
         const btn = document.getElementById(btnId);
         if (btn) {
-          btn.textContent = 'Kopiert!';
-          setTimeout(() => { btn.textContent = 'Kopier'; }, 2000);
+          btn.textContent = t('saveQuery.copied');
+          setTimeout(() => { btn.textContent = t('saveQuery.copy'); }, 2000);
         }
       });
     };
@@ -131,7 +151,7 @@ async function showSaveQueryDialog() {
     );
 
     const id = result.id || result.savedQuery?.id;
-    if (!id) throw new Error('Ingen ID i svar fra API');
+    if (!id) throw new Error(t('saveQuery.noId'));
 
     _lastSavedQuery = { fingerprint, id };
     showLinks(id);
@@ -139,6 +159,6 @@ async function showSaveQueryDialog() {
   } catch (e) {
     logger.error('[TableDisplay] Failed to save query:', e);
     document.getElementById('save-query-content').innerHTML =
-      '<p class="error-message">Kunne ikke lagre spørringen: ' + escapeHtml(e.message) + '</p>';
+      '<p class="error-message">' + escapeHtml(tpl('saveQuery.failed', e.message)) + '</p>';
   }
 }
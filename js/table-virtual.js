@@ -0,0 +1,261 @@
+/**
+ * Table Virtual - Windowed rendering of large data tables
+ *
+ * buildHtmlTable() hands tables above AppConfig.ui.virtualTableCells over to
+ * buildVirtualTable(). Only the rows and columns inside the scroll viewport
+ * (plus some overscan) are in the DOM; spacer rows and columns give the table
+ * its full size, so the scrollbars behave as for the complete table. Row and
+ * column header combinations are computed from their position instead of
+ * being built up front, and cells are drawn with buildDataCell() so the
+ * formatting matches the regular table.
+ *
+ * Header rows stay sticky (thead), row headers stay sticky on the left, and
+ * grouped column headers are clipped to the visible columns. Rows under
+ * folded hierarchy nodes are left out, as in buildHtmlTable().
+ */
+
+// Fixed data column width; cells are clipped with an ellipsis
+const VIRTUAL_TABLE_COL_WIDTH = 110;
+
+// Used until the first data row has been measured
+const VIRTUAL_TABLE_DEFAULT_ROW_HEIGHT = 33;
+
+// Rows/columns rendered outside the viewport on each side
+const VIRTUAL_TABLE_OVERSCAN_ROWS = 10;
+const VIRTUAL_TABLE_OVERSCAN_COLS = 3;
+
+// Longest row header label (in characters) before it is clipped
+const VIRTUAL_TABLE_MAX_LABEL_CH = 40;
+
+// Windowed tables by id (data-virtual-table attribute)
+const _virtualTables = {};
+let _virtualTableSeq = 0;
+
+/**
+ * Build the shell of a windowed table. Rows are drawn by setupVirtualTables()
+ * once the HTML is in the DOM.
+ * @param {object} data - JSON-Stat2 data
+ * @param {object} layout - { rows, columns }
+ * @param {object|null} collapsed - Folded hierarchy nodes (see buildHtmlTable)
+ * @returns {string} - HTML
+ */
+function buildVirtualTable(data, layout, collapsed = null) {
+  const id = ++_virtualTableSeq;
+  const rowAxis = _virtualAxis(layout.rows, data);
+  const colAxis = _virtualAxis(layout.columns, data);
+  const rowTrees = buildRowTrees(data, rowAxis.dims, collapsed);
+
+  // With folded nodes, rows are looked up through the list of rows still shown
+  if (rowTrees.some(tree => tree && tree.collapsed.size > 0)) {
+    rowAxis.positions = [];
+    for (let p = 0; p < rowAxis.count; p++) {
+      if (!isRowFolded(_virtualCombination(rowAxis, p, data), rowTrees)) rowAxis.positions.push(p);
+    }
+    rowAxis.count = rowAxis.positions.length;
+  }
+
+  // Row header widths follow the longest label, so they don't jump while scrolling
+  const rowHeaderCh = rowAxis.dims.map((dimCode, i) => {
+    const labels = data.dimension[dimCode].category.label;
+    const tree = rowTrees[i];
+    const longest = tree
+      ? tree.nodes.reduce((max, node) => Math.max(max, node.label.length + node.depth * 2 + 2), 1)
+      : rowAxis.codes[i].reduce((max, code) => Math.max(max, String(labels[code] ?? code).length), 1);
+    return Math.min(longest, VIRTUAL_TABLE_MAX_LABEL_CH) + 1;
+  });
+
+  _virtualTables[id] = {
+    data,
+    layout,
+    rowAxis,
+    colAxis,
+    rowHeaderCh,
+    rowTrees,
+    cellContext: buildCellContext(data, layout),
+    wrapper: null,
+    rowHeight: null,
+    range: null
+  };
+
+  logger.log('[TableVirtual] Windowed table: ' + rowAxis.count + ' rows x ' + colAxis.count + ' columns');
+
+  return '<div class="table-wrapper table-virtual" data-virtual-table="' + id + '">' +
+         '<table class="data-table" aria-rowcount="' + (rowAxis.count + layout.columns.length) + '"' +
+         ' aria-colcount="' + (colAxis.count + rowAxis.dims.length) + '"></table></div>';
+}
+
+/**
+ * Draw the windowed tables inside a container and keep them in sync with scrolling
+ * @param {HTMLElement} container - Element the table HTML was inserted into
+ */
+function setupVirtualTables(container) {
+  // Forget tables that are no longer on the page
+  Object.keys(_virtualTables).forEach(id => {
+    const vt = _virtualTables[id];
+    if (vt.wrapper ? !vt.wrapper.isConnected : !document.querySelector('[data-virtual-table="' + id + '"]')) {
+      delete _virtualTables[id];
+    }
+  });
+
+  container.querySelectorAll('.table-virtual').forEach(wrapper => {
+    const id = wrapper.dataset.virtualTable;
+    const vt = _virtualTables[id];
+    if (!vt || vt.wrapper) return;
+
+    vt.wrapper = wrapper;
+    _renderVirtualTable(id, true);
+
+    let pending = false;
+    const onChange = () => {
+      if (pending) return;
+      pending = true;
+      requestAnimationFrame(() => {
+        pending = false;
+        _renderVirtualTable(id, false);
+      });
+    };
+    wrapper.addEventListener('scroll', onChange, { passive: true });
+    if (typeof ResizeObserver !== 'undefined') {
+      new ResizeObserver(onChange).observe(wrapper);
+    }
+  });
+}
+
+/**
+ * Dimensions, codes and sizes along one table axis
+ * @param {Array} dimCodes - Dimension codes in layout order
+ * @param {object} data - JSON-Stat2 data
+ * @returns {object} - { dims, codes, count, positions } (positions is set when rows are folded)
+ */
+function _virtualAxis(dimCodes, data) {
+  // Same rule as buildDimensionCombinations(): unknown dimensions are skipped
+  const dims = dimCodes.filter(dimCode => data.dimension[dimCode]);
+  const codes = dims.map(dimCode => Object.keys(data.dimension[dimCode].category.index));
+  return { dims, codes, count: codes.reduce((count, c) => count * c.length, 1), positions: null };
+}
+
+/**
+ * The combination at a given position along an axis, in the same order as
+ * buildDimensionCombinations() (last dimension changes fastest)
+ * @param {object} axis - From _virtualAxis()
+ * @param {number} position - Row or column number
+ * @param {object} data - JSON-Stat2 data
+ * @returns {object} - { codes, indices }
+ */
+function _virtualCombination(axis, position, data) {
+  const codes = new Array(axis.dims.length);
+  const indices = new Array(axis.dims.length);
+  for (let i = axis.dims.length - 1; i >= 0; i--) {
+    const size = axis.codes[i].length;
+    const code = axis.codes[i][position % size];
+    codes[i] = code;
+    indices[i] = data.dimension[axis.dims[i]].category.index[code];
+    position = Math.floor(position / size);
+  }
+  return { codes, indices };
+}
+
+/**
+ * Render the rows and columns in (and around) the viewport
+ * @param {string} id - Table id
+ * @param {boolean} force - Re-render even if the same window is already shown
+ */
+function _renderVirtualTable(id, force) {
+  const vt = _virtualTables[id];
+  const table = vt?.wrapper?.querySelector('table');
+  if (!table) return;
+
+  const { data, layout, rowAxis, colAxis, rowHeaderCh, rowTrees } = vt;
+  const wrapper = vt.wrapper;
+  const rowHeight = vt.rowHeight || VIRTUAL_TABLE_DEFAULT_ROW_HEIGHT;
+  const colWidth = VIRTUAL_TABLE_COL_WIDTH;
+
+  // Sticky headers cover the first rows/columns of the scroll area, so the
+  // first row/column in view starts right at scrollTop/scrollLeft
+  const r0 = Math.max(0, Math.floor(wrapper.scrollTop / rowHeight) - VIRTUAL_TABLE_OVERSCAN_ROWS);
+  const r1 = Math.min(rowAxis.count, Math.ceil((wrapper.scrollTop + wrapper.clientHeight) / rowHeight) + VIRTUAL_TABLE_OVERSCAN_ROWS);
+  const c0 = Math.max(0, Math.floor(wrapper.scrollLeft / colWidth) - VIRTUAL_TABLE_OVERSCAN_COLS);
+  const c1 = Math.min(colAxis.count, Math.ceil((wrapper.scrollLeft + wrapper.clientWidth) / colWidth) + VIRTUAL_TABLE_OVERSCAN_COLS);
+
+  const range = r0 + ':' + r1 + ':' + c0 + ':' + c1;
+  if (!force && vt.range === range) return;
+  vt.range = range;
+
+  // Row header widths and sticky offsets (ch + cell padding)
+  const rowHeaderWidth = (i) => 'calc(' + rowHeaderCh[i] + 'ch + 2 * var(--spacing-md))';
+  const rowHeaderLeft = (i) => 'calc(' + rowHeaderCh.slice(0, i).reduce((a, b) => a + b, 0) + 'ch + ' + (2 * i) + ' * var(--spacing-md))';
+  const leftSpacer = c0 * colWidth;
+  const rightSpacer = (colAxis.count - c1) * colWidth;
+  const totalColumns = rowAxis.dims.length + (c1 - c0) + 2;
+
+  const rowHeaderTotalCh = rowHeaderCh.reduce((a, b) => a + b, 0);
+  table.style.width = 'calc(' + rowHeaderTotalCh + 'ch + ' + (2 * rowAxis.dims.length) + ' * var(--spacing-md) + ' +
+                      (colAxis.count * colWidth) + 'px)';
+
+  let html = '<colgroup>';
+  rowAxis.dims.forEach((_, i) => { html += '<col style="width: ' + rowHeaderWidth(i) + '">'; });
+  html += '<col style="width: ' + leftSpacer + 'px">';
+  for (let c = c0; c < c1; c++) html += '<col style="width: ' + colWidth + 'px">';
+  html += '<col style="width: ' + rightSpacer + 'px">';
+  html += '</colgroup>';
+
+  // Column header rows, grouped and clipped to the visible columns
+  if (layout.columns.length > 0) {
+    html += '<thead>';
+    colAxis.dims.forEach((dimCode, dimIndex) => {
+      html += '<tr aria-rowindex="' + (dimIndex + 1) + '">';
+      if (dimIndex === 0 && rowAxis.dims.length > 0) {
+        html += '<th colspan="' + rowAxis.dims.length + '" rowspan="' + colAxis.dims.length + '"' +
+                ' class="corner-cell">&nbsp;</th>';
+      }
+      html += '<th class="virtual-spacer"></th>';
+
+      // Number of columns one value of this dimension spans
+      const span = colAxis.codes.slice(dimIndex + 1).reduce((count, c) => count * c.length, 1);
+      const labels = data.dimension[dimCode].category.label;
+      for (let start = Math.floor(c0 / span) * span; start < c1; start += span) {
+        const code = colAxis.codes[dimIndex][Math.floor(start / span) % colAxis.codes[dimIndex].length];
+        const label = escapeHtml(labels[code]);
+        const colspan = Math.min(start + span, c1) - Math.max(start, c0);
+        html += '<th colspan="' + colspan + '" class="col-header" title="' + label + '">' + label + '</th>';
+      }
+
+      html += '<th class="virtual-spacer"></th></tr>';
+    });
+    html += '</thead>';
+  }
+
+  html += '<tbody>';
+  html += '<tr class="virtual-spacer-row" style="height: ' + (r0 * rowHeight) + 'px"><td colspan="' + totalColumns + '"></td></tr>';
+
+  const colHeaders = [];
+  for (let c = c0; c < c1; c++) colHeaders.push(_virtualCombination(colAxis, c, data));
+
+  for (let r = r0; r < r1; r++) {
+    const rowHeader = _virtualCombination(rowAxis, rowAxis.positions ? rowAxis.positions[r] : r, data);
+    const rowClasses = [r % 2 === 1 ? 'row-alt' : '', isSubtotalRow(rowHeader, rowTrees) ? 'subtotal-row' : ''].filter(Boolean);
+    html += '<tr' + (rowClasses.length ? ' class="' + rowClasses.join(' ') + '"' : '') + ' aria-rowindex="' + (r + layout.columns.length + 1) + '">';
+
+    rowAxis.dims.forEach((dimCode, dimIndex) => {
+      html += buildRowHeaderCell(dimCode, rowHeader.codes[dimIndex], data, rowTrees[dimIndex], 'left: ' + rowHeaderLeft(dimIndex));
+    });
+
+    html += '<td class="virtual-spacer"></td>';
+    colHeaders.forEach(colHeader => {
+      html += buildDataCell(rowHeader, colHeader, data, layout, vt.cellContext);
+    });
+    html += '<td class="virtual-spacer"></td></tr>';
+  }
+
+  html += '<tr class="virtual-spacer-row" style="height: ' + ((rowAxis.count - r1) * rowHeight) + 'px"><td colspan="' + totalColumns + '"></td></tr>';
+  html += '</tbody>';
+
+  table.innerHTML = html;
+
+  // Rows have a fixed height (cells don't wrap); measure it once they are laid out
+  const firstRow = table.querySelector('tbody tr:not(.virtual-spacer-row)');
+  if (!vt.rowHeight && firstRow?.offsetHeight) {
+    vt.rowHeight = firstRow.offsetHeight;
+    _renderVirtualTable(id, true);
+  }
+}
@@ -48,7 +48,7 @@ async function renderTopicView(container) {
 
   // Update page title with deepest named topic
   if (isGroupId && path.length === 1) {
-    updatePageTitle([t('subject.group.' + firstId)]);
+    updatePageTitle([mh.groupLabel(firstId)]);
   } else {
     const breadcrumbs = mh.getBreadcrumbs(path);
     const lastCrumb = breadcrumbs[breadcrumbs.length - 1];
@@ -91,7 +91,7 @@ function _topicRenderGroupSubjects(container, mh, groupId) {
         <a href="#home" class="breadcrumb-link" data-path="">${t('nav.home')}</a>
       </div>
 
-      <h1>${escapeHtml(t('subject.group.' + groupId))}</h1>
+      <h1>${escapeHtml(mh.groupLabel(groupId))}</h1>
 
       <div class="subtopic-cards">
         ${subjects.map(subject => `
@@ -123,7 +123,7 @@ function _topicRenderGroupSubjects(container, mh, groupId) {
 function _topicRenderSubtopics(container, mh, path) {
   const subjectCode = path[0];
   const subtopics = mh.getSubtopicsForSubject(subjectCode);
-  const subjectName = t('subject.name.' + subjectCode) || mh.subjectNames[subjectCode];
+  const subjectName = mh.subjectLabel(subjectCode);
   const breadcrumbs = mh.getBreadcrumbs([subjectCode]);
 
   container.innerHTML = `
@@ -254,6 +254,8 @@ function _topicRenderTables(container, mh, path) {
           <option value="365" ${filters.updatedFilter === '365' ? 'selected' : ''}>${t('filter.lastYear')} (${updatedCounts['365'] || 0})</option>
           <option value="730" ${filters.updatedFilter === '730' ? 'selected' : ''}>${t('filter.last2Years')} (${updatedCounts['730'] || 0})</option>
         </select>
+
+        ${BrowserState.renderFacetFilters('topic-', subtreeTables, filters)}
       </div>
 
       <h1>${escapeHtml(breadcrumbs[breadcrumbs.length - 1].label)}</h1>
@@ -273,7 +275,8 @@ function _topicRenderTables(container, mh, path) {
   }
 
   // Filter change listeners: re-render only the table area
-  const filterIds = ['topic-include-discontinued', 'topic-frequency-filter', 'topic-updated-filter'];
+  const filterIds = ['topic-include-discontinued', 'topic-frequency-filter', 'topic-updated-filter',
+    'topic-variable-filter', 'topic-period-from-filter', 'topic-period-to-filter', 'topic-region-filter'];
   filterIds.forEach(filterId => {
     const element = document.getElementById(filterId);
     if (element) {
@@ -285,6 +288,7 @@ function _topicRenderTables(container, mh, path) {
           document.getElementById('topic-frequency-filter')?.value || '';
         BrowserState.topicFilters.updatedFilter =
           document.getElementById('topic-updated-filter')?.value || '';
+        BrowserState.readFacetFilters('topic-', BrowserState.topicFilters);
 
         // Update URL with new filters (replaceState)
         const urlParams = BrowserState.topicFiltersToParams();
@@ -366,7 +370,7 @@ function _topicCountFilteredTables(node, filters, mh) {
 }
 
 /**
- * Update frequency and updated-filter dropdowns with dynamic hit counts
+ * Update frequency, updated-filter and facet dropdowns with dynamic hit counts
  */
 function _topicUpdateDropdownCounts(subtreeTables) {
   const filters = BrowserState.topicFilters;
@@ -400,6 +404,8 @@ function _topicUpdateDropdownCounts(subtreeTables) {
     `;
     if (selected) updEl.value = selected;
   }
+
+  BrowserState.updateFacetFilters('topic-', subtreeTables, filters);
 }
 
 // ========== Breadcrumbs ==========
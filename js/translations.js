@@ -5,6 +5,7 @@
  * tpl(key, ...args) — same, but replace {0}, {1}, … placeholders with args
  * setLanguage(code) — switch UI language and re-render; persisted in localStorage
  * getCurrentApiLang() — returns the API lang= parameter for the active language
+ * findMissingTranslations() — keys missing per language compared to 'nb'
  *
  * Language codes used here are UI codes ('nb', 'en', 'sv').
  * API language codes ('no', 'en', 'sv') are defined per-language in AppConfig.languages.
@@ -49,6 +50,9 @@ const translations = {
     'error.unknownView':      'Ukjent visning',
     'error.rateLimit':        'For mange forespørsler. Vennligst vent litt og prøv igjen.',
     'error.cellLimit':        'Spørringen ga for mange celler. Reduser utvalget og prøv igjen.',
+    'error.network':          'Fikk ikke kontakt med API-et. Sjekk nettforbindelsen og prøv igjen.',
+    'error.notFound':         'Fant ikke tabellen hos kilden. Den kan være fjernet eller ha fått nytt nummer.',
+    'error.invalidValueCode': 'Verdikoden {0} finnes ikke for variabelen {1}.',
 
     // Navigation
     'nav.home':          'Forsiden',
@@ -97,6 +101,19 @@ const translations = {
     'filter.lastMonth':      'Oppdatert siste måned',
     'filter.lastYear':       'Oppdatert siste år',
     'filter.last2Years':     'Oppdatert siste to år',
+    'filter.allVariables':   'Alle variabler',
+    'filter.anyStart':       'Alle startår',
+    'filter.startBy':        'Data fra {0} eller før',
+    'filter.anyEnd':         'Alle sluttår',
+    'filter.endFrom':        'Data til {0} eller senere',
+    'filter.allRegions':     'Alle regionale nivåer',
+    'filter.region.K':       'Kommuner',
+    'filter.region.F':       'Fylker',
+    'filter.region.B':       'Bydeler',
+    'filter.region.G':       'Grunnkretser',
+    'filter.region.T':       'Tettsteder',
+    'filter.region.other':   'Annen regional inndeling',
+    'filter.region.country': 'Bare hele landet',
 
     // Topic view
     'topic.unknownGroup': 'Ukjent emnegruppe',
@@ -121,7 +138,6 @@ const translations = {
     'variable.ofTotal':         'av totalt',
     'variable.withoutTitle':    'Uten tittel',
     'variable.withTitle':       'Med tittel',
-    'variable.truncated':       'Viser {0} av {1} verdier. Bruk "Alle (*)" for å inkludere alle.',
     'variable.defaultSelection':      'Fyll inn standardvalg',
     'variable.defaultSelectionTitle': 'Hent og fyll inn tabellens anbefalte standardutvalg',
     'variable.defaultSelectionLoading': 'Henter standardvalg...',
@@ -193,6 +209,190 @@ const translations = {
     'table.notApplicable': 'Ikke aktuelt',
     'table.prefix':       'Tabell',
     'table.unnamed':      'Uten navn',
+    'table.showChart':    '\uD83D\uDCC8 Vis som diagram',
+    'table.showTable':    '\u25A6 Vis som tabell',
+
+    // Chart view
+    'chart.type':            'Diagramtype',
+    'chart.line':            'Linje',
+    'chart.bar':             'Stolpe',
+    'chart.ariaLabel':       'Diagram over tabelldata',
+    'chart.noValues':        'Utvalget inneholder ingen tallverdier som kan vises i diagram.',
+    'chart.seriesTruncated': 'Viser {0} av {1} serier. Avgrens utvalget eller roter tabellen for å se de øvrige.',
+
+    // Workspace
+    'workspace.title':         'Arbeidsområde',
+    'workspace.description':   'Tabeller du har lagt til, med eget variabelvalg og oppsett. Lenken til siden gjenoppretter hele arbeidsområdet.',
+    'workspace.empty':         'Arbeidsområdet er tomt. Hent data for en tabell og velg «Legg til i arbeidsområde».',
+    'workspace.add':           '+ Legg til i arbeidsområde',
+    'workspace.openWithCount': 'Åpne arbeidsområde ({0})',
+    'workspace.open':          'Åpne',
+    'workspace.remove':        'Fjern',
+    'workspace.showSplit':     'Vis side om side',
+    'workspace.showTabs':      'Vis som faner',
+    'workspace.copyLink':      '\uD83D\uDD17 Kopier lenke',
+    'workspace.copied':        'Kopiert!',
+    'workspace.copyFailed':    'Kunne ikke kopiere lenken',
+    'workspace.fetchFailed':   'Kunne ikke hente data for tabell {0}',
+
+    // Query library (library.js)
+    'library.title':           'Bibliotek',
+    'library.description':     'Spørringer du har lagret i denne nettleseren, med navn, mapper og stikkord. Åpne en spørring for å hente tabellen på nytt med samme utvalg og oppsett.',
+    'library.empty':           'Biblioteket er tomt. Hent data for en tabell og velg «Lagre i bibliotek».',
+    'library.add':             'Lagre i bibliotek',
+    'library.openLibrary':     'Åpne biblioteket',
+    'library.link':            'Bibliotek',
+    'library.saveTitle':       'Lagre i bibliotek',
+    'library.editTitle':       'Endre spørring',
+    'library.name':            'Navn',
+    'library.folder':          'Mappe',
+    'library.folderPlaceholder': 'Ingen mappe',
+    'library.tags':            'Stikkord',
+    'library.tagsPlaceholder': 'Skill med komma, f.eks. arbeid, kommune',
+    'library.saveButton':      'Lagre',
+    'library.searchPlaceholder': 'Søk i navn, tabell og stikkord...',
+    'library.allFolders':      'Alle mapper',
+    'library.noMatches':       'Ingen lagrede spørringer passer filteret.',
+    'library.openTable':       'Vis tabell',
+    'library.openVariables':   'Endre utvalg',
+    'library.edit':            'Gi nytt navn',
+    'library.duplicate':       'Dupliser',
+    'library.delete':          'Slett',
+    'library.confirmDelete':   'Slette «{0}» fra biblioteket?',
+    'library.copyName':        '{0} (kopi)',
+    'library.export':          'Eksporter ({0})',
+    'library.import':          'Importer...',
+    'library.importTitle':     'Importer spørringer',
+    'library.importInvalid':   'Filen er ikke et eksportert bibliotek fra Statistikkportalen.',
+    'library.importNewer':     'Filen er laget med en nyere versjon av formatet ({0}). Last inn siden på nytt og prøv igjen.',
+    'library.importOtherSource': 'Filen er eksportert fra {0}. Tabellene finnes kanskje ikke hos denne kilden.',
+    'library.importSkipped':   '{0} oppføringer i filen kunne ikke leses og er hoppet over.',
+    'library.importStatus':    'Status',
+    'library.importCheck':     'Kontroll mot tabellen',
+    'library.importAction':    'Handling',
+    'library.importStatusNew': 'Ny',
+    'library.importStatusDuplicate': 'Finnes allerede som «{0}»',
+    'library.importStatusName': 'Navnet er i bruk',
+    'library.importActionAdd': 'Importer',
+    'library.importActionCopy': 'Behold begge',
+    'library.importActionReplace': 'Erstatt',
+    'library.importActionSkip': 'Hopp over',
+    'library.importChecking':  'Kontrollerer...',
+    'library.importCheckOk':   'OK',
+    'library.importCheckFailed': 'Kunne ikke kontrollere: {0}',
+    'library.importButton':    'Importer',
+
+    // Selection check (selection-check.js)
+    'selectionCheck.dimension': 'Variabelen {0} finnes ikke lenger i tabellen',
+    'selectionCheck.codelist': '{0}: kodelisten {1} finnes ikke lenger',
+    'selectionCheck.codes':    '{0}: {1} finnes ikke lenger',
+
+    // Stale link repair (selection-check.js)
+    'repair.title':            'Utvalget passer ikke lenger til tabellen',
+    'repair.description':      'Tabell {0} er endret siden lenken ble laget. Velg hva som skal skje med det som ikke finnes lenger før dataene hentes.',
+    'repair.dropDimension':    'Fjernes fra utvalget',
+    'repair.dropCodelist':     'Variabelens egne verdier brukes',
+    'repair.drop':             'Fjern verdiene som mangler ({0} igjen)',
+    'repair.top':              'Siste {0} perioder',
+    'repair.from':             'Alle perioder fra {0}',
+    'repair.codelist':         'Bruk kodelisten «{0}»',
+    'repair.apply':            'Reparer og fortsett',
+    'repair.ignore':           'Fortsett uten endringer',
+
+    // Fetching in parts (table-chunks.js)
+    'chunks.fetch':            'Hent i deler',
+    'chunks.tooManyCells':     'For mange celler for én spørring \u2014 reduser utvalget eller hent i deler',
+    'chunks.progress':         'Henter del {0} av {1}...',
+    'chunks.cancel':           'Avbryt',
+    'chunks.cancelled':        'Hentingen ble avbrutt etter {0} av {1} deler.',
+    'chunks.failed':           'Del {0} av {1} kunne ikke hentes: {2}',
+    'chunks.tooMany':          'Utvalget må deles i minst {0} deler, og grensen er {1}. Reduser utvalget.',
+    'chunks.cannotSplit':      'Utvalget kan ikke deles opp automatisk. Reduser utvalget.',
+
+    // Recovery actions for failed data requests (table-display.js)
+    'recovery.reduceSelection': 'Reduser utvalget',
+    'recovery.editSelection':  'Rett utvalget',
+    'recovery.retry':          'Prøv igjen',
+    'recovery.openPinned':     'Åpne lagret kopi fra {0}',
+    'recovery.invalidCode':    'API-et kjenner ikke verdikoden {0} for denne variabelen. Velg andre verdier.',
+
+    // Local value index (value-index.js, search view)
+    'valueIndex.description':  'Finn tabeller også etter verdier (f.eks. kommunenummer) med en lokal indeks over tabellene du har åpnet.',
+    'valueIndex.enable':       'Slå på verdiindeks',
+    'valueIndex.progress':     'Indekserer tabell {0} av {1}...',
+    'valueIndex.stop':         'Stopp',
+    'valueIndex.summary':      'Verdiindeks: {0} tabeller, {1} verdier (oppdatert {2})',
+    'valueIndex.update':       'Oppdater',
+    'valueIndex.disable':      'Slå av',
+
+    // Join tables
+    'join.button':         'Slå sammen tabeller',
+    'join.title':          'Slå sammen to tabeller',
+    'join.instructions':   'Tabellene kobles på variablene de har felles (samme variabelkode, f.eks. region og år). Bare verdier som finnes i begge tabellene tas med.',
+    'join.left':           'Første tabell',
+    'join.right':          'Andre tabell',
+    'join.run':            'Slå sammen',
+    'join.sameTable':      'Velg to forskjellige tabeller',
+    'join.label':          '{0} + {1}',
+    'join.failed':         'Kunne ikke slå sammen tabellene: {0}',
+    'join.noShared':       'Tabellene har ingen felles variabler',
+    'join.noOverlap':      'Tabellene har ingen felles verdier å koble på',
+    'join.unsharedDims':   'Variabler som bare finnes i én tabell må ha én valgt verdi: {0}',
+    'join.sharedOn':       'Sammenslått på: {0}',
+    'join.allMatched':     'Alle verdier fantes i begge tabellene.',
+    'join.mismatchTitle':  'Verdier som bare finnes i én tabell (ikke tatt med):',
+    'join.onlyIn':         '{1} bare i {0}:',
+
+    // Derived columns
+    'derived.button':           'Beregn',
+    'derived.title':            'Legg til beregnet kolonne',
+    'derived.type':             'Beregning',
+    'derived.typeChange':       'Endring fra samme periode året før (%)',
+    'derived.typeShare':        'Andel av total (%)',
+    'derived.typeIndex':        'Indeks (basisperiode = 100)',
+    'derived.typeRatio':        'Forholdstall mellom to statistikkvariabler',
+    'derived.of':               'Statistikkvariabel',
+    'derived.den':              'Delt på',
+    'derived.factor':           'Multiplisert med',
+    'derived.dim':              'Andel innenfor',
+    'derived.total':            'Av',
+    'derived.totalSum':         'Summen av de valgte verdiene',
+    'derived.base':             'Basisperiode',
+    'derived.add':              'Legg til',
+    'derived.active':           'Beregnet:',
+    'derived.remove':           'Fjern {0}',
+    'derived.noMetric':         'Tabellen har ingen statistikkvariabel å beregne fra.',
+    'derived.labelChange':      '{0}, endring fra samme periode året før (%)',
+    'derived.labelShare':       '{0}, andel av {1} (%)',
+    'derived.labelIndex':       '{0}, indeks ({1} = 100)',
+    'derived.labelRatio':       '{0} per {1}',
+    'derived.labelRatioFactor': '{0} per {2} {1}',
+    'derived.sumOf':            'sum {0}',
+    'derived.unitPercent':      'prosent',
+    'derived.unitIndex':        'indeks',
+
+    // Watchlist
+    'watchlist.title':             'Mine tabeller',
+    'watchlist.follow':            '\u2606 Følg tabellen',
+    'watchlist.following':         '\u2605 Følger',
+    'watchlist.followTitle':       'Vis tabellen under «Mine tabeller» på forsiden, merket når den har nye data',
+    'watchlist.unfollow':          'Slutt å følge tabell {0}',
+    'watchlist.newData':           'Nye data',
+    'watchlist.notifyOn':          'Varsle meg om nye data',
+    'watchlist.notifyOff':         'Slå av varsler',
+    'watchlist.notifyDenied':      'Nettleseren tillater ikke varsler fra denne siden.',
+    'watchlist.notificationTitle': 'Nye data i tabell {0}',
+    'watchlist.notificationBody':  '{0} ble oppdatert {1}.',
+
+    // Offline
+    'offline.indicator':     'Frakoblet \u2013 viser lagrede data',
+    'offline.pin':           'Lagre for offline',
+    'offline.pinned':        '\u2713 Lagret for offline',
+    'offline.pinTitle':      'Ta vare på tabellen med dette utvalget slik at den kan åpnes uten nett',
+    'offline.showingPinned': 'Du er frakoblet. Viser data lagret {0}.',
+    'offline.pinnedTitle':   'Lagret for offline',
+    'offline.unpin':         'Fjern lagret tabell {0}',
+    'offline.pinFailed':     'Kunne ikke lagre tabellen for offline bruk.',
 
     // Table rotation dialog
     'rotation.title':        'Roter tabell',
@@ -217,6 +417,12 @@ const translations = {
     'export.formatExcel':     'Excel (xlsx)',
     'export.formatCsv':       'CSV (semikolon-separert tekstfil)',
     'export.formatPx':        'PX (PC-Axis format)',
+    'export.formatOds':       'OpenDocument regneark (ods)',
+    'export.source':          'Lag filen:',
+    'export.sourceLocal':     'I nettleseren fra dataene som vises (raskt, fungerer uten nett)',
+    'export.sourceApi':       'Hos {0} (påkrevd for PX-format)',
+    'export.localInfo':       'Filen lages i nettleseren fra tabellen som allerede er lastet \u2013 ingen nye kall mot API-et.',
+    'export.value':           'Verdi',
     'export.displayAs':       'Vis verdier som:',
     'export.displayStandard': 'Standard',
     'export.displayText':     'Tekst (f.eks. "Oslo")',
@@ -242,11 +448,75 @@ const translations = {
     'cache.clear':        'T\u00F8m hurtigbuffer',
     'cache.clearTooltip': 'T\u00F8m hurtigbuffer og last inn data p\u00E5 nytt',
 
+    // Settings (cache inspector)
+    'settings.title':            'Innstillinger',
+    'settings.cacheLink':        'Hurtigbuffer',
+    'settings.cacheTitle':       'Hurtigbuffer',
+    'settings.cacheDescription': 'Tabellister, metadata og kodelister lagres lokalt i nettleseren. Oppf\u00F8ringer lagret f\u00F8r siste publisering regnes som utdatert og hentes p\u00E5 nytt ved neste bruk.',
+    'settings.quota':            'Nettleserlagring: {0} av {1} brukt ({2} %)',
+    'settings.queryCache':       'Mellomlagre tabelldata',
+    'settings.queryCacheDescription': 'Tabeller du har hentet de siste 24 timene \u00E5pnes uten nytt API-kall. Resultatene forkastes n\u00E5r tabellen oppdateres, og slettes n\u00E5r du sl\u00E5r dette av.',
+    'settings.refreshTables':    'Hent tabellisten p\u00E5 nytt',
+    'settings.deleteSelected':   'Slett valgte',
+    'settings.deleteOutdated':   'Slett utdaterte ({0})',
+    'settings.deleteAll':        'Slett alt',
+    'settings.delete':           'Slett',
+    'settings.entryCount':       '{0} oppf\u00F8ringer, {1}',
+    'settings.empty':            'Hurtigbufferen er tom.',
+    'settings.selectAll':        'Velg alle',
+    'settings.colKey':           'N\u00F8kkel',
+    'settings.colSize':          'St\u00F8rrelse',
+    'settings.colStorage':       'Lager',
+    'settings.colStored':        'Lagret',
+    'settings.colExpires':       'Utl\u00F8per',
+    'settings.colStatus':        'Status',
+    'settings.statusValid':      'Gyldig',
+    'settings.statusStale':      'Utdatert',
+    'settings.statusExpired':    'Utl\u00F8pt',
+
+    // Hierarchy tree (hierarchy.js)
+    'tree.expand':               'Vis underliggende verdier',
+    'tree.collapse':             'Skjul underliggende verdier',
+    'tree.selectBranch':         'Velg med alle underliggende verdier',
+    'tree.selectLevel':          'Velg niv\u00E5 \u2026',
+    'tree.level':                'Niv\u00E5 {0}',
+    'tree.leaves':               'Laveste niv\u00E5 (uten underverdier)',
+    'tree.levelLeaves':          'Niv\u00E5 {0} uten underverdier',
+
+    // Saved queries (table-save-query.js, router.js)
+    'saveQuery.title':           'F\u00E5 lenke til sp\u00F8rringen',
+    'saveQuery.saving':          'Lagrer sp\u00F8rring hos {0}...',
+    'saveQuery.saved':           'Sp\u00F8rringen er lagret. Bruk lenkene nedenfor for \u00E5 dele eller gjen\u00E5pne den.',
+    'saveQuery.openIn':          '\u00C5pne i {0}:',
+    'saveQuery.openInSource':    '\u00C5pne i {0}s statistikkbank',
+    'saveQuery.copy':            'Kopier',
+    'saveQuery.copied':          'Kopiert!',
+    'saveQuery.noQuery':         'Ingen aktiv sp\u00F8rring \u00E5 lagre',
+    'saveQuery.noId':            'Ingen ID i svar fra API',
+    'saveQuery.failed':          'Kunne ikke lagre sp\u00F8rringen: {0}',
+    'saveQuery.loading':         'Laster lagret sp\u00F8rring...',
+    'saveQuery.loadFailed':      'Kunne ikke laste sp\u00F8rringen ({0}): {1}',
+    'saveQuery.goHome':          'G\u00E5 til forsiden',
+
+    // Table lists (browser-state.js, menu-hierarchy.js)
+    'list.id':                   'Tabellnr.',
+    'list.title':                'Tittel',
+    'list.period':               'Tidsperiode',
+    'list.updated':              'Sist oppdatert',
+    'list.discontinued':         'Avsluttet',
+    'list.group.monthly':        'M\u00E5nedstall',
+    'list.group.quarterly':      'Kvartalstall',
+    'list.group.annual':         '\u00C5rsstall',
+    'list.group.other':          'Andre tabeller',
+    'list.group.otherBase':      'Andre tall',
+    'list.group.baseYear':       '{0} (basis\u00E5r {1})',
+
     // Search
     'search.found': 'funnet',
 
     // Language selector
     'lang.label': 'Spr\u00E5k',
+    'instance.label': 'Datakilde',
 
     // Subject group labels (SSB taxonomy — translatable)
     'subject.group.arbeid':     'Arbeid, l\u00F8nn og utdanning',
@@ -256,6 +526,10 @@ const translations = {
     'subject.group.naring':     'N\u00E6ringsliv og teknologi',
     'subject.group.okonomi':    '\u00D8konomi',
 
+    // Derived subject groups (menu-hierarchy.js), for subjects no configured group lists
+    'subject.group.other':      'Andre emner',
+    'subject.group.all':        'Emner',
+
     // Subject names (SSB subject codes → display names)
     'subject.name.al': 'Arbeid og l\u00F8nn',
     'subject.name.if': 'Inntekt og forbruk',
@@ -312,6 +586,9 @@ const translations = {
     'error.unknownView':      'Unknown view',
     'error.rateLimit':        'Too many requests. Please wait a moment and try again.',
     'error.cellLimit':        'The query returned too many cells. Reduce your selection and try again.',
+    'error.network':          'Could not reach the API. Check your network connection and try again.',
+    'error.notFound':         'The table was not found at the source. It may have been removed or renumbered.',
+    'error.invalidValueCode': 'The value code {0} does not exist for the variable {1}.',
 
     'nav.home':           'Home',
     'nav.subjects':       'Subjects',
@@ -355,6 +632,19 @@ const translations = {
     'filter.lastMonth':      'Updated last month',
     'filter.lastYear':       'Updated last year',
     'filter.last2Years':     'Updated last 2 years',
+    'filter.allVariables':   'All variables',
+    'filter.anyStart':       'Any start year',
+    'filter.startBy':        'Data from {0} or earlier',
+    'filter.anyEnd':         'Any end year',
+    'filter.endFrom':        'Data to {0} or later',
+    'filter.allRegions':     'All regional levels',
+    'filter.region.K':       'Municipalities',
+    'filter.region.F':       'Counties',
+    'filter.region.B':       'City districts',
+    'filter.region.G':       'Basic statistical units',
+    'filter.region.T':       'Urban settlements',
+    'filter.region.other':   'Other regional breakdown',
+    'filter.region.country': 'Whole country only',
 
     'topic.unknownGroup': 'Unknown subject group',
 
@@ -377,7 +667,6 @@ const translations = {
     'variable.ofTotal':         'of total',
     'variable.withoutTitle':    'Without title',
     'variable.withTitle':       'With title',
-    'variable.truncated':       'Showing {0} of {1} values. Use "All (*)" to include all.',
     'variable.defaultSelection':      'Load default selection',
     'variable.defaultSelectionTitle': 'Fetch and apply the table\'s recommended default selection',
     'variable.defaultSelectionLoading': 'Loading default selection...',
@@ -444,6 +733,175 @@ const translations = {
     'table.notApplicable': 'Not applicable',
     'table.prefix':        'Table',
     'table.unnamed':       'Unnamed',
+    'table.showChart':     '\uD83D\uDCC8 Show as chart',
+    'table.showTable':     '\u25A6 Show as table',
+
+    'chart.type':            'Chart type',
+    'chart.line':            'Line',
+    'chart.bar':             'Bar',
+    'chart.ariaLabel':       'Chart of table data',
+    'chart.noValues':        'The selection contains no numeric values that can be charted.',
+    'chart.seriesTruncated': 'Showing {0} of {1} series. Narrow the selection or rotate the table to see the rest.',
+
+    'workspace.title':         'Workspace',
+    'workspace.description':   'Tables you have added, each with its own selection and layout. The page link restores the whole workspace.',
+    'workspace.empty':         'The workspace is empty. Fetch data for a table and choose "Add to workspace".',
+    'workspace.add':           '+ Add to workspace',
+    'workspace.openWithCount': 'Open workspace ({0})',
+    'workspace.open':          'Open',
+    'workspace.remove':        'Remove',
+    'workspace.showSplit':     'Show side by side',
+    'workspace.showTabs':      'Show as tabs',
+    'workspace.copyLink':      '\uD83D\uDD17 Copy link',
+    'workspace.copied':        'Copied!',
+    'workspace.copyFailed':    'Could not copy the link',
+    'workspace.fetchFailed':   'Could not fetch data for table {0}',
+
+    'library.title':           'Library',
+    'library.description':     'Queries you have saved in this browser, with names, folders and tags. Open a query to fetch the table again with the same selection and layout.',
+    'library.empty':           'The library is empty. Fetch data for a table and choose "Save to library".',
+    'library.add':             'Save to library',
+    'library.openLibrary':     'Open library',
+    'library.link':            'Library',
+    'library.saveTitle':       'Save to library',
+    'library.editTitle':       'Edit query',
+    'library.name':            'Name',
+    'library.folder':          'Folder',
+    'library.folderPlaceholder': 'No folder',
+    'library.tags':            'Tags',
+    'library.tagsPlaceholder': 'Separate with commas, e.g. labour, municipality',
+    'library.saveButton':      'Save',
+    'library.searchPlaceholder': 'Search names, tables and tags...',
+    'library.allFolders':      'All folders',
+    'library.noMatches':       'No saved queries match the filter.',
+    'library.openTable':       'Show table',
+    'library.openVariables':   'Change selection',
+    'library.edit':            'Rename',
+    'library.duplicate':       'Duplicate',
+    'library.delete':          'Delete',
+    'library.confirmDelete':   'Delete "{0}" from the library?',
+    'library.copyName':        '{0} (copy)',
+    'library.export':          'Export ({0})',
+    'library.import':          'Import...',
+    'library.importTitle':     'Import queries',
+    'library.importInvalid':   'The file is not a library exported from Statistikkportalen.',
+    'library.importNewer':     'The file uses a newer version of the format ({0}). Reload the page and try again.',
+    'library.importOtherSource': 'The file was exported from {0}. Its tables may not exist at this source.',
+    'library.importSkipped':   '{0} entries in the file could not be read and were skipped.',
+    'library.importStatus':    'Status',
+    'library.importCheck':     'Check against the table',
+    'library.importAction':    'Action',
+    'library.importStatusNew': 'New',
+    'library.importStatusDuplicate': 'Already saved as "{0}"',
+    'library.importStatusName': 'Name already in use',
+    'library.importActionAdd': 'Import',
+    'library.importActionCopy': 'Keep both',
+    'library.importActionReplace': 'Replace',
+    'library.importActionSkip': 'Skip',
+    'library.importChecking':  'Checking...',
+    'library.importCheckOk':   'OK',
+    'library.importCheckFailed': 'Could not check: {0}',
+    'library.importButton':    'Import',
+
+    'selectionCheck.dimension': 'The variable {0} is no longer in the table',
+    'selectionCheck.codelist': '{0}: the codelist {1} no longer exists',
+    'selectionCheck.codes':    '{0}: {1} no longer exist',
+
+    'repair.title':            'The selection no longer fits the table',
+    'repair.description':      'Table {0} has changed since the link was made. Choose what to do with what no longer exists before the data is fetched.',
+    'repair.dropDimension':    'Removed from the selection',
+    'repair.dropCodelist':     'The variable\'s own values are used',
+    'repair.drop':             'Remove the missing values ({0} left)',
+    'repair.top':              'Last {0} periods',
+    'repair.from':             'All periods from {0}',
+    'repair.codelist':         'Use the codelist "{0}"',
+    'repair.apply':            'Repair and continue',
+    'repair.ignore':           'Continue without changes',
+    'chunks.fetch':            'Fetch in parts',
+    'chunks.tooManyCells':     'Too many cells for one query \u2014 reduce the selection or fetch in parts',
+    'chunks.progress':         'Fetching part {0} of {1}...',
+    'chunks.cancel':           'Cancel',
+    'chunks.cancelled':        'Fetching was cancelled after {0} of {1} parts.',
+    'chunks.failed':           'Part {0} of {1} could not be fetched: {2}',
+    'chunks.tooMany':          'The selection needs at least {0} parts, and the limit is {1}. Reduce the selection.',
+    'chunks.cannotSplit':      'The selection cannot be split automatically. Reduce the selection.',
+    'recovery.reduceSelection': 'Reduce selection',
+    'recovery.editSelection':  'Correct selection',
+    'recovery.retry':          'Try again',
+    'recovery.openPinned':     'Open saved copy from {0}',
+    'recovery.invalidCode':    'The API does not know the value code {0} for this variable. Choose other values.',
+    'valueIndex.description':  'Also find tables by their values (e.g. municipality numbers) with a local index of the tables you have opened.',
+    'valueIndex.enable':       'Turn on value index',
+    'valueIndex.progress':     'Indexing table {0} of {1}...',
+    'valueIndex.stop':         'Stop',
+    'valueIndex.summary':      'Value index: {0} tables, {1} values (updated {2})',
+    'valueIndex.update':       'Update',
+    'valueIndex.disable':      'Turn off',
+
+    'join.button':         'Join tables',
+    'join.title':          'Join two tables',
+    'join.instructions':   'The tables are joined on the variables they share (same variable code, e.g. region and year). Only values present in both tables are kept.',
+    'join.left':           'First table',
+    'join.right':          'Second table',
+    'join.run':            'Join',
+    'join.sameTable':      'Choose two different tables',
+    'join.label':          '{0} + {1}',
+    'join.failed':         'Could not join the tables: {0}',
+    'join.noShared':       'The tables have no variables in common',
+    'join.noOverlap':      'The tables have no common values to join on',
+    'join.unsharedDims':   'Variables found in only one table must have a single selected value: {0}',
+    'join.sharedOn':       'Joined on: {0}',
+    'join.allMatched':     'All values were found in both tables.',
+    'join.mismatchTitle':  'Values found in only one table (left out):',
+    'join.onlyIn':         '{1} only in {0}:',
+
+    'derived.button':           'Calculate',
+    'derived.title':            'Add calculated column',
+    'derived.type':             'Calculation',
+    'derived.typeChange':       'Change from the same period a year earlier (%)',
+    'derived.typeShare':        'Share of total (%)',
+    'derived.typeIndex':        'Index (base period = 100)',
+    'derived.typeRatio':        'Ratio between two statistics variables',
+    'derived.of':               'Statistics variable',
+    'derived.den':              'Divided by',
+    'derived.factor':           'Multiplied by',
+    'derived.dim':              'Share within',
+    'derived.total':            'Of',
+    'derived.totalSum':         'The sum of the selected values',
+    'derived.base':             'Base period',
+    'derived.add':              'Add',
+    'derived.active':           'Calculated:',
+    'derived.remove':           'Remove {0}',
+    'derived.noMetric':         'The table has no statistics variable to calculate from.',
+    'derived.labelChange':      '{0}, change from the same period a year earlier (%)',
+    'derived.labelShare':       '{0}, share of {1} (%)',
+    'derived.labelIndex':       '{0}, index ({1} = 100)',
+    'derived.labelRatio':       '{0} per {1}',
+    'derived.labelRatioFactor': '{0} per {2} {1}',
+    'derived.sumOf':            'total {0}',
+    'derived.unitPercent':      'percent',
+    'derived.unitIndex':        'index',
+
+    'watchlist.title':             'My tables',
+    'watchlist.follow':            '\u2606 Follow table',
+    'watchlist.following':         '\u2605 Following',
+    'watchlist.followTitle':       'Show the table under "My tables" on the front page, flagged when it has new data',
+    'watchlist.unfollow':          'Stop following table {0}',
+    'watchlist.newData':           'New data',
+    'watchlist.notifyOn':          'Notify me about new data',
+    'watchlist.notifyOff':         'Turn off notifications',
+    'watchlist.notifyDenied':      'The browser does not allow notifications from this site.',
+    'watchlist.notificationTitle': 'New data in table {0}',
+    'watchlist.notificationBody':  '{0} was updated {1}.',
+
+    'offline.indicator':     'Offline \u2013 showing saved data',
+    'offline.pin':           'Save for offline',
+    'offline.pinned':        '\u2713 Saved for offline',
+    'offline.pinTitle':      'Keep this table with the current selection so it can be opened without a connection',
+    'offline.showingPinned': 'You are offline. Showing data saved {0}.',
+    'offline.pinnedTitle':   'Saved for offline',
+    'offline.unpin':         'Remove saved table {0}',
+    'offline.pinFailed':     'Could not save the table for offline use.',
 
     'rotation.title':        'Rotate table',
     'rotation.instructions': 'Drag dimensions between rows and columns to change the table layout.',
@@ -466,6 +924,12 @@ const translations = {
     'export.formatExcel':     'Excel (xlsx)',
     'export.formatCsv':       'CSV (semicolon-separated text file)',
     'export.formatPx':        'PX (PC-Axis format)',
+    'export.formatOds':       'OpenDocument spreadsheet (ods)',
+    'export.source':          'Create the file:',
+    'export.sourceLocal':     'In the browser from the data shown (fast, works offline)',
+    'export.sourceApi':       'At {0} (required for PX format)',
+    'export.localInfo':       'The file is built in the browser from the table already loaded \u2013 no new API requests.',
+    'export.value':           'Value',
     'export.displayAs':       'Display values as:',
     'export.displayStandard': 'Standard',
     'export.displayText':     'Text (e.g. "Oslo")',
@@ -491,10 +955,74 @@ const translations = {
     'cache.clear':        'Clear cache',
     'cache.clearTooltip': 'Clear cache and reload data',
 
+    // Settings (cache inspector)
+    'settings.title':            'Settings',
+    'settings.cacheLink':        'Cache',
+    'settings.cacheTitle':       'Cache',
+    'settings.cacheDescription': 'Table lists, metadata and codelists are stored locally in the browser. Entries stored before the latest release are treated as outdated and fetched again on next use.',
+    'settings.quota':            'Browser storage: {0} of {1} used ({2} %)',
+    'settings.queryCache':       'Cache table data',
+    'settings.queryCacheDescription': 'Tables you have fetched in the last 24 hours open without a new API call. Results are dropped when the table is updated, and deleted when you turn this off.',
+    'settings.refreshTables':    'Refresh table list now',
+    'settings.deleteSelected':   'Delete selected',
+    'settings.deleteOutdated':   'Delete outdated ({0})',
+    'settings.deleteAll':        'Delete all',
+    'settings.delete':           'Delete',
+    'settings.entryCount':       '{0} entries, {1}',
+    'settings.empty':            'The cache is empty.',
+    'settings.selectAll':        'Select all',
+    'settings.colKey':           'Key',
+    'settings.colSize':          'Size',
+    'settings.colStorage':       'Storage',
+    'settings.colStored':        'Stored',
+    'settings.colExpires':       'Expires',
+    'settings.colStatus':        'Status',
+    'settings.statusValid':      'Valid',
+    'settings.statusStale':      'Outdated',
+    'settings.statusExpired':    'Expired',
+
+    // Hierarchy tree (hierarchy.js)
+    'tree.expand':               'Show child values',
+    'tree.collapse':             'Hide child values',
+    'tree.selectBranch':         'Select with all child values',
+    'tree.selectLevel':          'Select level \u2026',
+    'tree.level':                'Level {0}',
+    'tree.leaves':               'Lowest level (no child values)',
+    'tree.levelLeaves':          'Level {0} without child values',
+
+    // Saved queries (table-save-query.js, router.js)
+    'saveQuery.title':           'Get link to the query',
+    'saveQuery.saving':          'Saving query at {0}...',
+    'saveQuery.saved':           'The query has been saved. Use the links below to share or reopen it.',
+    'saveQuery.openIn':          'Open in {0}:',
+    'saveQuery.openInSource':    'Open in the {0} statistics bank',
+    'saveQuery.copy':            'Copy',
+    'saveQuery.copied':          'Copied!',
+    'saveQuery.noQuery':         'No active query to save',
+    'saveQuery.noId':            'No ID in the API response',
+    'saveQuery.failed':          'Could not save the query: {0}',
+    'saveQuery.loading':         'Loading saved query...',
+    'saveQuery.loadFailed':      'Could not load the query ({0}): {1}',
+    'saveQuery.goHome':          'Go to the front page',
+
+    // Table lists (browser-state.js, menu-hierarchy.js)
+    'list.id':                   'Table no.',
+    'list.title':                'Title',
+    'list.period':               'Time period',
+    'list.updated':              'Last updated',
+    'list.discontinued':         'Discontinued',
+    'list.group.monthly':        'Monthly figures',
+    'list.group.quarterly':      'Quarterly figures',
+    'list.group.annual':         'Annual figures',
+    'list.group.other':          'Other tables',
+    'list.group.otherBase':      'Other figures',
+    'list.group.baseYear':       '{0} (base year {1})',
+
     // Search
     'search.found': 'found',
 
     'lang.label': 'Language',
+    'instance.label': 'Data source',
 
     'subject.group.arbeid':     'Work, wages and education',
     'subject.group.befolkning': 'Population and housing',
@@ -503,6 +1031,10 @@ const translations = {
     'subject.group.naring':     'Business and technology',
     'subject.group.okonomi':    'Economy',
 
+    // Derived subject groups (menu-hierarchy.js), for subjects no configured group lists
+    'subject.group.other':      'Other subjects',
+    'subject.group.all':        'Subjects',
+
     'subject.name.al': 'Work and wages',
     'subject.name.if': 'Income and consumption',
     'subject.name.ud': 'Education',
@@ -558,6 +1090,9 @@ const translations = {
     'error.unknownView':      'Ok\u00E4nd vy',
     'error.rateLimit':        'F\u00F6r m\u00E5nga f\u00F6rfr\u00E5gningar. V\u00E4nta lite och f\u00F6rs\u00F6k igen.',
     'error.cellLimit':        'F\u00F6rfr\u00E5gan returnerade f\u00F6r m\u00E5nga celler. Minska urvalet och f\u00F6rs\u00F6k igen.',
+    'error.network':          'Kunde inte n\u00E5 API:et. Kontrollera n\u00E4tverksanslutningen och f\u00F6rs\u00F6k igen.',
+    'error.notFound':         'Tabellen hittades inte hos k\u00E4llan. Den kan ha tagits bort eller f\u00E5tt nytt nummer.',
+    'error.invalidValueCode': 'V\u00E4rdekoden {0} finns inte f\u00F6r variabeln {1}.',
 
     'nav.home':           'Startsidan',
     'nav.subjects':       '\u00C4mnen',
@@ -601,6 +1136,19 @@ const translations = {
     'filter.lastMonth':      'Uppdaterad senaste m\u00E5naden',
     'filter.lastYear':       'Uppdaterad senaste \u00E5ret',
     'filter.last2Years':     'Uppdaterad senaste tv\u00E5 \u00E5ren',
+    'filter.allVariables':   'Alla variabler',
+    'filter.anyStart':       'Alla start\u00E5r',
+    'filter.startBy':        'Data fr\u00E5n {0} eller tidigare',
+    'filter.anyEnd':         'Alla slut\u00E5r',
+    'filter.endFrom':        'Data till {0} eller senare',
+    'filter.allRegions':     'Alla regionala niv\u00E5er',
+    'filter.region.K':       'Kommuner',
+    'filter.region.F':       'Fylken',
+    'filter.region.B':       'Stadsdelar',
+    'filter.region.G':       'Grundkretsar',
+    'filter.region.T':       'T\u00E4torter',
+    'filter.region.other':   'Annan regional indelning',
+    'filter.region.country': 'Endast hela landet',
 
     'topic.unknownGroup': 'Ok\u00E4nd \u00E4mnesgrupp',
 
@@ -623,7 +1171,6 @@ const translations = {
     'variable.ofTotal':         'av totalt',
     'variable.withoutTitle':    'Utan titel',
     'variable.withTitle':       'Med titel',
-    'variable.truncated':       'Visar {0} av {1} v\u00E4rden. Anv\u00E4nd "Alla (*)" f\u00F6r att inkludera alla.',
     'variable.defaultSelection':      'Fyll i standardval',
     'variable.defaultSelectionTitle': 'H\u00E4mta och fyll i tabellens rekommenderade standardurval',
     'variable.defaultSelectionLoading': 'H\u00E4mtar standardval...',
@@ -690,6 +1237,175 @@ const translations = {
     'table.notApplicable': 'Inte till\u00E4mpligt',
     'table.prefix':        'Tabell',
     'table.unnamed':       'Utan namn',
+    'table.showChart':     '\uD83D\uDCC8 Visa som diagram',
+    'table.showTable':     '\u25A6 Visa som tabell',
+
+    'chart.type':            'Diagramtyp',
+    'chart.line':            'Linje',
+    'chart.bar':             'Stapel',
+    'chart.ariaLabel':       'Diagram \u00F6ver tabelldata',
+    'chart.noValues':        'Urvalet inneh\u00E5ller inga numeriska v\u00E4rden som kan visas i diagram.',
+    'chart.seriesTruncated': 'Visar {0} av {1} serier. Begr\u00E4nsa urvalet eller rotera tabellen f\u00F6r att se resten.',
+
+    'workspace.title':         'Arbetsyta',
+    'workspace.description':   'Tabeller du har lagt till, var och en med eget urval och uppl\u00E4gg. L\u00E4nken till sidan \u00E5terst\u00E4ller hela arbetsytan.',
+    'workspace.empty':         'Arbetsytan \u00E4r tom. H\u00E4mta data f\u00F6r en tabell och v\u00E4lj "L\u00E4gg till i arbetsyta".',
+    'workspace.add':           '+ L\u00E4gg till i arbetsyta',
+    'workspace.openWithCount': '\u00D6ppna arbetsyta ({0})',
+    'workspace.open':          '\u00D6ppna',
+    'workspace.remove':        'Ta bort',
+    'workspace.showSplit':     'Visa sida vid sida',
+    'workspace.showTabs':      'Visa som flikar',
+    'workspace.copyLink':      '\uD83D\uDD17 Kopiera l\u00E4nk',
+    'workspace.copied':        'Kopierad!',
+    'workspace.copyFailed':    'Kunde inte kopiera l\u00E4nken',
+    'workspace.fetchFailed':   'Kunde inte h\u00E4mta data f\u00F6r tabell {0}',
+
+    'library.title':           'Bibliotek',
+    'library.description':     'Fr\u00E5gor du har sparat i den h\u00E4r webbl\u00E4saren, med namn, mappar och taggar. \u00D6ppna en fr\u00E5ga f\u00F6r att h\u00E4mta tabellen igen med samma urval och uppl\u00E4gg.',
+    'library.empty':           'Biblioteket \u00E4r tomt. H\u00E4mta data f\u00F6r en tabell och v\u00E4lj "Spara i bibliotek".',
+    'library.add':             'Spara i bibliotek',
+    'library.openLibrary':     '\u00D6ppna biblioteket',
+    'library.link':            'Bibliotek',
+    'library.saveTitle':       'Spara i bibliotek',
+    'library.editTitle':       '\u00C4ndra fr\u00E5ga',
+    'library.name':            'Namn',
+    'library.folder':          'Mapp',
+    'library.folderPlaceholder': 'Ingen mapp',
+    'library.tags':            'Taggar',
+    'library.tagsPlaceholder': 'Separera med komma, t.ex. arbete, kommun',
+    'library.saveButton':      'Spara',
+    'library.searchPlaceholder': 'S\u00F6k i namn, tabeller och taggar...',
+    'library.allFolders':      'Alla mappar',
+    'library.noMatches':       'Inga sparade fr\u00E5gor matchar filtret.',
+    'library.openTable':       'Visa tabell',
+    'library.openVariables':   '\u00C4ndra urval',
+    'library.edit':            'Byt namn',
+    'library.duplicate':       'Duplicera',
+    'library.delete':          'Ta bort',
+    'library.confirmDelete':   'Ta bort "{0}" fr\u00E5n biblioteket?',
+    'library.copyName':        '{0} (kopia)',
+    'library.export':          'Exportera ({0})',
+    'library.import':          'Importera...',
+    'library.importTitle':     'Importera fr\u00E5gor',
+    'library.importInvalid':   'Filen \u00E4r inte ett exporterat bibliotek fr\u00E5n Statistikkportalen.',
+    'library.importNewer':     'Filen anv\u00E4nder en nyare version av formatet ({0}). Ladda om sidan och f\u00F6rs\u00F6k igen.',
+    'library.importOtherSource': 'Filen \u00E4r exporterad fr\u00E5n {0}. Tabellerna finns kanske inte hos den h\u00E4r k\u00E4llan.',
+    'library.importSkipped':   '{0} poster i filen kunde inte l\u00E4sas och har hoppats \u00F6ver.',
+    'library.importStatus':    'Status',
+    'library.importCheck':     'Kontroll mot tabellen',
+    'library.importAction':    '\u00C5tg\u00E4rd',
+    'library.importStatusNew': 'Ny',
+    'library.importStatusDuplicate': 'Finns redan som "{0}"',
+    'library.importStatusName': 'Namnet anv\u00E4nds redan',
+    'library.importActionAdd': 'Importera',
+    'library.importActionCopy': 'Beh\u00E5ll b\u00E5da',
+    'library.importActionReplace': 'Ers\u00E4tt',
+    'library.importActionSkip': 'Hoppa \u00F6ver',
+    'library.importChecking':  'Kontrollerar...',
+    'library.importCheckOk':   'OK',
+    'library.importCheckFailed': 'Kunde inte kontrollera: {0}',
+    'library.importButton':    'Importera',
+
+    'selectionCheck.dimension': 'Variabeln {0} finns inte l\u00E4ngre i tabellen',
+    'selectionCheck.codelist': '{0}: kodlistan {1} finns inte l\u00E4ngre',
+    'selectionCheck.codes':    '{0}: {1} finns inte l\u00E4ngre',
+
+    'repair.title':            'Urvalet passar inte l\u00E4ngre tabellen',
+    'repair.description':      'Tabell {0} har \u00E4ndrats sedan l\u00E4nken skapades. V\u00E4lj vad som ska h\u00E4nda med det som inte l\u00E4ngre finns innan data h\u00E4mtas.',
+    'repair.dropDimension':    'Tas bort fr\u00E5n urvalet',
+    'repair.dropCodelist':     'Variabelns egna v\u00E4rden anv\u00E4nds',
+    'repair.drop':             'Ta bort v\u00E4rdena som saknas ({0} kvar)',
+    'repair.top':              'Senaste {0} perioderna',
+    'repair.from':             'Alla perioder fr\u00E5n {0}',
+    'repair.codelist':         'Anv\u00E4nd kodlistan "{0}"',
+    'repair.apply':            'Reparera och forts\u00E4tt',
+    'repair.ignore':           'Forts\u00E4tt utan \u00E4ndringar',
+    'chunks.fetch':            'H\u00E4mta i delar',
+    'chunks.tooManyCells':     'F\u00F6r m\u00E5nga celler f\u00F6r en f\u00F6rfr\u00E5gan \u2014 minska urvalet eller h\u00E4mta i delar',
+    'chunks.progress':         'H\u00E4mtar del {0} av {1}...',
+    'chunks.cancel':           'Avbryt',
+    'chunks.cancelled':        'H\u00E4mtningen avbr\u00F6ts efter {0} av {1} delar.',
+    'chunks.failed':           'Del {0} av {1} kunde inte h\u00E4mtas: {2}',
+    'chunks.tooMany':          'Urvalet m\u00E5ste delas i minst {0} delar, och gr\u00E4nsen \u00E4r {1}. Minska urvalet.',
+    'chunks.cannotSplit':      'Urvalet kan inte delas upp automatiskt. Minska urvalet.',
+    'recovery.reduceSelection': 'Minska urvalet',
+    'recovery.editSelection':  'R\u00E4tta urvalet',
+    'recovery.retry':          'F\u00F6rs\u00F6k igen',
+    'recovery.openPinned':     '\u00D6ppna sparad kopia fr\u00E5n {0}',
+    'recovery.invalidCode':    'API:et k\u00E4nner inte till v\u00E4rdekoden {0} f\u00F6r denna variabel. V\u00E4lj andra v\u00E4rden.',
+    'valueIndex.description':  'Hitta tabeller \u00E4ven efter v\u00E4rden (t.ex. kommunnummer) med ett lokalt index \u00F6ver tabellerna du har \u00F6ppnat.',
+    'valueIndex.enable':       'Sl\u00E5 p\u00E5 v\u00E4rdeindex',
+    'valueIndex.progress':     'Indexerar tabell {0} av {1}...',
+    'valueIndex.stop':         'Stoppa',
+    'valueIndex.summary':      'V\u00E4rdeindex: {0} tabeller, {1} v\u00E4rden (uppdaterat {2})',
+    'valueIndex.update':       'Uppdatera',
+    'valueIndex.disable':      'St\u00E4ng av',
+
+    'join.button':         'Sl\u00E5 samman tabeller',
+    'join.title':          'Sl\u00E5 samman tv\u00E5 tabeller',
+    'join.instructions':   'Tabellerna kopplas p\u00E5 de variabler de har gemensamt (samma variabelkod, t.ex. region och \u00E5r). Endast v\u00E4rden som finns i b\u00E5da tabellerna tas med.',
+    'join.left':           'F\u00F6rsta tabell',
+    'join.right':          'Andra tabell',
+    'join.run':            'Sl\u00E5 samman',
+    'join.sameTable':      'V\u00E4lj tv\u00E5 olika tabeller',
+    'join.label':          '{0} + {1}',
+    'join.failed':         'Kunde inte sl\u00E5 samman tabellerna: {0}',
+    'join.noShared':       'Tabellerna har inga gemensamma variabler',
+    'join.noOverlap':      'Tabellerna har inga gemensamma v\u00E4rden att koppla p\u00E5',
+    'join.unsharedDims':   'Variabler som bara finns i en tabell m\u00E5ste ha ett valt v\u00E4rde: {0}',
+    'join.sharedOn':       'Sammanslagen p\u00E5: {0}',
+    'join.allMatched':     'Alla v\u00E4rden fanns i b\u00E5da tabellerna.',
+    'join.mismatchTitle':  'V\u00E4rden som bara finns i en tabell (ej medtagna):',
+    'join.onlyIn':         '{1} bara i {0}:',
+
+    'derived.button':           'Ber\u00E4kna',
+    'derived.title':            'L\u00E4gg till ber\u00E4knad kolumn',
+    'derived.type':             'Ber\u00E4kning',
+    'derived.typeChange':       'F\u00F6r\u00E4ndring fr\u00E5n samma period f\u00F6reg\u00E5ende \u00E5r (%)',
+    'derived.typeShare':        'Andel av totalen (%)',
+    'derived.typeIndex':        'Index (basperiod = 100)',
+    'derived.typeRatio':        'Kvot mellan tv\u00E5 statistikvariabler',
+    'derived.of':               'Statistikvariabel',
+    'derived.den':              'Delat med',
+    'derived.factor':           'Multiplicerat med',
+    'derived.dim':              'Andel inom',
+    'derived.total':            'Av',
+    'derived.totalSum':         'Summan av de valda v\u00E4rdena',
+    'derived.base':             'Basperiod',
+    'derived.add':              'L\u00E4gg till',
+    'derived.active':           'Ber\u00E4knat:',
+    'derived.remove':           'Ta bort {0}',
+    'derived.noMetric':         'Tabellen har ingen statistikvariabel att ber\u00E4kna fr\u00E5n.',
+    'derived.labelChange':      '{0}, f\u00F6r\u00E4ndring fr\u00E5n samma period f\u00F6reg\u00E5ende \u00E5r (%)',
+    'derived.labelShare':       '{0}, andel av {1} (%)',
+    'derived.labelIndex':       '{0}, index ({1} = 100)',
+    'derived.labelRatio':       '{0} per {1}',
+    'derived.labelRatioFactor': '{0} per {2} {1}',
+    'derived.sumOf':            'summa {0}',
+    'derived.unitPercent':      'procent',
+    'derived.unitIndex':        'index',
+
+    'watchlist.title':             'Mina tabeller',
+    'watchlist.follow':            '\u2606 F\u00F6lj tabellen',
+    'watchlist.following':         '\u2605 F\u00F6ljer',
+    'watchlist.followTitle':       'Visa tabellen under \u00ABMina tabeller\u00BB p\u00E5 startsidan, markerad n\u00E4r den har nya data',
+    'watchlist.unfollow':          'Sluta f\u00F6lja tabell {0}',
+    'watchlist.newData':           'Nya data',
+    'watchlist.notifyOn':          'Meddela mig om nya data',
+    'watchlist.notifyOff':         'St\u00E4ng av aviseringar',
+    'watchlist.notifyDenied':      'Webbl\u00E4saren till\u00E5ter inte aviseringar fr\u00E5n den h\u00E4r sidan.',
+    'watchlist.notificationTitle': 'Nya data i tabell {0}',
+    'watchlist.notificationBody':  '{0} uppdaterades {1}.',
+
+    'offline.indicator':     'Fr\u00E5nkopplad \u2013 visar sparade data',
+    'offline.pin':           'Spara f\u00F6r offline',
+    'offline.pinned':        '\u2713 Sparad f\u00F6r offline',
+    'offline.pinTitle':      'Spara tabellen med det h\u00E4r urvalet s\u00E5 att den kan \u00F6ppnas utan n\u00E4tverk',
+    'offline.showingPinned': 'Du \u00E4r fr\u00E5nkopplad. Visar data sparade {0}.',
+    'offline.pinnedTitle':   'Sparade f\u00F6r offline',
+    'offline.unpin':         'Ta bort sparad tabell {0}',
+    'offline.pinFailed':     'Kunde inte spara tabellen f\u00F6r offlinebruk.',
 
     'rotation.title':        'Rotera tabell',
     'rotation.instructions': 'Dra dimensioner mellan rader och kolumner f\u00F6r att \u00E4ndra tabellens layout.',
@@ -712,6 +1428,12 @@ const translations = {
     'export.formatExcel':     'Excel (xlsx)',
     'export.formatCsv':       'CSV (semikolon-separerad textfil)',
     'export.formatPx':        'PX (PC-Axis format)',
+    'export.formatOds':       'OpenDocument-kalkylblad (ods)',
+    'export.source':          'Skapa filen:',
+    'export.sourceLocal':     'I webbl\u00E4saren fr\u00E5n data som visas (snabbt, fungerar offline)',
+    'export.sourceApi':       'Hos {0} (kr\u00E4vs f\u00F6r PX-format)',
+    'export.localInfo':       'Filen skapas i webbl\u00E4saren fr\u00E5n tabellen som redan har laddats \u2013 inga nya API-anrop.',
+    'export.value':           'V\u00E4rde',
     'export.displayAs':       'Visa v\u00E4rden som:',
     'export.displayStandard': 'Standard',
     'export.displayText':     'Text (t.ex. "Oslo")',
@@ -737,10 +1459,74 @@ const translations = {
     'cache.clear':        'Rensa cache',
     'cache.clearTooltip': 'Rensa cache och ladda om data',
 
+    // Settings (cache inspector)
+    'settings.title':            'Inst\u00E4llningar',
+    'settings.cacheLink':        'Cache',
+    'settings.cacheTitle':       'Cache',
+    'settings.cacheDescription': 'Tabellistor, metadata och kodlistor sparas lokalt i webbl\u00E4saren. Poster som sparades f\u00F6re senaste publiceringen r\u00E4knas som inaktuella och h\u00E4mtas p\u00E5 nytt vid n\u00E4sta anv\u00E4ndning.',
+    'settings.quota':            'Webbl\u00E4sarlagring: {0} av {1} anv\u00E4nt ({2} %)',
+    'settings.queryCache':       'Cacha tabelldata',
+    'settings.queryCacheDescription': 'Tabeller du har h\u00E4mtat de senaste 24 timmarna \u00F6ppnas utan nytt API-anrop. Resultaten kasseras n\u00E4r tabellen uppdateras och tas bort n\u00E4r du st\u00E4nger av detta.',
+    'settings.refreshTables':    'H\u00E4mta tabellistan p\u00E5 nytt',
+    'settings.deleteSelected':   'Ta bort markerade',
+    'settings.deleteOutdated':   'Ta bort inaktuella ({0})',
+    'settings.deleteAll':        'Ta bort allt',
+    'settings.delete':           'Ta bort',
+    'settings.entryCount':       '{0} poster, {1}',
+    'settings.empty':            'Cachen \u00E4r tom.',
+    'settings.selectAll':        'Markera alla',
+    'settings.colKey':           'Nyckel',
+    'settings.colSize':          'Storlek',
+    'settings.colStorage':       'Lagring',
+    'settings.colStored':        'Sparad',
+    'settings.colExpires':       'G\u00E5r ut',
+    'settings.colStatus':        'Status',
+    'settings.statusValid':      'Giltig',
+    'settings.statusStale':      'Inaktuell',
+    'settings.statusExpired':    'Utg\u00E5ngen',
+
+    // Hierarchy tree (hierarchy.js)
+    'tree.expand':               'Visa underliggande v\u00E4rden',
+    'tree.collapse':             'D\u00F6lj underliggande v\u00E4rden',
+    'tree.selectBranch':         'V\u00E4lj med alla underliggande v\u00E4rden',
+    'tree.selectLevel':          'V\u00E4lj niv\u00E5 \u2026',
+    'tree.level':                'Niv\u00E5 {0}',
+    'tree.leaves':               'L\u00E4gsta niv\u00E5 (utan underv\u00E4rden)',
+    'tree.levelLeaves':          'Niv\u00E5 {0} utan underv\u00E4rden',
+
+    // Saved queries (table-save-query.js, router.js)
+    'saveQuery.title':           'F\u00E5 l\u00E4nk till fr\u00E5gan',
+    'saveQuery.saving':          'Sparar fr\u00E5gan hos {0}...',
+    'saveQuery.saved':           'Fr\u00E5gan \u00E4r sparad. Anv\u00E4nd l\u00E4nkarna nedan f\u00F6r att dela eller \u00F6ppna den igen.',
+    'saveQuery.openIn':          '\u00D6ppna i {0}:',
+    'saveQuery.openInSource':    '\u00D6ppna i statistikdatabasen hos {0}',
+    'saveQuery.copy':            'Kopiera',
+    'saveQuery.copied':          'Kopierat!',
+    'saveQuery.noQuery':         'Ingen aktiv fr\u00E5ga att spara',
+    'saveQuery.noId':            'Inget ID i svaret fr\u00E5n API:et',
+    'saveQuery.failed':          'Kunde inte spara fr\u00E5gan: {0}',
+    'saveQuery.loading':         'Laddar sparad fr\u00E5ga...',
+    'saveQuery.loadFailed':      'Kunde inte ladda fr\u00E5gan ({0}): {1}',
+    'saveQuery.goHome':          'G\u00E5 till startsidan',
+
+    // Table lists (browser-state.js, menu-hierarchy.js)
+    'list.id':                   'Tabellnr.',
+    'list.title':                'Titel',
+    'list.period':               'Tidsperiod',
+    'list.updated':              'Senast uppdaterad',
+    'list.discontinued':         'Avslutad',
+    'list.group.monthly':        'M\u00E5nadsv\u00E4rden',
+    'list.group.quarterly':      'Kvartalsv\u00E4rden',
+    'list.group.annual':         '\u00C5rsv\u00E4rden',
+    'list.group.other':          'Andra tabeller',
+    'list.group.otherBase':      'Andra v\u00E4rden',
+    'list.group.baseYear':       '{0} (bas\u00E5r {1})',
+
     // Search
     'search.found': 'hittade',
 
     'lang.label': 'Spr\u00E5k',
+    'instance.label': 'Datak\u00E4lla',
 
     'subject.group.arbeid':     'Arbete, l\u00F6n och utbildning',
     'subject.group.befolkning': 'Befolkning och bostad',
@@ -749,6 +1535,10 @@ const translations = {
     'subject.group.naring':     'N\u00E4ringsliv och teknologi',
     'subject.group.okonomi':    'Ekonomi',
 
+    // Derived subject groups (menu-hierarchy.js), for subjects no configured group lists
+    'subject.group.other':      '\u00D6vriga \u00E4mnen',
+    'subject.group.all':        '\u00C4mnen',
+
     'subject.name.al': 'Arbete och l\u00F6n',
     'subject.name.if': 'Inkomst och konsumtion',
     'subject.name.ud': 'Utbildning',
@@ -835,8 +1625,33 @@ function setLanguage(code) {
   if (typeof renderCurrentView === 'function') renderCurrentView();
 }
 
+/**
+ * Report keys missing from each language compared to a reference language.
+ * Covers every dictionary in `translations` and every language in
+ * AppConfig.languages (a configured language without a dictionary misses all keys).
+ * @param {string} reference - Language to compare against (default 'nb')
+ * @returns {Object<string, string[]>} - { code: [missing keys] }, only languages with gaps
+ */
+function findMissingTranslations(reference = 'nb') {
+  const refKeys = Object.keys(translations[reference] || {});
+  const codes = new Set([
+    ...Object.keys(translations),
+    ...(AppConfig.languages || []).map(l => l.code)
+  ]);
+  codes.delete(reference);
+
+  const missing = {};
+  codes.forEach(code => {
+    const dict = translations[code] || {};
+    const keys = refKeys.filter(key => !(key in dict));
+    if (keys.length > 0) missing[code] = keys;
+  });
+  return missing;
+}
+
 window.t = t;
 window.tpl = tpl;
+window.findMissingTranslations = findMissingTranslations;
 window.getCurrentApiLang = getCurrentApiLang;
 window.setLanguage = setLanguage;
 window.currentLanguage = currentLanguage;
@@ -14,9 +14,23 @@ function showLoading(show, message = t('loading.app')) {
 
 // ========== Error Handling ==========
 
-function showError(message, technicalError = null) {
+// Timer of the auto-hiding error message
+let _errorHideTimer = null;
+
+/**
+ * Show an error message in #error-display.
+ * With recovery actions the message stays until the user acts or the next
+ * clearError(); without, it hides after AppConfig.ui.errorAutoHideMs.
+ *
+ * @param {string} message - User-facing message
+ * @param {Error|null} technicalError - Logged and shown on "Se tekniske detaljer"
+ * @param {Array<object>} actions - Recovery buttons: [{ label, onClick }]
+ */
+function showError(message, technicalError = null, actions = []) {
   const errorDiv = document.getElementById('error-display');
   if (!errorDiv) return;
+  // Requests aborted because the user navigated away (api.js) are not errors
+  if (technicalError?.name === 'AbortError') return;
 
   const msgDiv = document.createElement('div');
   msgDiv.className = 'error-message';
@@ -37,14 +51,34 @@ function showError(message, technicalError = null) {
     logger.error(message, technicalError);
   }
 
+  if (actions.length > 0) {
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'error-actions';
+    actions.forEach(action => {
+      const btn = document.createElement('button');
+      btn.className = 'btn-secondary btn-sm';
+      btn.textContent = action.label;
+      btn.addEventListener('click', () => {
+        clearError();
+        action.onClick();
+      });
+      actionsDiv.appendChild(btn);
+    });
+    msgDiv.appendChild(actionsDiv);
+  }
+
   errorDiv.innerHTML = '';
   errorDiv.appendChild(msgDiv);
 
-  // Auto-hide after configured delay
-  setTimeout(() => errorDiv.innerHTML = '', AppConfig.ui.errorAutoHideMs);
+  // Auto-hide after configured delay, unless there is something to act on
+  clearTimeout(_errorHideTimer);
+  _errorHideTimer = actions.length > 0
+    ? null
+    : setTimeout(() => errorDiv.innerHTML = '', AppConfig.ui.errorAutoHideMs);
 }
 
 function clearError() {
+  clearTimeout(_errorHideTimer);
   const errorDiv = document.getElementById('error-display');
   if (errorDiv) {
     errorDiv.innerHTML = '';
@@ -70,12 +104,17 @@ async function safeApiCall(apiFunction, errorMessage) {
 // ========== Global Application State ==========
 
 const AppState = {
-  currentView: 'home', // 'home' | 'search' | 'topic' | 'variables' | 'table'
+  currentView: 'home', // 'home' | 'search' | 'topic' | 'variables' | 'table' | 'workspace' | 'library' | 'settings'
   selectedTable: null,
   variableSelection: {},
   activeCodelistIds: {},
   tableData: null,
   tableLayout: { rows: [], columns: [] },
+  chartType: null, // null (table view) | 'line' | 'bar'
+  joinDefinition: null, // null | { left, right } — table view shows a join (table-join.js)
+  derivedColumns: [], // Computed columns on top of the data (table-derived.js)
+  collapsedNodes: {}, // Folded hierarchy nodes: { DimCode: [code, ...] } (hierarchy.js)
+  selectionProblem: null, // null | { variable, code } — highlighted once in the variable view (InvalidValueCodeError)
   topicPath: [], // Current topic navigation path (e.g., ['be', 'be02'])
   navigationRef: null, // Hash-path to navigate back to (e.g., 'topic/be/be02'), stored in sessionStorage
 
@@ -89,6 +128,9 @@ const AppState = {
     this.selectedTable = table;
     this.variableSelection = {};
     this.activeCodelistIds = {};
+    this.joinDefinition = null;
+    this.derivedColumns = [];
+    this.collapsedNodes = {};
   },
 
   /**
@@ -100,6 +142,11 @@ const AppState = {
     this.activeCodelistIds = {};
     this.tableData = null;
     this.tableLayout = { rows: [], columns: [] };
+    this.chartType = null;
+    this.joinDefinition = null;
+    this.derivedColumns = [];
+    this.collapsedNodes = {};
+    this.selectionProblem = null;
     this.navigationRef = null;
     sessionStorage.removeItem('ssb_navRef');
   },
@@ -134,24 +181,45 @@ const AppState = {
         if (Object.keys(this.activeCodelistIds).length > 0) {
           params.c = URLRouter.encode(this.activeCodelistIds);
         }
+
+        if (Object.keys(this.collapsedNodes).length > 0) {
+          params.f = URLRouter.encode(this.collapsedNodes);
+        }
         break;
 
       case 'table':
         if (!this.selectedTable) return;
 
-        route = `table/${this.selectedTable.id}`;
+        if (this.joinDefinition) {
+          route = 'join';
+          params.j = URLRouter.encode(this.joinDefinition);
+        } else {
+          route = `table/${this.selectedTable.id}`;
+        }
 
-        if (Object.keys(this.variableSelection).length > 0) {
+        if (!this.joinDefinition && Object.keys(this.variableSelection).length > 0) {
           params.v = URLRouter.encode(this.variableSelection);
         }
 
-        if (Object.keys(this.activeCodelistIds).length > 0) {
+        if (!this.joinDefinition && Object.keys(this.activeCodelistIds).length > 0) {
           params.c = URLRouter.encode(this.activeCodelistIds);
         }
 
         if (this.tableLayout && (this.tableLayout.rows.length > 0 || this.tableLayout.columns.length > 0)) {
           params.l = URLRouter.encode(this.tableLayout);
         }
+
+        if (this.derivedColumns.length > 0) {
+          params.d = URLRouter.encode(this.derivedColumns);
+        }
+
+        if (Object.keys(this.collapsedNodes).length > 0) {
+          params.f = URLRouter.encode(this.collapsedNodes);
+        }
+
+        if (this.chartType) {
+          params.chart = this.chartType;
+        }
         break;
 
       default:
@@ -186,6 +254,15 @@ function renderCurrentView() {
     case 'table':
       renderTableDisplay(content);
       break;
+    case 'workspace':
+      renderWorkspaceView(content);
+      break;
+    case 'library':
+      renderLibraryView(content);
+      break;
+    case 'settings':
+      renderSettingsView(content);
+      break;
     default:
       content.innerHTML = '<p>' + t('error.unknownView') + '</p>';
   }
@@ -202,7 +279,10 @@ function renderCurrentView() {
  *   #search?q=...&disc=1&subj=be&freq=...   -> search results
  *   #topic/be/be02?disc=1&freq=Monthly       -> topic navigation
  *   #variables/13760?v={enc}&c={enc}         -> variable selection
- *   #table/13760?v={enc}&c={enc}&l={enc}     -> table display
+ *   #table/13760?v={enc}&c={enc}&l={enc}&d={enc} -> table display (d = derived columns)
+ *   #join?j={enc}&l={enc}                    -> two tables joined (table-join.js)
+ *   #library?q=...&folder=...&tag=...         -> saved query library (library.js)
+ *   #settings/cache                          -> cache inspector (settings-view.js)
  */
 function handleHashChange() {
   URLRouter.handleRoute();
@@ -271,6 +351,21 @@ function getTimestamp() {
   return year + month + day + '_' + hour + minute + second;
 }
 
+/**
+ * Trigger a browser download of a Blob
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(link.href);
+}
+
 /**
  * Extract clean title from label (removes ID prefix like "13760: ")
  * @param {string} label - Table label
@@ -407,3 +502,18 @@ function detectSavedQueryId(text) {
   if (hashMatch) return hashMatch[1];
   return null;
 }
+
+/**
+ * Open a link or API query pasted into a search field instead of searching
+ * for it (see SSBURLMapper.detect() for what is recognised)
+ * @param {string} text - Search field value
+ * @returns {boolean} - Whether the text was recognised and opened
+ */
+function openPastedLink(text) {
+  const hash = SSBURLMapper.detect(text);
+  if (!hash) return false;
+  const { route, params } = URLRouter.parseHash(hash);
+  URLRouter.navigateTo(route, params);
+  URLRouter.handleRoute();
+  return true;
+}
@@ -0,0 +1,378 @@
+/**
+ * Value Index - Find tables by their values (e.g. kommune 1103, NACE 47.1)
+ *
+ * The table list only has variable names; which values a table has is in its
+ * metadata. When switched on (search view, "Smart søk"), a background job
+ * walks the table metadata in the cache and stores every value code and label
+ * in an inverted index in IndexedDB (<instance>_valueindex):
+ *   'values' → { tableId, dim, code, label, terms }  — index 'terms' (multiEntry)
+ *              maps a normalised code or label word to its values
+ *   'tables' → { tableId, updated, lang, count }     — what has been indexed
+ *
+ * Runs are incremental: a table is indexed when its metadata is cached and it
+ * is new to the index, or its `updated` or the language changed. Indexed
+ * tables that have been updated since are re-fetched at background priority
+ * (at most AppConfig.valueIndex.maxRefetchPerRun per run), and tables gone
+ * from the table list are dropped. Time variables are not indexed.
+ *
+ * The setting is kept in userDataStore ('valueIndex' → { enabled, builtAt }).
+ * Enhanced search (search-view.js) looks the query words up with lookup(), and
+ * SearchEnhanced scores a table with a matching value like a variable match.
+ */
+
+/**
+ * Search terms of a value: its code and the words of its label, normalised
+ * like SearchEnhanced's index
+ * @param {string} code - Value code
+ * @param {string} label - Value label
+ * @returns {Array<string>}
+ */
+function valueIndexTerms(code, label) {
+  const words = SearchEnhanced.normalizeText(String(label || ''))
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1);
+  return [...new Set([String(code).toLowerCase(), ...words])];
+}
+
+/**
+ * The values of a table's metadata to index (time variables left out)
+ * @param {object} metadata - JSON-stat2 table metadata
+ * @returns {Array<object>} - [{ dim, code, label }]
+ */
+function extractValueIndexEntries(metadata) {
+  const timeDims = metadata.role?.time || [];
+  const entries = [];
+  (metadata.id || []).forEach(dim => {
+    if (timeDims.includes(dim)) return;
+    const category = metadata.dimension?.[dim]?.category || {};
+    const index = category.index || {};
+    const codes = Array.isArray(index) ? index : Object.keys(index).sort((a, b) => index[a] - index[b]);
+    codes.forEach(code => entries.push({ dim, code, label: category.label?.[code] || code }));
+  });
+  return entries;
+}
+
+const ValueIndex = {
+  enabled: false,
+  builtAt: null,
+  // Progress of the current run, and the size of the index
+  status: { running: false, done: 0, total: 0, tables: 0, values: 0 },
+  _loaded: false,
+  _db: null,
+  _cancel: false,
+  _listeners: new Set(),
+
+  /**
+   * Load the setting from IndexedDB (once per session)
+   */
+  async load() {
+    if (this._loaded) return;
+    this._loaded = true;
+    try {
+      const saved = await userDataStore.get('valueIndex');
+      this.enabled = saved?.enabled === true;
+      this.builtAt = saved?.builtAt || null;
+    } catch (e) {
+      logger.warn('[ValueIndex] Could not load setting:', e);
+    }
+  },
+
+  async save() {
+    try {
+      await userDataStore.set('valueIndex', { enabled: this.enabled, builtAt: this.builtAt }, Infinity);
+    } catch (e) {
+      logger.warn('[ValueIndex] Could not save setting:', e);
+    }
+  },
+
+  /**
+   * Bring the index up to date if it is switched on (called on startup, index.html)
+   */
+  async start() {
+    await this.load();
+    if (this.enabled) await this.build();
+  },
+
+  /**
+   * Switch the index on (and build it) or off (and delete it)
+   * @param {boolean} enabled
+   */
+  async setEnabled(enabled) {
+    await this.load();
+    this.enabled = enabled;
+    if (!enabled) {
+      this._cancel = true;
+      this.builtAt = null;
+      await this.clear();
+    }
+    await this.save();
+    this._notify();
+    if (enabled) await this.build();
+  },
+
+  /**
+   * Stop the current run after the table being indexed
+   */
+  stop() {
+    this._cancel = true;
+  },
+
+  /**
+   * Follow the progress (status changes)
+   * @param {Function} listener - Called with the status
+   * @returns {Function} - Unsubscribe
+   */
+  onProgress(listener) {
+    this._listeners.add(listener);
+    return () => this._listeners.delete(listener);
+  },
+
+  _notify() {
+    this._listeners.forEach(listener => listener(this.status));
+  },
+
+  /**
+   * Index the cached metadata of new and changed tables (see the module comment)
+   */
+  async build() {
+    await this.load();
+    if (!this.enabled || this.status.running) return;
+    const db = await this._open();
+    if (!db) return;
+
+    this._cancel = false;
+    this.status = { ...this.status, running: true, done: 0, total: 0 };
+    this._notify();
+
+    try {
+      await BrowserState.init();
+      const lang = getCurrentApiLang();
+      const indexed = new Map((await this._request(db.transaction('tables').objectStore('tables').getAll()))
+        .map(record => [record.tableId, record]));
+      const tables = new Map(BrowserState.allTables.map(table => [table.id, table]));
+      const cached = new Set(await api.listCachedMetadata(lang));
+
+      // Tables no longer in the list
+      for (const tableId of indexed.keys()) {
+        if (!tables.has(tableId)) await this._replaceTable(tableId, [], null);
+      }
+
+      // New or changed tables whose metadata is at hand; changed ones already in the index are re-fetched
+      let refetch = AppConfig.valueIndex.maxRefetchPerRun;
+      const queue = [...tables.values()].filter(table => {
+        const record = indexed.get(table.id);
+        if (record && record.updated === (table.updated || null) && record.lang === lang) return false;
+        if (cached.has(table.id)) return true;
+        if (!record || record.updated === (table.updated || null) || refetch <= 0) return false;
+        refetch--;
+        return true;
+      });
+
+      this.status.total = queue.length;
+      this._notify();
+      logger.log('[ValueIndex] Indexing ' + queue.length + ' tables');
+
+      for (const table of queue) {
+        if (this._cancel) break;
+        try {
+          const metadata = await api.getTableMetadata(table.id, true, lang, { priority: 'background', persistent: true });
+          const entries = extractValueIndexEntries(metadata);
+          await this._replaceTable(table.id, entries,
+            { tableId: table.id, updated: table.updated || null, lang, count: entries.length });
+        } catch (e) {
+          logger.warn('[ValueIndex] Could not index table ' + table.id + ':', e);
+        }
+        this.status.done++;
+        this._notify();
+      }
+
+      // Switched off while running: remove the table indexed last
+      if (!this.enabled) {
+        await this.clear();
+        return;
+      }
+
+      this.builtAt = new Date().toISOString();
+      await this.save();
+    } catch (e) {
+      logger.warn('[ValueIndex] Build failed:', e);
+    } finally {
+      await this._count();
+      this.status.running = false;
+      this._notify();
+    }
+  },
+
+  /**
+   * Tables with a value matching each word. Words of four or more letters
+   * also match as a prefix ("stavang" → Stavanger); codes match exactly.
+   * @param {Array<string>} words - Normalised query words (SearchEnhanced.queryVariants())
+   * @returns {Promise<Map<string, Set<string>>>} - word → table IDs (empty when the index is off)
+   */
+  async lookup(words) {
+    await this.load();
+    const matches = new Map();
+    const db = this.enabled ? await this._open() : null;
+    if (!db) return matches;
+
+    const terms = db.transaction('values').objectStore('values').index('terms');
+    for (const word of new Set(words)) {
+      const range = word.length >= 4 && !/^\d+$/.test(word)
+        ? IDBKeyRange.bound(word, word + '\uffff')
+        : IDBKeyRange.only(word);
+      try {
+        const records = await this._request(terms.getAll(range, AppConfig.valueIndex.maxMatches));
+        matches.set(word, new Set(records.map(record => record.tableId)));
+      } catch (e) {
+        logger.warn('[ValueIndex] Lookup failed:', e);
+      }
+    }
+    return matches;
+  },
+
+  /**
+   * Delete the whole index
+   */
+  async clear() {
+    const db = await this._open();
+    if (!db) return;
+    const tx = db.transaction(['values', 'tables'], 'readwrite');
+    tx.objectStore('values').clear();
+    tx.objectStore('tables').clear();
+    await this._done(tx);
+    await this._count();
+  },
+
+  /**
+   * Replace a table's values in the index (no entries and no record removes it)
+   * @param {string} tableId - Table ID
+   * @param {Array<object>} entries - extractValueIndexEntries() result
+   * @param {object|null} record - 'tables' record
+   */
+  async _replaceTable(tableId, entries, record) {
+    const tx = this._db.transaction(['values', 'tables'], 'readwrite');
+    const values = tx.objectStore('values');
+    values.index('tableId').getAllKeys(IDBKeyRange.only(tableId)).onsuccess = (event) => {
+      event.target.result.forEach(key => values.delete(key));
+      entries.forEach(entry => values.add({ tableId, ...entry, terms: valueIndexTerms(entry.code, entry.label) }));
+      if (record) {
+        tx.objectStore('tables').put(record);
+      } else {
+        tx.objectStore('tables').delete(tableId);
+      }
+    };
+    await this._done(tx);
+  },
+
+  /**
+   * Update status.tables and status.values from the stores
+   */
+  async _count() {
+    if (!this._db) return;
+    try {
+      const tx = this._db.transaction(['values', 'tables'], 'readonly');
+      const [values, tables] = await Promise.all([
+        this._request(tx.objectStore('values').count()),
+        this._request(tx.objectStore('tables').count())
+      ]);
+      this.status.values = values;
+      this.status.tables = tables;
+    } catch (e) {
+      logger.warn('[ValueIndex] Could not count the index:', e);
+    }
+  },
+
+  /**
+   * Open (and on first use create) the index database
+   * @returns {Promise<IDBDatabase|null>} - null when IndexedDB is unavailable
+   */
+  async _open() {
+    if (this._db) return this._db;
+    if (typeof indexedDB === 'undefined') return null;
+    try {
+      this._db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(AppConfig.instance + '_valueindex', 1);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          const values = db.createObjectStore('values', { autoIncrement: true });
+          values.createIndex('terms', 'terms', { multiEntry: true });
+          values.createIndex('tableId', 'tableId');
+          db.createObjectStore('tables', { keyPath: 'tableId' });
+        };
+      });
+      await this._count();
+    } catch (e) {
+      logger.error('[ValueIndex] Could not open database:', e);
+      this._db = null;
+    }
+    return this._db;
+  },
+
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  _done(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+};
+
+/**
+ * Render the value index line of the search view (setting, progress, size)
+ * and keep it current while it is on the page
+ * @param {HTMLElement} el - #value-index-status
+ */
+async function renderValueIndexStatus(el) {
+  await ValueIndex.load();
+
+  const draw = () => {
+    const status = ValueIndex.status;
+    if (!ValueIndex.enabled) {
+      el.innerHTML = `
+        <span>${t('valueIndex.description')}</span>
+        <button class="btn-secondary btn-sm" data-action="enable">${t('valueIndex.enable')}</button>
+      `;
+    } else if (status.running) {
+      el.innerHTML = `
+        <span role="status">${escapeHtml(tpl('valueIndex.progress', status.done, status.total))}</span>
+        <progress max="${status.total}" value="${status.done}"></progress>
+        <button class="btn-secondary btn-sm" data-action="stop">${t('valueIndex.stop')}</button>
+      `;
+    } else {
+      el.innerHTML = `
+        <span>${escapeHtml(tpl('valueIndex.summary', status.tables, status.values,
+          BrowserState.formatUpdatedDate(ValueIndex.builtAt)))}</span>
+        <button class="btn-secondary btn-sm" data-action="update">${t('valueIndex.update')}</button>
+        <button class="btn-secondary btn-sm" data-action="disable">${t('valueIndex.disable')}</button>
+      `;
+    }
+  };
+
+  const unsubscribe = ValueIndex.onProgress(() => {
+    if (!el.isConnected) {
+      unsubscribe();
+      return;
+    }
+    draw();
+  });
+
+  el.addEventListener('click', (e) => {
+    const action = e.target.closest('button')?.dataset.action;
+    if (action === 'enable') ValueIndex.setEnabled(true);
+    if (action === 'disable') ValueIndex.setEnabled(false);
+    if (action === 'update') ValueIndex.build();
+    if (action === 'stop') ValueIndex.stop();
+  });
+
+  await ValueIndex._open();
+  draw();
+}
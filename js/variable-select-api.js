@@ -339,6 +339,8 @@ function showCopyToast() {
 /**
  * Handle fetch data button click.
  * Validates selection, stores it in AppState, and switches to table view.
+ * Also behind "Hent i deler": the table view fetches selections above the
+ * cell limit in parts (table-chunks.js).
  */
 async function handleFetchData() {
   logger.log('[VariableSelect] Fetching data');
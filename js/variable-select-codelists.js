@@ -45,7 +45,7 @@ async function preloadCodelistOrdering(dimensions) {
     const firstId = sorted[0].id;
 
     const data = await safeApiCall(
-      () => api.getCodeList(firstId, true, getCurrentApiLang()),
+      () => api.getCodeList(firstId, true, getCurrentApiLang(), { priority: 'background' }),
       null // silent failure — falls back to category.index order
     );
 
@@ -142,9 +142,8 @@ function setupCodelistDropdowns() {
 
       // Reset selection when switching codelist
       container.dataset.mode = 'specific';
-      container.querySelectorAll('.value-list-item').forEach(item => {
-        item.classList.remove('selected');
-      });
+      valueLists[dimCode]?.selected.clear();
+      refreshValueListSelection(dimCode);
 
       updateModeVisuals(card);
       updateValueCounter(card);
@@ -266,7 +265,7 @@ function applyCodelistToValueList(dimCode, card) {
  * Render codelist values as the value list.
  * Used for both aggregated and filter codelists to ensure codelist-defined ordering.
  * Replaces the existing value list with the codelist's values.
- * Stores the valueMap in data attributes for later expansion to original codes.
+ * Keeps each value's valueMap in the list model for later expansion to original codes.
  *
  * @param {string} dimCode - Dimension code
  * @param {HTMLElement} card - Variable card element
@@ -276,21 +275,12 @@ function renderCodelistValues(dimCode, card, codelistValues) {
   const container = card.querySelector('.value-list-container');
   if (!container) return;
 
-  let html = '';
-  codelistValues.forEach((item, index) => {
-    const { cleanLabel, depth } = parseHierarchyLabel(item.label);
-    const indent = depth > 0 ? ' style="padding-left: ' + (depth * 1.2 + 0.5) + 'rem"' : '';
-
-    // Store valueMap as JSON in data attribute for later expansion
-    const valueMapJson = JSON.stringify(item.valueMap || [item.code]);
-
-    html += `<div class="value-list-item" data-code="${escapeHtml(item.code)}" data-index="${index}" data-valuemap='${escapeHtml(valueMapJson)}'${indent}>
-      <span class="value-list-label">${escapeHtml(cleanLabel)}</span>
-      <span class="value-list-code">${escapeHtml(item.code)}</span>
-    </div>`;
-  });
-
-  container.innerHTML = html;
+  container.innerHTML = buildValueList(dimCode, codelistValues.map(item => ({
+    code: item.code,
+    label: item.label,
+    valueMap: item.valueMap || [item.code]
+  })));
+  mountValueList(container);
 }
 
 /**
@@ -310,6 +300,7 @@ function restoreOriginalValueList(dimCode, card) {
   if (dimension) {
     const isTimeDim = dimCode === 'Tid' || dimCode.toLowerCase().includes('tid');
     container.innerHTML = renderValueList(dimCode, dimension, isTimeDim);
+    mountValueList(container);
     logger.log('[VariableSelect] Restored original values for dimension ' + dimCode);
   }
 
@@ -2,8 +2,9 @@
  * Variable Selection — Event Setup
  *
  * Wires up all interactive events for the variable selection view:
- * click/shift-click/ctrl-click on value items, text filter inputs,
- * Ctrl+A keyboard shortcut, and mode buttons (Alle/Velg alle/Opphev/Siste N).
+ * click/shift-click/ctrl-click on value items, tree fold/branch/level controls,
+ * text filter inputs, Ctrl+A keyboard shortcut, and mode buttons
+ * (Alle/Velg alle/Opphev/Siste N).
  *
  * Codelist dropdown events are handled in variable-select-codelists.js.
  */
@@ -42,18 +43,16 @@ document.addEventListener('mousedown', (e) => {
 // Clear drag state on mouseup; commit drag result so shift-click after drag works correctly
 document.addEventListener('mouseup', () => {
   if (_dragState && _dragState.hasMoved) {
-    const { container, dimCode } = _dragState;
-    const allItems = Array.from(container.querySelectorAll('.value-list-item'));
-    _committedSelection[dimCode] = new Set(
-      allItems.filter(it => it.classList.contains('selected'))
-              .map(it => parseInt(it.dataset.index, 10))
-    );
+    const { dimCode } = _dragState;
+    _committedSelection[dimCode] = new Set(valueLists[dimCode]?.selected || []);
   }
   _dragState = null;
 });
 
 /**
- * Set up click events on value list items (shift-click, ctrl-click, plain click, drag)
+ * Set up click events on value list items (shift-click, ctrl-click, plain click, drag).
+ * Selection lives in valueLists[dimCode].selected (item indices), since only the
+ * rows in view are in the DOM; the rendered rows are synced afterwards.
  */
 function setupListSelectionEvents() {
   // Reset committed-selection state for the freshly rendered variable list
@@ -63,34 +62,50 @@ function setupListSelectionEvents() {
     const card = container.closest('.variable-card');
     const dimCode = card.dataset.dimension;
 
+    mountValueList(container);
+
+    // Render the rows that scroll into view
+    container.addEventListener('scroll', () => renderValueListRows(dimCode, false));
+
+    // Tree level selector ("Velg nivå"), filled in by mountValueList()
+    card.querySelector('.tree-controls')?.addEventListener('change', (e) => {
+      if (!e.target.matches('.tree-level-select') || e.target.value === '') return;
+      container.dataset.mode = 'specific';
+      selectValueListLevel(dimCode, e.target.value);
+      _committedSelection[dimCode] = new Set(valueLists[dimCode].selected);
+      delete lastClickedIndex[dimCode];
+      e.target.value = '';
+      updateModeVisuals(card);
+      updateValueCounter(card);
+      updateSelectionStatus();
+    });
+
     // Prevent text selection and set up drag state
     container.addEventListener('mousedown', (e) => {
       _activeCard = card;
       const item = e.target.closest('.value-list-item');
 
       // Prevent Safari from text-selecting list content on any interaction with an item
-      if (item && item.style.display !== 'none') e.preventDefault();
+      if (item) e.preventDefault();
 
       // Shift drag/click: anchor-based range selection handled entirely by the click event
       if (e.shiftKey) return;
 
-      if (!item || item.style.display === 'none') return;
+      // Tree buttons are handled by the click event and never start a drag
+      if (!item || e.target.closest('.tree-toggle, .tree-branch-btn')) return;
 
+      const list = valueLists[dimCode];
       const isAdditive = e.ctrlKey || e.metaKey;
-      const allItems = Array.from(container.querySelectorAll('.value-list-item'));
       const clickedIndex = parseInt(item.dataset.index, 10);
 
       _dragState = {
         dimCode, container, card,
         startIndex: clickedIndex,
-        mode: item.classList.contains('selected') ? 'deselect' : 'select',
+        mode: list.selected.has(clickedIndex) ? 'deselect' : 'select',
         hasMoved: false,
         // Additive drag (ctrl/cmd): preserve existing selection outside the range.
         // Plain drag: empty snapshot so items outside the range are always cleared.
-        preSnapshot: isAdditive
-          ? new Set(allItems.filter(it => it.classList.contains('selected'))
-                            .map(it => parseInt(it.dataset.index, 10)))
-          : new Set()
+        preSnapshot: isAdditive ? new Set(list.selected) : new Set()
       };
       _dragOccurred = false;
     });
@@ -101,7 +116,7 @@ function setupListSelectionEvents() {
       if (!_dragState || _dragState.container !== container) return;
 
       const item = e.target.closest('.value-list-item');
-      if (!item || item.style.display === 'none') return;
+      if (!item) return;
 
       const currentIndex = parseInt(item.dataset.index, 10);
       // Ignore the very first hover over the start item (that's handled by click)
@@ -115,24 +130,20 @@ function setupListSelectionEvents() {
         updateModeVisuals(card);
       }
 
-      const allItems = Array.from(container.querySelectorAll('.value-list-item'));
+      const list = valueLists[dimCode];
       const start = Math.min(_dragState.startIndex, currentIndex);
       const end = Math.max(_dragState.startIndex, currentIndex);
 
-      allItems.forEach(it => {
-        if (it.style.display === 'none') return;
-        const idx = parseInt(it.dataset.index, 10);
+      // Only values that pass the text filter are painted
+      list.visible.forEach(idx => {
         const inRange = idx >= start && idx <= end;
         const wasSelected = _dragState.preSnapshot.has(idx);
-        if (inRange) {
-          if (_dragState.mode === 'select') it.classList.add('selected');
-          else it.classList.remove('selected');
-        } else {
-          // Outside range: restore to pre-drag state so range dynamically adjusts
-          if (wasSelected) it.classList.add('selected');
-          else it.classList.remove('selected');
-        }
+        // Outside range: restore to pre-drag state so range dynamically adjusts
+        const select = inRange ? _dragState.mode === 'select' : wasSelected;
+        if (select) list.selected.add(idx);
+        else list.selected.delete(idx);
       });
+      refreshValueListSelection(dimCode);
 
       // Update anchor so a subsequent shift-click extends from the drag endpoint
       lastClickedIndex[dimCode] = currentIndex;
@@ -148,14 +159,30 @@ function setupListSelectionEvents() {
       const item = e.target.closest('.value-list-item');
       if (!item) return;
 
+      const list = valueLists[dimCode];
+      const clickedIndex = parseInt(item.dataset.index, 10);
+
+      // Fold/unfold a tree node (does not change the selection)
+      if (e.target.closest('.tree-toggle')) {
+        toggleValueListNode(dimCode, clickedIndex);
+        return;
+      }
+
       // If in star/top mode, switch back to specific on click
       if (container.dataset.mode !== 'specific') {
         container.dataset.mode = 'specific';
         updateModeVisuals(card);
       }
 
-      const clickedIndex = parseInt(item.dataset.index, 10);
-      const allItems = Array.from(container.querySelectorAll('.value-list-item'));
+      // "+" on a tree node: add the node with all its descendants
+      if (e.target.closest('.tree-branch-btn')) {
+        selectValueListBranch(dimCode, clickedIndex);
+        _committedSelection[dimCode] = new Set(list.selected);
+        lastClickedIndex[dimCode] = clickedIndex;
+        updateValueCounter(card);
+        updateSelectionStatus();
+        return;
+      }
 
       if (!_committedSelection[dimCode]) _committedSelection[dimCode] = new Set();
       const committed = _committedSelection[dimCode];
@@ -164,48 +191,37 @@ function setupListSelectionEvents() {
         // Shift+Ctrl: add range to committed selection (fully additive, anchor advances)
         const start = Math.min(lastClickedIndex[dimCode], clickedIndex);
         const end   = Math.max(lastClickedIndex[dimCode], clickedIndex);
-        allItems.forEach(it => {
-          const idx = parseInt(it.dataset.index, 10);
-          if (idx >= start && idx <= end) {
-            it.classList.add('selected');
-            committed.add(idx);
-          }
+        list.visible.forEach(idx => {
+          if (idx < start || idx > end) return;
+          list.selected.add(idx);
+          committed.add(idx);
         });
         lastClickedIndex[dimCode] = clickedIndex;
       } else if (e.shiftKey && lastClickedIndex[dimCode] !== undefined) {
         // Shift-click (no Ctrl): replace shift range but preserve committed items
         const start = Math.min(lastClickedIndex[dimCode], clickedIndex);
         const end   = Math.max(lastClickedIndex[dimCode], clickedIndex);
-        allItems.forEach(it => {
-          const idx = parseInt(it.dataset.index, 10);
-          if ((idx >= start && idx <= end) || committed.has(idx))
-            it.classList.add('selected');
-          else
-            it.classList.remove('selected');
+        list.selected = new Set(committed);
+        // Like drag, only values that pass the text filter are taken
+        list.visible.forEach(idx => {
+          if (idx >= start && idx <= end) list.selected.add(idx);
         });
         // anchor and committed stay unchanged
       } else if (e.ctrlKey || e.metaKey) {
         // Ctrl/Cmd-click: commit current display (incl. any active shift range), then toggle
-        const current = new Set(
-          allItems.filter(it => it.classList.contains('selected'))
-                  .map(it => parseInt(it.dataset.index, 10))
-        );
+        const current = new Set(list.selected);
         if (current.has(clickedIndex)) current.delete(clickedIndex);
         else current.add(clickedIndex);
         _committedSelection[dimCode] = current;
         lastClickedIndex[dimCode] = clickedIndex;
-        allItems.forEach(it => {
-          const idx = parseInt(it.dataset.index, 10);
-          if (current.has(idx)) it.classList.add('selected');
-          else it.classList.remove('selected');
-        });
+        list.selected = new Set(current);
       } else {
         // Plain click: reset everything, select only this item
         _committedSelection[dimCode] = new Set([clickedIndex]);
         lastClickedIndex[dimCode] = clickedIndex;
-        allItems.forEach(it => it.classList.remove('selected'));
-        item.classList.add('selected');
+        list.selected = new Set([clickedIndex]);
       }
+      refreshValueListSelection(dimCode);
 
       updateValueCounter(card);
       updateSelectionStatus();
@@ -215,28 +231,15 @@ function setupListSelectionEvents() {
 
 /**
  * Set up search/filter inputs for value lists.
- * Since codelists now re-render the DOM (not just hide/show), the text filter
- * only needs to handle text-based filtering of whatever items are in the DOM.
+ * Filtering narrows valueLists[dimCode].visible; the list re-renders from the top.
  */
 function setupValueFilters() {
   document.querySelectorAll('.value-filter-input').forEach(input => {
     const card = input.closest('.variable-card');
-    const container = card.querySelector('.value-list-container');
+    const dimCode = card.dataset.dimension;
 
     input.addEventListener('input', debounce(() => {
-      const query = input.value.trim().toLowerCase();
-      const items = container.querySelectorAll('.value-list-item');
-
-      items.forEach(item => {
-        const label = item.querySelector('.value-list-label').textContent.toLowerCase();
-        const codeText = item.querySelector('.value-list-code').textContent.toLowerCase();
-
-        if (!query || label.includes(query) || codeText.includes(query)) {
-          item.style.display = '';
-        } else {
-          item.style.display = 'none';
-        }
-      });
+      filterValueList(dimCode, input.value.trim().toLowerCase());
     }, 150));
   });
 }
@@ -269,11 +272,11 @@ function setupKeyboardShortcuts() {
       container.dataset.mode = 'specific';
 
       // Select all VISIBLE items (respects both codelist and text filter)
-      container.querySelectorAll('.value-list-item').forEach(item => {
-        if (item.style.display !== 'none') {
-          item.classList.add('selected');
-        }
-      });
+      const list = valueLists[card.dataset.dimension];
+      if (list) {
+        list.visible.forEach(idx => list.selected.add(idx));
+        refreshValueListSelection(card.dataset.dimension);
+      }
 
       updateModeVisuals(card);
       updateValueCounter(card);
@@ -331,9 +334,8 @@ function setupModeButtons() {
       const card = btn.closest('.variable-card');
       const container = card.querySelector('.value-list-container');
       container.dataset.mode = 'specific';
-      container.querySelectorAll('.value-list-item').forEach(item => {
-        item.classList.remove('selected');
-      });
+      valueLists[card.dataset.dimension]?.selected.clear();
+      refreshValueListSelection(card.dataset.dimension);
       updateModeVisuals(card);
       updateValueCounter(card);
       updateSelectionStatus();
@@ -0,0 +1,270 @@
+/**
+ * Variable Selection — Virtual Value List
+ *
+ * Renders only the value rows inside the scroll viewport of a
+ * .value-list-container, so dimensions with thousands of values (all
+ * historical municipalities, 8-digit product codes) stay responsive without
+ * truncating the list. The full list and its selection live in
+ * valueLists[dimCode] (variable-select-state.js); rows carry their item index
+ * in data-index, so shift-click ranges and drag-select work across the whole
+ * list, including rows that are not currently rendered.
+ *
+ * Lists with "¬"-prefixed labels are shown as a tree (hierarchy.js): nodes can
+ * be folded, selected together with their descendants, or selected by level.
+ */
+
+// Rows rendered above and below the viewport
+const VALUE_LIST_OVERSCAN = 10;
+
+// Used until the first row has been measured
+const VALUE_LIST_DEFAULT_ROW_HEIGHT = 29;
+
+/**
+ * Create the value list model for a dimension and return its (empty) markup.
+ * Rows are filled in by mountValueList() once the markup is in the DOM.
+ *
+ * @param {string} dimCode - Dimension code
+ * @param {Array<{code, label, valueMap}>} values - Values in display order (raw labels, may contain ¬)
+ * @returns {string} - HTML
+ */
+function buildValueList(dimCode, values) {
+  const nodes = buildHierarchy(values.map(v => v.label));
+  const items = values.map((v, i) => ({ ...nodes[i], code: v.code, valueMap: v.valueMap || null }));
+
+  // Folded nodes are remembered by code (AppState.collapsedNodes, URL f parameter)
+  const foldedCodes = new Set(AppState.collapsedNodes[dimCode] || []);
+  const collapsed = new Set();
+  items.forEach((item, index) => {
+    if (item.hasChildren && foldedCodes.has(item.code)) collapsed.add(index);
+  });
+
+  valueLists[dimCode] = {
+    items,
+    selected: new Set(),
+    visible: [],
+    hierarchical: isHierarchical(nodes),
+    collapsed,
+    query: '',
+    container: null,
+    rowHeight: valueLists[dimCode]?.rowHeight || null,
+    renderedRange: null
+  };
+  _updateVisibleValues(valueLists[dimCode]);
+
+  return `<div class="value-list-viewport"><div class="value-list-rows"></div></div>`;
+}
+
+/**
+ * Attach a freshly rendered value list to its container and render the first rows
+ * @param {HTMLElement} container - .value-list-container
+ */
+function mountValueList(container) {
+  const dimCode = container.closest('.variable-card')?.dataset.dimension;
+  const list = valueLists[dimCode];
+  if (!list) return;
+
+  list.container = container;
+  container.scrollTop = 0;
+  _renderTreeControls(dimCode);
+  renderValueListRows(dimCode);
+}
+
+/**
+ * Render the rows in (and just around) the visible part of the list
+ * @param {string} dimCode - Dimension code
+ * @param {boolean} force - Re-render even if the same rows are already shown
+ */
+function renderValueListRows(dimCode, force = true) {
+  const list = valueLists[dimCode];
+  const container = list?.container;
+  const viewport = container?.querySelector('.value-list-viewport');
+  const rows = container?.querySelector('.value-list-rows');
+  if (!viewport || !rows) return;
+
+  const rowHeight = list.rowHeight || VALUE_LIST_DEFAULT_ROW_HEIGHT;
+  viewport.style.height = (list.visible.length * rowHeight) + 'px';
+
+  const viewHeight = container.clientHeight || 350;
+  const first = Math.max(0, Math.floor(container.scrollTop / rowHeight) - VALUE_LIST_OVERSCAN);
+  const last = Math.min(list.visible.length, Math.ceil((container.scrollTop + viewHeight) / rowHeight) + VALUE_LIST_OVERSCAN);
+
+  // Scrolling within the overscan keeps the same rows
+  if (!force && list.renderedRange === first + ':' + last) return;
+  list.renderedRange = first + ':' + last;
+
+  rows.style.transform = 'translateY(' + (first * rowHeight) + 'px)';
+  rows.innerHTML = list.visible.slice(first, last).map(index => {
+    const item = list.items[index];
+    // Indent hierarchical items: base padding + depth * 1.2rem
+    const indent = item.depth > 0 ? ' style="padding-left: ' + (item.depth * 1.2 + 0.5) + 'rem"' : '';
+    const folded = list.collapsed.has(index);
+    const toggle = !list.hierarchical ? ''
+      : item.hasChildren
+        ? `<button type="button" class="tree-toggle" aria-expanded="${!folded}" aria-label="${t(folded ? 'tree.expand' : 'tree.collapse')}">${folded ? '&#9656;' : '&#9662;'}</button>`
+        : '<span class="tree-toggle-spacer"></span>';
+    const branchBtn = item.hasChildren
+      ? `<button type="button" class="tree-branch-btn" title="${t('tree.selectBranch')}" aria-label="${t('tree.selectBranch')}">+</button>`
+      : '';
+    return `<div class="value-list-item${list.selected.has(index) ? ' selected' : ''}${item.hasChildren ? ' tree-node' : ''}" data-code="${escapeHtml(item.code)}" data-index="${index}"${indent}>
+      ${toggle}<span class="value-list-label">${escapeHtml(item.label)}</span>
+      ${branchBtn}<span class="value-list-code">${escapeHtml(item.code)}</span>
+    </div>`;
+  }).join('');
+
+  // Rows have a fixed height (labels don't wrap); measure it once they are laid out
+  if (!list.rowHeight && rows.firstElementChild?.offsetHeight) {
+    list.rowHeight = rows.firstElementChild.offsetHeight;
+    renderValueListRows(dimCode);
+  }
+}
+
+/**
+ * Sync the `selected` class of the rendered rows with the model
+ * @param {string} dimCode - Dimension code
+ */
+function refreshValueListSelection(dimCode) {
+  const list = valueLists[dimCode];
+  if (!list?.container) return;
+  list.container.querySelectorAll('.value-list-item').forEach(row => {
+    row.classList.toggle('selected', list.selected.has(parseInt(row.dataset.index, 10)));
+  });
+}
+
+/**
+ * Show only values whose label or code contains the query
+ * @param {string} dimCode - Dimension code
+ * @param {string} query - Lower-case filter text ('' shows everything)
+ */
+function filterValueList(dimCode, query) {
+  const list = valueLists[dimCode];
+  if (!list) return;
+
+  list.query = query;
+  _updateVisibleValues(list);
+  if (list.container) list.container.scrollTop = 0;
+  renderValueListRows(dimCode);
+}
+
+/**
+ * Fold or unfold a tree node and remember it in the URL
+ * @param {string} dimCode - Dimension code
+ * @param {number} index - Item index
+ */
+function toggleValueListNode(dimCode, index) {
+  const list = valueLists[dimCode];
+  const item = list?.items[index];
+  if (!item?.hasChildren) return;
+
+  if (toggleCollapsedNode(dimCode, item.code)) list.collapsed.add(index);
+  else list.collapsed.delete(index);
+
+  _updateVisibleValues(list);
+  renderValueListRows(dimCode);
+  debouncedURLUpdate();
+}
+
+/**
+ * Add a node and all its descendants to the selection
+ * @param {string} dimCode - Dimension code
+ * @param {number} index - Item index
+ */
+function selectValueListBranch(dimCode, index) {
+  const list = valueLists[dimCode];
+  if (!list) return;
+
+  hierarchyBranch(list.items, index).forEach(i => list.selected.add(i));
+  refreshValueListSelection(dimCode);
+}
+
+/**
+ * Replace the selection with all values at one level of the tree
+ * @param {string} dimCode - Dimension code
+ * @param {string} level - Depth ("0", "1", ...), "leaves" for values without
+ *   children, or "leaves:N" for values without children at depth N
+ */
+function selectValueListLevel(dimCode, level) {
+  const list = valueLists[dimCode];
+  if (!list) return;
+
+  const leavesOnly = level.startsWith('leaves');
+  const depth = level === 'leaves' ? null : parseInt(level.replace('leaves:', ''), 10);
+  list.selected = new Set();
+  list.items.forEach((item, index) => {
+    if ((!leavesOnly || !item.hasChildren) && (depth === null || item.depth === depth)) {
+      list.selected.add(index);
+    }
+  });
+  refreshValueListSelection(dimCode);
+}
+
+/**
+ * Recompute which values are listed: a text filter searches the whole tree,
+ * otherwise children of folded nodes are left out
+ * @param {object} list - valueLists entry
+ */
+function _updateVisibleValues(list) {
+  const query = list.query;
+  list.visible = [];
+  list.items.forEach((item, index) => {
+    const shown = query
+      ? item.label.toLowerCase().includes(query) || item.code.toLowerCase().includes(query)
+      : !isHiddenByCollapse(list.items, index, list.collapsed);
+    if (shown) list.visible.push(index);
+  });
+}
+
+/**
+ * Fill the card's level selector (only shown for hierarchical lists)
+ * @param {string} dimCode - Dimension code
+ */
+function _renderTreeControls(dimCode) {
+  const list = valueLists[dimCode];
+  const controls = list?.container?.closest('.variable-card')?.querySelector('.tree-controls');
+  if (!controls) return;
+
+  if (!list.hierarchical) {
+    controls.innerHTML = '';
+    return;
+  }
+
+  const maxDepth = list.items.reduce((max, item) => Math.max(max, item.depth), 0);
+  let options = '<option value="" selected>' + t('tree.selectLevel') + '</option>';
+  for (let depth = 0; depth <= maxDepth; depth++) {
+    options += '<option value="' + depth + '">' + tpl('tree.level', depth + 1) + '</option>';
+    // A level with both nodes and leaves can also be narrowed to its leaves
+    const atDepth = list.items.filter(item => item.depth === depth);
+    if (atDepth.some(item => item.hasChildren) && atDepth.some(item => !item.hasChildren)) {
+      options += '<option value="leaves:' + depth + '">' + tpl('tree.levelLeaves', depth + 1) + '</option>';
+    }
+  }
+  options += '<option value="leaves">' + t('tree.leaves') + '</option>';
+
+  controls.innerHTML = '<select class="tree-level-select" aria-label="' + t('tree.selectLevel') + '">' + options + '</select>';
+}
+
+/**
+ * Select the values with the given codes (keeps existing selections)
+ * @param {string} dimCode - Dimension code
+ * @param {string[]} codes - Value codes
+ */
+function selectValueListCodes(dimCode, codes) {
+  const list = valueLists[dimCode];
+  if (!list) return;
+
+  const wanted = new Set(codes);
+  list.items.forEach((item, index) => {
+    if (wanted.has(item.code)) list.selected.add(index);
+  });
+  refreshValueListSelection(dimCode);
+}
+
+/**
+ * Selected values of a dimension, in display order
+ * @param {string} dimCode - Dimension code
+ * @returns {Array<{code, label, depth, parent, hasChildren, valueMap}>}
+ */
+function getSelectedValueItems(dimCode) {
+  const list = valueLists[dimCode];
+  if (!list) return [];
+  return [...list.selected].sort((a, b) => a - b).map(index => list.items[index]);
+}
@@ -126,6 +126,8 @@ async function displayVariables() {
             ` : ''}
           </div>
 
+          <div class="tree-controls"></div>
+
           <div class="value-filter-container value-filter-wrapper">
             <input type="text" class="value-filter-input" placeholder="${
               isTimeDim ? escapeHtml(tpl('variable.timeFormatHint', _sampleTimeFormat(dimension) || '')) || t('variable.filterPlaceholder')
@@ -155,6 +157,9 @@ async function displayVariables() {
   // Restore previous selections if returning from table view
   await restoreSelections();
 
+  // Point at the variable the API rejected (table view "Endre utvalget")
+  highlightSelectionProblem();
+
   // Auto-select mandatory dimensions with only one value
   autoSelectSingleValueDimensions();
 
@@ -179,12 +184,9 @@ function autoSelectSingleValueDimensions() {
 
     if (!container || isElimination) return; // Skip optional dimensions
 
-    // Get all value items (visible or not)
-    const allItems = container.querySelectorAll('.value-list-item');
-
     // Only auto-select if exactly one value exists
-    if (allItems.length === 1) {
-      const singleItem = allItems[0];
+    const list = valueLists[dimCode];
+    if (list && list.items.length === 1) {
       const dimension = tableMetadata.dimension[dimCode];
       const dimLabel = dimension ? dimension.label : dimCode;
 
@@ -192,7 +194,8 @@ function autoSelectSingleValueDimensions() {
 
       // Select the item (set mode to specific)
       container.dataset.mode = 'specific';
-      singleItem.classList.add('selected');
+      list.selected.add(0);
+      refreshValueListSelection(dimCode);
 
       // Update visuals
       updateModeVisuals(card);
@@ -308,14 +311,16 @@ async function restoreSelections() {
       const topInput = card.querySelector('.top-n-input');
       if (topInput) topInput.value = n;
       updateModeVisuals(card);
+    } else if (typeof dimSelection === 'string' && dimSelection.startsWith('from(')) {
+      // from(x) (e.g. a repaired link): select x and every later period
+      const index = tableMetadata?.dimension[dimCode]?.category?.index || {};
+      const start = index[dimSelection.slice('from('.length, -1)];
+      if (start !== undefined) {
+        selectValueListCodes(dimCode, Object.keys(index).filter(code => index[code] >= start));
+      }
     } else if (Array.isArray(dimSelection) && dimSelection.length > 0) {
       // Specific mode: mark matching items as selected
-      const selectedCodes = new Set(dimSelection);
-      container.querySelectorAll('.value-list-item').forEach(item => {
-        if (selectedCodes.has(item.dataset.code)) {
-          item.classList.add('selected');
-        }
-      });
+      selectValueListCodes(dimCode, dimSelection);
     }
 
     updateValueCounter(card);
@@ -323,15 +328,43 @@ async function restoreSelections() {
 }
 
 /**
- * Render list items for dimension values.
- * Parses hierarchy markers (¬) in labels for visual indentation.
+ * Mark the variable card named by an InvalidValueCodeError (AppState.selectionProblem,
+ * set by the table view's recovery action) and scroll to it. Shown once.
+ */
+function highlightSelectionProblem() {
+  const problem = AppState.selectionProblem;
+  AppState.selectionProblem = null;
+  if (!problem?.variable) return;
+
+  const card = [...document.querySelectorAll('.variable-card')]
+    .find(c => c.dataset.dimension.toLowerCase() === problem.variable.toLowerCase());
+  if (!card) return;
+
+  card.classList.add('card-error');
+  const message = document.createElement('p');
+  message.className = 'variable-error';
+  message.setAttribute('role', 'alert');
+  message.textContent = tpl('recovery.invalidCode', problem.code || '');
+  card.querySelector('.variable-header')?.after(message);
+  card.scrollIntoView({ block: 'center' });
+
+  // The highlight goes once the selection of that variable changes
+  card.querySelector('.value-list-container')?.addEventListener('click', () => {
+    card.classList.remove('card-error');
+    message.remove();
+  }, { once: true });
+}
+
+/**
+ * Build the value list for dimension values (virtualised, see variable-select-list.js).
+ * Hierarchy markers (¬) in labels are shown as indentation.
  * Time dimensions are displayed in reverse order (newest first) since
  * users typically care most about recent data.
  *
  * @param {string} dimCode - Dimension code
  * @param {object} dimension - Dimension metadata
  * @param {boolean} isTimeDim - Whether this is a time dimension
- * @returns {string} - HTML for list items
+ * @returns {string} - HTML for the list (rows are rendered by mountValueList())
  */
 function renderValueList(dimCode, dimension, isTimeDim) {
   const values = dimension.category.label;
@@ -363,53 +396,5 @@ function renderValueList(dimCode, dimension, isTimeDim) {
     codes = orderedCodes;
   }
 
-  const maxDisplay = 500;
-  const displayCodes = codes.slice(0, maxDisplay);
-  const hasMore = codes.length > maxDisplay;
-
-  let html = '';
-  displayCodes.forEach((code, index) => {
-    const label = values[code];
-    const { cleanLabel, depth } = parseHierarchyLabel(label);
-    // Indent hierarchical items: base padding + depth * 1.2rem
-    const indent = depth > 0 ? ' style="padding-left: ' + (depth * 1.2 + 0.5) + 'rem"' : '';
-
-    html += `<div class="value-list-item" data-code="${escapeHtml(code)}" data-index="${index}"${indent}>
-      <span class="value-list-label">${escapeHtml(cleanLabel)}</span>
-      <span class="value-list-code">${escapeHtml(code)}</span>
-    </div>`;
-  });
-
-  if (hasMore) {
-    html += `<div class="truncate-notice">${tpl('variable.truncated', maxDisplay, codes.length)}</div>`;
-  }
-
-  return html;
-}
-
-/**
- * Parse hierarchy indicators in SSB value labels.
- *
- * SSB uses the "¬" character (not sign, U+00AC) as a prefix to indicate
- * hierarchy depth in dimension value labels:
- *   "Fast realkapital"         → depth 0
- *   "¬ Bygg og anlegg"        → depth 1
- *   "¬¬ Boliger"              → depth 2
- *   "¬¬¬ IT utstyr"           → depth 3
- *
- * @param {string} label - Raw label text from API
- * @returns {{ cleanLabel: string, depth: number }}
- */
-function parseHierarchyLabel(label) {
-  if (!label) return { cleanLabel: label, depth: 0 };
-
-  // Count leading ¬ characters (possibly with spaces between them)
-  const match = label.match(/^([\u00AC\s]+)/);
-  if (!match) return { cleanLabel: label, depth: 0 };
-
-  const prefix = match[1];
-  const depth = (prefix.match(/\u00AC/g) || []).length;
-  const cleanLabel = label.substring(match[0].length).trim();
-
-  return { cleanLabel: cleanLabel || label, depth };
+  return buildValueList(dimCode, codes.map(code => ({ code, label: values[code] })));
 }
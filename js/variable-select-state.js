@@ -36,12 +36,29 @@ const activeCodelists = {};
  */
 const dimensionValueOrder = {};
 
+/**
+ * Value list per dimension (variable-select-list.js). Only the rows in view
+ * are in the DOM, so the selection is kept here rather than in CSS classes.
+ * Key: dimension code, Value: {
+ *   items: Array<{code, label, depth, parent, hasChildren, valueMap}>,  // display order; valueMap only for codelists
+ *   selected: Set<number>,                          // item indices
+ *   visible: number[],                              // item indices listed (text filter / folded nodes)
+ *   hierarchical: boolean,                          // labels form a tree (hierarchy.js)
+ *   collapsed: Set<number>,                         // folded node indices
+ *   query: string,                                  // current text filter
+ *   container: HTMLElement | null,                  // .value-list-container once mounted
+ *   rowHeight: number | null,                       // measured from the first rendered row
+ *   renderedRange: string | null                    // "first:last" of the rows in the DOM
+ * }
+ */
+const valueLists = {};
+
 // URL update debounce timer
 let urlUpdateTimer = null;
 
 /**
  * Debounced URL update to avoid excessive history entries
- * Updates URL with current variable selections and codelist IDs
+ * Updates URL with current variable selections, codelist IDs and folded hierarchy nodes
  */
 function debouncedURLUpdate() {
   clearTimeout(urlUpdateTimer);
@@ -62,6 +79,11 @@ function debouncedURLUpdate() {
       params.c = URLRouter.encode(AppState.activeCodelistIds);
     }
 
+    // Folded hierarchy nodes
+    if (Object.keys(AppState.collapsedNodes).length > 0) {
+      params.f = URLRouter.encode(AppState.collapsedNodes);
+    }
+
     // Update URL (use replaceState, not pushState, to avoid creating history entries for every selection change)
     URLRouter.navigateTo(
       `variables/${AppState.selectedTable.id}`,
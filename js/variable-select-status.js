@@ -51,7 +51,7 @@ function updateValueCounter(card) {
     const topN = card.querySelector('.top-n-input')?.value || '10';
     selectedCount.textContent = tpl('status.topMode', topN);
   } else {
-    const count = container.querySelectorAll('.value-list-item.selected').length;
+    const count = valueLists[card.dataset.dimension]?.selected.size || 0;
     selectedCount.textContent = count;
   }
 }
@@ -139,21 +139,25 @@ function updateSelectionStatus() {
   updateQueryPreview();
   const cellCount = updateSelectionCellCount();
 
-  // Disable fetch button if cell count exceeds API limit (800,000)
-  if (isValid && cellCount > AppConfig.limits.maxCells) {
-    statusElement.textContent = t('status.tooManyCells');
+  // Disable fetch button if cell count exceeds API limit (800,000);
+  // "Hent i deler" fetches the selection in parts instead (table-chunks.js)
+  const tooManyCells = isValid && cellCount > AppConfig.limits.maxCells;
+  if (tooManyCells) {
+    statusElement.textContent = t('chunks.tooManyCells');
     statusElement.className = 'selection-status-invalid';
     fetchButton.disabled = true;
   }
+  const chunksButton = document.getElementById('fetch-chunks-btn');
+  if (chunksButton) chunksButton.hidden = !tooManyCells;
 
   // Update URL with current selections (debounced to avoid excessive history entries)
   debouncedURLUpdate();
 }
 
 /**
- * Get the true total number of values for a dimension, regardless of UI truncation.
+ * Get the true total number of values for a dimension.
  *
- * The value list in the DOM is capped at maxDisplayValues (500) items,
+ * The value list only has the rows in view in the DOM (see variable-select-list.js),
  * so counting DOM elements gives wrong results for large dimensions.
  * This function returns the authoritative count from metadata/codelist.
  *
@@ -179,8 +183,8 @@ function getTrueDimensionValueCount(dimCode) {
  * Calculate and display the total number of cells that will be fetched.
  *
  * Cell count = product of selected value counts across all included dimensions.
- * Uses metadata counts (not DOM element counts) for accurate totals,
- * since the value list is truncated at 500 items in the UI.
+ * Uses metadata counts and the value list model (not DOM element counts),
+ * since only the rows in view are rendered.
  * The API has an 800,000 cell limit per request.
  *
  * @returns {number} - Total selected cell count (0 if invalid)
@@ -202,7 +206,7 @@ function updateSelectionCellCount() {
     const mode = container.dataset.mode;
     const isElimination = card.dataset.elimination === 'true';
 
-    const selectedItems = container.querySelectorAll('.value-list-item.selected');
+    const selectedItems = getSelectedValueItems(dimCode);
 
     // Skip if no selection and dimension is optional (will be eliminated)
     if (selectedItems.length === 0 && mode === 'specific' && isElimination) {
@@ -212,7 +216,7 @@ function updateSelectionCellCount() {
     hasIncludedDimension = true;
 
     // Calculate dimension contribution based on mode
-    // Use metadata-based count (not DOM count) since the value list is truncated at 500 items
+    // Use metadata-based count (not DOM count) since only the rows in view are rendered
     const trueCount = getTrueDimensionValueCount(dimCode);
     let dimSelectedCount = 0;
     let dimMaxCount = trueCount;
@@ -234,17 +238,7 @@ function updateSelectionCellCount() {
         // For aggregated codelists this gives the true expanded code count
         let expandedCount = 0;
         selectedItems.forEach(item => {
-          const valueMapJson = item.dataset.valuemap;
-          if (valueMapJson) {
-            try {
-              const valueMap = JSON.parse(valueMapJson);
-              expandedCount += (Array.isArray(valueMap) ? valueMap.length : 1);
-            } catch (e) {
-              expandedCount += 1;
-            }
-          } else {
-            expandedCount += 1;
-          }
+          expandedCount += Array.isArray(item.valueMap) ? item.valueMap.length : 1;
         });
         dimSelectedCount = expandedCount;
       } else {
@@ -342,8 +336,8 @@ function getVariableSelection() {
       selection[dimCode] = 'top(' + topN + ')';
     } else {
       // Specific mode: collect individually selected items
-      const selectedItems = container.querySelectorAll('.value-list-item.selected');
-      let values = Array.from(selectedItems).map(item => item.dataset.code);
+      const selectedItems = getSelectedValueItems(dimCode);
+      let values = selectedItems.map(item => item.code);
 
       // If a filter (vs_) codelist is active, expand via valueMap to get original
       // dimension codes. For filter codelists valueMap[0] === code, so this is
@@ -354,17 +348,7 @@ function getVariableSelection() {
       if (codelistInfo && !codelistInfo.isAggregated) {
         const expandedCodes = new Set();
         selectedItems.forEach(item => {
-          const valueMapJson = item.dataset.valuemap;
-          if (valueMapJson) {
-            try {
-              const valueMap = JSON.parse(valueMapJson);
-              if (Array.isArray(valueMap)) {
-                valueMap.forEach(code => expandedCodes.add(code));
-              }
-            } catch (e) {
-              logger.error('[VariableSelect] Failed to parse valueMap:', e);
-            }
-          }
+          (item.valueMap || []).forEach(code => expandedCodes.add(code));
         });
         values = Array.from(expandedCodes);
       }
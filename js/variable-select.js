@@ -26,11 +26,14 @@
  * === Hierarchy in labels ===
  * SSB uses the "¬" character to indicate hierarchy depth in value labels.
  * "¬ Bygg og anlegg" = depth 1, "¬¬ Boliger" = depth 2, etc.
- * These are converted to visual indentation via padding-left.
+ * These are converted to visual indentation via padding-left, and the list
+ * becomes a tree (hierarchy.js): fold toggles, "+" to select a node with its
+ * descendants, and a level selector above the list.
  *
  * === File structure ===
  * This file is the main entry point. Supporting modules (loaded before this):
  *   variable-select-state.js    — module-level state variables + debouncedURLUpdate()
+ *   variable-select-list.js     — virtualised value lists (model, row rendering, filtering)
  *   variable-select-status.js   — visual updates, selection status, cell count, getVariableSelection()
  *   variable-select-codelists.js — codelist fetch/apply/restore + setupCodelistDropdowns()
  *   variable-select-render.js   — dimension card rendering, value lists, restoreSelections()
@@ -77,6 +80,7 @@ async function renderVariableSelection(container) {
         ${buildNavigationBreadcrumb(table.id, extractTableTitle(table.label))}
         <h2>${escapeHtml(extractTableTitle(table.label))}</h2>
         <p class="table-id-display">${t('variable.tablePrefix')} ${escapeHtml(table.id)}</p>
+        ${buildWatchButton(table.id)}
         <p class="view-description">
           ${t('variable.instructions')}
         </p>
@@ -196,6 +200,9 @@ async function renderVariableSelection(container) {
         <button id="fetch-data-btn" class="btn-primary" disabled>
           ${t('variable.fetchData')}
         </button>
+        <button id="fetch-chunks-btn" class="btn-secondary" hidden>
+          ${t('chunks.fetch')}
+        </button>
         <div class="selection-summary">
           <span id="selection-status">${t('variable.selectValuesAll')}</span>
           <div id="cell-count-display" class="cell-count-display"></div>
@@ -204,6 +211,9 @@ async function renderVariableSelection(container) {
     </div>
   `;
 
+  // Star toggle (watchlist.js); opening the table also clears its "new data" flag
+  setupWatchButton(container, table);
+
   // Set up back button - navigate to stored ref, fallback to home
   document.getElementById('back-to-browser')?.addEventListener('click', () => {
     const ref = AppState.navigationRef || 'home';
@@ -238,6 +248,7 @@ async function renderVariableSelection(container) {
 
   // Set up fetch button
   document.getElementById('fetch-data-btn')?.addEventListener('click', handleFetchData);
+  document.getElementById('fetch-chunks-btn')?.addEventListener('click', handleFetchData);
 
   // Set up default selection button
   document.getElementById('load-default-selection')?.addEventListener('click', handleLoadDefaultSelection);
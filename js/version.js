@@ -1,4 +1,5 @@
-// When bumping this version, also update all ?v= query strings in index.html to match.
+// When bumping this version, also update all ?v= query strings in index.html to match
+// (sw.js reads the script list from index.html).
 // This ensures browsers re-fetch all JS files and avoids "X is not a function" errors
 // caused by a mix of cached old scripts and freshly served new ones.
 const VERSION = 'v1.4.0';
@@ -0,0 +1,300 @@
+/**
+ * Watchlist - Starred tables with "new data since last visit"
+ *
+ * Each starred table remembers the `updated` timestamp it had when the user
+ * last opened it (variable selection or table view). A table whose current
+ * `updated` (from BrowserState.recentTables or allTables) is newer is flagged
+ * in the "Mine tabeller" section on the front page.
+ *
+ * Stored in IndexedDB (userDataStore, survives "Tøm cache"):
+ *   { items: [{ id, label, seenUpdated, notifiedUpdated }], notify: boolean }
+ *
+ * With notifications switched on, the list is re-checked every
+ * AppConfig.watchlist.checkIntervalMs while the app is open, and a browser
+ * notification is shown once per new update.
+ */
+
+const Watchlist = {
+  items: [],
+  notify: false,
+  _loaded: false,
+  _timer: null,
+
+  /**
+   * Load the watchlist from IndexedDB (once per session)
+   */
+  async load() {
+    if (this._loaded) return;
+    this._loaded = true;
+    try {
+      const saved = await userDataStore.get('watchlist');
+      if (saved && Array.isArray(saved.items)) {
+        this.items = saved.items;
+        this.notify = saved.notify === true;
+      }
+    } catch (e) {
+      logger.warn('[Watchlist] Could not load watchlist:', e);
+    }
+  },
+
+  /**
+   * Persist the watchlist to IndexedDB
+   */
+  async save() {
+    try {
+      await userDataStore.set('watchlist', { items: this.items, notify: this.notify }, Infinity);
+    } catch (e) {
+      logger.warn('[Watchlist] Could not save watchlist:', e);
+    }
+  },
+
+  /**
+   * @param {string} tableId - Table ID
+   * @returns {boolean}
+   */
+  has(tableId) {
+    return this.items.some(item => item.id === tableId);
+  },
+
+  /**
+   * Star or unstar a table
+   * @param {string} tableId - Table ID
+   * @param {string} label - Table label
+   * @returns {Promise<boolean>} - Whether the table is starred afterwards
+   */
+  async toggle(tableId, label) {
+    await this.load();
+    if (this.has(tableId)) {
+      this.items = this.items.filter(item => item.id !== tableId);
+    } else {
+      const updated = this.latestUpdated(tableId);
+      this.items.push({ id: tableId, label, seenUpdated: updated, notifiedUpdated: updated });
+    }
+    await this.save();
+    logger.log('[Watchlist]', this.has(tableId) ? 'Starred' : 'Unstarred', tableId);
+    return this.has(tableId);
+  },
+
+  /**
+   * Record that a starred table was opened (clears its "new data" flag)
+   * @param {string} tableId - Table ID
+   */
+  async markSeen(tableId) {
+    await this.load();
+    const item = this.items.find(i => i.id === tableId);
+    if (!item) return;
+
+    const updated = this.latestUpdated(tableId);
+    if (!updated || updated === item.seenUpdated) return;
+    item.seenUpdated = updated;
+    item.notifiedUpdated = updated;
+    await this.save();
+  },
+
+  /**
+   * Most recent known `updated` timestamp for a table
+   * @param {string} tableId - Table ID
+   * @returns {string|null} - ISO date string
+   */
+  latestUpdated(tableId) {
+    return BrowserState.getTableUpdated(tableId);
+  },
+
+  /**
+   * Whether a starred table has been updated since it was last opened
+   * @param {object} item - Watchlist item
+   * @returns {boolean}
+   */
+  hasNewData(item) {
+    const updated = this.latestUpdated(item.id);
+    if (!updated) return false;
+    return !item.seenUpdated || new Date(updated) > new Date(item.seenUpdated);
+  },
+
+  /**
+   * Turn browser notifications on (asks for permission) or off
+   * @param {boolean} enabled - Desired state
+   * @returns {Promise<boolean>} - Whether notifications are on afterwards
+   */
+  async setNotify(enabled) {
+    await this.load();
+    if (enabled) {
+      if (typeof Notification === 'undefined') return false;
+      const permission = Notification.permission === 'granted'
+        ? 'granted'
+        : await Notification.requestPermission();
+      if (permission !== 'granted') {
+        showError(t('watchlist.notifyDenied'));
+        return false;
+      }
+    }
+    this.notify = enabled;
+    await this.save();
+    this.start();
+    return this.notify;
+  },
+
+  /**
+   * Start (or stop) the periodic update check, depending on the settings.
+   * Runs one check right away so updates published while the app was closed
+   * are notified on the next visit.
+   */
+  async start() {
+    await this.load();
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    if (!this.notify || this.items.length === 0) return;
+    this._timer = setInterval(() => this.checkForUpdates(), AppConfig.watchlist.checkIntervalMs);
+    this.checkForUpdates(false);
+  },
+
+  /**
+   * Refresh the recently updated tables and notify about starred tables with new data
+   * @param {boolean} refresh - Bypass the table list cache
+   */
+  async checkForUpdates(refresh = true) {
+    if (!this.notify || this.items.length === 0) return;
+    await BrowserState.loadRecentTables(refresh);
+
+    let changed = false;
+    this.items.forEach(item => {
+      const updated = this.latestUpdated(item.id);
+      if (!this.hasNewData(item) || updated === item.notifiedUpdated) return;
+      item.notifiedUpdated = updated;
+      changed = true;
+      this._showNotification(item, updated);
+    });
+    if (changed) await this.save();
+  },
+
+  /**
+   * Show a browser notification for a starred table
+   * @param {object} item - Watchlist item
+   * @param {string} updated - ISO date string
+   */
+  _showNotification(item, updated) {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    try {
+      const notification = new Notification(tpl('watchlist.notificationTitle', item.id), {
+        body: tpl('watchlist.notificationBody', extractTableTitle(item.label), BrowserState.formatUpdatedDate(updated)),
+        tag: 'watchlist-' + item.id
+      });
+      notification.onclick = () => {
+        window.focus();
+        BrowserState.selectTable(item.id);
+        notification.close();
+      };
+    } catch (e) {
+      logger.warn('[Watchlist] Could not show notification:', e);
+    }
+  }
+};
+
+/**
+ * Build the star toggle shown in the table headers
+ * @param {string} tableId - Table ID
+ * @returns {string} - HTML
+ */
+function buildWatchButton(tableId) {
+  const watched = Watchlist.has(tableId);
+  return `
+    <button class="btn-secondary btn-sm watch-toggle-btn${watched ? ' btn-active' : ''}"
+            data-table-id="${escapeHtml(tableId)}" aria-pressed="${watched}"
+            title="${t('watchlist.followTitle')}">
+      ${watched ? t('watchlist.following') : t('watchlist.follow')}
+    </button>
+  `;
+}
+
+/**
+ * Wire the star toggle and mark the table as seen
+ * @param {HTMLElement} container - View container
+ * @param {object} table - { id, label }
+ */
+async function setupWatchButton(container, table) {
+  const btn = container.querySelector('.watch-toggle-btn');
+  await Watchlist.load();
+  Watchlist.markSeen(table.id);
+  if (!btn) return;
+
+  const refresh = (watched) => {
+    btn.classList.toggle('btn-active', watched);
+    btn.setAttribute('aria-pressed', String(watched));
+    btn.textContent = watched ? t('watchlist.following') : t('watchlist.follow');
+  };
+  refresh(Watchlist.has(table.id));
+
+  btn.addEventListener('click', async () => {
+    refresh(await Watchlist.toggle(table.id, AppState.selectedTable?.label || table.label));
+    Watchlist.start();
+  });
+}
+
+/**
+ * Build the "Mine tabeller" section for the front page
+ * @returns {string} - HTML (empty when nothing is starred)
+ */
+function buildWatchlistSection() {
+  if (Watchlist.items.length === 0) return '';
+
+  // Tables with new data first, then by most recent update
+  const rows = Watchlist.items.map(item => ({
+    item,
+    updated: Watchlist.latestUpdated(item.id),
+    isNew: Watchlist.hasNewData(item)
+  })).sort((a, b) => (b.isNew - a.isNew) || (new Date(b.updated || 0) - new Date(a.updated || 0)));
+
+  const canNotify = typeof Notification !== 'undefined';
+
+  return `
+    <section class="watchlist">
+      <div class="watchlist-header">
+        <h2>${t('watchlist.title')}</h2>
+        ${canNotify ? `
+        <button id="watchlist-notify-btn" class="btn-secondary btn-sm${Watchlist.notify ? ' btn-active' : ''}"
+                aria-pressed="${Watchlist.notify}">
+          ${Watchlist.notify ? t('watchlist.notifyOff') : t('watchlist.notifyOn')}
+        </button>` : ''}
+      </div>
+      <ul class="watchlist-list">
+        ${rows.map(({ item, updated, isNew }) => `
+          <li class="watchlist-item table-row${isNew ? ' watchlist-new' : ''}" data-table-id="${escapeHtml(item.id)}">
+            <span class="watchlist-id">${escapeHtml(item.id)}</span>
+            <a href="${escapeHtml(URLRouter.buildHash('variables/' + item.id))}" class="table-link">${escapeHtml(extractTableTitle(item.label))}</a>
+            ${isNew ? `<span class="watchlist-badge">${t('watchlist.newData')}</span>` : ''}
+            <span class="watchlist-updated">${escapeHtml(BrowserState.formatUpdatedDate(updated))}</span>
+            <button class="watchlist-remove-btn" data-table-id="${escapeHtml(item.id)}"
+                    aria-label="${escapeHtml(tpl('watchlist.unfollow', item.id))}"
+                    title="${escapeHtml(tpl('watchlist.unfollow', item.id))}">&#9733;</button>
+          </li>
+        `).join('')}
+      </ul>
+    </section>
+  `;
+}
+
+/**
+ * Wire the "Mine tabeller" section
+ * @param {HTMLElement} container - Front page container
+ * @param {Function} rerender - Re-renders the front page
+ */
+function setupWatchlistSection(container, rerender) {
+  const section = container.querySelector('.watchlist');
+  if (!section) return;
+
+  BrowserState.attachTableLinkListeners(section);
+
+  section.querySelectorAll('.watchlist-remove-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await Watchlist.toggle(btn.dataset.tableId);
+      rerender();
+    });
+  });
+
+  document.getElementById('watchlist-notify-btn')?.addEventListener('click', async () => {
+    await Watchlist.setNotify(!Watchlist.notify);
+    rerender();
+  });
+}
@@ -0,0 +1,384 @@
+/**
+ * Workspace - Several fetched tables open side by side
+ *
+ * Each panel keeps its own table ID, variableSelection, activeCodelistIds and
+ * tableLayout. The panel list is persisted to IndexedDB (userDataStore) and
+ * encoded in the #workspace hash so a workspace can be restored or shared:
+ *
+ *   #workspace?w={base64}&a=0&m=split
+ *
+ * w = { p: [{ t: tableId, n: label, v, c, l, d }, ...] }, a = active tab, m = tabs|split
+ * Join panels (table-join.js) are stored as { j: joinDefinition, n, l, d }.
+ * d = derived columns (table-derived.js), omitted when empty.
+ *
+ * Fetched responses are held in memory for the session only. Panels fetch
+ * through api.getTableData, so they also use the query result cache when the
+ * user has switched it on (#settings/cache).
+ */
+
+const Workspace = {
+  panels: [],      // [{ tableId, label, variableSelection, activeCodelistIds, tableLayout, derivedColumns, join? }]
+  activeIndex: 0,
+  mode: 'tabs',    // 'tabs' | 'split'
+  _data: {},       // panel key → JSON-stat2 response
+  _loaded: false,
+
+  /**
+   * Load the saved workspace from IndexedDB (once per session)
+   */
+  async load() {
+    if (this._loaded) return;
+    this._loaded = true;
+    try {
+      const saved = await userDataStore.get('workspace');
+      if (saved && Array.isArray(saved.panels)) {
+        this.panels = saved.panels;
+        this.activeIndex = Math.min(saved.activeIndex || 0, Math.max(0, saved.panels.length - 1));
+        this.mode = saved.mode === 'split' ? 'split' : 'tabs';
+      }
+    } catch (e) {
+      logger.warn('[Workspace] Could not load saved workspace:', e);
+    }
+  },
+
+  /**
+   * Persist the workspace to IndexedDB
+   */
+  async save() {
+    try {
+      await userDataStore.set('workspace', {
+        panels: this.panels,
+        activeIndex: this.activeIndex,
+        mode: this.mode
+      }, Infinity);
+    } catch (e) {
+      logger.warn('[Workspace] Could not save workspace:', e);
+    }
+  },
+
+  /**
+   * Add the table currently shown in the table view as a new panel
+   * (a copy: the views edit AppState's objects in place)
+   * @returns {number} - Number of panels after adding
+   */
+  async addCurrentTable() {
+    await this.load();
+    const panel = structuredClone({
+      tableId: AppState.selectedTable.id,
+      label: AppState.selectedTable.label,
+      variableSelection: AppState.variableSelection,
+      activeCodelistIds: AppState.activeCodelistIds,
+      tableLayout: AppState.tableLayout,
+      derivedColumns: AppState.derivedColumns
+    });
+    if (AppState.joinDefinition) {
+      panel.join = structuredClone(AppState.joinDefinition);
+    }
+    this.panels.push(panel);
+    this.activeIndex = this.panels.length - 1;
+    if (currentSourceData) {
+      this._data[this.panelKey(panel)] = currentSourceData;
+    }
+    await this.save();
+    logger.log('[Workspace] Added table', panel.tableId, '— panels:', this.panels.length);
+    return this.panels.length;
+  },
+
+  /**
+   * Remove a panel
+   * @param {number} index - Panel index
+   */
+  async remove(index) {
+    this.panels.splice(index, 1);
+    if (this.activeIndex >= this.panels.length) {
+      this.activeIndex = Math.max(0, this.panels.length - 1);
+    }
+    await this.save();
+  },
+
+  /**
+   * Key identifying the data a panel needs (layout excluded — it doesn't affect the fetch)
+   * @param {object} panel - Workspace panel
+   * @returns {string}
+   */
+  panelKey(panel) {
+    if (panel.join) return JSON.stringify(['join', panel.join]);
+    return JSON.stringify([panel.tableId, panel.variableSelection, panel.activeCodelistIds || {}]);
+  },
+
+  /**
+   * Hash parameters describing the workspace
+   * @returns {object} - { w, a, m }
+   */
+  toParams() {
+    if (this.panels.length === 0) return {};
+    return {
+      w: URLRouter.encode({
+        p: this.panels.map(p => {
+          const entry = p.join
+            ? { j: p.join, n: p.label, l: p.tableLayout }
+            : {
+              t: p.tableId,
+              n: p.label,
+              v: p.variableSelection,
+              c: p.activeCodelistIds,
+              l: p.tableLayout
+            };
+          if (p.derivedColumns?.length > 0) entry.d = p.derivedColumns;
+          return entry;
+        })
+      }),
+      a: this.activeIndex > 0 ? String(this.activeIndex) : null,
+      m: this.mode === 'split' ? 'split' : null
+    };
+  },
+
+  /**
+   * Restore the workspace from hash parameters (replaces the saved one)
+   * @param {object} params - { w, a, m }
+   * @returns {boolean} - Whether the parameters contained a valid workspace
+   */
+  fromParams(params) {
+    const decoded = params.w ? URLRouter.decode(params.w) : null;
+    if (!decoded || !Array.isArray(decoded.p)) return false;
+
+    this.panels = decoded.p
+      .filter(p => p && ((p.t && p.v && typeof p.v === 'object') || (p.j?.left?.t && p.j?.right?.t)))
+      .map(p => p.j
+        ? {
+          tableId: joinTableId(p.j),
+          label: p.n || joinTableId(p.j),
+          variableSelection: p.j.left.v,
+          activeCodelistIds: {},
+          tableLayout: p.l || null,
+          derivedColumns: Array.isArray(p.d) ? p.d : [],
+          join: p.j
+        }
+        : {
+          tableId: String(p.t),
+          label: p.n || String(p.t),
+          variableSelection: p.v,
+          activeCodelistIds: p.c || {},
+          tableLayout: p.l || null,
+          derivedColumns: Array.isArray(p.d) ? p.d : []
+        });
+    const active = parseInt(params.a, 10);
+    this.activeIndex = active >= 0 && active < this.panels.length ? active : 0;
+    this.mode = params.m === 'split' ? 'split' : 'tabs';
+    this._loaded = true;
+    return true;
+  },
+
+  /**
+   * Write the current workspace to the URL (replaceState) and IndexedDB
+   */
+  sync() {
+    URLRouter.navigateTo('workspace', this.toParams(), false);
+    this.save();
+  }
+};
+
+/**
+ * Render the workspace view
+ * @param {HTMLElement} container - Container element
+ */
+async function renderWorkspaceView(container) {
+  await Workspace.load();
+  updatePageTitle([t('workspace.title')]);
+
+  const panels = Workspace.panels;
+  const split = Workspace.mode === 'split';
+
+  let html = `
+    <div class="view-container workspace-view">
+      <div class="view-header">
+        <div class="view-header-buttons">
+          <button id="workspace-home-btn" class="btn-secondary">${t('nav.back.tables')}</button>
+        </div>
+        <h2>${t('workspace.title')}</h2>
+        <p class="view-description">${t('workspace.description')}</p>
+      </div>
+  `;
+
+  if (panels.length === 0) {
+    html += '<p class="no-results">' + t('workspace.empty') + '</p></div>';
+    container.innerHTML = html;
+    _workspaceWireHeader();
+    return;
+  }
+
+  html += `
+      <div class="table-controls">
+        <div class="workspace-tabs" role="tablist">
+          ${panels.map((p, i) => `
+            <button class="workspace-tab${!split && i === Workspace.activeIndex ? ' btn-active' : ''}"
+                    role="tab" data-index="${i}" aria-selected="${!split && i === Workspace.activeIndex}">
+              ${escapeHtml(p.tableId)}
+            </button>
+          `).join('')}
+        </div>
+        <div class="control-group">
+          <button id="workspace-mode-btn" class="btn-secondary">
+            ${split ? t('workspace.showTabs') : t('workspace.showSplit')}
+          </button>
+          <button id="workspace-copy-btn" class="btn-secondary">${t('workspace.copyLink')}</button>
+          ${panels.filter(p => !p.join).length >= 2 ? `
+          <button id="workspace-join-btn" class="btn-secondary">${t('join.button')}</button>` : ''}
+        </div>
+      </div>
+      <div class="workspace-panels${split ? ' workspace-split' : ''}">
+  `;
+
+  panels.forEach((p, i) => {
+    if (!split && i !== Workspace.activeIndex) return;
+    html += `
+        <section class="workspace-panel" data-index="${i}">
+          <div class="workspace-panel-header">
+            <h3>${escapeHtml(extractTableTitle(p.label))}
+              <span class="table-id-display">${t('table.prefix')} ${escapeHtml(p.tableId)}</span></h3>
+            <div class="control-group">
+              <button class="btn-secondary btn-sm workspace-open-btn" data-index="${i}">${t('workspace.open')}</button>
+              <button class="btn-secondary btn-sm workspace-remove-btn" data-index="${i}">${t('workspace.remove')}</button>
+            </div>
+          </div>
+          <div class="workspace-panel-body" id="workspace-panel-${i}">
+            <p class="loading-message">${t('loading.data')}</p>
+          </div>
+        </section>
+    `;
+  });
+
+  html += '</div></div>';
+  container.innerHTML = html;
+
+  _workspaceWireHeader();
+
+  container.querySelectorAll('.workspace-tab').forEach(btn => {
+    btn.addEventListener('click', () => {
+      Workspace.activeIndex = parseInt(btn.dataset.index, 10);
+      Workspace.mode = 'tabs';
+      Workspace.sync();
+      renderWorkspaceView(container);
+    });
+  });
+
+  document.getElementById('workspace-mode-btn')?.addEventListener('click', () => {
+    Workspace.mode = split ? 'tabs' : 'split';
+    Workspace.sync();
+    renderWorkspaceView(container);
+  });
+
+  document.getElementById('workspace-copy-btn')?.addEventListener('click', (e) => {
+    const btn = e.currentTarget;
+    navigator.clipboard.writeText(SSBURLMapper.toDeepLink()).then(() => {
+      btn.textContent = t('workspace.copied');
+    }).catch(() => {
+      showError(t('workspace.copyFailed'));
+    });
+  });
+
+  document.getElementById('workspace-join-btn')?.addEventListener('click', () => {
+    showJoinDialog(panels.filter(p => !p.join));
+  });
+
+  container.querySelectorAll('.workspace-open-btn').forEach(btn => {
+    btn.addEventListener('click', () => _workspaceOpenPanel(parseInt(btn.dataset.index, 10)));
+  });
+
+  container.querySelectorAll('.workspace-remove-btn').forEach(btn => {
+    btn.addEventListener('click', async () => {
+      await Workspace.remove(parseInt(btn.dataset.index, 10));
+      Workspace.sync();
+      renderWorkspaceView(container);
+    });
+  });
+
+  // Fetch panels one at a time (the API is rate limited)
+  for (let i = 0; i < panels.length; i++) {
+    if (!split && i !== Workspace.activeIndex) continue;
+    await _workspaceLoadPanel(panels[i], i);
+    if (AppState.currentView !== 'workspace') return;
+  }
+}
+
+/**
+ * Wire the back button in the workspace header
+ */
+function _workspaceWireHeader() {
+  document.getElementById('workspace-home-btn')?.addEventListener('click', () => {
+    URLRouter.navigateTo('home', {});
+    URLRouter.handleRoute();
+  });
+}
+
+/**
+ * Fetch (or reuse) a panel's data and render its table
+ * @param {object} panel - Workspace panel
+ * @param {number} index - Panel index
+ */
+async function _workspaceLoadPanel(panel, index) {
+  const key = Workspace.panelKey(panel);
+  let data = Workspace._data[key];
+
+  if (!data && panel.join) {
+    const joined = await safeApiCall(
+      () => runJoinDefinition(panel.join),
+      tpl('workspace.fetchFailed', panel.tableId)
+    );
+    data = joined?.data;
+    if (data) {
+      Workspace._data[key] = data;
+    }
+  } else if (!data) {
+    data = await safeApiCall(
+      () => api.getTableData(panel.tableId, panel.variableSelection, getCurrentApiLang(), panel.activeCodelistIds,
+        { updated: BrowserState.getTableUpdated(panel.tableId) }),
+      tpl('workspace.fetchFailed', panel.tableId)
+    );
+    if (data && data.value) {
+      Workspace._data[key] = data;
+    }
+  }
+
+  const body = document.getElementById('workspace-panel-' + index);
+  if (!body) return;
+
+  if (!data || !data.value) {
+    body.innerHTML = '<p class="error-message">' + t('error.fetchData') + '</p>';
+    return;
+  }
+
+  data = applyDerivedColumns(data, panel.derivedColumns);
+  panel.tableLayout = resolveTableLayout(data, panel.tableLayout);
+  body.innerHTML = buildHtmlTable(data, panel.tableLayout, null);
+  setupVirtualTables(body);
+}
+
+/**
+ * Open a panel in the regular table view (rotation, export, chart, ...).
+ * The table view gets a copy, so its edits don't change the panel.
+ * @param {number} index - Panel index
+ */
+function _workspaceOpenPanel(index) {
+  if (!Workspace.panels[index]) return;
+  const panel = structuredClone(Workspace.panels[index]);
+
+  if (panel.join) {
+    openJoinView(panel.join, panel.tableLayout, panel.derivedColumns || []);
+    return;
+  }
+
+  AppState.selectedTable = { id: panel.tableId, label: panel.label };
+  AppState.variableSelection = panel.variableSelection;
+  AppState.activeCodelistIds = panel.activeCodelistIds || {};
+  AppState.tableLayout = panel.tableLayout || { rows: [], columns: [] };
+  AppState.chartType = null;
+  AppState.joinDefinition = null;
+  AppState.derivedColumns = panel.derivedColumns || [];
+  AppState.collapsedNodes = {};
+  AppState.navigationRef = URLRouter.buildHash('workspace', Workspace.toParams()).slice(1);
+  sessionStorage.setItem('ssb_navRef', JSON.stringify({ tableId: panel.tableId, ref: AppState.navigationRef }));
+  // Reuse the already fetched response (consumed once by loadTableData)
+  AppState.tableData = Workspace._data[Workspace.panelKey(panel)] || null;
+  AppState.setView('table');
+}
@@ -0,0 +1,94 @@
+/**
+ * Service worker - Offline app shell and API metadata fallback
+ *
+ * - App shell (index.html, css/, js/): precached on install. Served
+ *   network-first, so online users always get the current files and the
+ *   cached copy is only used when the network is unavailable.
+ * - API GET requests for /tables, /metadata, /codelists and /config:
+ *   network-first, with the last successful response kept as an offline
+ *   fallback. Data requests (/data) are never cached here — tables can be
+ *   pinned for offline viewing in the table view instead (offline.js).
+ *
+ * The API base URL is passed as ?api= when registering (offline.js), so the
+ * worker works unchanged for other PxWebApi v2 instances.
+ *
+ * The shell file list is read from index.html's script and link tags on
+ * install, so scripts added to index.html are precached without changes here.
+ */
+
+importScripts('js/version.js', 'js/sw-shell.js');
+
+const SHELL_CACHE = 'shell-' + VERSION;
+const API_CACHE = 'api';
+const API_BASE = new URL(self.location).searchParams.get('api') || '';
+
+// Shell files index.html doesn't reference (the rest is read from index.html
+// on install, see shellFilesFromHtml() in js/sw-shell.js)
+const SHELL_EXTRA_FILES = [
+  './',
+  'index.html',
+  'icons/icon-512.png'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    fetch('index.html', { cache: 'reload' })
+      .then(response => response.text())
+      .then(html => caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll([...SHELL_EXTRA_FILES, ...shellFilesFromHtml(html)])))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop shell caches from earlier versions
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(k => k.startsWith('shell-') && k !== SHELL_CACHE).map(k => caches.delete(k))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'clear-api-cache') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request, SHELL_CACHE, request.mode === 'navigate' ? 'index.html' : null));
+  } else if (API_BASE && request.url.startsWith(API_BASE) && isCacheableApiPath(url.pathname)) {
+    event.respondWith(networkFirst(request, API_CACHE, null));
+  }
+});
+
+/**
+ * Fetch from the network and refresh the cache; fall back to the cache offline
+ * @param {Request} request - Request
+ * @param {string} cacheName - Cache to read/write
+ * @param {string|null} fallbackPath - Cached path to use when nothing matches (navigations)
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request, cacheName, fallbackPath) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request) ||
+                   (fallbackPath ? await cache.match(fallbackPath) : null);
+    if (cached) return cached;
+    throw error;
+  }
+}